@@ -0,0 +1,57 @@
+/*
+=======================================================================================================================================
+CREATE USER SCRIPT
+=======================================================================================================================================
+Command line helper to add a dashboard login (or reset an existing user's password)
+Hashes the password with bcrypt before storing it in the users table
+Usage: node create_user.js <username> <password> [display_name] [role] [owner_name]
+       role is admin | owner | viewer (default viewer); owner_name must match groupid_performance.owner
+=======================================================================================================================================
+*/
+
+const bcrypt = require('bcrypt');
+const db = require('./db');
+const { ROLES } = require('./middleware/auth');
+
+const SALT_ROUNDS = 12;
+
+async function createUser() {
+    const [username, password, displayName, role = 'viewer', ownerName] = process.argv.slice(2);
+
+    if (!username || !password || !ROLES.includes(role)) {
+        console.log('Usage: node create_user.js <username> <password> [display_name] [admin|owner|viewer] [owner_name]');
+        await db.closePool();
+        process.exit(1);
+    }
+
+    try {
+        const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+
+        const query = `
+            INSERT INTO users (username, password_hash, display_name, role, owner_name)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (LOWER(username)) DO UPDATE
+                SET password_hash = EXCLUDED.password_hash,
+                    display_name = COALESCE(EXCLUDED.display_name, users.display_name),
+                    role = EXCLUDED.role,
+                    owner_name = COALESCE(EXCLUDED.owner_name, users.owner_name),
+                    active = TRUE
+            RETURNING id, username, display_name, role, owner_name
+        `;
+
+        // Owners default to their display name as the groupid_performance.owner value
+        const ownerValue = ownerName || (role === 'owner' ? displayName : null) || null;
+
+        const result = await db.query(query, [username, passwordHash, displayName || null, role, ownerValue]);
+        const user = result.rows[0];
+
+        console.log(`User saved: ${user.username} (id ${user.id}, display name: ${user.display_name || '-'}, role: ${user.role}, owner: ${user.owner_name || '-'})`);
+    } catch (error) {
+        console.error('Failed to create user:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await db.closePool();
+    }
+}
+
+createUser();
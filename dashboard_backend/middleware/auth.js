@@ -0,0 +1,132 @@
+/*
+=======================================================================================================================================
+AUTHENTICATION MIDDLEWARE
+=======================================================================================================================================
+JWT authentication and role checks shared by the server and route handlers
+Verifies the Bearer token sent by the frontend and exposes the decoded user on req.user
+Roles: admin (edit everything), owner (edit own products only), viewer (read-only)
+=======================================================================================================================================
+*/
+
+const jwt = require('jsonwebtoken');
+const db = require('../db');
+const { parseChannels } = require('../utils/product_filters');
+require('dotenv').config();
+
+// Token lifetime - can be overridden in .env (e.g. "8h", "7d")
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '12h';
+
+const ROLES = ['admin', 'owner', 'viewer'];
+
+// JWT Authentication middleware
+const authenticateToken = (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+
+    if (!token) {
+        return res.status(401).json({
+            return_code: "UNAUTHORIZED",
+            message: "Access token required"
+        });
+    }
+
+    jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+        if (err) {
+            return res.status(403).json({
+                return_code: "FORBIDDEN",
+                message: "Invalid or expired token"
+            });
+        }
+        req.user = user;
+        next();
+    });
+};
+
+// Sign a JWT for a user row from the users table
+const signToken = (user) => {
+    const payload = {
+        user_id: user.id,
+        username: user.username,
+        display_name: user.display_name || user.username,
+        role: ROLES.includes(user.role) ? user.role : 'viewer',
+        owner_name: user.owner_name || null
+    };
+
+    return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+};
+
+// Role check middleware - use after authenticateToken, e.g. requireRole('admin')
+const requireRole = (...allowedRoles) => (req, res, next) => {
+    if (!req.user || !allowedRoles.includes(req.user.role)) {
+        console.log(`AUTH: ${req.user?.username || 'unknown'} (${req.user?.role || 'no role'}) denied access to ${req.originalUrl}`);
+        return res.status(403).json({
+            return_code: "ACCESS_DENIED",
+            message: `This action requires role: ${allowedRoles.join(' or ')}`
+        });
+    }
+    next();
+};
+
+// Check whether a user may change the given product on a channel (admin, or owner of the product's channel row)
+const canEditProduct = async (user, groupid, channel = 'SHP') => {
+    if (!user) return false;
+    if (user.role === 'admin') return true;
+    if (user.role !== 'owner' || !user.owner_name) return false;
+
+    const result = await db.query(
+        `SELECT 1 FROM groupid_performance WHERE groupid = $1 AND LOWER(owner) = LOWER($2) AND channel = $3 LIMIT 1`,
+        [groupid, user.owner_name, channel]
+    );
+    return result.rows.length > 0;
+};
+
+// Write-route middleware - rejects changes to req.body.groupid on req.body.channel (default SHP) unless the caller
+// owns that channel's row or is an admin
+const requireProductOwnership = async (req, res, next) => {
+    try {
+        const { groupid } = req.body;
+
+        if (!groupid) {
+            return res.status(400).json({
+                return_code: "MISSING_GROUPID",
+                message: "groupid parameter is required"
+            });
+        }
+
+        // Write routes change a single channel's row
+        const channels = parseChannels(req.body.channel);
+        if (!channels || channels.length > 1) {
+            return res.status(400).json({
+                return_code: "INVALID_CHANNEL",
+                message: "channel must be a single channel code"
+            });
+        }
+
+        const allowed = await canEditProduct(req.user, groupid, channels[0]);
+        if (!allowed) {
+            console.log(`AUTH: ${req.user?.username || 'unknown'} (${req.user?.role || 'no role'}) may not edit ${groupid} (${channels[0]})`);
+            return res.status(403).json({
+                return_code: "ACCESS_DENIED",
+                message: "You can only change products you own"
+            });
+        }
+
+        next();
+    } catch (error) {
+        console.error('AUTH: Ownership check failed:', error);
+        res.status(500).json({
+            return_code: "SERVER_ERROR",
+            message: "Failed to check product ownership"
+        });
+    }
+};
+
+module.exports = {
+    authenticateToken,
+    signToken,
+    requireRole,
+    canEditProduct,
+    requireProductOwnership,
+    ROLES,
+    JWT_EXPIRES_IN
+};
@@ -0,0 +1,191 @@
+/*
+=======================================================================================================================================
+BRAND GROUP REPOSITORY
+=======================================================================================================================================
+Data-access functions for the configurable brand groups used by the brand filter (brand_groups, brand_group_members)
+Each brand belongs to at most one group; brands with no group fall into the default (catch-all) group, e.g. "UKD"
+Brand names are matched case-insensitively, as groupid_performance.brand is not consistently cased
+=======================================================================================================================================
+*/
+
+const db = require('../db');
+
+/**
+ * @typedef {Object} BrandGroup
+ * @property {number} id
+ * @property {string} name
+ * @property {number} sort_order
+ * @property {boolean} is_default  - True for the catch-all group holding every unassigned brand
+ * @property {string[]} brands     - Assigned brands (always empty for the default group)
+ */
+
+/**
+ * SQL condition resolving a list of brand_filter values through the brand group mapping - a row matches any value
+ * - A group name matches every brand assigned to that group
+ * - The default group matches every brand not assigned to any group (including blank brands)
+ * - Any other value is treated as a single brand name (case-insensitive, like the group names)
+ * @param {string} column    - Brand column to test, e.g. "gp.brand"
+ * @param {string} paramRef  - Placeholder holding the values as a text array, e.g. "$2"
+ * @returns {string}
+ */
+const buildBrandListCondition = (column, paramRef) => `(
+    LOWER(${column}) IN (
+        SELECT LOWER(bgm.brand)
+        FROM brand_group_members bgm
+        JOIN brand_groups bg ON bg.id = bgm.group_id
+        WHERE LOWER(bg.name) IN (SELECT LOWER(value) FROM unnest(${paramRef}::text[]) AS value)
+    )
+    OR (
+        EXISTS (
+            SELECT 1 FROM brand_groups bg
+            WHERE bg.is_default AND LOWER(bg.name) IN (SELECT LOWER(value) FROM unnest(${paramRef}::text[]) AS value)
+        )
+        AND (${column} IS NULL OR ${column} = '' OR LOWER(${column}) NOT IN (SELECT LOWER(brand) FROM brand_group_members))
+    )
+    OR LOWER(${column}) IN (
+        SELECT LOWER(value) FROM unnest(${paramRef}::text[]) AS value
+        WHERE LOWER(value) NOT IN (SELECT LOWER(name) FROM brand_groups)
+    )
+)`;
+
+/**
+ * SQL condition resolving a single brand_filter value through the brand group mapping (see buildBrandListCondition)
+ * @param {string} column    - Brand column to test, e.g. "gp.brand"
+ * @param {string} paramRef  - Placeholder holding the brand_filter value, e.g. "$2"
+ * @returns {string}
+ */
+const buildBrandFilterCondition = (column, paramRef) => buildBrandListCondition(column, `ARRAY[${paramRef}::text]`);
+
+/**
+ * All groups in display order (default group last) with their assigned brands
+ * @returns {Promise<BrandGroup[]>}
+ */
+const getBrandGroups = async () => {
+    const result = await db.query(`
+        SELECT bg.id, bg.name, bg.sort_order, bg.is_default,
+               COALESCE(ARRAY_AGG(bgm.brand ORDER BY bgm.brand) FILTER (WHERE bgm.brand IS NOT NULL), '{}') AS brands
+        FROM brand_groups bg
+        LEFT JOIN brand_group_members bgm ON bgm.group_id = bg.id
+        GROUP BY bg.id
+        ORDER BY bg.is_default, bg.sort_order, bg.name
+    `);
+
+    return result.rows.map(row => ({
+        id: row.id,
+        name: row.name,
+        sort_order: row.sort_order,
+        is_default: row.is_default,
+        brands: row.brands
+    }));
+};
+
+/**
+ * Distinct non-blank brands present in groupid_performance
+ * @param {string[]} [channels]  - Channel codes to include (default: all channels)
+ * @returns {Promise<string[]>}
+ */
+const getProductBrands = async (channels) => {
+    const result = await db.query(`
+        SELECT DISTINCT brand
+        FROM groupid_performance
+        WHERE ($1::text[] IS NULL OR channel = ANY($1))
+          AND brand IS NOT NULL
+          AND brand != ''
+        ORDER BY brand ASC
+    `, [channels || null]);
+
+    return result.rows.map(row => row.brand);
+};
+
+/**
+ * Single group by id
+ * @param {number} groupId
+ * @returns {Promise<Object|null>}
+ */
+const getBrandGroup = async (groupId) => {
+    const result = await db.query('SELECT id, name, sort_order, is_default FROM brand_groups WHERE id = $1', [groupId]);
+    return result.rows.length > 0 ? result.rows[0] : null;
+};
+
+/**
+ * Creates a group at the end of the display order
+ * Throws a unique violation (23505) when the name already exists
+ * @param {string} name
+ * @returns {Promise<Object>}
+ */
+const createBrandGroup = async (name) => {
+    const result = await db.query(`
+        INSERT INTO brand_groups (name, sort_order)
+        SELECT $1, COALESCE(MAX(sort_order), 0) + 1
+        FROM brand_groups
+        WHERE NOT is_default
+        RETURNING id, name, sort_order, is_default
+    `, [name]);
+
+    return result.rows[0];
+};
+
+/**
+ * Rewrites sort_order from the given id order in one transaction
+ * @param {number[]} groupIds  - Every non-default group id, in the new display order
+ */
+const reorderBrandGroups = async (groupIds) => {
+    const client = await db.getClient();
+
+    try {
+        await client.query('BEGIN');
+        for (let index = 0; index < groupIds.length; index++) {
+            await client.query('UPDATE brand_groups SET sort_order = $1 WHERE id = $2', [index + 1, groupIds[index]]);
+        }
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Assigns a brand to a group, replacing any previous assignment
+ * Passing a null groupId removes the assignment so the brand falls into the default group
+ * @param {string} brand
+ * @param {number|null} groupId
+ */
+const assignBrand = async (brand, groupId) => {
+    const client = await db.getClient();
+
+    try {
+        await client.query('BEGIN');
+        await client.query('DELETE FROM brand_group_members WHERE LOWER(brand) = LOWER($1)', [brand]);
+        if (groupId !== null) {
+            await client.query('INSERT INTO brand_group_members (brand, group_id) VALUES ($1, $2)', [brand, groupId]);
+        }
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Deletes a group - its brands fall back into the default group
+ * @param {number} groupId
+ */
+const deleteBrandGroup = async (groupId) => {
+    await db.query('DELETE FROM brand_groups WHERE id = $1 AND NOT is_default', [groupId]);
+};
+
+module.exports = {
+    buildBrandListCondition,
+    buildBrandFilterCondition,
+    getBrandGroups,
+    getProductBrands,
+    getBrandGroup,
+    createBrandGroup,
+    reorderBrandGroups,
+    assignBrand,
+    deleteBrandGroup
+};
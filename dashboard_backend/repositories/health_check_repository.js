@@ -0,0 +1,193 @@
+/*
+=======================================================================================================================================
+HEALTH CHECK REPOSITORY
+=======================================================================================================================================
+Data-access functions for the shopify_health_check view (dashboard_library/schema.sql)
+The view has one row per Shopify code (size) with stock, sales velocity, flags and a recommended_action
+Database errors are thrown to the caller so routes can report them instead of returning empty data
+=======================================================================================================================================
+*/
+
+const db = require('../db');
+const { buildBrandFilterCondition } = require('./brand_group_repository');
+
+// Actions that need no attention
+const OK_ACTION = 'OK';
+
+// Display order of the recommended actions - most urgent first, unknown actions after these and OK last
+const ACTION_ORDER = [
+    'Restock',
+    'Price Too Low',
+    'Price Too High',
+    'Sales Dropping',
+    'Stock Not Moving',
+    'No Sales 90d',
+    'Review Cost / Price',
+    'Clearance',
+    'Discontinue'
+];
+
+// ORDER BY expression for ACTION_ORDER - the actions are fixed strings, so they are inlined rather than parameterised
+const ACTION_SORT_SQL = `CASE hc.recommended_action
+            ${ACTION_ORDER.map((action, index) => `WHEN '${action}' THEN ${index + 1}`).join('\n            ')}
+            WHEN '${OK_ACTION}' THEN ${ACTION_ORDER.length + 2}
+            ELSE ${ACTION_ORDER.length + 1}
+        END`;
+
+/**
+ * @typedef {Object} ActionCount
+ * @property {string} recommended_action
+ * @property {number} code_count      - Rows (codes) with this action
+ * @property {number} product_count   - Distinct groupids with this action
+ */
+
+/**
+ * @typedef {Object} HealthCheckRow
+ * @property {string} code
+ * @property {string} groupid
+ * @property {string} title
+ * @property {string} brand
+ * @property {string} owner
+ * @property {string} segment
+ * @property {string} recommended_action
+ * @property {number} local_stock
+ * @property {number} ukd_stock
+ * @property {number} total_stock
+ * @property {number} sales_30d
+ * @property {number} sales_90d
+ * @property {number} sales_velocity_per_day
+ * @property {number} days_of_stock_left     - 0 when there were no sales in the last 30 days
+ * @property {number|null} shopifyprice_current
+ * @property {number|null} rrp
+ * @property {number|null} annual_profit
+ * @property {number|null} profit_per_unit
+ * @property {Object} flags                  - no_sales_90d, sales_slowdown, price_check, overstock
+ */
+
+// Parse a numeric column, keeping NULL and blank text as null
+const toNumber = (value) => (value === null || value === undefined || value === '' ? null : parseFloat(value));
+
+/**
+ * WHERE conditions for the owner / brand filters
+ * @param {Object} filters
+ * @param {string} [filters.owner]         - Exact owner name
+ * @param {string} [filters.brand_filter]  - Brand group name or single brand
+ * @returns {{ conditions: string[], queryParams: Array }}
+ */
+const buildHealthCheckFilters = ({ owner, brand_filter }) => {
+    const queryParams = [];
+    const conditions = [];
+
+    if (owner) {
+        queryParams.push(owner);
+        conditions.push(`hc.owner = $${queryParams.length}`);
+    }
+    if (brand_filter) {
+        queryParams.push(brand_filter);
+        conditions.push(buildBrandFilterCondition('hc.brand', `$${queryParams.length}`));
+    }
+
+    return { conditions, queryParams };
+};
+
+/**
+ * Number of codes and products per recommended action, in display order
+ * @param {Object} filters  - See buildHealthCheckFilters
+ * @returns {Promise<ActionCount[]>}
+ */
+const getActionCounts = async (filters) => {
+    const { conditions, queryParams } = buildHealthCheckFilters(filters);
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const result = await db.query(`
+        SELECT hc.recommended_action,
+               COUNT(*) AS code_count,
+               COUNT(DISTINCT hc.groupid) AS product_count
+        FROM shopify_health_check hc
+        ${whereClause}
+        GROUP BY hc.recommended_action
+        ORDER BY ${ACTION_SORT_SQL}, hc.recommended_action
+    `, queryParams);
+
+    return result.rows.map(row => ({
+        recommended_action: row.recommended_action,
+        code_count: parseInt(row.code_count, 10),
+        product_count: parseInt(row.product_count, 10)
+    }));
+};
+
+/**
+ * Page of health check rows, by action then highest annual profit
+ * @param {Object} filters
+ * @param {string} [filters.owner]
+ * @param {string} [filters.brand_filter]
+ * @param {string|null} [filters.recommended_action]  - Only this action (default: every action except OK)
+ * @param {{ limit: number, offset: number }} paging   - From parsePaging
+ * @returns {Promise<{ rows: HealthCheckRow[], totalCount: number }>}
+ */
+const getHealthCheckRows = async (filters, { limit, offset }) => {
+    const { conditions, queryParams } = buildHealthCheckFilters(filters);
+
+    if (filters.recommended_action) {
+        queryParams.push(filters.recommended_action);
+        conditions.push(`hc.recommended_action = $${queryParams.length}`);
+    } else {
+        conditions.push(`hc.recommended_action <> '${OK_ACTION}'`);
+    }
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+    const countParams = [...queryParams];
+
+    queryParams.push(limit, offset);
+    const limitParam = `$${queryParams.length - 1}`;
+    const offsetParam = `$${queryParams.length}`;
+
+    const [rowsResult, countResult] = await Promise.all([
+        db.query(`
+            SELECT hc.*
+            FROM shopify_health_check hc
+            ${whereClause}
+            ORDER BY ${ACTION_SORT_SQL}, hc.annual_profit DESC NULLS LAST, hc.groupid, hc.code
+            LIMIT ${limitParam} OFFSET ${offsetParam}
+        `, queryParams),
+        db.query(`
+            SELECT COUNT(*) AS total
+            FROM shopify_health_check hc
+            ${whereClause}
+        `, countParams)
+    ]);
+
+    const rows = rowsResult.rows.map(row => ({
+        code: row.code,
+        groupid: row.groupid,
+        title: row.title || '',
+        brand: row.brand || '',
+        owner: row.owner || '',
+        segment: row.segment || '',
+        recommended_action: row.recommended_action,
+        local_stock: parseInt(row.local_stock, 10) || 0,
+        ukd_stock: parseInt(row.ukd_stock, 10) || 0,
+        total_stock: parseInt(row.total_stock, 10) || 0,
+        sales_30d: parseInt(row.sales_30d, 10) || 0,
+        sales_90d: parseInt(row.sales_90d, 10) || 0,
+        sales_velocity_per_day: toNumber(row.sales_velocity_per_day) || 0,
+        days_of_stock_left: toNumber(row.days_of_stock_left) || 0,
+        shopifyprice_current: toNumber(row.shopifyprice_current),
+        rrp: toNumber(row.rrp),
+        annual_profit: toNumber(row.annual_profit),
+        profit_per_unit: toNumber(row.profit_per_unit),
+        flags: {
+            no_sales_90d: row.no_sales_90d_flag === true,
+            sales_slowdown: row.sales_slowdown_flag === true,
+            price_check: row.price_check_flag === true,
+            overstock: row.overstock_flag === true
+        }
+    }));
+
+    return { rows, totalCount: parseInt(countResult.rows[0].total, 10) || 0 };
+};
+
+module.exports = {
+    getActionCounts,
+    getHealthCheckRows,
+    OK_ACTION
+};
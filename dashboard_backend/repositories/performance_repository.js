@@ -0,0 +1,545 @@
+/*
+=======================================================================================================================================
+PERFORMANCE REPOSITORY
+=======================================================================================================================================
+Week and aggregate queries over groupid_performance / groupid_performance_week used by the product list routes
+(get_products_comparison, get_overall_stats, export_products)
+Database errors are thrown to the caller so routes can report them instead of returning empty data
+=======================================================================================================================================
+*/
+
+const db = require('../db');
+const {
+    buildProductFilters,
+    SKU_SUMMARY_JOIN,
+    SKU_SUMMARY_SELECT,
+    mapSkuSummaryColumns,
+    PRICE_GAP_SELECT,
+    mapPriceGapColumns
+} = require('../utils/product_filters');
+const { parseYearWeek, addWeeks, diffWeeks } = require('../utils/iso_week');
+
+const NO_COMPARISON_LABEL = 'No comparison data available';
+
+const DEFAULT_TREND_WEEKS = 12;
+const MAX_TREND_WEEKS = 52;
+
+/**
+ * @typedef {Object} ComparisonWeek
+ * @property {string} current_week          - Week of the current figures, e.g. "2025-W27"
+ * @property {string|null} comparison_week  - Week compared against, null when there is no data for it
+ * @property {string} comparison_label      - Display label, e.g. "Previous Week" or "6 weeks ago"
+ * @property {boolean} is_snapshot          - True when the current figures come from the current_week snapshot
+ *                                            rather than the live groupid_performance table
+ */
+
+/**
+ * @typedef {Object} StatsTotals
+ * @property {number} total_annual_profit
+ * @property {number} total_sold_qty
+ * @property {number} avg_profit_per_unit  - Weighted by sold_qty
+ * @property {number} avg_gross_margin     - Weighted by sold_qty (fraction, e.g. 0.2450)
+ * @property {number} total_products
+ */
+
+/**
+ * @typedef {Object} ProductTrend
+ * @property {string} groupid
+ * @property {string} channel
+ * @property {Array<number|null>} annual_profit  - One value per trend week, oldest first; null when the week has no row
+ * @property {Array<number|null>} sold_qty       - One value per trend week, oldest first; null when the week has no row
+ */
+
+/**
+ * @typedef {Object} AvailableWeek
+ * @property {string} year_week
+ * @property {number} product_count  - Products with a snapshot row for the week
+ */
+
+const toNumber = (value) => (value === null || value === undefined ? 0 : parseFloat(value));
+
+/**
+ * Display label for a comparison, e.g. "Previous Week", "Same Week Last Year" or "6 weeks ago"
+ * @param {string} currentWeek
+ * @param {string} comparisonWeek
+ * @returns {string}
+ */
+const getComparisonLabel = (currentWeek, comparisonWeek) => {
+    const weeksBack = diffWeeks(comparisonWeek, currentWeek);
+    const current = parseYearWeek(currentWeek);
+    const comparison = parseYearWeek(comparisonWeek);
+
+    if (weeksBack === 1) return 'Previous Week';
+    if (comparison.week === current.week && comparison.year === current.year - 1) return 'Same Week Last Year';
+    if (weeksBack === 0) return 'Same Week';
+    return weeksBack > 0 ? `${weeksBack} weeks ago` : `${-weeksBack} weeks later`;
+};
+
+// Change as a percentage of the previous value (0 when there is no previous value)
+const percentChange = (current, previous) => (previous !== 0 ? (current - previous) / previous * 100 : 0);
+
+/**
+ * Latest week with snapshot data
+ * Throws when groupid_performance_week has no rows for the channels
+ * @param {string[]} channels
+ * @returns {Promise<string>}
+ */
+const getLatestWeek = async (channels) => {
+    const result = await db.query(`
+        SELECT year_week
+        FROM groupid_performance_week
+        WHERE channel = ANY($1)
+        ORDER BY year_week DESC
+        LIMIT 1
+    `, [channels]);
+
+    if (result.rows.length === 0) {
+        throw new Error('No week data found in groupid_performance_week table');
+    }
+    return result.rows[0].year_week;
+};
+
+/**
+ * Resolves the week to compare the latest week against
+ * - "week": the week before the latest week, if it has data
+ * - "month": the earliest week with data, if it differs from the latest week
+ * @param {string[]} channels
+ * @param {string} comparisonPeriod  - "week" or "month"
+ * @returns {Promise<ComparisonWeek>}
+ */
+const resolveComparisonWeek = async (channels, comparisonPeriod) => {
+    const currentWeek = await getLatestWeek(channels);
+
+    if (comparisonPeriod === 'month') {
+        // Use the earliest available week to maximize the time difference
+        const earliestResult = await db.query(`
+            SELECT year_week
+            FROM groupid_performance_week
+            WHERE channel = ANY($1)
+            ORDER BY year_week ASC
+            LIMIT 1
+        `, [channels]);
+
+        const earliestWeek = earliestResult.rows[0].year_week;
+        if (earliestWeek === currentWeek) {
+            return { current_week: currentWeek, comparison_week: null, comparison_label: NO_COMPARISON_LABEL, is_snapshot: false };
+        }
+
+        return {
+            current_week: currentWeek,
+            comparison_week: earliestWeek,
+            comparison_label: getComparisonLabel(currentWeek, earliestWeek),
+            is_snapshot: false
+        };
+    }
+
+    // Compare against the previous ISO week (week 52 or 53 of the previous year for week 1)
+    const previousWeek = addWeeks(currentWeek, -1);
+    if (!(await hasWeekData(channels, previousWeek))) {
+        return { current_week: currentWeek, comparison_week: null, comparison_label: NO_COMPARISON_LABEL, is_snapshot: false };
+    }
+
+    return { current_week: currentWeek, comparison_week: previousWeek, comparison_label: 'Previous Week', is_snapshot: false };
+};
+
+/**
+ * Resolves explicitly chosen weeks (the current_week / compare_week request parameters)
+ * Without a currentWeek the live figures are compared against compareWeek, labelled with the latest week
+ * @param {string[]} channels
+ * @param {string|null} currentWeek  - Snapshot week for the current figures, or null for live figures
+ * @param {string} compareWeek       - Week to compare against
+ * @returns {Promise<ComparisonWeek|null>} null when either week has no data
+ */
+const resolveSelectedWeeks = async (channels, currentWeek, compareWeek) => {
+    const [currentExists, compareExists] = await Promise.all([
+        currentWeek ? hasWeekData(channels, currentWeek) : true,
+        hasWeekData(channels, compareWeek)
+    ]);
+    if (!currentExists || !compareExists) {
+        return null;
+    }
+
+    const resolvedCurrentWeek = currentWeek || await getLatestWeek(channels);
+    return {
+        current_week: resolvedCurrentWeek,
+        comparison_week: compareWeek,
+        comparison_label: getComparisonLabel(resolvedCurrentWeek, compareWeek),
+        is_snapshot: Boolean(currentWeek)
+    };
+};
+
+/**
+ * Weeks with snapshot data in groupid_performance_week, newest first
+ * @param {string[]} channels
+ * @returns {Promise<AvailableWeek[]>}
+ */
+const getAvailableWeeks = async (channels) => {
+    const result = await db.query(`
+        SELECT year_week, COUNT(*) AS product_count
+        FROM groupid_performance_week
+        WHERE channel = ANY($1)
+        GROUP BY year_week
+        ORDER BY year_week DESC
+    `, [channels]);
+
+    return result.rows.map(row => ({
+        year_week: row.year_week,
+        product_count: parseInt(row.product_count, 10)
+    }));
+};
+
+/**
+ * Whether a week has snapshot data for any of the channels
+ * @param {string[]} channels
+ * @param {string} yearWeek
+ * @returns {Promise<boolean>}
+ */
+const hasWeekData = async (channels, yearWeek) => {
+    const result = await db.query(`
+        SELECT 1
+        FROM groupid_performance_week
+        WHERE channel = ANY($1) AND year_week = $2
+        LIMIT 1
+    `, [channels, yearWeek]);
+
+    return result.rows.length > 0;
+};
+
+/**
+ * Weekly annual_profit and sold_qty of every product matching the filters over the most recent weeks
+ * All products are fetched in one query; values are aligned to the returned weeks so they can be drawn directly
+ * @param {Object} filters              - Request filters, see buildProductFilters (channels is required)
+ * @param {Object} [options]
+ * @param {string[]} [options.groupids] - Limit to these products, e.g. the visible page of the products table
+ * @param {number} [options.weeks]      - Number of recent weeks (default 12, max 52)
+ * @returns {Promise<{ weeks: string[], trends: ProductTrend[] }>} weeks oldest first
+ */
+const getProductsTrend = async (filters, { groupids = null, weeks = DEFAULT_TREND_WEEKS } = {}) => {
+    const weekCount = Math.min(Math.max(parseInt(weeks, 10) || DEFAULT_TREND_WEEKS, 2), MAX_TREND_WEEKS);
+
+    const weeksResult = await db.query(`
+        SELECT DISTINCT year_week
+        FROM groupid_performance_week
+        WHERE channel = ANY($1)
+        ORDER BY year_week DESC
+        LIMIT $2
+    `, [filters.channels, weekCount]);
+
+    const trendWeeks = weeksResult.rows.map(row => row.year_week).reverse();
+    if (trendWeeks.length === 0) {
+        return { weeks: [], trends: [] };
+    }
+
+    const queryParams = [trendWeeks];
+    const { joinClause, whereClause } = buildProductFilters(filters, queryParams);
+    let groupidCondition = '';
+    if (groupids) {
+        queryParams.push(groupids);
+        groupidCondition = `AND gp.groupid = ANY($${queryParams.length})`;
+    }
+
+    const result = await db.query(`
+        WITH products AS (
+            SELECT DISTINCT gp.groupid, gp.channel
+            FROM groupid_performance gp
+            ${joinClause}
+            ${whereClause}
+            ${groupidCondition}
+        )
+        SELECT p.groupid, p.channel, pw.year_week, pw.annual_profit, pw.sold_qty
+        FROM products p
+        JOIN groupid_performance_week pw
+            ON pw.groupid = p.groupid
+           AND pw.channel = p.channel
+           AND pw.year_week = ANY($1)
+        ORDER BY p.groupid, p.channel, pw.year_week
+    `, queryParams);
+
+    // Group the rows per product, one slot per trend week
+    const weekIndex = new Map(trendWeeks.map((week, index) => [week, index]));
+    const trendsByProduct = new Map();
+    result.rows.forEach(row => {
+        const key = `${row.groupid}|${row.channel}`;
+        if (!trendsByProduct.has(key)) {
+            trendsByProduct.set(key, {
+                groupid: row.groupid,
+                channel: row.channel,
+                annual_profit: new Array(trendWeeks.length).fill(null),
+                sold_qty: new Array(trendWeeks.length).fill(null)
+            });
+        }
+        const trend = trendsByProduct.get(key);
+        const index = weekIndex.get(row.year_week);
+        trend.annual_profit[index] = row.annual_profit === null ? null : parseFloat(row.annual_profit);
+        trend.sold_qty[index] = row.sold_qty;
+    });
+
+    return { weeks: trendWeeks, trends: [...trendsByProduct.values()] };
+};
+
+/**
+ * Source of the current metric columns (annual_profit, sold_qty, avg_profit_per_unit, avg_gross_margin)
+ * Live figures come from groupid_performance; a chosen week's figures from its groupid_performance_week snapshot,
+ * which also limits the products to those with a row for that week
+ * @param {string|null} weekParamRef  - Placeholder holding the current week, e.g. "$2", or null for live figures
+ * @returns {{ joinClause: string, alias: string }} alias is "cw" for a snapshot, "gp" for live figures
+ */
+const buildCurrentMetricsSource = (weekParamRef) => (weekParamRef ? {
+    joinClause: `JOIN groupid_performance_week cw
+            ON cw.groupid = gp.groupid
+           AND cw.channel = gp.channel
+           AND cw.year_week = ${weekParamRef}`,
+    alias: 'cw'
+} : { joinClause: '', alias: 'gp' });
+
+/**
+ * Query comparing every product matching the filters with its comparison week snapshot
+ * One row per product with the current figures, the prev_* figures and the *_change / *_change_percent columns
+ * Used as a subquery by get_products_comparison and export_products (sort and page it with buildProductSort)
+ * @param {Object} filters              - Request filters, see buildProductFilters (channels is required)
+ * @param {Object} weeks
+ * @param {string|null} weeks.comparisonWeek - year_week to compare against, null leaves the prev_* columns empty
+ * @param {string|null} [weeks.currentWeek]  - year_week snapshot to use as the current figures (default: live figures)
+ * @returns {{ sql: string, queryParams: Array }} further placeholders can follow queryParams
+ */
+const buildComparisonQuery = (filters, { comparisonWeek, currentWeek = null }) => {
+    // Filter placeholders follow $1 (the comparison week) and, for a snapshot, $2 (the current week)
+    const queryParams = [comparisonWeek];
+    if (currentWeek) {
+        queryParams.push(currentWeek);
+    }
+    const metrics = buildCurrentMetricsSource(currentWeek ? '$2' : null);
+    const productFilters = buildProductFilters(filters, queryParams, { metricsAlias: metrics.alias });
+
+    const sql = `
+        WITH current_products AS (
+            SELECT
+                gp.groupid,
+                gp.channel,
+                ${metrics.alias}.annual_profit,
+                ${metrics.alias}.sold_qty,
+                ${metrics.alias}.avg_profit_per_unit,
+                gp.segment,
+                gp.status,
+                gp.status_date,
+                gp.notes,
+                gp.owner,
+                gp.brand,
+                gp.next_review_date,
+                gp.review_date,
+                ${metrics.alias}.avg_gross_margin,
+                gp.recommended_price,
+                gp.stock,
+                t.shopifytitle,
+                ${SKU_SUMMARY_SELECT},
+                ${PRICE_GAP_SELECT}
+            FROM groupid_performance gp
+            ${metrics.joinClause}
+            LEFT JOIN title t ON gp.groupid = t.groupid
+            ${SKU_SUMMARY_JOIN}
+            ${productFilters.joinClause}
+            ${productFilters.whereClause}
+        ),
+        previous_week_data AS (
+            SELECT 
+                groupid,
+                channel,
+                annual_profit as prev_annual_profit,
+                sold_qty as prev_sold_qty,
+                avg_profit_per_unit as prev_avg_profit_per_unit,
+                year_week
+            FROM groupid_performance_week 
+            WHERE channel = ANY(${productFilters.channelParam})
+              AND year_week = $1
+        )
+        SELECT 
+            cp.*,
+            pwd.prev_annual_profit,
+            pwd.prev_sold_qty,
+            pwd.prev_avg_profit_per_unit,
+            pwd.year_week as previous_week,
+            
+            -- Calculate changes
+            CASE 
+                WHEN pwd.prev_annual_profit IS NOT NULL THEN 
+                    cp.annual_profit - pwd.prev_annual_profit 
+                ELSE NULL 
+            END as annual_profit_change,
+            
+            CASE 
+                WHEN pwd.prev_annual_profit IS NOT NULL AND pwd.prev_annual_profit != 0 THEN 
+                    ROUND(((cp.annual_profit - pwd.prev_annual_profit) / pwd.prev_annual_profit * 100), 2)
+                ELSE NULL 
+            END as annual_profit_change_percent,
+            
+            CASE 
+                WHEN pwd.prev_sold_qty IS NOT NULL THEN 
+                    cp.sold_qty - pwd.prev_sold_qty 
+                ELSE NULL 
+            END as sold_qty_change,
+            
+            CASE 
+                WHEN pwd.prev_sold_qty IS NOT NULL AND pwd.prev_sold_qty != 0 THEN 
+                    ROUND(((cp.sold_qty - pwd.prev_sold_qty)::NUMERIC / pwd.prev_sold_qty * 100), 2)
+                ELSE NULL 
+            END as sold_qty_change_percent,
+            
+            CASE 
+                WHEN pwd.prev_avg_profit_per_unit IS NOT NULL THEN 
+                    cp.avg_profit_per_unit - pwd.prev_avg_profit_per_unit 
+                ELSE NULL 
+            END as avg_profit_per_unit_change,
+            
+            CASE 
+                WHEN pwd.prev_avg_profit_per_unit IS NOT NULL AND pwd.prev_avg_profit_per_unit != 0 THEN 
+                    ROUND(((cp.avg_profit_per_unit - pwd.prev_avg_profit_per_unit) / pwd.prev_avg_profit_per_unit * 100), 2)
+                ELSE NULL 
+            END as avg_profit_per_unit_change_percent
+            
+        FROM current_products cp
+        LEFT JOIN previous_week_data pwd ON cp.groupid = pwd.groupid AND cp.channel = pwd.channel
+    `;
+
+    return { sql, queryParams };
+};
+
+/**
+ * Formats a row of the buildComparisonQuery query for the API
+ * @param {Object} row
+ * @returns {Object} product fields plus previous_week and changes (null without comparison week data)
+ */
+const toComparedProduct = (row) => ({
+    groupid: row.groupid,
+    channel: row.channel,
+    annual_profit: row.annual_profit ? parseFloat(row.annual_profit) : 0,
+    sold_qty: row.sold_qty || 0,
+    avg_profit_per_unit: row.avg_profit_per_unit ? parseFloat(row.avg_profit_per_unit) : 0,
+    segment: row.segment || '',
+    status: row.status || 'New',
+    status_date: row.status_date,
+    notes: row.notes || '',
+    owner: row.owner || '',
+    brand: row.brand || '',
+    next_review_date: row.next_review_date,
+    review_date: row.review_date,
+    avg_gross_margin: row.avg_gross_margin ? parseFloat(row.avg_gross_margin) : 0,
+    recommended_price: row.recommended_price ? parseFloat(row.recommended_price) : 0,
+    stock: row.stock || 0,
+    shopify_title: row.shopifytitle || null,
+    ...mapSkuSummaryColumns(row),
+    ...mapPriceGapColumns(row),
+
+    // Previous week data
+    previous_week: row.prev_annual_profit !== null ? {
+        annual_profit: parseFloat(row.prev_annual_profit) || 0,
+        sold_qty: row.prev_sold_qty || 0,
+        avg_profit_per_unit: parseFloat(row.prev_avg_profit_per_unit) || 0,
+        year_week: row.previous_week
+    } : null,
+
+    // Changes
+    changes: row.annual_profit_change !== null ? {
+        annual_profit_change: parseFloat(row.annual_profit_change) || 0,
+        annual_profit_change_percent: parseFloat(row.annual_profit_change_percent) || 0,
+        sold_qty_change: row.sold_qty_change || 0,
+        sold_qty_change_percent: parseFloat(row.sold_qty_change_percent) || 0,
+        avg_profit_per_unit_change: parseFloat(row.avg_profit_per_unit_change) || 0,
+        avg_profit_per_unit_change_percent: parseFloat(row.avg_profit_per_unit_change_percent) || 0
+    } : null
+});
+
+/**
+ * Overall statistics for every product matching the filters
+ * Averages are weighted by sold quantity, so high-volume products count for more than slow sellers
+ * Previous totals cover the matching products that have a row for the comparison week
+ * @param {Object} filters          - Request filters, see buildProductFilters (channels is required)
+ * @param {string|null} comparisonWeek  - year_week to compare against, or null for current totals only
+ * @param {string|null} [currentWeek]   - year_week snapshot to use as the current figures (default: live figures)
+ * @returns {Promise<{ current: StatsTotals, previous: StatsTotals|null, changes: Object|null }>}
+ */
+const getOverallStats = async (filters, comparisonWeek, currentWeek = null) => {
+    const queryParams = [comparisonWeek];
+    if (currentWeek) {
+        queryParams.push(currentWeek);
+    }
+    const metrics = buildCurrentMetricsSource(currentWeek ? '$2' : null);
+    const { joinClause, whereClause } = buildProductFilters(filters, queryParams, { metricsAlias: metrics.alias });
+
+    const result = await db.query(`
+        WITH filtered AS (
+            SELECT
+                gp.groupid,
+                gp.channel,
+                ${metrics.alias}.annual_profit,
+                ${metrics.alias}.sold_qty,
+                ${metrics.alias}.avg_profit_per_unit,
+                ${metrics.alias}.avg_gross_margin
+            FROM groupid_performance gp
+            ${metrics.joinClause}
+            ${joinClause}
+            ${whereClause}
+        )
+        SELECT
+            COUNT(*) AS total_products,
+            SUM(f.annual_profit) AS total_annual_profit,
+            SUM(f.sold_qty) AS total_sold_qty,
+            SUM(f.avg_profit_per_unit * f.sold_qty)
+                / NULLIF(SUM(f.sold_qty) FILTER (WHERE f.avg_profit_per_unit IS NOT NULL), 0) AS avg_profit_per_unit,
+            SUM(f.avg_gross_margin * f.sold_qty)
+                / NULLIF(SUM(f.sold_qty) FILTER (WHERE f.avg_gross_margin IS NOT NULL), 0) AS avg_gross_margin,
+            COUNT(pw.groupid) AS prev_total_products,
+            SUM(pw.annual_profit) AS prev_total_annual_profit,
+            SUM(pw.sold_qty) AS prev_total_sold_qty,
+            SUM(pw.avg_profit_per_unit * pw.sold_qty)
+                / NULLIF(SUM(pw.sold_qty) FILTER (WHERE pw.avg_profit_per_unit IS NOT NULL), 0) AS prev_avg_profit_per_unit,
+            SUM(pw.avg_gross_margin * pw.sold_qty)
+                / NULLIF(SUM(pw.sold_qty) FILTER (WHERE pw.avg_gross_margin IS NOT NULL), 0) AS prev_avg_gross_margin
+        FROM filtered f
+        LEFT JOIN groupid_performance_week pw
+            ON pw.groupid = f.groupid
+           AND pw.channel = f.channel
+           AND pw.year_week = $1::text
+    `, queryParams);
+
+    const row = result.rows[0];
+    const current = {
+        total_annual_profit: toNumber(row.total_annual_profit),
+        total_sold_qty: toNumber(row.total_sold_qty),
+        avg_profit_per_unit: toNumber(row.avg_profit_per_unit),
+        avg_gross_margin: toNumber(row.avg_gross_margin),
+        total_products: toNumber(row.total_products)
+    };
+
+    if (!comparisonWeek || toNumber(row.prev_total_products) === 0) {
+        return { current, previous: null, changes: null };
+    }
+
+    const previous = {
+        total_annual_profit: toNumber(row.prev_total_annual_profit),
+        total_sold_qty: toNumber(row.prev_total_sold_qty),
+        avg_profit_per_unit: toNumber(row.prev_avg_profit_per_unit),
+        avg_gross_margin: toNumber(row.prev_avg_gross_margin),
+        total_products: toNumber(row.prev_total_products)
+    };
+
+    const changes = {};
+    Object.keys(current).forEach(key => {
+        changes[`${key}_change`] = current[key] - previous[key];
+        changes[`${key}_change_percent`] = percentChange(current[key], previous[key]);
+    });
+
+    return { current, previous, changes };
+};
+
+module.exports = {
+    getLatestWeek,
+    resolveComparisonWeek,
+    resolveSelectedWeeks,
+    getAvailableWeeks,
+    hasWeekData,
+    buildCurrentMetricsSource,
+    buildComparisonQuery,
+    toComparedProduct,
+    getProductsTrend,
+    getOverallStats
+};
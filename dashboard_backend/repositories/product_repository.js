@@ -0,0 +1,650 @@
+/*
+=======================================================================================================================================
+PRODUCT REPOSITORY
+=======================================================================================================================================
+Data-access functions for a single product (groupid) used by the product detail routes
+Queries the real columns documented in dashboard_library/schema.sql - no column guessing or fallback queries
+Database errors are thrown to the caller so routes can report them instead of returning empty data
+=======================================================================================================================================
+*/
+
+const db = require('../db');
+const { getWeekStart } = require('../utils/iso_week');
+
+const DEFAULT_CHANNEL = 'SHP';
+const MAX_PAGE_SIZE = 100;
+
+// Segments a product can be reclassified into from the dashboard
+const SEGMENTS = ['Winner', 'Neutral', 'Loser'];
+
+// Product workflow statuses in order, and the statuses each one may move to
+const PRODUCT_STATUSES = ['New', 'Reviewing', 'Actioned', 'Monitoring'];
+const STATUS_TRANSITIONS = {
+    New: ['Reviewing'],
+    Reviewing: ['Actioned', 'New'],
+    Actioned: ['Monitoring', 'Reviewing'],
+    Monitoring: ['Reviewing']
+};
+
+/**
+ * @typedef {Object} Pagination
+ * @property {number} limit        - Rows requested
+ * @property {number} offset       - Rows skipped
+ * @property {number} current_count - Rows returned
+ * @property {number} total_count  - Rows available
+ * @property {boolean} has_more    - True when more rows follow this page
+ */
+
+/**
+ * @typedef {Object} ProductPerformance
+ * @property {string} groupid
+ * @property {string} channel
+ * @property {number} annual_profit
+ * @property {number} sold_qty
+ * @property {number} avg_profit_per_unit
+ * @property {string} segment
+ * @property {string} status           - Workflow status, one of PRODUCT_STATUSES
+ * @property {string|null} status_date - When the status last changed
+ * @property {string} notes
+ * @property {string} owner
+ * @property {string} brand
+ * @property {string|null} next_review_date
+ * @property {string|null} review_date
+ * @property {number} avg_gross_margin
+ * @property {number} recommended_price
+ * @property {number} stock
+ */
+
+/**
+ * @typedef {Object} WeeklyPerformance
+ * @property {string} year_week        - ISO week, e.g. "2025-W27"
+ * @property {string} week_start       - Monday of the week (YYYY-MM-DD)
+ * @property {number} annual_profit
+ * @property {number} sold_qty
+ * @property {number} avg_profit_per_unit
+ */
+
+/**
+ * @typedef {Object} PriceChange
+ * @property {number} id
+ * @property {string} date             - price_change_log.change_date
+ * @property {number|null} old_price
+ * @property {number|null} new_price
+ * @property {number|null} change_amount
+ * @property {number|null} change_percent
+ * @property {string} reason           - price_change_log.reason_code
+ * @property {string} reason_notes
+ * @property {string} changed_by
+ * @property {string} channel
+ */
+
+/**
+ * @typedef {Object} SaleRecord
+ * @property {number} id
+ * @property {string} date             - sales.solddate
+ * @property {string} code
+ * @property {string} order_number    - sales.ordernum
+ * @property {number} quantity         - sales.qty
+ * @property {number|null} price       - sales.soldprice
+ * @property {number|null} collected_vat
+ * @property {number} profit
+ * @property {string|null} return_sale_id
+ * @property {string} channel
+ */
+
+/**
+ * @typedef {Object} SalesPeriod
+ * @property {string} period_start      - Day, or Monday of the week (YYYY-MM-DD)
+ * @property {number} units             - Units sold, excluding returns
+ * @property {number} net_revenue       - soldprice * qty less collectedvat, excluding returns
+ * @property {number} profit            - Sum of sales.profit, excluding returns
+ * @property {number} orders            - Distinct order numbers, excluding returns
+ * @property {number} returned_units    - Units on return rows (returnsaleid set), as a positive number
+ * @property {number} returned_revenue  - Net revenue refunded on return rows, as a positive number
+ */
+
+/**
+ * @typedef {Object} SoldPricePoint
+ * @property {number} sold_price
+ * @property {number} units
+ * @property {number} net_revenue
+ * @property {number} profit
+ * @property {number} units_percent     - Share of all units sold in the range
+ */
+
+/**
+ * @typedef {Object} SizeBreakdown
+ * @property {string} code
+ * @property {string} uksize
+ * @property {string} eurosize
+ * @property {number} local_stock      - Sum of localstock.qty (deleted = 0)
+ * @property {number} ukd_stock        - Sum of ukdstock.stock
+ * @property {number} total_stock
+ * @property {number} sold_30d         - Units sold, net of returns
+ * @property {number} sold_90d
+ * @property {number} sold_365d
+ * @property {number|null} days_of_cover - total_stock / (sold_30d / 30), null without sales in the last 30 days
+ */
+
+/**
+ * @typedef {Object} CodePerformance
+ * @property {string} code
+ * @property {string} channel
+ * @property {string} uksize           - From skumap, blank when the code isn't mapped
+ * @property {string} eurosize
+ * @property {number} sold_qty
+ * @property {number|null} revenue
+ * @property {number|null} annual_profit
+ * @property {number|null} profit_per_unit
+ * @property {number|null} gross_margin
+ * @property {string} segment
+ * @property {string} fail_reason
+ * @property {string} status
+ * @property {string} notes
+ * @property {string} owner
+ * @property {string|null} last_reviewed
+ * @property {string|null} status_date
+ * @property {number} stock
+ */
+
+// Orders skumap sizes by their leading number (so "10" follows "9.5"), then by the size text
+const SIZE_ORDER_SQL = "substring(sm.uksize from '[0-9]+(?:\\.[0-9]+)?')::numeric NULLS LAST, sm.uksize";
+
+// Net revenue of a sales row - collectedvat is the VAT collected on the row
+const NET_REVENUE_SQL = '(soldprice * qty - COALESCE(collectedvat, 0))';
+
+// Parse a numeric column, keeping NULL as null
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+// Clamp pagination input to sane integers
+const normalizePage = (limit, offset, defaultLimit) => {
+    const parsedLimit = parseInt(limit, 10);
+    const parsedOffset = parseInt(offset, 10);
+    return {
+        limit: Math.min(Math.max(isNaN(parsedLimit) ? defaultLimit : parsedLimit, 1), MAX_PAGE_SIZE),
+        offset: Math.max(isNaN(parsedOffset) ? 0 : parsedOffset, 0)
+    };
+};
+
+const buildPagination = (limit, offset, currentCount, totalCount) => ({
+    limit,
+    offset,
+    current_count: currentCount,
+    total_count: totalCount,
+    has_more: offset + currentCount < totalCount
+});
+
+// Map a groupid_performance row to a ProductPerformance
+const mapPerformanceRow = (row) => ({
+    groupid: row.groupid,
+    channel: row.channel,
+    annual_profit: toNumber(row.annual_profit) || 0,
+    sold_qty: row.sold_qty || 0,
+    avg_profit_per_unit: toNumber(row.avg_profit_per_unit) || 0,
+    segment: row.segment || '',
+    status: row.status || PRODUCT_STATUSES[0],
+    status_date: row.status_date,
+    notes: row.notes || '',
+    owner: row.owner || '',
+    brand: row.brand || '',
+    next_review_date: row.next_review_date,
+    review_date: row.review_date,
+    avg_gross_margin: toNumber(row.avg_gross_margin) || 0,
+    recommended_price: toNumber(row.recommended_price) || 0,
+    stock: row.stock || 0
+});
+
+// Map a price_change_log row to a PriceChange
+const toPriceChange = (row) => {
+    const oldPrice = toNumber(row.old_price);
+    const newPrice = toNumber(row.new_price);
+    const changeAmount = oldPrice !== null && newPrice !== null ? newPrice - oldPrice : null;
+
+    return {
+        id: row.id,
+        date: row.change_date,
+        old_price: oldPrice,
+        new_price: newPrice,
+        change_amount: changeAmount,
+        change_percent: changeAmount !== null && oldPrice !== 0 ? changeAmount / oldPrice * 100 : null,
+        reason: row.reason_code || '',
+        reason_notes: row.reason_notes || '',
+        changed_by: row.changed_by || '',
+        channel: row.channel || ''
+    };
+};
+
+/**
+ * Current performance of a product on every channel it is sold on, SHP first
+ * @param {string} groupid
+ * @returns {Promise<ProductPerformance[]>}
+ */
+const getChannelPerformance = async (groupid) => {
+    const result = await db.query(`
+        SELECT groupid, channel, annual_profit, sold_qty, avg_profit_per_unit, segment, status, status_date, notes,
+               owner, brand, next_review_date, review_date, avg_gross_margin, recommended_price, stock
+        FROM groupid_performance
+        WHERE groupid = $1
+        ORDER BY channel = $2 DESC, channel
+    `, [groupid, DEFAULT_CHANNEL]);
+
+    return result.rows.map(mapPerformanceRow);
+};
+
+/**
+ * SKU summary row from skusummary (all columns, as stored)
+ * @param {string} groupid
+ * @returns {Promise<Object|null>} null when there is no skusummary row
+ */
+const getSkuSummary = async (groupid) => {
+    const result = await db.query('SELECT * FROM skusummary WHERE groupid = $1', [groupid]);
+    return result.rows.length > 0 ? result.rows[0] : null;
+};
+
+/**
+ * Shopify title from the title table
+ * @param {string} groupid
+ * @returns {Promise<string|null>}
+ */
+const getShopifyTitle = async (groupid) => {
+    const result = await db.query('SELECT shopifytitle FROM title WHERE groupid = $1', [groupid]);
+    return result.rows.length > 0 ? result.rows[0].shopifytitle : null;
+};
+
+/**
+ * Weekly snapshots from groupid_performance_week within a week range, oldest first
+ * "YYYY-Www" strings sort chronologically, so the range is a plain text comparison
+ * @param {string} groupid
+ * @param {Object} [options]
+ * @param {string} [options.channel]
+ * @param {string} [options.fromWeek]  - First ISO week to include (default: earliest week)
+ * @param {string} [options.toWeek]    - Last ISO week to include (default: latest week)
+ * @returns {Promise<WeeklyPerformance[]>}
+ */
+const getWeeklyPerformance = async (groupid, { channel = DEFAULT_CHANNEL, fromWeek = null, toWeek = null } = {}) => {
+    const result = await db.query(`
+        SELECT year_week, annual_profit, sold_qty, avg_profit_per_unit
+        FROM groupid_performance_week
+        WHERE groupid = $1 AND channel = $2
+          AND ($3::text IS NULL OR year_week >= $3)
+          AND ($4::text IS NULL OR year_week <= $4)
+        ORDER BY year_week
+    `, [groupid, channel, fromWeek, toWeek]);
+
+    return result.rows.map(row => ({
+        year_week: row.year_week,
+        week_start: getWeekStart(row.year_week).toISOString().slice(0, 10),
+        annual_profit: toNumber(row.annual_profit) || 0,
+        sold_qty: row.sold_qty || 0,
+        avg_profit_per_unit: toNumber(row.avg_profit_per_unit) || 0
+    }));
+};
+
+/**
+ * Page of a channel's price changes from price_change_log, newest first
+ * Rows repeating the same date and old/new price are returned once; changes logged without a channel apply to all
+ * @param {string} groupid
+ * @param {Object} [options]
+ * @param {string} [options.channel]
+ * @param {number} [options.limit]   - Page size (default 5, max 100)
+ * @param {number} [options.offset]  - Rows to skip
+ * @returns {Promise<{ rows: PriceChange[], pagination: Pagination }>}
+ */
+const getPriceHistory = async (groupid, { channel = DEFAULT_CHANNEL, limit, offset } = {}) => {
+    const page = normalizePage(limit, offset, 5);
+
+    const [rowsResult, countResult] = await Promise.all([
+        db.query(`
+            SELECT *
+            FROM (
+                SELECT DISTINCT ON (change_date, old_price, new_price)
+                       id, change_date, old_price, new_price, reason_code, reason_notes, changed_by, channel
+                FROM price_change_log
+                WHERE groupid = $1
+                  AND (channel = $2 OR channel IS NULL)
+                ORDER BY change_date, old_price, new_price, id DESC
+            ) unique_changes
+            ORDER BY change_date DESC NULLS LAST, id DESC
+            LIMIT $3 OFFSET $4
+        `, [groupid, channel, page.limit, page.offset]),
+        db.query(`
+            SELECT COUNT(DISTINCT (change_date, old_price, new_price)) AS total
+            FROM price_change_log
+            WHERE groupid = $1
+              AND (channel = $2 OR channel IS NULL)
+        `, [groupid, channel])
+    ]);
+
+    const rows = rowsResult.rows.map(toPriceChange);
+
+    const totalCount = parseInt(countResult.rows[0].total, 10) || 0;
+    return { rows, pagination: buildPagination(page.limit, page.offset, rows.length, totalCount) };
+};
+
+/**
+ * Every price change within a date range, oldest first - used for the price markers on the performance chart
+ * Rows repeating the same date and old/new price are returned once; changes logged without a channel apply to all
+ * @param {string} groupid
+ * @param {Object} [options]
+ * @param {string} [options.channel]
+ * @param {string} [options.fromDate]  - First change_date to include, YYYY-MM-DD (default: no limit)
+ * @param {string} [options.toDate]    - Last change_date to include, YYYY-MM-DD (default: no limit)
+ * @returns {Promise<PriceChange[]>}
+ */
+const getPriceChangesInRange = async (groupid, { channel = DEFAULT_CHANNEL, fromDate = null, toDate = null } = {}) => {
+    const result = await db.query(`
+        SELECT *
+        FROM (
+            SELECT DISTINCT ON (change_date, old_price, new_price)
+                   id, change_date, old_price, new_price, reason_code, reason_notes, changed_by, channel
+            FROM price_change_log
+            WHERE groupid = $1
+              AND (channel = $2 OR channel IS NULL)
+              AND ($3::date IS NULL OR change_date >= $3)
+              AND ($4::date IS NULL OR change_date <= $4)
+            ORDER BY change_date, old_price, new_price, id DESC
+        ) unique_changes
+        ORDER BY change_date, id
+    `, [groupid, channel, fromDate, toDate]);
+
+    return result.rows.map(toPriceChange);
+};
+
+/**
+ * Page of individual sales from the sales table, newest first
+ * @param {string} groupid
+ * @param {Object} [options]
+ * @param {string} [options.channel]
+ * @param {number} [options.limit]   - Page size (default 50, max 100)
+ * @param {number} [options.offset]  - Rows to skip
+ * @returns {Promise<{ rows: SaleRecord[], pagination: Pagination }>}
+ */
+const getSales = async (groupid, { channel = DEFAULT_CHANNEL, limit, offset } = {}) => {
+    const page = normalizePage(limit, offset, 50);
+
+    const [rowsResult, countResult] = await Promise.all([
+        db.query(`
+            SELECT id, code, solddate, ordernum, qty, soldprice, collectedvat, profit, returnsaleid, channel
+            FROM sales
+            WHERE groupid = $1 AND channel = $2
+            ORDER BY solddate DESC NULLS LAST, id DESC
+            LIMIT $3 OFFSET $4
+        `, [groupid, channel, page.limit, page.offset]),
+        db.query(`
+            SELECT COUNT(*) AS total
+            FROM sales
+            WHERE groupid = $1 AND channel = $2
+        `, [groupid, channel])
+    ]);
+
+    const rows = rowsResult.rows.map(row => ({
+        id: row.id,
+        date: row.solddate,
+        code: row.code || '',
+        order_number: row.ordernum || null,
+        quantity: row.qty || 0,
+        price: toNumber(row.soldprice),
+        collected_vat: toNumber(row.collectedvat),
+        profit: toNumber(row.profit) || 0,
+        return_sale_id: row.returnsaleid || null,
+        channel: row.channel
+    }));
+
+    const totalCount = parseInt(countResult.rows[0].total, 10) || 0;
+    return { rows, pagination: buildPagination(page.limit, page.offset, rows.length, totalCount) };
+};
+
+/**
+ * Daily or weekly sales totals over a date range, oldest first; returns (rows with a returnsaleid) are totalled separately
+ * Only periods with at least one sale or return are included
+ * @param {string} groupid
+ * @param {Object} options
+ * @param {string} [options.channel]
+ * @param {string} options.interval  - "day" or "week" (weeks start on Monday)
+ * @param {string} options.fromDate  - First solddate to include (YYYY-MM-DD)
+ * @param {string} options.toDate    - Last solddate to include (YYYY-MM-DD)
+ * @returns {Promise<SalesPeriod[]>}
+ */
+const getSalesSummary = async (groupid, { channel = DEFAULT_CHANNEL, interval, fromDate, toDate }) => {
+    const periodSql = interval === 'week' ? "date_trunc('week', solddate)::date" : 'solddate';
+
+    const result = await db.query(`
+        SELECT TO_CHAR(${periodSql}, 'YYYY-MM-DD') AS period_start,
+               COALESCE(SUM(qty) FILTER (WHERE returnsaleid IS NULL), 0) AS units,
+               COALESCE(SUM(${NET_REVENUE_SQL}) FILTER (WHERE returnsaleid IS NULL), 0) AS net_revenue,
+               COALESCE(SUM(profit) FILTER (WHERE returnsaleid IS NULL), 0) AS profit,
+               COUNT(DISTINCT ordernum) FILTER (WHERE returnsaleid IS NULL) AS orders,
+               COALESCE(ABS(SUM(qty) FILTER (WHERE returnsaleid IS NOT NULL)), 0) AS returned_units,
+               COALESCE(ABS(SUM(${NET_REVENUE_SQL}) FILTER (WHERE returnsaleid IS NOT NULL)), 0) AS returned_revenue
+        FROM sales
+        WHERE groupid = $1 AND channel = $2
+          AND solddate BETWEEN $3 AND $4
+        GROUP BY 1
+        ORDER BY 1
+    `, [groupid, channel, fromDate, toDate]);
+
+    return result.rows.map(row => ({
+        period_start: row.period_start,
+        units: parseInt(row.units, 10),
+        net_revenue: toNumber(row.net_revenue),
+        profit: toNumber(row.profit),
+        orders: parseInt(row.orders, 10),
+        returned_units: parseInt(row.returned_units, 10),
+        returned_revenue: toNumber(row.returned_revenue)
+    }));
+};
+
+/**
+ * Units, net revenue and profit per sold price over a date range, highest price first (as get_price_detail()),
+ * excluding returns
+ * @param {string} groupid
+ * @param {Object} options
+ * @param {string} [options.channel]
+ * @param {string} options.fromDate  - First solddate to include (YYYY-MM-DD)
+ * @param {string} options.toDate    - Last solddate to include (YYYY-MM-DD)
+ * @returns {Promise<SoldPricePoint[]>}
+ */
+const getSoldPriceDistribution = async (groupid, { channel = DEFAULT_CHANNEL, fromDate, toDate }) => {
+    const result = await db.query(`
+        SELECT soldprice AS sold_price,
+               SUM(qty) AS units,
+               ROUND(SUM(${NET_REVENUE_SQL}), 2) AS net_revenue,
+               ROUND(SUM(profit), 2) AS profit,
+               ROUND(SUM(qty) * 100.0 / NULLIF(SUM(SUM(qty)) OVER (), 0), 2) AS units_percent
+        FROM sales
+        WHERE groupid = $1 AND channel = $2
+          AND solddate BETWEEN $3 AND $4
+          AND returnsaleid IS NULL
+          AND soldprice IS NOT NULL
+        GROUP BY soldprice
+        ORDER BY soldprice DESC
+    `, [groupid, channel, fromDate, toDate]);
+
+    return result.rows.map(row => ({
+        sold_price: toNumber(row.sold_price),
+        units: parseInt(row.units, 10) || 0,
+        net_revenue: toNumber(row.net_revenue) || 0,
+        profit: toNumber(row.profit) || 0,
+        units_percent: toNumber(row.units_percent) || 0
+    }));
+};
+
+/**
+ * Stock and recent sales per size (skumap code) of a product, smallest size first
+ * Stock and sales are counted the same way as the shopify_health_check view; sizes marked deleted in skumap
+ * are only included while they still have stock or sales in the last year
+ * @param {string} groupid
+ * @param {Object} [options]
+ * @param {string[]|null} [options.channels]  - Channels whose sales are counted (default: every channel)
+ * @returns {Promise<SizeBreakdown[]>}
+ */
+const getSizeBreakdown = async (groupid, { channels = null } = {}) => {
+    const result = await db.query(`
+        WITH local_stock AS (
+            SELECT code, SUM(qty) AS local_stock
+            FROM localstock
+            WHERE groupid = $1 AND deleted = 0
+            GROUP BY code
+        ), ukd_stock AS (
+            SELECT code, SUM(stock) AS ukd_stock
+            FROM ukdstock
+            WHERE groupid = $1
+            GROUP BY code
+        ), size_sales AS (
+            SELECT code,
+                   SUM(qty) FILTER (WHERE solddate >= CURRENT_DATE - 30) AS sold_30d,
+                   SUM(qty) FILTER (WHERE solddate >= CURRENT_DATE - 90) AS sold_90d,
+                   SUM(qty) AS sold_365d
+            FROM sales
+            WHERE groupid = $1
+              AND solddate >= CURRENT_DATE - 365
+              AND ($2::text[] IS NULL OR channel = ANY($2))
+            GROUP BY code
+        )
+        SELECT sm.code, sm.uksize, sm.eurosize,
+               COALESCE(ls.local_stock, 0) AS local_stock,
+               COALESCE(us.ukd_stock, 0) AS ukd_stock,
+               COALESCE(ss.sold_30d, 0) AS sold_30d,
+               COALESCE(ss.sold_90d, 0) AS sold_90d,
+               COALESCE(ss.sold_365d, 0) AS sold_365d
+        FROM skumap sm
+        LEFT JOIN local_stock ls ON ls.code = sm.code
+        LEFT JOIN ukd_stock us ON us.code = sm.code
+        LEFT JOIN size_sales ss ON ss.code = sm.code
+        WHERE sm.groupid = $1
+          AND (COALESCE(sm.deleted, 0) = 0 OR ls.local_stock > 0 OR us.ukd_stock > 0 OR ss.sold_365d <> 0)
+        ORDER BY ${SIZE_ORDER_SQL}, sm.code
+    `, [groupid, channels]);
+
+    return result.rows.map(row => {
+        const localStock = parseInt(row.local_stock, 10) || 0;
+        const ukdStock = parseInt(row.ukd_stock, 10) || 0;
+        const sold30d = parseInt(row.sold_30d, 10) || 0;
+        const totalStock = localStock + ukdStock;
+
+        return {
+            code: row.code,
+            uksize: row.uksize || '',
+            eurosize: row.eurosize || '',
+            local_stock: localStock,
+            ukd_stock: ukdStock,
+            total_stock: totalStock,
+            sold_30d: sold30d,
+            sold_90d: parseInt(row.sold_90d, 10) || 0,
+            sold_365d: parseInt(row.sold_365d, 10) || 0,
+            days_of_cover: sold30d > 0 ? Math.round(totalStock / (sold30d / 30) * 10) / 10 : null
+        };
+    });
+};
+
+/**
+ * Per-code (size/variant) rows of a product from the performance table, smallest size first
+ * @param {string} groupid
+ * @param {Object} [options]
+ * @param {string[]} [options.channels]  - Channels to include (default: SHP)
+ * @returns {Promise<CodePerformance[]>}
+ */
+const getCodePerformance = async (groupid, { channels = [DEFAULT_CHANNEL] } = {}) => {
+    const result = await db.query(`
+        SELECT p.code, p.channel, p.sold_qty, p.revenue, p.annual_profit, p.profit_per_unit, p.gross_margin,
+               p.segment, p.fail_reason, p.status, p.notes, p.owner, p.last_reviewed, p.status_date, p.stock,
+               sm.uksize, sm.eurosize
+        FROM performance p
+        LEFT JOIN skumap sm ON sm.code = p.code
+        WHERE p.groupid = $1 AND p.channel = ANY($2)
+        ORDER BY ${SIZE_ORDER_SQL}, p.code, p.channel
+    `, [groupid, channels]);
+
+    return result.rows.map(row => ({
+        code: row.code,
+        channel: row.channel,
+        uksize: row.uksize || '',
+        eurosize: row.eurosize || '',
+        sold_qty: row.sold_qty || 0,
+        revenue: toNumber(row.revenue),
+        annual_profit: toNumber(row.annual_profit),
+        profit_per_unit: toNumber(row.profit_per_unit),
+        gross_margin: toNumber(row.gross_margin),
+        segment: row.segment || '',
+        fail_reason: row.fail_reason || '',
+        status: row.status || '',
+        notes: row.notes || '',
+        owner: row.owner || '',
+        last_reviewed: row.last_reviewed,
+        status_date: row.status_date,
+        stock: row.stock || 0
+    }));
+};
+
+/**
+ * Most recent reviews completed from the dashboard
+ * @param {string} groupid
+ * @param {Object} [options]
+ * @param {string} [options.channel]
+ * @param {number} [options.limit]
+ * @returns {Promise<Object[]>}
+ */
+const getReviewHistory = async (groupid, { channel = DEFAULT_CHANNEL, limit = 10 } = {}) => {
+    const result = await db.query(`
+        SELECT review_date, next_review_date, notes, reviewed_by, created_at
+        FROM product_review_history
+        WHERE groupid = $1 AND channel = $2
+        ORDER BY created_at DESC
+        LIMIT $3
+    `, [groupid, channel, limit]);
+
+    return result.rows.map(row => ({
+        review_date: row.review_date,
+        next_review_date: row.next_review_date,
+        notes: row.notes || '',
+        reviewed_by: row.reviewed_by,
+        created_at: row.created_at
+    }));
+};
+
+/**
+ * Most recent segment and status changes made from the dashboard
+ * @param {string} groupid
+ * @param {Object} [options]
+ * @param {string} [options.channel]
+ * @param {number} [options.limit]
+ * @returns {Promise<Object[]>}
+ */
+const getWorkflowHistory = async (groupid, { channel = DEFAULT_CHANNEL, limit = 20 } = {}) => {
+    const result = await db.query(`
+        SELECT field, previous_value, new_value, notes, changed_by, created_at
+        FROM product_workflow_history
+        WHERE groupid = $1 AND channel = $2
+        ORDER BY created_at DESC, id DESC
+        LIMIT $3
+    `, [groupid, channel, limit]);
+
+    return result.rows.map(row => ({
+        field: row.field,
+        previous_value: row.previous_value || '',
+        new_value: row.new_value,
+        notes: row.notes || '',
+        changed_by: row.changed_by,
+        created_at: row.created_at
+    }));
+};
+
+module.exports = {
+    getChannelPerformance,
+    getSkuSummary,
+    getShopifyTitle,
+    getWeeklyPerformance,
+    getPriceHistory,
+    getPriceChangesInRange,
+    getSales,
+    getSalesSummary,
+    getSoldPriceDistribution,
+    getSizeBreakdown,
+    getCodePerformance,
+    getReviewHistory,
+    getWorkflowHistory,
+    DEFAULT_CHANNEL,
+    SEGMENTS,
+    PRODUCT_STATUSES,
+    STATUS_TRANSITIONS
+};
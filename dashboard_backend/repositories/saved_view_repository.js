@@ -0,0 +1,162 @@
+/*
+=======================================================================================================================================
+SAVED VIEW REPOSITORY
+=======================================================================================================================================
+Data-access functions for the named filter combinations of the products dashboard (saved_views)
+A view stores the dashboard's URL parameters as a flat object of strings and belongs to the user who saved it
+Shared views are listed for every user, but only their creator can rename, change or delete them
+=======================================================================================================================================
+*/
+
+const db = require('../db');
+
+const MAX_VIEW_NAME_LENGTH = 60;
+const MAX_FILTER_KEYS = 30;
+const MAX_FILTER_VALUE_LENGTH = 500;
+const FILTER_KEY_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,29}$/;
+
+/**
+ * @typedef {Object} SavedView
+ * @property {number} id
+ * @property {string} name
+ * @property {Object<string, string>} filters  - Dashboard URL parameters, e.g. { owner: 'all', brand: 'Birkenstock' }
+ * @property {boolean} is_shared
+ * @property {number} user_id                  - Creator
+ * @property {string} created_by               - Creator's display name
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+
+/**
+ * Validates a filters value from a request
+ * @param {*} value
+ * @returns {Object<string, string>|null} null when it isn't a flat object of short strings with parameter-like keys
+ */
+const parseViewFilters = (value) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return null;
+    }
+
+    const entries = Object.entries(value);
+    if (entries.length > MAX_FILTER_KEYS) {
+        return null;
+    }
+
+    const valid = entries.every(([key, filterValue]) =>
+        FILTER_KEY_PATTERN.test(key) &&
+        typeof filterValue === 'string' &&
+        filterValue.length <= MAX_FILTER_VALUE_LENGTH
+    );
+
+    return valid ? Object.fromEntries(entries) : null;
+};
+
+const mapViewRow = (row) => ({
+    id: row.id,
+    name: row.name,
+    filters: row.filters,
+    is_shared: row.is_shared,
+    user_id: row.user_id,
+    created_by: row.created_by,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+});
+
+const VIEW_COLUMNS = `
+    sv.id, sv.name, sv.filters, sv.is_shared, sv.user_id,
+    COALESCE(u.display_name, u.username) AS created_by,
+    sv.created_at, sv.updated_at
+`;
+
+/**
+ * The user's own views followed by the views other users have shared, each by name
+ * @param {number} userId
+ * @returns {Promise<SavedView[]>}
+ */
+const getSavedViews = async (userId) => {
+    const result = await db.query(`
+        SELECT ${VIEW_COLUMNS}
+        FROM saved_views sv
+        JOIN users u ON u.id = sv.user_id
+        WHERE sv.user_id = $1 OR sv.is_shared
+        ORDER BY (sv.user_id = $1) DESC, LOWER(sv.name)
+    `, [userId]);
+
+    return result.rows.map(mapViewRow);
+};
+
+/**
+ * Single view by id
+ * @param {number} viewId
+ * @returns {Promise<SavedView|null>}
+ */
+const getSavedView = async (viewId) => {
+    const result = await db.query(`
+        SELECT ${VIEW_COLUMNS}
+        FROM saved_views sv
+        JOIN users u ON u.id = sv.user_id
+        WHERE sv.id = $1
+    `, [viewId]);
+
+    return result.rows.length > 0 ? mapViewRow(result.rows[0]) : null;
+};
+
+/**
+ * Saves a new view for the user
+ * Throws a unique violation (23505) when the user already has a view with that name
+ * @param {number} userId
+ * @param {{ name: string, filters: Object<string, string>, is_shared: boolean }} view
+ * @returns {Promise<SavedView>}
+ */
+const createSavedView = async (userId, { name, filters, is_shared }) => {
+    const result = await db.query(`
+        INSERT INTO saved_views (user_id, name, filters, is_shared)
+        VALUES ($1, $2, $3, $4)
+        RETURNING id
+    `, [userId, name, JSON.stringify(filters), is_shared]);
+
+    return getSavedView(result.rows[0].id);
+};
+
+/**
+ * Changes the name, filters and/or shared flag of a view - undefined fields are left as they are
+ * Throws a unique violation (23505) when renamed to another of the user's view names
+ * @param {number} viewId
+ * @param {{ name?: string, filters?: Object<string, string>, is_shared?: boolean }} changes
+ * @returns {Promise<SavedView>}
+ */
+const updateSavedView = async (viewId, { name, filters, is_shared }) => {
+    await db.query(`
+        UPDATE saved_views
+        SET name = COALESCE($2, name),
+            filters = COALESCE($3::jsonb, filters),
+            is_shared = COALESCE($4, is_shared),
+            updated_at = NOW()
+        WHERE id = $1
+    `, [
+        viewId,
+        name === undefined ? null : name,
+        filters === undefined ? null : JSON.stringify(filters),
+        is_shared === undefined ? null : is_shared
+    ]);
+
+    return getSavedView(viewId);
+};
+
+/**
+ * Deletes a view
+ * @param {number} viewId
+ */
+const deleteSavedView = async (viewId) => {
+    await db.query('DELETE FROM saved_views WHERE id = $1', [viewId]);
+};
+
+module.exports = {
+    MAX_VIEW_NAME_LENGTH,
+    parseViewFilters,
+    getSavedViews,
+    getSavedView,
+    createSavedView,
+    updateSavedView,
+    deleteSavedView
+};
@@ -0,0 +1,92 @@
+/*
+=======================================================================================================================================
+USER PREFERENCE REPOSITORY
+=======================================================================================================================================
+Data-access functions for the dashboard settings saved per user (user_preferences)
+Each preference key has a validator; values are stored as JSON and only known keys can be saved
+=======================================================================================================================================
+*/
+
+const db = require('../db');
+
+const MAX_TABLE_COLUMNS = 50;
+const MIN_COLUMN_WIDTH = 40;
+const MAX_COLUMN_WIDTH = 1000;
+const COLUMN_KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+
+/**
+ * Checks a table column layout - the columns in display order, each shown or hidden, with an optional width in pixels
+ * @param {*} value - e.g. [{ key: 'annual_profit', visible: true, width: 140 }, { key: 'cost', visible: false, width: null }]
+ * @returns {boolean}
+ */
+const isColumnLayout = (value) => {
+    if (!Array.isArray(value) || value.length > MAX_TABLE_COLUMNS) {
+        return false;
+    }
+
+    const keys = new Set();
+    return value.every(column => {
+        if (!column || typeof column !== 'object' || !COLUMN_KEY_PATTERN.test(column.key) || keys.has(column.key)) {
+            return false;
+        }
+        keys.add(column.key);
+
+        return typeof column.visible === 'boolean' &&
+            (column.width === null || column.width === undefined ||
+                (Number.isInteger(column.width) && column.width >= MIN_COLUMN_WIDTH && column.width <= MAX_COLUMN_WIDTH));
+    });
+};
+
+// Preference keys that can be saved and the validator for each value
+const PREFERENCE_VALIDATORS = {
+    products_table_columns: isColumnLayout
+};
+
+/**
+ * Checks a preference key and value before saving
+ * @param {string} key
+ * @param {*} value
+ * @returns {'INVALID_PREFERENCE'|'INVALID_VALUE'|null} null when the value can be saved
+ */
+const validatePreference = (key, value) => {
+    if (typeof key !== 'string' || !Object.prototype.hasOwnProperty.call(PREFERENCE_VALIDATORS, key)) {
+        return 'INVALID_PREFERENCE';
+    }
+    return PREFERENCE_VALIDATORS[key](value) ? null : 'INVALID_VALUE';
+};
+
+/**
+ * Every saved preference of a user
+ * @param {number} userId
+ * @returns {Promise<Object>} preference values by key, e.g. { products_table_columns: [...] }
+ */
+const getPreferences = async (userId) => {
+    const result = await db.query(
+        'SELECT preference_key, value FROM user_preferences WHERE user_id = $1',
+        [userId]
+    );
+
+    return Object.fromEntries(result.rows.map(row => [row.preference_key, row.value]));
+};
+
+/**
+ * Saves a preference, replacing any previous value
+ * @param {number} userId
+ * @param {string} key    - One of the PREFERENCE_VALIDATORS keys
+ * @param {*} value       - Checked with validatePreference
+ */
+const savePreference = async (userId, key, value) => {
+    await db.query(`
+        INSERT INTO user_preferences (user_id, preference_key, value, updated_at)
+        VALUES ($1, $2, $3, NOW())
+        ON CONFLICT (user_id, preference_key)
+        DO UPDATE SET value = EXCLUDED.value, updated_at = NOW()
+    `, [userId, key, JSON.stringify(value)]);
+};
+
+module.exports = {
+    PREFERENCE_KEYS: Object.keys(PREFERENCE_VALIDATORS),
+    validatePreference,
+    getPreferences,
+    savePreference
+};
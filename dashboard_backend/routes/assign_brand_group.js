@@ -0,0 +1,88 @@
+/*
+=======================================================================================================================================
+API Route: assign_brand_group
+=======================================================================================================================================
+Method: POST
+Purpose: Moves a brand into a brand group, replacing its previous group. Passing a null group_id removes the assignment,
+         so the brand falls into the default (catch-all) group. Admin only (see middleware/auth.js).
+=======================================================================================================================================
+Request Payload:
+{
+  "brand": "Birkenstock Papillio",         // string, required - groupid_performance.brand value
+  "group_id": 1                            // integer or null, required
+}
+
+Success Response:
+{
+  "return_code": "SUCCESS",
+  "brand": "Birkenstock Papillio",
+  "group_id": 1
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"MISSING_BRAND"
+"GROUP_NOT_FOUND"
+"INVALID_GROUP"
+"ACCESS_DENIED"
+"DATABASE_ERROR"
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const router = express.Router();
+const brandGroupRepository = require('../repositories/brand_group_repository');
+
+// POST /assign_brand_group
+router.post('/', async (req, res) => {
+    const brand = typeof req.body.brand === 'string' ? req.body.brand.trim() : '';
+    const groupId = req.body.group_id === null || req.body.group_id === undefined ? null : parseInt(req.body.group_id, 10);
+
+    if (!brand) {
+        return res.status(400).json({
+            return_code: "MISSING_BRAND",
+            message: "brand parameter is required"
+        });
+    }
+
+    try {
+        if (groupId !== null) {
+            const group = isNaN(groupId) ? null : await brandGroupRepository.getBrandGroup(groupId);
+
+            if (!group) {
+                return res.status(404).json({
+                    return_code: "GROUP_NOT_FOUND",
+                    message: `Brand group ${req.body.group_id} not found`
+                });
+            }
+
+            // The default group holds unassigned brands implicitly
+            if (group.is_default) {
+                return res.status(400).json({
+                    return_code: "INVALID_GROUP",
+                    message: "Brands cannot be assigned to the default group - remove the assignment instead"
+                });
+            }
+        }
+
+        console.log(`ASSIGN_BRAND_GROUP: ${req.user.username} assigning ${brand} to group ${groupId === null ? 'default' : groupId}`);
+
+        await brandGroupRepository.assignBrand(brand, groupId);
+
+        res.json({
+            return_code: "SUCCESS",
+            brand: brand,
+            group_id: groupId
+        });
+
+    } catch (error) {
+        console.error('ASSIGN_BRAND_GROUP: Database error:', error);
+        res.status(500).json({
+            return_code: "DATABASE_ERROR",
+            message: "Failed to assign brand",
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,206 @@
+/*
+=======================================================================================================================================
+API Route: change_price
+=======================================================================================================================================
+Method: POST
+Purpose: Changes the Shopify price of a product from the dashboard and records the change in price_change_log.
+         The new price must lie within skusummary.minshopifyprice / maxshopifyprice (when set).
+         skusummary.shopifyprice is updated and skusummary.shopifychange is flagged so the Shopify price sync picks it up.
+         Only the product's owner or an admin may call this endpoint (see middleware/auth.js).
+=======================================================================================================================================
+Request Payload:
+{
+  "groupid": "ABC123",                     // string, required
+  "new_price": 54.99,                      // number or numeric string, required - up to 2 decimals, max 99999.99
+  "reason_code": "Competitor price",       // string, required - a reason from price_change_reasons
+  "reason_notes": "Matched Office"         // string, optional
+}
+
+Success Response:
+{
+  "return_code": "SUCCESS",
+  "price_change": {
+    "id": 812,                             // integer, price_change_log.id
+    "groupid": "ABC123",
+    "channel": "SHP",
+    "old_price": 59.99,
+    "new_price": 54.99,
+    "change_date": "2025-08-01",
+    "reason_code": "Competitor price",
+    "reason_notes": "Matched Office",
+    "changed_by": "Andreas"                // string, logged-in user
+  }
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"MISSING_GROUPID"
+"INVALID_PRICE"
+"INVALID_REASON"
+"PRICE_UNCHANGED"
+"PRICE_OUT_OF_RANGE"
+"PRODUCT_NOT_FOUND"
+"ACCESS_DENIED"
+"DATABASE_ERROR"
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+
+// skusummary stores prices as text - treat blanks and non-numbers as "not set"
+const parsePrice = (value) => {
+    const price = parseFloat(value);
+    return isNaN(price) ? null : price;
+};
+
+// Largest accepted price - keeps new prices well inside price_change_log numeric(10,2) and skusummary's varchar(10)
+const MAX_PRICE = 99999.99;
+
+// Parses new_price strictly - a number or numeric string with at most 2 decimals, above 0 and up to MAX_PRICE
+const parseNewPrice = (value) => {
+    if (typeof value !== 'number' && typeof value !== 'string') return null;
+    const text = String(value).trim();
+    if (!/^\d+(\.\d{1,2})?$/.test(text)) return null;
+    const price = Number(text);
+    return price > 0 && price <= MAX_PRICE ? price : null;
+};
+
+// POST /change_price
+router.post('/', async (req, res) => {
+    const { groupid, reason_code, reason_notes } = req.body;
+    const newPrice = parseNewPrice(req.body.new_price);
+    const changedBy = req.user.display_name || req.user.username;
+
+    if (newPrice === null) {
+        console.log(`CHANGE_PRICE: Invalid new_price: ${req.body.new_price}`);
+        return res.status(400).json({
+            return_code: "INVALID_PRICE",
+            message: `new_price must be a positive number with at most 2 decimals, up to ${MAX_PRICE}`
+        });
+    }
+
+    if (!reason_code || typeof reason_code !== 'string') {
+        return res.status(400).json({
+            return_code: "INVALID_REASON",
+            message: "reason_code is required"
+        });
+    }
+
+    let client;
+
+    try {
+        client = await db.getClient();
+
+        console.log(`CHANGE_PRICE: ${changedBy} changing price of ${groupid} to ${newPrice}`);
+
+        await client.query('BEGIN');
+
+        // Reason must be one of the configured price change reasons
+        const reasonResult = await client.query(
+            'SELECT reason FROM price_change_reasons WHERE reason = $1',
+            [reason_code]
+        );
+
+        if (reasonResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                return_code: "INVALID_REASON",
+                message: `Unknown price change reason: ${reason_code}`
+            });
+        }
+
+        // Lock the SKU summary row and read the current price and allowed band
+        const skuResult = await client.query(`
+            SELECT shopifyprice, minshopifyprice, maxshopifyprice
+            FROM skusummary
+            WHERE groupid = $1
+            FOR UPDATE
+        `, [groupid]);
+
+        if (skuResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            console.log(`CHANGE_PRICE: No skusummary row for groupid: ${groupid}`);
+            return res.status(404).json({
+                return_code: "PRODUCT_NOT_FOUND",
+                message: `Product with groupid ${groupid} not found`
+            });
+        }
+
+        const sku = skuResult.rows[0];
+        const oldPrice = parsePrice(sku.shopifyprice);
+        const minPrice = parsePrice(sku.minshopifyprice);
+        const maxPrice = parsePrice(sku.maxshopifyprice);
+
+        if (oldPrice !== null && oldPrice === newPrice) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                return_code: "PRICE_UNCHANGED",
+                message: `The price is already ${newPrice.toFixed(2)}`
+            });
+        }
+
+        if ((minPrice !== null && newPrice < minPrice) || (maxPrice !== null && newPrice > maxPrice)) {
+            await client.query('ROLLBACK');
+            console.log(`CHANGE_PRICE: ${newPrice} outside ${minPrice}-${maxPrice} for ${groupid}`);
+            return res.status(400).json({
+                return_code: "PRICE_OUT_OF_RANGE",
+                message: `Price must be between ${minPrice !== null ? minPrice.toFixed(2) : 'any'} and ${maxPrice !== null ? maxPrice.toFixed(2) : 'any'}`,
+                min_price: minPrice,
+                max_price: maxPrice
+            });
+        }
+
+        await client.query(`
+            UPDATE skusummary
+            SET shopifyprice = $2,
+                shopifychange = 1
+            WHERE groupid = $1
+        `, [groupid, newPrice.toFixed(2)]);
+
+        const logResult = await client.query(`
+            INSERT INTO price_change_log (groupid, old_price, new_price, change_date, reason_code, reason_notes, changed_by, channel)
+            VALUES ($1, $2, $3, CURRENT_DATE, $4, $5, $6, 'SHP')
+            RETURNING id, groupid, channel, old_price, new_price, change_date, reason_code, reason_notes, changed_by
+        `, [groupid, oldPrice, newPrice, reason_code, (reason_notes || '').trim() || null, changedBy]);
+
+        await client.query('COMMIT');
+
+        const logged = logResult.rows[0];
+        console.log(`CHANGE_PRICE: Price change ${logged.id} recorded for ${groupid}`);
+
+        res.json({
+            return_code: "SUCCESS",
+            price_change: {
+                id: logged.id,
+                groupid: logged.groupid,
+                channel: logged.channel,
+                old_price: logged.old_price !== null ? parseFloat(logged.old_price) : null,
+                new_price: parseFloat(logged.new_price),
+                change_date: logged.change_date,
+                reason_code: logged.reason_code,
+                reason_notes: logged.reason_notes || '',
+                changed_by: logged.changed_by
+            }
+        });
+
+    } catch (error) {
+        if (client) {
+            await client.query('ROLLBACK').catch(() => {});
+        }
+        console.error('CHANGE_PRICE: Database error:', error);
+
+        res.status(500).json({
+            return_code: "DATABASE_ERROR",
+            message: "Failed to change price",
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    } finally {
+        if (client) {
+            client.release();
+        }
+    }
+});
+
+module.exports = router;
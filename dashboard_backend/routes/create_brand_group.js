@@ -0,0 +1,80 @@
+/*
+=======================================================================================================================================
+API Route: create_brand_group
+=======================================================================================================================================
+Method: POST
+Purpose: Creates a new brand group at the end of the brand filter order. Brands are added with assign_brand_group.
+         Admin only (see middleware/auth.js).
+=======================================================================================================================================
+Request Payload:
+{
+  "name": "Fly London"                     // string, required, max 50 characters, unique (case-insensitive)
+}
+
+Success Response:
+{
+  "return_code": "SUCCESS",
+  "brand_group": {
+    "id": 8,
+    "name": "Fly London",
+    "sort_order": 7,
+    "is_default": false,
+    "brands": []
+  }
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"INVALID_NAME"
+"GROUP_EXISTS"
+"ACCESS_DENIED"
+"DATABASE_ERROR"
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const router = express.Router();
+const brandGroupRepository = require('../repositories/brand_group_repository');
+
+const MAX_NAME_LENGTH = 50;
+
+// POST /create_brand_group
+router.post('/', async (req, res) => {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+
+    if (!name || name.length > MAX_NAME_LENGTH || name.toLowerCase() === 'all') {
+        return res.status(400).json({
+            return_code: "INVALID_NAME",
+            message: `name is required, must not be "All" and must be at most ${MAX_NAME_LENGTH} characters`
+        });
+    }
+
+    try {
+        console.log(`CREATE_BRAND_GROUP: ${req.user.username} creating brand group ${name}`);
+
+        const brandGroup = await brandGroupRepository.createBrandGroup(name);
+
+        res.json({
+            return_code: "SUCCESS",
+            brand_group: { ...brandGroup, brands: [] }
+        });
+
+    } catch (error) {
+        // Unique index on LOWER(name)
+        if (error.code === '23505') {
+            return res.status(409).json({
+                return_code: "GROUP_EXISTS",
+                message: `A brand group named ${name} already exists`
+            });
+        }
+
+        console.error('CREATE_BRAND_GROUP: Database error:', error);
+        res.status(500).json({
+            return_code: "DATABASE_ERROR",
+            message: "Failed to create brand group",
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,98 @@
+/*
+=======================================================================================================================================
+API Route: create_saved_view
+=======================================================================================================================================
+Method: POST
+Purpose: Saves the current filter state of the products dashboard as a named view for the logged-in user.
+         Shared views are listed for every user; only their creator can change or delete them.
+=======================================================================================================================================
+Request Payload:
+{
+  "name": "Birkenstock winners",           // string, required, max 60 characters, unique per user (case-insensitive)
+  "filters": {                             // object, required - dashboard URL parameters, string values only
+    "brand": "Birkenstock",
+    "owner": "all"
+  },
+  "is_shared": true                        // boolean, optional (default: false)
+}
+
+Success Response:
+{
+  "return_code": "SUCCESS",
+  "view": {
+    "id": 4,
+    "name": "Birkenstock winners",
+    "filters": { "brand": "Birkenstock", "owner": "all" },
+    "is_shared": true,
+    "is_mine": true,
+    "user_id": 2,
+    "created_by": "Andreas",
+    "created_at": "2025-08-01T09:30:00.000Z",
+    "updated_at": "2025-08-01T09:30:00.000Z"
+  }
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"INVALID_NAME"
+"INVALID_FILTERS"
+"VIEW_EXISTS"
+"DATABASE_ERROR"
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const router = express.Router();
+const savedViewRepository = require('../repositories/saved_view_repository');
+
+const { MAX_VIEW_NAME_LENGTH } = savedViewRepository;
+
+// POST /create_saved_view
+router.post('/', async (req, res) => {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    const filters = savedViewRepository.parseViewFilters(req.body.filters);
+    const isShared = req.body.is_shared === true;
+
+    if (!name || name.length > MAX_VIEW_NAME_LENGTH) {
+        return res.status(400).json({
+            return_code: "INVALID_NAME",
+            message: `name is required and must be at most ${MAX_VIEW_NAME_LENGTH} characters`
+        });
+    }
+
+    if (!filters) {
+        return res.status(400).json({
+            return_code: "INVALID_FILTERS",
+            message: "filters must be an object of dashboard parameters with string values"
+        });
+    }
+
+    try {
+        console.log(`CREATE_SAVED_VIEW: ${req.user.username} saving view ${name}${isShared ? ' (shared)' : ''}`);
+
+        const view = await savedViewRepository.createSavedView(req.user.user_id, { name, filters, is_shared: isShared });
+
+        res.json({
+            return_code: "SUCCESS",
+            view: { ...view, is_mine: true }
+        });
+
+    } catch (error) {
+        // Unique index on (user_id, LOWER(name))
+        if (error.code === '23505') {
+            return res.status(409).json({
+                return_code: "VIEW_EXISTS",
+                message: `You already have a view named ${name}`
+            });
+        }
+
+        console.error('CREATE_SAVED_VIEW: Database error:', error);
+        res.status(500).json({
+            return_code: "DATABASE_ERROR",
+            message: "Failed to save view",
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,73 @@
+/*
+=======================================================================================================================================
+API Route: delete_brand_group
+=======================================================================================================================================
+Method: POST
+Purpose: Deletes a brand group. Its brands fall back into the default (catch-all) group.
+         The default group cannot be deleted. Admin only (see middleware/auth.js).
+=======================================================================================================================================
+Request Payload:
+{
+  "group_id": 8                            // integer, required
+}
+
+Success Response:
+{
+  "return_code": "SUCCESS",
+  "group_id": 8
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"GROUP_NOT_FOUND"
+"INVALID_GROUP"
+"ACCESS_DENIED"
+"DATABASE_ERROR"
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const router = express.Router();
+const brandGroupRepository = require('../repositories/brand_group_repository');
+
+// POST /delete_brand_group
+router.post('/', async (req, res) => {
+    const groupId = parseInt(req.body.group_id, 10);
+
+    try {
+        const group = isNaN(groupId) ? null : await brandGroupRepository.getBrandGroup(groupId);
+
+        if (!group) {
+            return res.status(404).json({
+                return_code: "GROUP_NOT_FOUND",
+                message: `Brand group ${req.body.group_id} not found`
+            });
+        }
+
+        if (group.is_default) {
+            return res.status(400).json({
+                return_code: "INVALID_GROUP",
+                message: "The default brand group cannot be deleted"
+            });
+        }
+
+        console.log(`DELETE_BRAND_GROUP: ${req.user.username} deleting brand group ${group.name}`);
+
+        await brandGroupRepository.deleteBrandGroup(groupId);
+
+        res.json({
+            return_code: "SUCCESS",
+            group_id: groupId
+        });
+
+    } catch (error) {
+        console.error('DELETE_BRAND_GROUP: Database error:', error);
+        res.status(500).json({
+            return_code: "DATABASE_ERROR",
+            message: "Failed to delete brand group",
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
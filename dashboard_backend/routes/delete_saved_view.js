@@ -0,0 +1,72 @@
+/*
+=======================================================================================================================================
+API Route: delete_saved_view
+=======================================================================================================================================
+Method: POST
+Purpose: Deletes a saved view. Users can delete their own views; admins can also delete views other users have shared.
+=======================================================================================================================================
+Request Payload:
+{
+  "view_id": 4                             // integer, required
+}
+
+Success Response:
+{
+  "return_code": "SUCCESS",
+  "view_id": 4
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"VIEW_NOT_FOUND"
+"ACCESS_DENIED"
+"DATABASE_ERROR"
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const router = express.Router();
+const savedViewRepository = require('../repositories/saved_view_repository');
+
+// POST /delete_saved_view
+router.post('/', async (req, res) => {
+    const viewId = parseInt(req.body.view_id, 10);
+
+    try {
+        const view = isNaN(viewId) ? null : await savedViewRepository.getSavedView(viewId);
+
+        // Other users' private views are reported as missing
+        if (!view || (view.user_id !== req.user.user_id && !view.is_shared)) {
+            return res.status(404).json({
+                return_code: "VIEW_NOT_FOUND",
+                message: `Saved view ${req.body.view_id} not found`
+            });
+        }
+
+        if (view.user_id !== req.user.user_id && req.user.role !== 'admin') {
+            return res.status(403).json({
+                return_code: "ACCESS_DENIED",
+                message: `Only ${view.created_by} or an admin can delete this view`
+            });
+        }
+
+        console.log(`DELETE_SAVED_VIEW: ${req.user.username} deleting view ${view.name} (saved by ${view.created_by})`);
+
+        await savedViewRepository.deleteSavedView(viewId);
+
+        res.json({
+            return_code: "SUCCESS",
+            view_id: viewId
+        });
+
+    } catch (error) {
+        console.error('DELETE_SAVED_VIEW: Database error:', error);
+        res.status(500).json({
+            return_code: "DATABASE_ERROR",
+            message: "Failed to delete saved view",
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,288 @@
+/*
+=======================================================================================================================================
+API Route: export_products
+=======================================================================================================================================
+Method: POST
+Purpose: Exports every product matching the products view as a CSV or XLSX file download.
+         Takes the same filter, search and sort payload as get_products / get_products_comparison; paging is ignored.
+         With "comparison": true the comparison weeks are resolved as in get_products_comparison and the previous week
+         figures and changes are added as extra columns (blank for products without comparison week data).
+         The matching products are read in one query and then written to the response (XLSX through the exceljs
+         streaming writer), so an export is capped at MAX_EXPORT_ROWS products - narrow the filters for larger sets.
+=======================================================================================================================================
+Request Payload:
+{
+  "format": "csv" | "xlsx",                       // optional, file format (default: "csv")
+  "comparison": true,                             // optional, include the comparison columns (default: false)
+  "comparison_period": "week" | "month",          // optional, as get_products_comparison (default: "week")
+  "compare_week": "2024-W27",                     // optional, as get_products_comparison
+  "current_week": "2025-W27",                     // optional, as get_products_comparison; requires compare_week
+  "channel": "SHP" | ["SHP", "AMZ"],             // optional, channel code or list of codes (default: "SHP")
+  "season_filter": "Summer" | "Winter",           // optional, includes only products with this season
+  "season_filter_exclude": "Summer" | "Winter",  // optional, excludes products with this season
+  "brand_filter": "Birkenstock" | "UKD" | etc.,  // optional, brand group name (see get_brand_groups) or a single brand
+  "owner": "John Doe",                            // optional, exact owner name
+  "owners": ["John Doe", "Jane Smith"],           // optional, any of these owners ("owners[]" also accepted)
+  "brands": ["Birkenstock", "UKD"],               // optional, any of these brand groups or brands
+  "segments": ["Winner", "Neutral"],              // optional, any of these segments
+  "seasons": ["Summer", "Any"],                   // optional, any of these skusummary seasons
+  "annual_profit_min": 100,                       // optional, inclusive bounds ("<column>_min" / "<column>_max") on
+  "avg_gross_margin_max": 0.2,                    //   annual_profit, sold_qty, avg_profit_per_unit, avg_gross_margin
+  "stock_min": 30,                                //   (a fraction), stock and recommended_price
+  "price_gap_over": 10,                           // optional, only products priced more than this % above or below
+                                                  //   their recommended price
+  "status": "Reviewing",                          // optional, workflow status (New, Reviewing, Actioned, Monitoring)
+  "tasks_only": true,                             // optional, only products with no next review date or one that is due
+  "search": "birk",                               // optional, matches groupid, title, brand, owner, segment and notes
+  "sort_key": "annual_profit",                    // optional, column to sort by (default: "annual_profit")
+  "sort_dir": "asc" | "desc"                      // optional, sort direction (default: "desc")
+}
+
+Success Response:
+  200 with Content-Disposition: attachment; filename="products-SHP-2025-08-01.csv" (or .xlsx)
+  CSV is UTF-8 with a byte order mark so Excel opens it with the right encoding
+  Columns: Group ID, Title, Channel, Annual Profit, Sold Qty, Avg Profit/Unit, Segment, Status, Brand, Owner,
+           Gross Margin %, Recommended Price, Stock, Last Review, Next Review, Notes
+           + with comparison: Comparison Week, Previous Annual Profit, Annual Profit Change, Annual Profit Change %,
+             Previous Sold Qty, Sold Qty Change, Sold Qty Change %, Previous Avg Profit/Unit, Avg Profit/Unit Change,
+             Avg Profit/Unit Change %
+=======================================================================================================================================
+Return Codes (JSON, only before the file starts):
+"INVALID_FORMAT"
+"INVALID_CHANNEL"
+"INVALID_STATUS"
+"INVALID_FILTER"
+"INVALID_RANGE"
+"INVALID_PRICE_GAP"
+"INVALID_SORT"
+"INVALID_WEEK"
+"EXPORT_TOO_LARGE"
+"WEEK_NOT_FOUND"
+"DATABASE_ERROR"
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const ExcelJS = require('exceljs');
+const router = express.Router();
+const db = require('../db');
+const {
+    parseProductFilterRequest,
+    parseSort,
+    buildProductSort
+} = require('../utils/product_filters');
+const {
+    resolveComparisonWeek,
+    resolveSelectedWeeks,
+    buildComparisonQuery,
+    toComparedProduct
+} = require('../repositories/performance_repository');
+const { isYearWeek } = require('../utils/iso_week');
+const { toCsvField } = require('../utils/csv');
+
+const FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// The whole result is held in memory before it is written, so larger exports are refused
+const MAX_EXPORT_ROWS = 50000;
+
+// Exported columns - value() reads a formatted product (see toComparedProduct)
+const PRODUCT_COLUMNS = [
+    { header: 'Group ID', width: 18, value: product => product.groupid },
+    { header: 'Title', width: 40, value: product => product.shopify_title || '' },
+    { header: 'Channel', width: 10, value: product => product.channel },
+    { header: 'Annual Profit', width: 14, value: product => product.annual_profit },
+    { header: 'Sold Qty', width: 10, value: product => product.sold_qty },
+    { header: 'Avg Profit/Unit', width: 14, value: product => product.avg_profit_per_unit },
+    { header: 'Segment', width: 12, value: product => product.segment },
+    { header: 'Status', width: 12, value: product => product.status },
+    { header: 'Brand', width: 16, value: product => product.brand },
+    { header: 'Owner', width: 16, value: product => product.owner },
+    { header: 'Gross Margin %', width: 14, value: product => Math.round(product.avg_gross_margin * 10000) / 100 },
+    { header: 'Recommended Price', width: 16, value: product => product.recommended_price },
+    { header: 'Stock', width: 8, value: product => product.stock },
+    { header: 'Last Review', width: 12, value: product => formatDate(product.review_date) },
+    { header: 'Next Review', width: 12, value: product => formatDate(product.next_review_date) },
+    { header: 'Notes', width: 40, value: product => product.notes }
+];
+
+const COMPARISON_COLUMNS = [
+    { header: 'Comparison Week', width: 14, value: product => product.previous_week?.year_week },
+    { header: 'Previous Annual Profit', width: 18, value: product => product.previous_week?.annual_profit },
+    { header: 'Annual Profit Change', width: 18, value: product => product.changes?.annual_profit_change },
+    { header: 'Annual Profit Change %', width: 18, value: product => product.changes?.annual_profit_change_percent },
+    { header: 'Previous Sold Qty', width: 14, value: product => product.previous_week?.sold_qty },
+    { header: 'Sold Qty Change', width: 14, value: product => product.changes?.sold_qty_change },
+    { header: 'Sold Qty Change %', width: 14, value: product => product.changes?.sold_qty_change_percent },
+    { header: 'Previous Avg Profit/Unit', width: 18, value: product => product.previous_week?.avg_profit_per_unit },
+    { header: 'Avg Profit/Unit Change', width: 18, value: product => product.changes?.avg_profit_per_unit_change },
+    { header: 'Avg Profit/Unit Change %', width: 18, value: product => product.changes?.avg_profit_per_unit_change_percent }
+];
+
+// pg returns date columns as Date objects - export them as YYYY-MM-DD
+const formatDate = (value) => {
+    if (!value) return '';
+    if (!(value instanceof Date)) return String(value);
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Writes the products to the response as CSV
+ */
+const writeCsv = (res, columns, products) => {
+    res.write('\uFEFF');
+    res.write(`${columns.map(column => toCsvField(column.header)).join(',')}\r\n`);
+    products.forEach(product => {
+        res.write(`${columns.map(column => toCsvField(column.value(product))).join(',')}\r\n`);
+    });
+    res.end();
+};
+
+/**
+ * Writes the products to the response as an XLSX workbook with a single sheet
+ */
+const writeXlsx = async (res, columns, products) => {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const sheet = workbook.addWorksheet('Products', { views: [{ state: 'frozen', ySplit: 1 }] });
+
+    sheet.columns = columns.map((column, index) => ({ header: column.header, key: String(index), width: column.width }));
+    sheet.getRow(1).font = { bold: true };
+
+    products.forEach(product => {
+        const row = {};
+        columns.forEach((column, index) => {
+            const value = column.value(product);
+            row[index] = value === undefined ? null : value;
+        });
+        sheet.addRow(row).commit();
+    });
+
+    sheet.commit();
+    await workbook.commit();
+};
+
+// POST /export_products
+router.post('/', async (req, res) => {
+    try {
+        console.log('EXPORT_PRODUCTS: Starting product export...');
+
+        const formatKey = (req.body.format || 'csv').toString().toLowerCase();
+        const format = FORMATS[formatKey];
+        if (!format) {
+            return res.status(400).json({
+                return_code: "INVALID_FORMAT",
+                message: "format must be 'csv' or 'xlsx'"
+            });
+        }
+
+        const { filters: requestFilters, error: filterError } = parseProductFilterRequest(req.body);
+        if (filterError) {
+            return res.status(400).json(filterError);
+        }
+        const { channels } = requestFilters;
+
+        const sort = parseSort(req.body);
+        if (!sort) {
+            return res.status(400).json({
+                return_code: "INVALID_SORT",
+                message: "sort_key must be a product column and sort_dir must be 'asc' or 'desc'"
+            });
+        }
+
+        // Without comparison the comparison week is null, so the previous week figures and changes stay empty
+        const includeComparison = req.body.comparison === true || req.body.comparison === 'true';
+        let weeks = { comparisonWeek: null, currentWeek: null };
+
+        if (includeComparison) {
+            // Explicit weeks take precedence over the comparison period (defaults to "week")
+            const currentWeekParam = req.body.current_week || null;
+            const compareWeekParam = req.body.compare_week || null;
+
+            if (currentWeekParam && !compareWeekParam) {
+                return res.status(400).json({
+                    return_code: "INVALID_WEEK",
+                    message: "compare_week is required when current_week is given"
+                });
+            }
+            if ([currentWeekParam, compareWeekParam].some(week => week && !isYearWeek(week))) {
+                return res.status(400).json({
+                    return_code: "INVALID_WEEK",
+                    message: "Weeks must be valid ISO weeks in YYYY-Www format, e.g. 2025-W07"
+                });
+            }
+
+            const weekInfo = compareWeekParam
+                ? await resolveSelectedWeeks(channels, currentWeekParam, compareWeekParam)
+                : await resolveComparisonWeek(channels, req.body.comparison_period || 'week');
+
+            if (!weekInfo) {
+                return res.status(404).json({
+                    return_code: "WEEK_NOT_FOUND",
+                    message: "No performance data found for the selected week"
+                });
+            }
+
+            console.log(`EXPORT_PRODUCTS: Comparing ${weekInfo.current_week} with ${weekInfo.comparison_week || 'none'}`);
+            weeks = {
+                comparisonWeek: weekInfo.comparison_week,
+                currentWeek: weekInfo.is_snapshot ? weekInfo.current_week : null
+            };
+        }
+
+        const { sql: comparisonQuery, queryParams } = buildComparisonQuery(requestFilters, weeks);
+
+        // One row past the cap tells an oversized export apart from one that fills it exactly
+        const result = await db.query(`
+            SELECT *
+            FROM (${comparisonQuery}) compared
+            ${buildProductSort(sort, 'compared')}
+            LIMIT ${MAX_EXPORT_ROWS + 1}
+        `, queryParams);
+
+        if (result.rows.length > MAX_EXPORT_ROWS) {
+            return res.status(400).json({
+                return_code: "EXPORT_TOO_LARGE",
+                message: `Exports are limited to ${MAX_EXPORT_ROWS} products - narrow the filters and try again`
+            });
+        }
+
+        const products = result.rows.map(toComparedProduct);
+
+        const columns = includeComparison ? [...PRODUCT_COLUMNS, ...COMPARISON_COLUMNS] : PRODUCT_COLUMNS;
+        const filename = `products-${channels.join('-')}-${formatDate(new Date())}.${format.extension}`;
+
+        console.log(`EXPORT_PRODUCTS: Writing ${products.length} products as ${formatKey}`);
+
+        res.setHeader('Content-Type', format.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+        if (formatKey === 'xlsx') {
+            await writeXlsx(res, columns, products);
+        } else {
+            writeCsv(res, columns, products);
+        }
+
+        console.log('EXPORT_PRODUCTS: Export sent successfully');
+
+    } catch (error) {
+        console.error('EXPORT_PRODUCTS: Database error:', error);
+
+        // Once the file has started the status can't change - cut the download short instead
+        if (res.headersSent) {
+            res.end();
+            return;
+        }
+
+        res.status(500).json({
+            return_code: "DATABASE_ERROR",
+            message: "Failed to export products",
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,72 @@
+/*
+=======================================================================================================================================
+API Route: get_available_weeks
+=======================================================================================================================================
+Method: POST
+Purpose: Lists the weeks (year_week values) with performance snapshots in groupid_performance_week, newest first.
+         This endpoint provides the options of the week comparison pickers in the products dashboard
+         (current_week / compare_week of get_products_comparison and get_overall_stats).
+=======================================================================================================================================
+Request Payload:
+{
+  "channel": "SHP" | ["SHP", "AMZ"]              // optional, channel code or list of codes (default: "SHP")
+}
+
+Success Response:
+{
+  "return_code": "SUCCESS",
+  "weeks": [
+    { "year_week": "2025-W27", "product_count": 1850 },   // newest first
+    { "year_week": "2025-W26", "product_count": 1842 }
+  ],
+  "latest_week": "2025-W27",                     // string, null when there are no snapshots
+  "total_count": 2
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"INVALID_CHANNEL"
+"DATABASE_ERROR"
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const router = express.Router();
+const { parseChannels } = require('../utils/product_filters');
+const { getAvailableWeeks } = require('../repositories/performance_repository');
+
+// POST /get_available_weeks
+router.post('/', async (req, res) => {
+    try {
+        console.log('GET_AVAILABLE_WEEKS: Starting weeks retrieval...');
+
+        const channels = parseChannels(req.body.channel);
+        if (!channels) {
+            return res.status(400).json({
+                return_code: "INVALID_CHANNEL",
+                message: "channel must be a channel code or a list of channel codes"
+            });
+        }
+
+        const weeks = await getAvailableWeeks(channels);
+
+        console.log(`GET_AVAILABLE_WEEKS: Retrieved ${weeks.length} weeks for ${channels.join(', ')}`);
+
+        res.json({
+            return_code: "SUCCESS",
+            weeks: weeks,
+            latest_week: weeks.length > 0 ? weeks[0].year_week : null,
+            total_count: weeks.length
+        });
+
+    } catch (error) {
+        console.error('GET_AVAILABLE_WEEKS: Database error:', error);
+        res.status(500).json({
+            return_code: "DATABASE_ERROR",
+            message: "Failed to retrieve available weeks from database",
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
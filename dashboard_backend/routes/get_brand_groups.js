@@ -0,0 +1,78 @@
+/*
+=======================================================================================================================================
+API Route: get_brand_groups
+=======================================================================================================================================
+Method: POST
+Purpose: Returns the configurable brand groups used by the brand filter, in display order, with their assigned brands.
+         Also lists the product brands (all channels) not assigned to any group - these fall into the default group.
+         Used by the Brand Groups admin screen.
+=======================================================================================================================================
+Request Payload: {} (empty object)
+
+Success Response:
+{
+  "return_code": "SUCCESS",
+  "brand_groups": [
+    {
+      "id": 1,
+      "name": "Birkenstock",
+      "sort_order": 1,
+      "is_default": false,
+      "brands": ["Birkenstock", "Birkenstock Papillio"]
+    },
+    // ... more groups
+    {
+      "id": 7,
+      "name": "UKD",
+      "sort_order": 1000,
+      "is_default": true,                  // catch-all group, always last
+      "brands": []
+    }
+  ],
+  "unassigned_brands": ["Fly London", "Ecco"],
+  "total_count": 7
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"DATABASE_ERROR"
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const router = express.Router();
+const brandGroupRepository = require('../repositories/brand_group_repository');
+
+// POST /get_brand_groups
+router.post('/', async (req, res) => {
+    try {
+        console.log('GET_BRAND_GROUPS: Fetching brand groups...');
+
+        const [brandGroups, productBrands] = await Promise.all([
+            brandGroupRepository.getBrandGroups(),
+            brandGroupRepository.getProductBrands()
+        ]);
+
+        const assignedBrands = brandGroups.flatMap(group => group.brands.map(brand => brand.toLowerCase()));
+        const unassignedBrands = productBrands.filter(brand => !assignedBrands.includes(brand.toLowerCase()));
+
+        console.log(`GET_BRAND_GROUPS: ${brandGroups.length} groups, ${unassignedBrands.length} unassigned brands`);
+
+        res.json({
+            return_code: "SUCCESS",
+            brand_groups: brandGroups,
+            unassigned_brands: unassignedBrands,
+            total_count: brandGroups.length
+        });
+
+    } catch (error) {
+        console.error('GET_BRAND_GROUPS: Database error:', error);
+        res.status(500).json({
+            return_code: "DATABASE_ERROR",
+            message: "Failed to retrieve brand groups",
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
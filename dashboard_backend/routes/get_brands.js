@@ -1,12 +1,16 @@
 /**
  * GET_BRANDS API Route
  * 
- * This endpoint retrieves unique brands from the products database.
- * It groups specific brands individually and combines others under "UKD".
+ * This endpoint returns the brand filter options from the configurable brand groups
+ * (brand_groups / brand_group_members). Groups are listed in their configured order;
+ * the default group (e.g. "UKD") collects every brand not assigned to a group.
  * 
  * Route: POST /get_brands
  * 
- * Request Payload: {} (empty object)
+ * Request Payload:
+ * {
+ *   "channel": "SHP" | ["SHP", "AMZ"]   // optional, only brands sold on these channels (default: "SHP")
+ * }
  * 
  * Success Response:
  * {
@@ -33,63 +37,59 @@
 
 const express = require('express');
 const router = express.Router();
-const db = require('../db');
+const brandGroupRepository = require('../repositories/brand_group_repository');
+const { parseChannels } = require('../utils/product_filters');
 
 // POST /get_brands
 router.post('/', async (req, res) => {
     try {
         console.log('GET_BRANDS: Starting brands retrieval...');
-        
-        // SQL query to get unique brands from SHP channel products
-        const query = `
-            SELECT DISTINCT brand
-            FROM groupid_performance 
-            WHERE channel = 'SHP' 
-              AND brand IS NOT NULL 
-              AND brand != ''
-            ORDER BY brand ASC
-        `;
-        
-        console.log('GET_BRANDS: Executing database query...');
-        
-        // Execute the query
-        const result = await db.query(query);
-        
-        console.log(`GET_BRANDS: Query successful. Retrieved ${result.rows.length} unique brands`);
-        
-        // Extract brand names from the result
-        const allBrands = result.rows.map(row => row.brand);
-        
-        // Define the specific brands that should be shown individually
-        const specificBrands = ['Birkenstock', 'Rieker', 'Lunar', 'Crocs', 'Hotter', 'Skechers'];
-        
-        // Filter brands that exist in the database and are in our specific list
-        const availableSpecificBrands = specificBrands.filter(brand => 
-            allBrands.some(dbBrand => dbBrand.toLowerCase() === brand.toLowerCase())
-        );
-        
-        // Check if there are any brands that would fall under UKD
-        const hasUKDBrands = allBrands.some(brand => 
-            !specificBrands.some(specificBrand => 
-                specificBrand.toLowerCase() === brand.toLowerCase()
-            )
+
+        const channels = parseChannels(req.body.channel);
+        if (!channels) {
+            return res.status(400).json({
+                return_code: "INVALID_CHANNEL",
+                message: "channel must be a channel code or a list of channel codes"
+            });
+        }
+
+        // Load the configured groups and the brands present on the channel's products
+        const [groups, allBrands] = await Promise.all([
+            brandGroupRepository.getBrandGroups(),
+            brandGroupRepository.getProductBrands(channels)
+        ]);
+
+        console.log(`GET_BRANDS: Query successful. Retrieved ${allBrands.length} unique brands and ${groups.length} brand groups`);
+
+        const brandInProducts = (brand) => allBrands.some(dbBrand => dbBrand.toLowerCase() === brand.toLowerCase());
+        const assignedBrands = groups.flatMap(group => group.brands);
+
+        // Named groups are shown when at least one of their brands has products
+        const availableGroups = groups
+            .filter(group => !group.is_default && group.brands.some(brandInProducts))
+            .map(group => group.name);
+
+        // The default group is shown when any brand is not assigned to a group
+        const defaultGroup = groups.find(group => group.is_default);
+        const hasUnassignedBrands = allBrands.some(brand =>
+            !assignedBrands.some(assigned => assigned.toLowerCase() === brand.toLowerCase())
         );
-        
+
         // Build the final brands list
-        const brands = ['All', ...availableSpecificBrands];
-        if (hasUKDBrands) {
-            brands.push('UKD');
+        const brands = ['All', ...availableGroups];
+        if (defaultGroup && hasUnassignedBrands) {
+            brands.push(defaultGroup.name);
         }
-        
+
         console.log(`GET_BRANDS: Returning ${brands.length} brand options:`, brands);
-        
+
         // Return successful response
         res.json({
             return_code: "SUCCESS",
             brands: brands,
             total_count: brands.length
         });
-        
+
     } catch (error) {
         console.error('GET_BRANDS: Database error:', error);
         res.status(500).json({
@@ -0,0 +1,74 @@
+/*
+=======================================================================================================================================
+API Route: get_channels
+=======================================================================================================================================
+Method: POST
+Purpose: Retrieves the sales channels present in the groupid_performance table with their product counts.
+         This endpoint provides data for the channel switcher in the products dashboard.
+=======================================================================================================================================
+Request Payload:
+{
+  // No specific payload required - endpoint returns all channels
+}
+
+Success Response:
+{
+  "return_code": "SUCCESS",
+  "channels": [
+    { "channel": "SHP", "product_count": 1850 },   // Shopify - always listed first
+    { "channel": "AMZ", "product_count": 420 }     // Amazon
+  ],
+  "default_channel": "SHP",
+  "total_count": 2
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"DATABASE_ERROR"
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { DEFAULT_CHANNEL } = require('../repositories/product_repository');
+
+// POST /get_channels
+router.post('/', async (req, res) => {
+    try {
+        console.log('GET_CHANNELS: Starting channels retrieval...');
+
+        const result = await db.query(`
+            SELECT channel, COUNT(*) AS product_count
+            FROM groupid_performance
+            WHERE channel IS NOT NULL
+              AND channel != ''
+            GROUP BY channel
+            ORDER BY channel = $1 DESC, channel ASC
+        `, [DEFAULT_CHANNEL]);
+
+        const channels = result.rows.map(row => ({
+            channel: row.channel,
+            product_count: parseInt(row.product_count, 10) || 0
+        }));
+
+        console.log(`GET_CHANNELS: Retrieved ${channels.length} channels`);
+
+        res.json({
+            return_code: "SUCCESS",
+            channels: channels,
+            default_channel: DEFAULT_CHANNEL,
+            total_count: channels.length
+        });
+
+    } catch (error) {
+        console.error('GET_CHANNELS: Database error:', error);
+        res.status(500).json({
+            return_code: "DATABASE_ERROR",
+            message: "Failed to retrieve channels from database",
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,108 @@
+/*
+=======================================================================================================================================
+API Route: get_code_performance
+=======================================================================================================================================
+Method: POST
+Purpose: Returns the per-code (size/variant) rows of a product from the performance table, with each code's
+         UK/EU size from skumap. The products table shows them in an expandable row, so a style whose sizes
+         fall into different segments (one size a Winner, another a Loser) stands out.
+=======================================================================================================================================
+Request Payload:
+{
+  "groupid": "ABC123",                     // string, required
+  "channel": "SHP" | ["SHP", "AMZ"]        // optional, channel code or list of codes (default: "SHP")
+}
+
+Success Response:
+{
+  "return_code": "SUCCESS",
+  "codes": [
+    {
+      "code": "ABC123-40",
+      "channel": "SHP",
+      "uksize": "6.5",
+      "eurosize": "40",
+      "sold_qty": 18,
+      "revenue": 540.00,
+      "annual_profit": 310.25,
+      "profit_per_unit": 17.24,
+      "gross_margin": 0.2870,
+      "segment": "Winner",
+      "fail_reason": "",
+      "status": "New",
+      "notes": "",
+      "owner": "John Doe",
+      "last_reviewed": "2025-07-01T09:00:00Z",
+      "status_date": null,
+      "stock": 4
+    }
+    // ... one entry per code and channel, smallest size first
+  ],
+  "segment_counts": { "Winner": 4, "Loser": 2 },   // codes per segment, "" for codes without a segment
+  "total_count": 6,
+  "channels": ["SHP"]
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"MISSING_GROUPID"
+"INVALID_CHANNEL"
+"SERVER_ERROR"
+"DATABASE_ERROR"
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const router = express.Router();
+const productRepository = require('../repositories/product_repository');
+const { parseChannels } = require('../utils/product_filters');
+
+// POST /get_code_performance
+router.post('/', async (req, res) => {
+    try {
+        const { groupid, channel } = req.body;
+        if (!groupid) {
+            return res.status(400).json({
+                return_code: "MISSING_GROUPID",
+                message: "groupid parameter is required"
+            });
+        }
+
+        const channels = parseChannels(channel);
+        if (!channels) {
+            return res.status(400).json({
+                return_code: "INVALID_CHANNEL",
+                message: "channel must be a channel code or a list of channel codes"
+            });
+        }
+
+        console.log(`GET_CODE_PERFORMANCE: Fetching codes for ${groupid} (${channels.join(', ')})`);
+
+        const codes = await productRepository.getCodePerformance(groupid, { channels });
+
+        const segmentCounts = {};
+        codes.forEach(code => {
+            segmentCounts[code.segment] = (segmentCounts[code.segment] || 0) + 1;
+        });
+
+        console.log(`GET_CODE_PERFORMANCE: ${groupid} - ${codes.length} codes`);
+
+        res.json({
+            return_code: "SUCCESS",
+            codes: codes,
+            segment_counts: segmentCounts,
+            total_count: codes.length,
+            channels: channels
+        });
+
+    } catch (error) {
+        console.error('GET_CODE_PERFORMANCE: Database error:', error);
+        res.status(500).json({
+            return_code: "DATABASE_ERROR",
+            message: "Failed to retrieve code performance",
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
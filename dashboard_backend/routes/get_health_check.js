@@ -0,0 +1,125 @@
+/*
+=======================================================================================================================================
+API Route: get_health_check
+=======================================================================================================================================
+Method: POST
+Purpose: Returns the shopify_health_check view for the Actions screen. The view has one row per Shopify code (size)
+         with stock, sales velocity, days of stock left, slowdown/overstock/price flags and a recommended_action.
+         action_counts always covers every action so the screen can show the groups; rows are one page of a single
+         action, or of every action except "OK" when none is given.
+=======================================================================================================================================
+Request Payload:
+{
+  "recommended_action": "Restock",                // optional, only this action (default: every action except "OK")
+  "owner": "John Doe",                            // optional, exact owner name
+  "brand_filter": "Birkenstock" | "UKD" | etc.,  // optional, brand group name (see get_brand_groups) or a single brand
+  "page": 1,                                      // optional, 1-based page (default: 1)
+  "page_size": 50                                 // optional, rows per page (default: 50, max: 200)
+}
+
+Success Response:
+{
+  "return_code": "SUCCESS",
+  "action_counts": [
+    {
+      "recommended_action": "Restock",
+      "code_count": 42,                          // rows (codes) with this action
+      "product_count": 18                        // distinct groupids with this action
+    }
+    // ... one entry per action, most urgent first, "OK" last
+  ],
+  "rows": [
+    {
+      "code": "ABC123-40",
+      "groupid": "ABC123",
+      "title": "Birkenstock Arizona ...",
+      "brand": "Birkenstock",
+      "owner": "John Doe",
+      "segment": "Winner",
+      "recommended_action": "Restock",
+      "local_stock": 1,
+      "ukd_stock": 2,
+      "total_stock": 3,
+      "sales_30d": 9,
+      "sales_90d": 25,
+      "sales_velocity_per_day": 0.30,
+      "days_of_stock_left": 10.00,               // 0 when there were no sales in the last 30 days
+      "shopifyprice_current": 69.99,
+      "rrp": 75.00,
+      "annual_profit": 1250.75,
+      "profit_per_unit": 27.79,
+      "flags": {
+        "no_sales_90d": false,
+        "sales_slowdown": false,
+        "price_check": false,
+        "overstock": false
+      }
+    }
+    // ... more rows
+  ],
+  "recommended_action": "Restock",               // null when every action except "OK" was requested
+  "total_count": 42,
+  "pagination": {
+    "page": 1, "page_size": 50, "current_count": 42, "total_count": 42, "total_pages": 1, "has_more": false
+  }
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"INVALID_ACTION"
+"SERVER_ERROR"
+"DATABASE_ERROR"
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const router = express.Router();
+const { parsePaging, buildPagePagination } = require('../utils/product_filters');
+const { getActionCounts, getHealthCheckRows } = require('../repositories/health_check_repository');
+
+// POST /get_health_check
+router.post('/', async (req, res) => {
+    try {
+        console.log('GET_HEALTH_CHECK: Starting health check retrieval...');
+
+        const { owner, brand_filter } = req.body;
+        const recommendedAction = req.body.recommended_action || null;
+        if (recommendedAction !== null && typeof recommendedAction !== 'string') {
+            return res.status(400).json({
+                return_code: "INVALID_ACTION",
+                message: "recommended_action must be an action name"
+            });
+        }
+
+        const paging = parsePaging(req.body);
+        const filters = { owner, brand_filter };
+
+        console.log(`GET_HEALTH_CHECK: Action: ${recommendedAction || 'all except OK'}, owner: ${owner || 'any'}, brand: ${brand_filter || 'any'}, page: ${paging.page}`);
+
+        const [actionCounts, { rows, totalCount }] = await Promise.all([
+            getActionCounts(filters),
+            getHealthCheckRows({ ...filters, recommended_action: recommendedAction }, paging)
+        ]);
+
+        console.log(`GET_HEALTH_CHECK: Retrieved ${rows.length} of ${totalCount} rows across ${actionCounts.length} actions`);
+
+        res.json({
+            return_code: "SUCCESS",
+            action_counts: actionCounts,
+            rows: rows,
+            recommended_action: recommendedAction,
+            total_count: totalCount,
+            pagination: buildPagePagination(paging, rows.length, totalCount)
+        });
+
+    } catch (error) {
+        console.error('GET_HEALTH_CHECK: Database error:', error);
+        res.status(500).json({
+            return_code: "DATABASE_ERROR",
+            message: "Failed to retrieve health check from database",
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,180 @@
+/*
+=======================================================================================================================================
+API Route: get_overall_stats
+=======================================================================================================================================
+Method: POST
+Purpose: Returns the overall statistics for every product matching the product list filters (same filters as get_products).
+         Totals and averages are computed in the database; average profit per unit and average gross margin are
+         weighted by sold quantity. With a comparison_period or compare_week the previous-period totals and changes
+         are included, using the same weeks as get_products_comparison.
+=======================================================================================================================================
+Request Payload:
+{
+  "comparison_period": "week" | "month",          // optional, include previous-period totals (default: current totals only)
+  "compare_week": "2024-W27",                     // optional, explicit week to compare against (overrides comparison_period)
+  "current_week": "2025-W27",                     // optional, week of the current figures (default: live figures);
+                                                  //   requires compare_week
+  "channel": "SHP" | ["SHP", "AMZ"],             // optional, channel code or list of codes (default: "SHP")
+  "season_filter": "Summer" | "Winter",           // optional, includes only products with this season
+  "season_filter_exclude": "Summer" | "Winter",  // optional, excludes products with this season
+  "brand_filter": "Birkenstock" | "UKD" | etc.,  // optional, brand group name (see get_brand_groups) or a single brand
+  "owner": "John Doe",                            // optional, exact owner name
+  "owners": ["John Doe", "Jane Smith"],           // optional, any of these owners ("owners[]" also accepted)
+  "brands": ["Birkenstock", "UKD"],               // optional, any of these brand groups or brands
+  "segments": ["Winner", "Neutral"],              // optional, any of these segments
+  "seasons": ["Summer", "Any"],                   // optional, any of these skusummary seasons
+  "annual_profit_min": 100,                       // optional, inclusive bounds ("<column>_min" / "<column>_max") on
+  "avg_gross_margin_max": 0.2,                    //   annual_profit, sold_qty, avg_profit_per_unit, avg_gross_margin
+  "stock_min": 30,                                //   (a fraction), stock and recommended_price
+  "price_gap_over": 10,                           // optional, only products priced more than this % above or below
+                                                  //   their recommended price
+  "status": "Reviewing",                          // optional, workflow status (New, Reviewing, Actioned, Monitoring)
+  "tasks_only": true,                             // optional, only products with no next review date or one that is due
+  "search": "birk"                                // optional, matches groupid, title, brand, owner, segment and notes
+}
+
+Success Response:
+{
+  "return_code": "SUCCESS",
+  "overall_stats": {
+    "current": {
+      "total_annual_profit": 125000.50,          // numeric, sum of annual_profit
+      "total_sold_qty": 4500,                    // integer, sum of sold_qty
+      "avg_profit_per_unit": 27.78,              // numeric, weighted by sold_qty
+      "avg_gross_margin": 0.2450,                // numeric, weighted by sold_qty
+      "total_products": 175                      // integer, products matching the filters
+    },
+    "previous": {                                // null without a comparison_period or comparison data
+      "total_annual_profit": 118000.25,          // totals of the matching products with comparison week data
+      "total_sold_qty": 4200,
+      "avg_profit_per_unit": 28.10,
+      "avg_gross_margin": 0.2400,
+      "total_products": 150
+    },
+    "changes": {                                 // null when previous is null
+      "total_annual_profit_change": 7000.25,
+      "total_annual_profit_change_percent": 5.93,
+      "total_sold_qty_change": 300,
+      "total_sold_qty_change_percent": 7.14,
+      "avg_profit_per_unit_change": -0.32,
+      "avg_profit_per_unit_change_percent": -1.14,
+      "avg_gross_margin_change": 0.0050,
+      "avg_gross_margin_change_percent": 2.08,
+      "total_products_change": 25,
+      "total_products_change_percent": 16.67
+    }
+  },
+  "comparison_info": {                           // null without a comparison_period
+    "current_week": "2025-W27",
+    "comparison_week": "2025-W26",
+    "comparison_period": "week" | "month" | "custom",
+    "comparison_label": "Previous Week",
+    "is_snapshot": false
+  },
+  "channels": ["SHP"]
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"INVALID_CHANNEL"
+"INVALID_STATUS"
+"INVALID_FILTER"
+"INVALID_RANGE"
+"INVALID_PRICE_GAP"
+"INVALID_PERIOD"
+"INVALID_WEEK"
+"WEEK_NOT_FOUND"
+"SERVER_ERROR"
+"DATABASE_ERROR"
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const router = express.Router();
+const { parseProductFilterRequest } = require('../utils/product_filters');
+const {
+    resolveComparisonWeek,
+    resolveSelectedWeeks,
+    getOverallStats
+} = require('../repositories/performance_repository');
+const { isYearWeek } = require('../utils/iso_week');
+
+// POST /get_overall_stats
+router.post('/', async (req, res) => {
+    try {
+        console.log('GET_OVERALL_STATS: Starting overall stats retrieval...');
+
+        // Explicit weeks take precedence over the comparison period
+        const currentWeekParam = req.body.current_week || null;
+        const compareWeekParam = req.body.compare_week || null;
+        const comparisonPeriod = compareWeekParam ? 'custom' : (req.body.comparison_period || null);
+
+        if (currentWeekParam && !compareWeekParam) {
+            return res.status(400).json({
+                return_code: "INVALID_WEEK",
+                message: "compare_week is required when current_week is given"
+            });
+        }
+        if ([currentWeekParam, compareWeekParam].some(week => week && !isYearWeek(week))) {
+            return res.status(400).json({
+                return_code: "INVALID_WEEK",
+                message: "Weeks must be valid ISO weeks in YYYY-Www format, e.g. 2025-W07"
+            });
+        }
+        if (req.body.comparison_period && !['week', 'month'].includes(req.body.comparison_period)) {
+            return res.status(400).json({
+                return_code: "INVALID_PERIOD",
+                message: "comparison_period must be 'week' or 'month'"
+            });
+        }
+
+        const { filters: requestFilters, error: filterError } = parseProductFilterRequest(req.body);
+        if (filterError) {
+            return res.status(400).json(filterError);
+        }
+        const { channels } = requestFilters;
+        console.log(`GET_OVERALL_STATS: Channels: ${channels.join(', ')}, comparison period: ${comparisonPeriod || 'none'}`);
+
+        let comparisonInfo = null;
+        if (compareWeekParam) {
+            comparisonInfo = await resolveSelectedWeeks(channels, currentWeekParam, compareWeekParam);
+            if (!comparisonInfo) {
+                return res.status(404).json({
+                    return_code: "WEEK_NOT_FOUND",
+                    message: "No performance data found for the selected week"
+                });
+            }
+        } else if (comparisonPeriod) {
+            comparisonInfo = await resolveComparisonWeek(channels, comparisonPeriod);
+        }
+        if (comparisonInfo) {
+            console.log(`GET_OVERALL_STATS: Comparing ${comparisonInfo.current_week} vs ${comparisonInfo.comparison_week || 'none'}`);
+        }
+
+        const overallStats = await getOverallStats(
+            requestFilters,
+            comparisonInfo ? comparisonInfo.comparison_week : null,
+            comparisonInfo && comparisonInfo.is_snapshot ? comparisonInfo.current_week : null
+        );
+
+        console.log(`GET_OVERALL_STATS: Stats computed for ${overallStats.current.total_products} products`);
+
+        res.json({
+            return_code: "SUCCESS",
+            overall_stats: overallStats,
+            comparison_info: comparisonInfo ? { ...comparisonInfo, comparison_period: comparisonPeriod } : null,
+            channels: channels
+        });
+
+    } catch (error) {
+        console.error('GET_OVERALL_STATS: Database error:', error);
+
+        res.status(500).json({
+            return_code: "DATABASE_ERROR",
+            message: "Failed to retrieve overall statistics from database",
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
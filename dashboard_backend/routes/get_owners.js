@@ -3,12 +3,12 @@
 API Route: get_owners
 =======================================================================================================================================
 Method: POST
-Purpose: Retrieves a list of unique product owners from the groupid_performance table (SHP channel only).
+Purpose: Retrieves a list of unique product owners from the groupid_performance table for the requested channel(s).
          This endpoint provides data for the owner filter dropdown in the products dashboard.
 =======================================================================================================================================
 Request Payload:
 {
-  // No specific payload required - endpoint returns all unique owners
+  "channel": "SHP" | ["SHP", "AMZ"]        // optional, channel code or list of codes (default: "SHP")
 }
 
 Success Response:
@@ -25,6 +25,7 @@ Success Response:
 =======================================================================================================================================
 Return Codes:
 "SUCCESS"
+"INVALID_CHANNEL"
 "SERVER_ERROR"
 "DATABASE_ERROR"
 =======================================================================================================================================
@@ -33,17 +34,26 @@ Return Codes:
 const express = require('express');
 const router = express.Router();
 const db = require('../db');
+const { parseChannels } = require('../utils/product_filters');
 
 // POST /get_owners
 router.post('/', async (req, res) => {
     try {
         console.log('GET_OWNERS: Starting owners retrieval...');
-        
-        // SQL query to get unique owners from SHP channel products
+
+        const channels = parseChannels(req.body.channel);
+        if (!channels) {
+            return res.status(400).json({
+                return_code: "INVALID_CHANNEL",
+                message: "channel must be a channel code or a list of channel codes"
+            });
+        }
+
+        // SQL query to get unique owners from the channel's products
         const query = `
             SELECT DISTINCT owner
             FROM groupid_performance 
-            WHERE channel = 'SHP' 
+            WHERE channel = ANY($1)
               AND owner IS NOT NULL 
               AND owner != ''
             ORDER BY owner ASC
@@ -52,7 +62,7 @@ router.post('/', async (req, res) => {
         console.log('GET_OWNERS: Executing database query...');
         
         // Execute the query
-        const result = await db.query(query);
+        const result = await db.query(query, [channels]);
         
         console.log(`GET_OWNERS: Query successful. Retrieved ${result.rows.length} unique owners`);
         
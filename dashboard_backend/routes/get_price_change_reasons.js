@@ -0,0 +1,69 @@
+/*
+=======================================================================================================================================
+API Route: get_price_change_reasons
+=======================================================================================================================================
+Method: POST
+Purpose: Retrieves the list of allowed price change reasons from the price_change_reasons table.
+         This endpoint provides the options for the "Change price" dialog on the product details page.
+=======================================================================================================================================
+Request Payload:
+{
+  // No specific payload required - endpoint returns all reasons
+}
+
+Success Response:
+{
+  "return_code": "SUCCESS",
+  "reasons": [
+    {
+      "id": 1,                             // integer, price_change_reasons.id
+      "reason": "Competitor price"         // string, stored as price_change_log.reason_code
+    }
+    // ... more reasons
+  ],
+  "total_count": 6                         // integer, total number of reasons
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"DATABASE_ERROR"
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+
+// POST /get_price_change_reasons
+router.post('/', async (req, res) => {
+    try {
+        console.log('GET_PRICE_CHANGE_REASONS: Starting reasons retrieval...');
+
+        const query = `
+            SELECT id, reason
+            FROM price_change_reasons
+            ORDER BY reason ASC
+        `;
+
+        const result = await db.query(query);
+
+        console.log(`GET_PRICE_CHANGE_REASONS: Retrieved ${result.rows.length} reasons`);
+
+        res.json({
+            return_code: "SUCCESS",
+            reasons: result.rows,
+            total_count: result.rows.length
+        });
+
+    } catch (error) {
+        console.error('GET_PRICE_CHANGE_REASONS: Database error:', error);
+
+        res.status(500).json({
+            return_code: "DATABASE_ERROR",
+            message: "Failed to retrieve price change reasons from database",
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,92 @@
+/*
+=======================================================================================================================================
+API Route: get_price_history
+=======================================================================================================================================
+Method: POST
+Purpose: Returns one page of a product's price change history on one channel from price_change_log.
+         Used by the product details page "Show More" button so paging does not reload the whole product.
+=======================================================================================================================================
+Request Payload:
+{
+  "groupid": "ABC123",                     // string, required
+  "channel": "SHP",                        // string, optional (default: "SHP")
+  "limit": 10,                             // integer, optional (default: 5, max: 100)
+  "offset": 5                              // integer, optional (default: 0)
+}
+
+Success Response:
+{
+  "return_code": "SUCCESS",
+  "price_history": [
+    {
+      "id": 812,
+      "date": "2024-07-20",
+      "old_price": 25.99,
+      "new_price": 27.99,
+      "change_amount": 2.00,
+      "change_percent": 7.70,
+      "reason": "Market adjustment",
+      "reason_notes": "",
+      "changed_by": "Andreas",
+      "channel": "SHP"
+    }
+    // ... more price changes
+  ],
+  "pagination": {
+    "limit": 10, "offset": 5, "current_count": 9, "total_count": 14, "has_more": false
+  }
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"MISSING_GROUPID"
+"INVALID_CHANNEL"
+"DATABASE_ERROR"
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const router = express.Router();
+const productRepository = require('../repositories/product_repository');
+const { parseChannels } = require('../utils/product_filters');
+
+// POST /get_price_history
+router.post('/', async (req, res) => {
+    try {
+        const { groupid, limit, offset } = req.body;
+        if (!groupid) {
+            return res.status(400).json({
+                return_code: "MISSING_GROUPID",
+                message: "groupid parameter is required"
+            });
+        }
+
+        const channels = parseChannels(req.body.channel);
+        if (!channels || channels.length > 1) {
+            return res.status(400).json({
+                return_code: "INVALID_CHANNEL",
+                message: "channel must be a single channel code"
+            });
+        }
+
+        console.log(`GET_PRICE_HISTORY: Fetching ${channels[0]} price history for ${groupid} (limit ${limit}, offset ${offset})`);
+
+        const priceHistory = await productRepository.getPriceHistory(groupid, { channel: channels[0], limit, offset });
+
+        res.json({
+            return_code: "SUCCESS",
+            price_history: priceHistory.rows,
+            pagination: priceHistory.pagination
+        });
+
+    } catch (error) {
+        console.error('GET_PRICE_HISTORY: Database error:', error);
+        res.status(500).json({
+            return_code: "DATABASE_ERROR",
+            message: "Failed to retrieve price history",
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,126 @@
+/*
+=======================================================================================================================================
+API Route: get_product_performance_history
+=======================================================================================================================================
+Method: POST
+Purpose: Returns a product's weekly performance snapshots (groupid_performance_week) and its price changes
+         (price_change_log) over a date range, for the performance chart on the product details page.
+         Weeks are included when they overlap the range; without a range every stored week is returned.
+=======================================================================================================================================
+Request Payload:
+{
+  "groupid": "ABC123",                     // string, required
+  "channel": "SHP",                        // string, optional, single channel code (default: "SHP")
+  "from_date": "2025-01-01",               // string (YYYY-MM-DD), optional (default: earliest week)
+  "to_date": "2025-07-06"                  // string (YYYY-MM-DD), optional (default: latest week)
+}
+
+Success Response:
+{
+  "return_code": "SUCCESS",
+  "weekly_performance": [
+    {
+      "year_week": "2025-W01",
+      "week_start": "2024-12-30",          // Monday of the week
+      "annual_profit": 1180.50,
+      "sold_qty": 42,
+      "avg_profit_per_unit": 28.11
+    }
+    // ... one entry per week, oldest first
+  ],
+  "price_changes": [
+    {
+      "id": 812,
+      "date": "2025-03-12",
+      "old_price": 29.99,
+      "new_price": 27.99,
+      "change_amount": -2.00,
+      "change_percent": -6.67,
+      "reason": "Market adjustment",
+      "reason_notes": "",
+      "changed_by": "Andreas",
+      "channel": "SHP"
+    }
+    // ... every change in the range, oldest first
+  ],
+  "channel": "SHP"
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"MISSING_GROUPID"
+"INVALID_CHANNEL"
+"INVALID_DATE"
+"SERVER_ERROR"
+"DATABASE_ERROR"
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const router = express.Router();
+const productRepository = require('../repositories/product_repository');
+const { parseChannels } = require('../utils/product_filters');
+const { getYearWeekOfDate } = require('../utils/iso_week');
+const { parseDateRange } = require('../utils/date_range');
+
+// POST /get_product_performance_history
+router.post('/', async (req, res) => {
+    try {
+        const { groupid, channel } = req.body;
+
+        if (!groupid) {
+            return res.status(400).json({
+                return_code: "MISSING_GROUPID",
+                message: "groupid parameter is required"
+            });
+        }
+
+        const channels = parseChannels(channel);
+        if (!channels || channels.length > 1) {
+            return res.status(400).json({
+                return_code: "INVALID_CHANNEL",
+                message: "channel must be a single channel code"
+            });
+        }
+        const productChannel = channels[0];
+
+        const dateRange = parseDateRange(req.body);
+        if (!dateRange) {
+            return res.status(400).json({
+                return_code: "INVALID_DATE",
+                message: "from_date and to_date must be dates in YYYY-MM-DD format, with from_date not after to_date"
+            });
+        }
+        const { fromDate, toDate } = dateRange;
+
+        // Weeks overlapping the range - the weeks containing the first and last day
+        const fromWeek = fromDate ? getYearWeekOfDate(new Date(`${fromDate}T00:00:00Z`)) : null;
+        const toWeek = toDate ? getYearWeekOfDate(new Date(`${toDate}T00:00:00Z`)) : null;
+
+        console.log(`GET_PRODUCT_PERFORMANCE_HISTORY: ${groupid} (${productChannel}) from ${fromWeek || 'start'} to ${toWeek || 'latest'}`);
+
+        const [weeklyPerformance, priceChanges] = await Promise.all([
+            productRepository.getWeeklyPerformance(groupid, { channel: productChannel, fromWeek, toWeek }),
+            productRepository.getPriceChangesInRange(groupid, { channel: productChannel, fromDate, toDate })
+        ]);
+
+        console.log(`GET_PRODUCT_PERFORMANCE_HISTORY: ${groupid} - ${weeklyPerformance.length} weeks, ${priceChanges.length} price changes`);
+
+        res.json({
+            return_code: "SUCCESS",
+            weekly_performance: weeklyPerformance,
+            price_changes: priceChanges,
+            channel: productChannel
+        });
+
+    } catch (error) {
+        console.error('GET_PRODUCT_PERFORMANCE_HISTORY: Database error:', error);
+        res.status(500).json({
+            return_code: "DATABASE_ERROR",
+            message: "Failed to retrieve product performance history",
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,166 @@
+/*
+=======================================================================================================================================
+API Route: get_product_sales_summary
+=======================================================================================================================================
+Method: POST
+Purpose: Aggregates a product's sales (sales table) per day or per week over a date range for one channel.
+         Revenue is net of VAT (soldprice * qty less collectedvat); returns (rows with a returnsaleid) are totalled
+         separately rather than netted off. Also returns the sold-price distribution over the same range,
+         like the get_price_detail() SQL function, to show at which price points the product actually sells.
+=======================================================================================================================================
+Request Payload:
+{
+  "groupid": "ABC123",                     // string, required
+  "channel": "SHP",                        // string, optional, single channel code (default: "SHP")
+  "interval": "day" | "week",              // string, optional (default: "day"); weeks start on Monday
+  "from_date": "2025-04-08",               // string (YYYY-MM-DD), optional (default: 90 days up to to_date)
+  "to_date": "2025-07-06"                  // string (YYYY-MM-DD), optional (default: today)
+}
+
+Success Response:
+{
+  "return_code": "SUCCESS",
+  "periods": [
+    {
+      "period_start": "2025-06-30",        // day, or Monday of the week
+      "units": 12,
+      "net_revenue": 251.00,
+      "profit": 109.44,
+      "orders": 11,
+      "returned_units": 1,                 // positive, units on return rows
+      "returned_revenue": 20.92            // positive, net revenue refunded
+    }
+    // ... one entry per period with sales or returns, oldest first
+  ],
+  "totals": {
+    "units": 140,
+    "net_revenue": 2930.50,
+    "profit": 1277.10,
+    "orders": 131,
+    "returned_units": 6,
+    "returned_revenue": 125.52,
+    "return_rate": 4.29                    // returned units as a percentage of units sold, null without sales
+  },
+  "price_distribution": [
+    {
+      "sold_price": 29.99,
+      "units": 80,
+      "net_revenue": 1999.33,
+      "profit": 920.00,
+      "units_percent": 57.14               // share of the units sold in the range
+    }
+    // ... one entry per sold price, highest first
+  ],
+  "interval": "day",
+  "from_date": "2025-04-08",
+  "to_date": "2025-07-06",
+  "channel": "SHP"
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"MISSING_GROUPID"
+"INVALID_CHANNEL"
+"INVALID_INTERVAL"
+"INVALID_DATE"
+"SERVER_ERROR"
+"DATABASE_ERROR"
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const router = express.Router();
+const productRepository = require('../repositories/product_repository');
+const { parseChannels } = require('../utils/product_filters');
+const { parseDateRange } = require('../utils/date_range');
+
+const INTERVALS = ['day', 'week'];
+const DEFAULT_RANGE_DAYS = 90;
+
+// Round a currency total to pennies
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// POST /get_product_sales_summary
+router.post('/', async (req, res) => {
+    try {
+        const { groupid, channel } = req.body;
+        const interval = req.body.interval || 'day';
+
+        if (!groupid) {
+            return res.status(400).json({
+                return_code: "MISSING_GROUPID",
+                message: "groupid parameter is required"
+            });
+        }
+
+        const channels = parseChannels(channel);
+        if (!channels || channels.length > 1) {
+            return res.status(400).json({
+                return_code: "INVALID_CHANNEL",
+                message: "channel must be a single channel code"
+            });
+        }
+        const productChannel = channels[0];
+
+        if (!INTERVALS.includes(interval)) {
+            return res.status(400).json({
+                return_code: "INVALID_INTERVAL",
+                message: "interval must be 'day' or 'week'"
+            });
+        }
+
+        const dateRange = parseDateRange(req.body, { defaultDays: DEFAULT_RANGE_DAYS });
+        if (!dateRange) {
+            return res.status(400).json({
+                return_code: "INVALID_DATE",
+                message: "from_date and to_date must be dates in YYYY-MM-DD format, with from_date not after to_date"
+            });
+        }
+        const { fromDate, toDate } = dateRange;
+
+        console.log(`GET_PRODUCT_SALES_SUMMARY: ${groupid} (${productChannel}) per ${interval} from ${fromDate} to ${toDate}`);
+
+        const [periods, priceDistribution] = await Promise.all([
+            productRepository.getSalesSummary(groupid, { channel: productChannel, interval, fromDate, toDate }),
+            productRepository.getSoldPriceDistribution(groupid, { channel: productChannel, fromDate, toDate })
+        ]);
+
+        const totals = periods.reduce((sum, period) => ({
+            units: sum.units + period.units,
+            net_revenue: sum.net_revenue + period.net_revenue,
+            profit: sum.profit + period.profit,
+            orders: sum.orders + period.orders,
+            returned_units: sum.returned_units + period.returned_units,
+            returned_revenue: sum.returned_revenue + period.returned_revenue
+        }), { units: 0, net_revenue: 0, profit: 0, orders: 0, returned_units: 0, returned_revenue: 0 });
+
+        console.log(`GET_PRODUCT_SALES_SUMMARY: ${groupid} - ${periods.length} periods, ${totals.units} units, ${priceDistribution.length} price points`);
+
+        res.json({
+            return_code: "SUCCESS",
+            periods: periods,
+            totals: {
+                ...totals,
+                net_revenue: roundMoney(totals.net_revenue),
+                profit: roundMoney(totals.profit),
+                returned_revenue: roundMoney(totals.returned_revenue),
+                return_rate: totals.units > 0 ? roundMoney(totals.returned_units / totals.units * 100) : null
+            },
+            price_distribution: priceDistribution,
+            interval: interval,
+            from_date: fromDate,
+            to_date: toDate,
+            channel: productChannel
+        });
+
+    } catch (error) {
+        console.error('GET_PRODUCT_SALES_SUMMARY: Database error:', error);
+        res.status(500).json({
+            return_code: "DATABASE_ERROR",
+            message: "Failed to retrieve product sales summary",
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
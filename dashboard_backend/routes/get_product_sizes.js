@@ -0,0 +1,110 @@
+/*
+=======================================================================================================================================
+API Route: get_product_sizes
+=======================================================================================================================================
+Method: POST
+Purpose: Returns the size-level breakdown of a product (groupid): one entry per skumap code with its UK/EU size,
+         local stock (localstock), UKD stock (ukdstock), units sold in the last 30/90/365 days (sales) and days of
+         cover, so the product details page can show which sizes need reordering.
+         Stock is shared between channels, so sales from every channel are counted unless a channel is given.
+=======================================================================================================================================
+Request Payload:
+{
+  "groupid": "ABC123",                     // string, required
+  "channel": "SHP" | ["SHP", "AMZ"]        // optional, only count sales on these channels (default: every channel)
+}
+
+Success Response:
+{
+  "return_code": "SUCCESS",
+  "sizes": [
+    {
+      "code": "ABC123-40",
+      "uksize": "6.5",
+      "eurosize": "40",
+      "local_stock": 3,
+      "ukd_stock": 12,
+      "total_stock": 15,
+      "sold_30d": 4,                       // units, net of returns
+      "sold_90d": 11,
+      "sold_365d": 38,
+      "days_of_cover": 112.5               // total_stock / (sold_30d / 30), null without sales in the last 30 days
+    }
+    // ... one entry per size, smallest first
+  ],
+  "totals": {
+    "local_stock": 20, "ukd_stock": 64, "total_stock": 84,
+    "sold_30d": 19, "sold_90d": 52, "sold_365d": 180,
+    "days_of_cover": 132.6
+  },
+  "channels": null                         // channels whose sales are counted, null for every channel
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"MISSING_GROUPID"
+"INVALID_CHANNEL"
+"SERVER_ERROR"
+"DATABASE_ERROR"
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const router = express.Router();
+const productRepository = require('../repositories/product_repository');
+const { parseChannels } = require('../utils/product_filters');
+
+const TOTAL_FIELDS = ['local_stock', 'ukd_stock', 'total_stock', 'sold_30d', 'sold_90d', 'sold_365d'];
+
+// POST /get_product_sizes
+router.post('/', async (req, res) => {
+    try {
+        const { groupid, channel } = req.body;
+        if (!groupid) {
+            return res.status(400).json({
+                return_code: "MISSING_GROUPID",
+                message: "groupid parameter is required"
+            });
+        }
+
+        // Sales from every channel unless channels are given
+        const channels = channel ? parseChannels(channel) : null;
+        if (channel && !channels) {
+            return res.status(400).json({
+                return_code: "INVALID_CHANNEL",
+                message: "channel must be a channel code or a list of channel codes"
+            });
+        }
+
+        console.log(`GET_PRODUCT_SIZES: Fetching sizes for ${groupid} (sales on ${channels ? channels.join(', ') : 'all channels'})`);
+
+        const sizes = await productRepository.getSizeBreakdown(groupid, { channels });
+
+        const totals = {};
+        TOTAL_FIELDS.forEach(field => {
+            totals[field] = sizes.reduce((sum, size) => sum + size[field], 0);
+        });
+        totals.days_of_cover = totals.sold_30d > 0
+            ? Math.round(totals.total_stock / (totals.sold_30d / 30) * 10) / 10
+            : null;
+
+        console.log(`GET_PRODUCT_SIZES: ${groupid} - ${sizes.length} sizes, ${totals.total_stock} in stock`);
+
+        res.json({
+            return_code: "SUCCESS",
+            sizes: sizes,
+            totals: totals,
+            channels: channels
+        });
+
+    } catch (error) {
+        console.error('GET_PRODUCT_SIZES: Database error:', error);
+        res.status(500).json({
+            return_code: "DATABASE_ERROR",
+            message: "Failed to retrieve product sizes",
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
@@ -3,15 +3,38 @@
 API Route: get_products
 =======================================================================================================================================
 Method: POST
-Purpose: Retrieves SHP channel products from the groupid_performance table ordered by annual_profit in descending order.
-         This endpoint provides the main data for the products dashboard display, filtered to show only Shopify (SHP) products.
+Purpose: Retrieves one page of products from the groupid_performance table, ordered by annual_profit in descending
+         order unless another sort is requested.
+         This endpoint provides the main data for the products dashboard display, filtered to the requested channel(s)
+         (Shopify / SHP by default). With several channels a product is returned once per channel.
          Supports optional seasonal filtering to show only summer or winter products.
+         The brand filter is resolved through the configurable brand groups (brand_groups table).
+         Searching, owner filtering, sorting and paging are done in the database.
+         Overall totals for the filtered products come from get_overall_stats.
 =======================================================================================================================================
 Request Payload:
 {
+  "channel": "SHP" | ["SHP", "AMZ"],             // optional, channel code or list of codes (default: "SHP")
   "season_filter": "Summer" | "Winter",           // optional, includes only products with this season
   "season_filter_exclude": "Summer" | "Winter",  // optional, excludes products with this season
-  "brand_filter": "Birkenstock" | "UKD" | etc.   // optional, filters by specific brand
+  "brand_filter": "Birkenstock" | "UKD" | etc.,  // optional, brand group name (see get_brand_groups) or a single brand
+  "owner": "John Doe",                            // optional, exact owner name
+  "owners": ["John Doe", "Jane Smith"],           // optional, any of these owners ("owners[]" also accepted)
+  "brands": ["Birkenstock", "UKD"],               // optional, any of these brand groups or brands
+  "segments": ["Winner", "Neutral"],              // optional, any of these segments
+  "seasons": ["Summer", "Any"],                   // optional, any of these skusummary seasons
+  "annual_profit_min": 100,                       // optional, inclusive bounds ("<column>_min" / "<column>_max") on
+  "avg_gross_margin_max": 0.2,                    //   annual_profit, sold_qty, avg_profit_per_unit, avg_gross_margin
+  "stock_min": 30,                                //   (a fraction), stock and recommended_price
+  "price_gap_over": 10,                           // optional, only products priced more than this % above or below
+                                                  //   their recommended price
+  "status": "Reviewing",                          // optional, workflow status (New, Reviewing, Actioned, Monitoring)
+  "tasks_only": true,                             // optional, only products with no next review date or one that is due
+  "search": "birk",                               // optional, matches groupid, title, brand, owner, segment and notes
+  "sort_key": "annual_profit",                    // optional, column to sort by (default: "annual_profit")
+  "sort_dir": "asc" | "desc",                     // optional, sort direction (default: "desc")
+  "page": 1,                                      // optional, 1-based page number (default: 1)
+  "page_size": 50                                 // optional, products per page (default: 50, max: 200)
 }
 
 Success Response:
@@ -25,21 +48,51 @@ Success Response:
       "sold_qty": 45,                        // integer, quantity sold
       "avg_profit_per_unit": 27.79,          // numeric, average profit per unit
       "segment": "Winner",                   // string, product segment classification
+      "status": "Reviewing",                 // string, workflow status
+      "status_date": "2024-07-15T09:12:00Z", // timestamp, when the status last changed
       "notes": "High performing product",    // string, additional notes
       "owner": "John Doe",                   // string, product owner/manager
       "brand": "Nike",                       // string, product brand
       "next_review_date": "2024-08-15",      // date, next review date
       "review_date": "2024-07-15",           // date, last review date
       "avg_gross_margin": 0.2500,            // numeric, average gross margin percentage
-      "recommended_price": 29.99             // numeric, recommended price for the product
+      "recommended_price": 29.99,            // numeric, recommended price for the product
+      "stock": 12,                           // integer, stock on hand
+      "shopify_title": "Arizona Birko-Flor", // string, product title (null when there is no title row)
+      "cost": 14.20,                         // numeric, skusummary.cost (null when blank)
+      "rrp": 39.99,                          // numeric, skusummary.rrp (null when blank)
+      "season": "Summer",                    // string, skusummary.season
+      "supplier": "Birkenstock UK",          // string, skusummary.supplier
+      "min_price": 24.99,                    // numeric, skusummary.minshopifyprice (null when blank)
+      "max_price": 39.99,                    // numeric, skusummary.maxshopifyprice (null when blank)
+      "current_price": 27.50,                // numeric, skusummary.shopifyprice (null when blank)
+      "price_gap": -2.49,                    // numeric, current_price - recommended_price (null without either)
+      "price_gap_percent": -8.30,            // numeric, price_gap as a % of recommended_price (sort_key "price_gap")
+      "recommended_in_band": true            // boolean, recommended_price lies within min_price / max_price
+                                             //   (null without a recommended price)
     }
     // ... more products
   ],
-  "total_count": 150                         // integer, total number of products returned
+  "channels": ["SHP"],                       // array, channels included in the result
+  "total_count": 150,                        // integer, total number of products matching the filters
+  "pagination": {
+    "page": 1,
+    "page_size": 50,
+    "current_count": 50,                     // integer, products on this page
+    "total_count": 150,
+    "total_pages": 3,
+    "has_more": true
+  }
 }
 =======================================================================================================================================
 Return Codes:
 "SUCCESS"
+"INVALID_CHANNEL"
+"INVALID_STATUS"
+"INVALID_FILTER"
+"INVALID_RANGE"
+"INVALID_PRICE_GAP"
+"INVALID_SORT"
 "SERVER_ERROR"
 "DATABASE_ERROR"
 =======================================================================================================================================
@@ -48,6 +101,19 @@ Return Codes:
 const express = require('express');
 const router = express.Router();
 const db = require('../db');
+const {
+    parseProductFilterRequest,
+    parseSort,
+    parsePaging,
+    buildProductFilters,
+    buildProductSort,
+    buildPagePagination,
+    SKU_SUMMARY_JOIN,
+    SKU_SUMMARY_SELECT,
+    mapSkuSummaryColumns,
+    PRICE_GAP_SELECT,
+    mapPriceGapColumns
+} = require('../utils/product_filters');
 
 // POST /get_products
 router.post('/', async (req, res) => {
@@ -62,58 +128,60 @@ router.post('/', async (req, res) => {
         console.log(`GET_PRODUCTS: Season filter exclude: ${seasonFilterExclude || 'none'}`);
         console.log(`GET_PRODUCTS: Brand filter: ${brandFilter || 'none'}`);
 
-        // Build SQL query with optional season filtering and title information
-        let query = `
-            SELECT gp.*, t.shopifytitle
-            FROM groupid_performance gp
-            LEFT JOIN title t ON gp.groupid = t.groupid
-        `;
+        const { filters: requestFilters, error: filterError } = parseProductFilterRequest(req.body);
+        if (filterError) {
+            return res.status(400).json(filterError);
+        }
+        const { channels } = requestFilters;
+        console.log(`GET_PRODUCTS: Channels: ${channels.join(', ')}`);
 
-        // Add join with skusummary if season filter is provided
-        if (seasonFilter || seasonFilterExclude) {
-            query += `
-            LEFT JOIN skusummary ss ON gp.groupid = ss.groupid
-            `;
+        const sort = parseSort(req.body);
+        if (!sort) {
+            return res.status(400).json({
+                return_code: "INVALID_SORT",
+                message: "sort_key must be a product column and sort_dir must be 'asc' or 'desc'"
+            });
         }
 
-        query += `
-            WHERE gp.channel = 'SHP'
-        `;
+        const paging = parsePaging(req.body);
+        console.log(`GET_PRODUCTS: Sort: ${sort.sort_key} ${sort.sort_dir}, page ${paging.page} (size ${paging.page_size})`);
 
-        // Add filter conditions if provided
-        let queryParams = [];
-        if (seasonFilter) {
-            queryParams.push(seasonFilter);
-            query += ` AND ss.season = $${queryParams.length}`;
-        } else if (seasonFilterExclude) {
-            queryParams.push(seasonFilterExclude);
-            query += ` AND (ss.season IS NULL OR ss.season != $${queryParams.length})`;
-        }
+        // Build channel/season/brand/owner/search filter clauses (brand_filter is resolved through the brand groups)
+        const queryParams = [];
+        const filters = buildProductFilters(requestFilters, queryParams);
 
-        // Add brand filter condition if provided
-        if (brandFilter) {
-            if (brandFilter === 'UKD') {
-                // UKD represents all brands except the specific ones
-                query += ` AND (gp.brand IS NULL OR gp.brand = '' OR gp.brand NOT IN ('Birkenstock', 'Rieker', 'Lunar', 'Crocs', 'Hotter', 'Skechers'))`;
-            } else {
-                // Filter for specific brand
-                queryParams.push(brandFilter);
-                query += ` AND gp.brand = $${queryParams.length}`;
-            }
-        }
+        // Build SQL query for the requested page with title and SKU summary information
+        // LIMIT/OFFSET placeholders follow the filter placeholders
+        const query = `
+            SELECT gp.*, t.shopifytitle, ${SKU_SUMMARY_SELECT}, ${PRICE_GAP_SELECT}
+            FROM groupid_performance gp
+            LEFT JOIN title t ON gp.groupid = t.groupid
+            ${SKU_SUMMARY_JOIN}
+            ${filters.joinClause}
+            ${filters.whereClause}
+            ${buildProductSort(sort)}
+            LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}
+        `;
 
-        query += `
-            ORDER BY gp.annual_profit DESC NULLS LAST
+        // Count of every product matching the filters
+        const countQuery = `
+            SELECT COUNT(*) AS total_products
+            FROM groupid_performance gp
+            ${filters.joinClause}
+            ${filters.whereClause}
         `;
 
-        console.log('GET_PRODUCTS: Executing database query...');
+        console.log('GET_PRODUCTS: Executing database queries...');
 
-        // Execute the query with parameters
-        const result = queryParams.length > 0 ?
-            await db.query(query, queryParams) :
-            await db.query(query);
-        
-        console.log(`GET_PRODUCTS: Query successful. Retrieved ${result.rows.length} products`);
+        // Execute the page and count queries with parameters
+        const [result, countResult] = await Promise.all([
+            db.query(query, [...queryParams, paging.limit, paging.offset]),
+            db.query(countQuery, queryParams)
+        ]);
+
+        const totalCount = parseInt(countResult.rows[0].total_products, 10);
+
+        console.log(`GET_PRODUCTS: Query successful. Retrieved ${result.rows.length} of ${totalCount} products`);
         
         // Format the response data
         const products = result.rows.map(row => ({
@@ -123,6 +191,8 @@ router.post('/', async (req, res) => {
             sold_qty: row.sold_qty || 0,
             avg_profit_per_unit: row.avg_profit_per_unit ? parseFloat(row.avg_profit_per_unit) : 0,
             segment: row.segment || '',
+            status: row.status || 'New',
+            status_date: row.status_date,
             notes: row.notes || '',
             owner: row.owner || '',
             brand: row.brand || '',
@@ -131,14 +201,18 @@ router.post('/', async (req, res) => {
             avg_gross_margin: row.avg_gross_margin ? parseFloat(row.avg_gross_margin) : 0,
             recommended_price: row.recommended_price ? parseFloat(row.recommended_price) : 0,
             stock: row.stock || 0,
-            shopify_title: row.shopifytitle || null
+            shopify_title: row.shopifytitle || null,
+            ...mapSkuSummaryColumns(row),
+            ...mapPriceGapColumns(row)
         }));
         
         // Return successful response
         res.json({
             return_code: "SUCCESS",
             products: products,
-            total_count: products.length
+            channels: channels,
+            total_count: totalCount,
+            pagination: buildPagePagination(paging, products.length, totalCount)
         });
         
         console.log('GET_PRODUCTS: Response sent successfully');
@@ -3,15 +3,42 @@
 API Route: get_products_comparison
 =======================================================================================================================================
 Method: POST
-Purpose: Retrieves current SHP products with comparison to previous week's performance data.
+Purpose: Retrieves current products for the requested channel(s) (SHP by default) with comparison to previous week's
+         performance data.
          Shows week-over-week changes in annual profit, sold quantity, and profit per unit.
+         Any two weeks can be compared with current_week / compare_week (see get_available_weeks); with a
+         current_week the current figures come from that week's groupid_performance_week snapshot.
+         Takes the same search, owner, sort and paging parameters as get_products; the comparison counts cover
+         every product matching the filters, not just the returned page.
+         Overall totals for the filtered products come from get_overall_stats.
 =======================================================================================================================================
 Request Payload:
 {
-  "comparison_period": "week" | "month",           // Optional, defaults to "week"
+  "comparison_period": "week" | "month",           // Optional, defaults to "week"; ignored when compare_week is given
+  "compare_week": "2024-W27",                      // Optional, week to compare against
+  "current_week": "2025-W27",                      // Optional, week of the current figures (default: live figures);
+                                                   //   requires compare_week
+  "channel": "SHP" | ["SHP", "AMZ"],              // Optional, channel code or list of codes (default: "SHP")
   "season_filter": "Summer" | "Winter",            // Optional, includes only products with this season
   "season_filter_exclude": "Summer" | "Winter",   // Optional, excludes products with this season
-  "brand_filter": "Birkenstock" | "UKD" | etc.    // Optional, filters by specific brand
+  "brand_filter": "Birkenstock" | "UKD" | etc.,   // Optional, brand group name (see get_brand_groups) or a single brand
+  "owner": "John Doe",                             // Optional, exact owner name
+  "owners": ["John Doe", "Jane Smith"],            // Optional, any of these owners ("owners[]" also accepted)
+  "brands": ["Birkenstock", "UKD"],                // Optional, any of these brand groups or brands
+  "segments": ["Winner", "Neutral"],               // Optional, any of these segments
+  "seasons": ["Summer", "Any"],                    // Optional, any of these skusummary seasons
+  "annual_profit_min": 100,                        // Optional, inclusive bounds ("<column>_min" / "<column>_max") on
+  "avg_gross_margin_max": 0.2,                     //   annual_profit, sold_qty, avg_profit_per_unit, avg_gross_margin
+  "stock_min": 30,                                 //   (a fraction), stock and recommended_price
+  "price_gap_over": 10,                            // Optional, only products priced more than this % above or below
+                                                   //   their recommended price
+  "status": "Reviewing",                           // Optional, workflow status (New, Reviewing, Actioned, Monitoring)
+  "tasks_only": true,                              // Optional, only products with no next review date or one that is due
+  "search": "birk",                                // Optional, matches groupid, title, brand, owner, segment and notes
+  "sort_key": "annual_profit",                     // Optional, column to sort by (default: "annual_profit")
+  "sort_dir": "asc" | "desc",                      // Optional, sort direction (default: "desc")
+  "page": 1,                                       // Optional, 1-based page number (default: 1)
+  "page_size": 50                                  // Optional, products per page (default: 50, max: 200)
 }
 
 Success Response:
@@ -25,6 +52,8 @@ Success Response:
       "sold_qty": 45,
       "avg_profit_per_unit": 27.79,
       "segment": "Winner",
+      "status": "Reviewing",
+      "status_date": "2024-07-15T09:12:00Z",
       "notes": "High performing product",
       "owner": "John Doe",
       "brand": "Nike",
@@ -32,6 +61,18 @@ Success Response:
       "review_date": "2024-07-15",
       "avg_gross_margin": 0.2500,
       "recommended_price": 29.99,
+      "stock": 12,
+      "shopify_title": "Arizona Birko-Flor",
+      "cost": 14.20,                       // skusummary columns, as in get_products
+      "rrp": 39.99,
+      "season": "Summer",
+      "supplier": "Birkenstock UK",
+      "min_price": 24.99,
+      "max_price": 39.99,
+      "current_price": 27.50,              // price gap columns, as in get_products
+      "price_gap": -2.49,
+      "price_gap_percent": -8.30,
+      "recommended_in_band": true,
       "previous_week": {
         "annual_profit": 1180.50,
         "sold_qty": 42,
@@ -51,39 +92,35 @@ Success Response:
   ],
   "comparison_info": {
     "current_week": "2025-W27",
-    "previous_week": "2025-W26",
+    "comparison_week": "2025-W26",
+    "comparison_period": "week" | "month" | "custom",  // "custom" when compare_week was given
+    "comparison_label": "Previous Week",
+    "is_snapshot": false,                          // true when the current figures come from current_week's snapshot
+    "channels": ["SHP"],
     "products_with_comparison": 150,
     "products_without_comparison": 25
   },
-  "overall_stats": {
-    "current": {
-      "total_annual_profit": 125000.50,
-      "total_sold_qty": 4500,
-      "avg_profit_per_unit": 27.78,
-      "avg_gross_margin": 0.2450,
-      "total_products": 175
-    },
-    "previous": {
-      "total_annual_profit": 118000.25,
-      "total_sold_qty": 4200,
-      "avg_profit_per_unit": 28.10,
-      "avg_gross_margin": 0.2400,
-      "total_products": 150
-    },
-    "changes": {
-      "total_annual_profit_change": 7000.25,
-      "total_annual_profit_change_percent": 5.93,
-      "total_sold_qty_change": 300,
-      "total_sold_qty_change_percent": 7.14,
-      "avg_profit_per_unit_change": -0.32,
-      "avg_profit_per_unit_change_percent": -1.14,
-      "total_products_change": 25
-    }
+  "total_count": 175,                              // Products matching the filters
+  "pagination": {
+    "page": 1,
+    "page_size": 50,
+    "current_count": 50,
+    "total_count": 175,
+    "total_pages": 4,
+    "has_more": true
   }
 }
 =======================================================================================================================================
 Return Codes:
 "SUCCESS"
+"INVALID_CHANNEL"
+"INVALID_STATUS"
+"INVALID_FILTER"
+"INVALID_RANGE"
+"INVALID_PRICE_GAP"
+"INVALID_SORT"
+"INVALID_WEEK"
+"WEEK_NOT_FOUND"
 "SERVER_ERROR"
 "DATABASE_ERROR"
 =======================================================================================================================================
@@ -92,16 +129,45 @@ Return Codes:
 const express = require('express');
 const router = express.Router();
 const db = require('../db');
+const {
+    parseProductFilterRequest,
+    parseSort,
+    parsePaging,
+    buildProductSort,
+    buildPagePagination
+} = require('../utils/product_filters');
+const {
+    resolveComparisonWeek,
+    resolveSelectedWeeks,
+    buildComparisonQuery,
+    toComparedProduct
+} = require('../repositories/performance_repository');
+const { isYearWeek } = require('../utils/iso_week');
 
 // POST /get_products_comparison
 router.post('/', async (req, res) => {
     try {
         console.log('GET_PRODUCTS_COMPARISON: Starting products comparison retrieval...');
 
-        // Get comparison period from request body (defaults to "week")
-        const comparisonPeriod = req.body.comparison_period || 'week';
+        // Explicit weeks take precedence over the comparison period (defaults to "week")
+        const currentWeekParam = req.body.current_week || null;
+        const compareWeekParam = req.body.compare_week || null;
+        const comparisonPeriod = compareWeekParam ? 'custom' : (req.body.comparison_period || 'week');
         console.log(`GET_PRODUCTS_COMPARISON: Comparison period: ${comparisonPeriod}`);
 
+        if (currentWeekParam && !compareWeekParam) {
+            return res.status(400).json({
+                return_code: "INVALID_WEEK",
+                message: "compare_week is required when current_week is given"
+            });
+        }
+        if ([currentWeekParam, compareWeekParam].some(week => week && !isYearWeek(week))) {
+            return res.status(400).json({
+                return_code: "INVALID_WEEK",
+                message: "Weeks must be valid ISO weeks in YYYY-Www format, e.g. 2025-W07"
+            });
+        }
+
         // Get filters from request body (optional)
         const seasonFilter = req.body.season_filter;
         const seasonFilterExclude = req.body.season_filter_exclude;
@@ -110,429 +176,93 @@ router.post('/', async (req, res) => {
         console.log(`GET_PRODUCTS_COMPARISON: Season filter exclude: ${seasonFilterExclude || 'none'}`);
         console.log(`GET_PRODUCTS_COMPARISON: Brand filter: ${brandFilter || 'none'}`);
 
-        // First, find the actual current week from the database (highest week number)
-        const currentWeekQuery = `
-            SELECT year_week
-            FROM groupid_performance_week
-            WHERE channel = 'SHP'
-            ORDER BY year_week DESC
-            LIMIT 1
-        `;
-
-        const currentWeekResult = await db.query(currentWeekQuery);
-        const actualCurrentWeek = currentWeekResult.rows.length > 0 ? currentWeekResult.rows[0].year_week : null;
-
-        if (!actualCurrentWeek) {
-            throw new Error('No week data found in groupid_performance_week table');
-        }
-
-        console.log(`GET_PRODUCTS_COMPARISON: Database current week: ${actualCurrentWeek}`);
-
-        // Parse the actual current week to get year and week number
-        const [actualYear, actualWeekStr] = actualCurrentWeek.split('-W');
-        const actualWeekNum = parseInt(actualWeekStr);
-
-        // Calculate comparison week based on actual data
-        let comparisonWeek;
-        let comparisonLabel;
-
-        if (comparisonPeriod === 'month') {
-            // For month comparison, use the earliest available week to maximize time difference
-            console.log(`GET_PRODUCTS_COMPARISON: Finding earliest available week for month comparison`);
-
-            // Get the earliest available week
-            const earliestWeekQuery = `
-                SELECT year_week
-                FROM groupid_performance_week
-                WHERE channel = 'SHP'
-                ORDER BY year_week ASC
-                LIMIT 1
-            `;
-
-            const earliestResult = await db.query(earliestWeekQuery, []);
-
-            if (earliestResult.rows.length > 0) {
-                const earliestWeek = earliestResult.rows[0].year_week;
-
-                // Only use the earliest week if it's different from the current week
-                if (earliestWeek !== actualCurrentWeek) {
-                    comparisonWeek = earliestWeek;
-
-                    // Calculate how many weeks back this actually is
-                    const [oldYear, oldWeekStr] = earliestWeek.split('-W');
-                    const oldWeekNum = parseInt(oldWeekStr);
-                    const weeksBack = actualWeekNum - oldWeekNum;
-
-                    comparisonLabel = weeksBack === 1 ? 'Last Week' : `${weeksBack} weeks ago`;
-                    console.log(`GET_PRODUCTS_COMPARISON: Using earliest week ${comparisonWeek} (${comparisonLabel}) for month comparison`);
-                } else {
-                    console.log(`GET_PRODUCTS_COMPARISON: Only one week of data available, cannot perform comparison`);
-                    comparisonWeek = null;
-                    comparisonLabel = 'No comparison data available';
-                }
-            } else {
-                console.log(`GET_PRODUCTS_COMPARISON: No historical data available for comparison`);
-                comparisonWeek = null;
-                comparisonLabel = 'No comparison data available';
-            }
-        } else {
-            // Compare against previous week from actual current week
-            let prevWeekNum = actualWeekNum - 1;
-            let prevYear = parseInt(actualYear);
-            if (prevWeekNum < 1) {
-                prevYear = prevYear - 1;
-                prevWeekNum = 52;
-            }
-            comparisonWeek = `${prevYear}-W${prevWeekNum.toString().padStart(2, '0')}`;
-            comparisonLabel = 'Previous Week';
+        const { filters: requestFilters, error: filterError } = parseProductFilterRequest(req.body);
+        if (filterError) {
+            return res.status(400).json(filterError);
         }
-
-        // For week comparison, check if the calculated comparison week has data
-        if (comparisonPeriod === 'week' && comparisonWeek) {
-            const checkWeekQuery = `
-                SELECT COUNT(*) as count
-                FROM groupid_performance_week
-                WHERE channel = 'SHP' AND year_week = $1
-            `;
-
-            const checkResult = await db.query(checkWeekQuery, [comparisonWeek]);
-            const hasData = parseInt(checkResult.rows[0].count) > 0;
-
-            if (!hasData) {
-                console.log(`GET_PRODUCTS_COMPARISON: No data for week comparison ${comparisonWeek}`);
-                comparisonWeek = null;
-                comparisonLabel = 'No comparison data available';
-            }
+        const { channels } = requestFilters;
+        console.log(`GET_PRODUCTS_COMPARISON: Channels: ${channels.join(', ')}`);
+
+        const sort = parseSort(req.body);
+        if (!sort) {
+            return res.status(400).json({
+                return_code: "INVALID_SORT",
+                message: "sort_key must be a product column and sort_dir must be 'asc' or 'desc'"
+            });
         }
 
-        console.log(`GET_PRODUCTS_COMPARISON: Final comparison: ${actualCurrentWeek} vs ${comparisonWeek || 'none'} (${comparisonLabel})`);
+        const paging = parsePaging(req.body);
+        console.log(`GET_PRODUCTS_COMPARISON: Sort: ${sort.sort_key} ${sort.sort_dir}, page ${paging.page} (size ${paging.page_size})`);
 
-        // If no comparison week is available, return current data without comparison
-        if (!comparisonWeek) {
-            console.log(`GET_PRODUCTS_COMPARISON: No comparison data available, returning current data only`);
+        // Resolve the current week and the week to compare it against
+        const weekInfo = compareWeekParam
+            ? await resolveSelectedWeeks(channels, currentWeekParam, compareWeekParam)
+            : await resolveComparisonWeek(channels, comparisonPeriod);
 
-            // Return current products without comparison data
-            let seasonJoinCondition = '';
-            let seasonWhereCondition = '';
-            let brandWhereCondition = '';
-            let queryParams = [];
-
-            if (seasonFilter || seasonFilterExclude) {
-                seasonJoinCondition = 'LEFT JOIN skusummary ss ON gp.groupid = ss.groupid';
-
-                if (seasonFilter) {
-                    queryParams.push(seasonFilter);
-                    seasonWhereCondition = `AND ss.season = $${queryParams.length}`;
-                } else if (seasonFilterExclude) {
-                    queryParams.push(seasonFilterExclude);
-                    seasonWhereCondition = `AND (ss.season IS NULL OR ss.season != $${queryParams.length})`;
-                }
-            }
-
-            // Add brand filter condition if provided
-            if (brandFilter) {
-                if (brandFilter === 'UKD') {
-                    // UKD represents all brands except the specific ones
-                    brandWhereCondition = ` AND (gp.brand IS NULL OR gp.brand = '' OR gp.brand NOT IN ('Birkenstock', 'Rieker', 'Lunar', 'Crocs', 'Hotter', 'Skechers'))`;
-                } else {
-                    // Filter for specific brand
-                    queryParams.push(brandFilter);
-                    brandWhereCondition = ` AND gp.brand = $${queryParams.length}`;
-                }
-            }
-
-            const currentOnlyQuery = `
-                SELECT
-                    gp.groupid,
-                    gp.channel,
-                    gp.annual_profit,
-                    gp.sold_qty,
-                    gp.avg_profit_per_unit,
-                    gp.segment,
-                    gp.notes,
-                    gp.owner,
-                    gp.brand,
-                    gp.next_review_date,
-                    gp.review_date,
-                    gp.avg_gross_margin,
-                    gp.recommended_price,
-                    gp.stock
-                FROM groupid_performance gp
-                ${seasonJoinCondition}
-                WHERE gp.channel = 'SHP'
-                ${seasonWhereCondition}
-                ${brandWhereCondition}
-                ORDER BY gp.annual_profit DESC NULLS LAST
-            `;
-
-            const currentResult = await db.query(currentOnlyQuery, queryParams);
-
-            const products = currentResult.rows.map(row => ({
-                groupid: row.groupid,
-                channel: row.channel,
-                annual_profit: parseFloat(row.annual_profit) || 0,
-                sold_qty: row.sold_qty || 0,
-                avg_profit_per_unit: parseFloat(row.avg_profit_per_unit) || 0,
-                segment: row.segment,
-                notes: row.notes,
-                owner: row.owner,
-                brand: row.brand,
-                next_review_date: row.next_review_date,
-                review_date: row.review_date,
-                avg_gross_margin: parseFloat(row.avg_gross_margin) || 0,
-                recommended_price: row.recommended_price ? parseFloat(row.recommended_price) : 0,
-                stock: row.stock || 0,
-                previous_week: null,
-                changes: null
-            }));
-
-            // Calculate overall statistics without comparison
-            const overallStats = {
-                current: {
-                    total_annual_profit: products.reduce((sum, p) => sum + p.annual_profit, 0),
-                    total_sold_qty: products.reduce((sum, p) => sum + p.sold_qty, 0),
-                    avg_profit_per_unit: products.length > 0 ?
-                        products.reduce((sum, p) => sum + p.avg_profit_per_unit, 0) / products.length : 0,
-                    avg_gross_margin: products.length > 0 ?
-                        products.reduce((sum, p) => sum + p.avg_gross_margin, 0) / products.length : 0,
-                    total_products: products.length
-                },
-                changes: null
-            };
-
-            return res.json({
-                return_code: "SUCCESS",
-                products: products,
-                comparison_info: {
-                    current_week: actualCurrentWeek,
-                    comparison_week: null,
-                    comparison_period: comparisonPeriod,
-                    comparison_label: comparisonLabel,
-                    products_with_comparison: 0,
-                    products_without_comparison: products.length,
-                    total_products: products.length
-                },
-                overall_stats: overallStats
+        if (!weekInfo) {
+            return res.status(404).json({
+                return_code: "WEEK_NOT_FOUND",
+                message: "No performance data found for the selected week"
             });
         }
 
-        // SQL query to get current products with comparison data
-        let queryParams = [comparisonWeek];
-        let seasonJoinCondition = '';
-        let seasonWhereCondition = '';
-        let brandWhereCondition = '';
+        const {
+            current_week: actualCurrentWeek,
+            comparison_week: comparisonWeek,
+            comparison_label: comparisonLabel,
+            is_snapshot: isSnapshot
+        } = weekInfo;
 
-        if (seasonFilter || seasonFilterExclude) {
-            seasonJoinCondition = 'LEFT JOIN skusummary ss ON gp.groupid = ss.groupid';
+        console.log(`GET_PRODUCTS_COMPARISON: Final comparison: ${actualCurrentWeek} vs ${comparisonWeek || 'none'} (${comparisonLabel})`);
 
-            if (seasonFilter) {
-                queryParams.push(seasonFilter);
-                seasonWhereCondition = `AND ss.season = $${queryParams.length}`;
-            } else if (seasonFilterExclude) {
-                queryParams.push(seasonFilterExclude);
-                seasonWhereCondition = `AND (ss.season IS NULL OR ss.season != $${queryParams.length})`;
-            }
+        // Without a comparison week the previous week figures and changes stay empty
+        if (!comparisonWeek) {
+            console.log('GET_PRODUCTS_COMPARISON: No comparison data available, returning current data only');
         }
 
-        // Add brand filter condition if provided
-        if (brandFilter) {
-            if (brandFilter === 'UKD') {
-                // UKD represents all brands except the specific ones
-                brandWhereCondition = ` AND (gp.brand IS NULL OR gp.brand = '' OR gp.brand NOT IN ('Birkenstock', 'Rieker', 'Lunar', 'Crocs', 'Hotter', 'Skechers'))`;
-            } else {
-                // Filter for specific brand
-                queryParams.push(brandFilter);
-                brandWhereCondition = ` AND gp.brand = $${queryParams.length}`;
-            }
-        }
+        // Current products with their comparison week figures and changes
+        const { sql: comparisonQuery, queryParams } = buildComparisonQuery(
+            requestFilters,
+            { comparisonWeek, currentWeek: isSnapshot ? actualCurrentWeek : null }
+        );
 
+        // Requested page of the compared products
         const query = `
-            WITH current_products AS (
-                SELECT
-                    gp.groupid,
-                    gp.channel,
-                    gp.annual_profit,
-                    gp.sold_qty,
-                    gp.avg_profit_per_unit,
-                    gp.segment,
-                    gp.notes,
-                    gp.owner,
-                    gp.brand,
-                    gp.next_review_date,
-                    gp.review_date,
-                    gp.avg_gross_margin,
-                    gp.recommended_price,
-                    gp.stock
-                FROM groupid_performance gp
-                ${seasonJoinCondition}
-                WHERE gp.channel = 'SHP'
-                ${seasonWhereCondition}
-                ${brandWhereCondition}
-            ),
-            previous_week_data AS (
-                SELECT 
-                    groupid,
-                    channel,
-                    annual_profit as prev_annual_profit,
-                    sold_qty as prev_sold_qty,
-                    avg_profit_per_unit as prev_avg_profit_per_unit,
-                    year_week
-                FROM groupid_performance_week 
-                WHERE channel = 'SHP' 
-                  AND year_week = $1
-            )
-            SELECT 
-                cp.*,
-                pwd.prev_annual_profit,
-                pwd.prev_sold_qty,
-                pwd.prev_avg_profit_per_unit,
-                pwd.year_week as previous_week,
-                
-                -- Calculate changes
-                CASE 
-                    WHEN pwd.prev_annual_profit IS NOT NULL THEN 
-                        cp.annual_profit - pwd.prev_annual_profit 
-                    ELSE NULL 
-                END as annual_profit_change,
-                
-                CASE 
-                    WHEN pwd.prev_annual_profit IS NOT NULL AND pwd.prev_annual_profit != 0 THEN 
-                        ROUND(((cp.annual_profit - pwd.prev_annual_profit) / pwd.prev_annual_profit * 100), 2)
-                    ELSE NULL 
-                END as annual_profit_change_percent,
-                
-                CASE 
-                    WHEN pwd.prev_sold_qty IS NOT NULL THEN 
-                        cp.sold_qty - pwd.prev_sold_qty 
-                    ELSE NULL 
-                END as sold_qty_change,
-                
-                CASE 
-                    WHEN pwd.prev_sold_qty IS NOT NULL AND pwd.prev_sold_qty != 0 THEN 
-                        ROUND(((cp.sold_qty - pwd.prev_sold_qty)::NUMERIC / pwd.prev_sold_qty * 100), 2)
-                    ELSE NULL 
-                END as sold_qty_change_percent,
-                
-                CASE 
-                    WHEN pwd.prev_avg_profit_per_unit IS NOT NULL THEN 
-                        cp.avg_profit_per_unit - pwd.prev_avg_profit_per_unit 
-                    ELSE NULL 
-                END as avg_profit_per_unit_change,
-                
-                CASE 
-                    WHEN pwd.prev_avg_profit_per_unit IS NOT NULL AND pwd.prev_avg_profit_per_unit != 0 THEN 
-                        ROUND(((cp.avg_profit_per_unit - pwd.prev_avg_profit_per_unit) / pwd.prev_avg_profit_per_unit * 100), 2)
-                    ELSE NULL 
-                END as avg_profit_per_unit_change_percent
-                
-            FROM current_products cp
-            LEFT JOIN previous_week_data pwd ON cp.groupid = pwd.groupid AND cp.channel = pwd.channel
-            ORDER BY cp.annual_profit DESC NULLS LAST
+            SELECT *
+            FROM (${comparisonQuery}) compared
+            ${buildProductSort(sort, 'compared')}
+            LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}
         `;
-        
-        console.log('GET_PRODUCTS_COMPARISON: Executing database query...');
 
-        // Execute the query with dynamic parameters
-        const result = await db.query(query, queryParams);
-        
-        console.log(`GET_PRODUCTS_COMPARISON: Query successful. Retrieved ${result.rows.length} products`);
-        
-        // Format the response data
-        const products = result.rows.map(row => ({
-            groupid: row.groupid,
-            channel: row.channel,
-            annual_profit: row.annual_profit ? parseFloat(row.annual_profit) : 0,
-            sold_qty: row.sold_qty || 0,
-            avg_profit_per_unit: row.avg_profit_per_unit ? parseFloat(row.avg_profit_per_unit) : 0,
-            segment: row.segment || '',
-            notes: row.notes || '',
-            owner: row.owner || '',
-            brand: row.brand || '',
-            next_review_date: row.next_review_date,
-            review_date: row.review_date,
-            avg_gross_margin: row.avg_gross_margin ? parseFloat(row.avg_gross_margin) : 0,
-            recommended_price: row.recommended_price ? parseFloat(row.recommended_price) : 0,
-            stock: row.stock || 0,
-            
-            // Previous week data
-            previous_week: row.prev_annual_profit !== null ? {
-                annual_profit: parseFloat(row.prev_annual_profit) || 0,
-                sold_qty: row.prev_sold_qty || 0,
-                avg_profit_per_unit: parseFloat(row.prev_avg_profit_per_unit) || 0,
-                year_week: row.previous_week
-            } : null,
-            
-            // Changes
-            changes: row.annual_profit_change !== null ? {
-                annual_profit_change: parseFloat(row.annual_profit_change) || 0,
-                annual_profit_change_percent: parseFloat(row.annual_profit_change_percent) || 0,
-                sold_qty_change: row.sold_qty_change || 0,
-                sold_qty_change_percent: parseFloat(row.sold_qty_change_percent) || 0,
-                avg_profit_per_unit_change: parseFloat(row.avg_profit_per_unit_change) || 0,
-                avg_profit_per_unit_change_percent: parseFloat(row.avg_profit_per_unit_change_percent) || 0
-            } : null
-        }));
-        
-        // Calculate comparison statistics
-        const productsWithComparison = products.filter(p => p.previous_week !== null).length;
-        const productsWithoutComparison = products.length - productsWithComparison;
-
-        // Calculate overall statistics
-        const overallStats = {
-            current: {
-                total_annual_profit: products.reduce((sum, p) => sum + p.annual_profit, 0),
-                total_sold_qty: products.reduce((sum, p) => sum + p.sold_qty, 0),
-                avg_profit_per_unit: products.length > 0 ?
-                    products.reduce((sum, p) => sum + p.avg_profit_per_unit, 0) / products.length : 0,
-                avg_gross_margin: products.length > 0 ?
-                    products.reduce((sum, p) => sum + p.avg_gross_margin, 0) / products.length : 0,
-                total_products: products.length
-            },
-            previous: {
-                total_annual_profit: 0,
-                total_sold_qty: 0,
-                avg_profit_per_unit: 0,
-                avg_gross_margin: 0,
-                total_products: 0
-            },
-            changes: {
-                total_annual_profit_change: 0,
-                total_annual_profit_change_percent: 0,
-                total_sold_qty_change: 0,
-                total_sold_qty_change_percent: 0,
-                avg_profit_per_unit_change: 0,
-                avg_profit_per_unit_change_percent: 0,
-                avg_gross_margin_change: 0,
-                avg_gross_margin_change_percent: 0,
-                total_products_change: 0
-            }
-        };
+        // Counts across every product matching the filters
+        const totalsQuery = `
+            SELECT
+                COUNT(*) AS total_products,
+                COUNT(prev_annual_profit) AS products_with_comparison
+            FROM (${comparisonQuery}) compared
+        `;
 
-        // Calculate previous week totals from products with comparison data
-        const productsWithPreviousData = products.filter(p => p.previous_week);
-        if (productsWithPreviousData.length > 0) {
-            overallStats.previous.total_annual_profit = productsWithPreviousData.reduce((sum, p) => sum + p.previous_week.annual_profit, 0);
-            overallStats.previous.total_sold_qty = productsWithPreviousData.reduce((sum, p) => sum + p.previous_week.sold_qty, 0);
-            overallStats.previous.avg_profit_per_unit = productsWithPreviousData.reduce((sum, p) => sum + p.previous_week.avg_profit_per_unit, 0) / productsWithPreviousData.length;
-            overallStats.previous.total_products = productsWithPreviousData.length;
+        console.log('GET_PRODUCTS_COMPARISON: Executing database queries...');
 
-            // Calculate changes
-            overallStats.changes.total_annual_profit_change = overallStats.current.total_annual_profit - overallStats.previous.total_annual_profit;
-            overallStats.changes.total_annual_profit_change_percent = overallStats.previous.total_annual_profit !== 0 ?
-                ((overallStats.current.total_annual_profit - overallStats.previous.total_annual_profit) / overallStats.previous.total_annual_profit * 100) : 0;
+        // Execute the page and totals queries with dynamic parameters
+        const [result, totalsResult] = await Promise.all([
+            db.query(query, [...queryParams, paging.limit, paging.offset]),
+            db.query(totalsQuery, queryParams)
+        ]);
 
-            overallStats.changes.total_sold_qty_change = overallStats.current.total_sold_qty - overallStats.previous.total_sold_qty;
-            overallStats.changes.total_sold_qty_change_percent = overallStats.previous.total_sold_qty !== 0 ?
-                ((overallStats.current.total_sold_qty - overallStats.previous.total_sold_qty) / overallStats.previous.total_sold_qty * 100) : 0;
+        const totals = totalsResult.rows[0];
+        const totalCount = parseInt(totals.total_products, 10);
 
-            overallStats.changes.avg_profit_per_unit_change = overallStats.current.avg_profit_per_unit - overallStats.previous.avg_profit_per_unit;
-            overallStats.changes.avg_profit_per_unit_change_percent = overallStats.previous.avg_profit_per_unit !== 0 ?
-                ((overallStats.current.avg_profit_per_unit - overallStats.previous.avg_profit_per_unit) / overallStats.previous.avg_profit_per_unit * 100) : 0;
+        console.log(`GET_PRODUCTS_COMPARISON: Query successful. Retrieved ${result.rows.length} of ${totalCount} products`);
+        
+        // Format the response data
+        const products = result.rows.map(toComparedProduct);
 
-            overallStats.changes.total_products_change = overallStats.current.total_products - overallStats.previous.total_products;
-        }
+        // Calculate comparison statistics
+        const productsWithComparison = parseInt(totals.products_with_comparison, 10);
+        const productsWithoutComparison = totalCount - productsWithComparison;
 
-        // Return successful response with products, comparison info, and overall stats
+        // Return successful response with products, comparison info, and pagination
         res.json({
             return_code: "SUCCESS",
             products: products,
@@ -541,11 +271,14 @@ router.post('/', async (req, res) => {
                 comparison_week: comparisonWeek,
                 comparison_period: comparisonPeriod,
                 comparison_label: comparisonLabel,
+                is_snapshot: isSnapshot,
+                channels: channels,
                 products_with_comparison: productsWithComparison,
                 products_without_comparison: productsWithoutComparison,
-                total_products: products.length
+                total_products: totalCount
             },
-            overall_stats: overallStats
+            total_count: totalCount,
+            pagination: buildPagePagination(paging, products.length, totalCount)
         });
         
         console.log('GET_PRODUCTS_COMPARISON: Response sent successfully');
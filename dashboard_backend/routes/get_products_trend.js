@@ -0,0 +1,118 @@
+/*
+=======================================================================================================================================
+API Route: get_products_trend
+=======================================================================================================================================
+Method: POST
+Purpose: Returns the weekly annual_profit and sold_qty of the last N weeks (groupid_performance_week snapshots) for every
+         product matching the product list filters (same filters as get_products), fetched in one batched query.
+         This endpoint provides the sparkline column of the products table, which passes the visible page's groupids.
+=======================================================================================================================================
+Request Payload:
+{
+  "groupids": ["ABC123", "DEF456"],              // optional, limit to these products (max 200)
+  "weeks": 12,                                    // optional, number of recent weeks (default: 12, min: 2, max: 52)
+  "channel": "SHP" | ["SHP", "AMZ"],             // optional, channel code or list of codes (default: "SHP")
+  "season_filter": "Summer" | "Winter",           // optional, includes only products with this season
+  "season_filter_exclude": "Summer" | "Winter",  // optional, excludes products with this season
+  "brand_filter": "Birkenstock" | "UKD" | etc.,  // optional, brand group name (see get_brand_groups) or a single brand
+  "owner": "John Doe",                            // optional, exact owner name
+  "owners": ["John Doe", "Jane Smith"],           // optional, any of these owners ("owners[]" also accepted)
+  "brands": ["Birkenstock", "UKD"],               // optional, any of these brand groups or brands
+  "segments": ["Winner", "Neutral"],              // optional, any of these segments
+  "seasons": ["Summer", "Any"],                   // optional, any of these skusummary seasons
+  "annual_profit_min": 100,                       // optional, inclusive bounds ("<column>_min" / "<column>_max") on
+  "avg_gross_margin_max": 0.2,                    //   annual_profit, sold_qty, avg_profit_per_unit, avg_gross_margin
+  "stock_min": 30,                                //   (a fraction), stock and recommended_price
+  "price_gap_over": 10,                           // optional, only products priced more than this % above or below
+                                                  //   their recommended price
+  "status": "Reviewing",                          // optional, workflow status (New, Reviewing, Actioned, Monitoring)
+  "tasks_only": true,                             // optional, only products with no next review date or one that is due
+  "search": "birk"                                // optional, matches groupid, title, brand, owner, segment and notes
+}
+
+Success Response:
+{
+  "return_code": "SUCCESS",
+  "weeks": ["2025-W16", "2025-W17", ..., "2025-W27"],   // array, trend weeks oldest first
+  "trends": [
+    {
+      "groupid": "ABC123",
+      "channel": "SHP",
+      "annual_profit": [1180.50, 1195.00, ..., 1250.75],  // one value per week, null when the week has no snapshot
+      "sold_qty": [42, 43, ..., 45]
+    }
+    // ... one entry per product with at least one snapshot in the trend weeks
+  ],
+  "total_count": 50
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"INVALID_CHANNEL"
+"INVALID_STATUS"
+"INVALID_FILTER"
+"INVALID_RANGE"
+"INVALID_PRICE_GAP"
+"INVALID_GROUPIDS"
+"SERVER_ERROR"
+"DATABASE_ERROR"
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const router = express.Router();
+const { parseProductFilterRequest } = require('../utils/product_filters');
+const { getProductsTrend } = require('../repositories/performance_repository');
+
+const MAX_GROUPIDS = 200;
+
+// POST /get_products_trend
+router.post('/', async (req, res) => {
+    try {
+        console.log('GET_PRODUCTS_TREND: Starting products trend retrieval...');
+
+        const { filters: requestFilters, error: filterError } = parseProductFilterRequest(req.body);
+        if (filterError) {
+            return res.status(400).json(filterError);
+        }
+        const { channels } = requestFilters;
+
+        const { groupids } = req.body;
+        if (groupids !== undefined && (
+            !Array.isArray(groupids) ||
+            groupids.length > MAX_GROUPIDS ||
+            !groupids.every(groupid => typeof groupid === 'string' && groupid.trim())
+        )) {
+            return res.status(400).json({
+                return_code: "INVALID_GROUPIDS",
+                message: `groupids must be a list of up to ${MAX_GROUPIDS} group IDs`
+            });
+        }
+
+        console.log(`GET_PRODUCTS_TREND: Channels: ${channels.join(', ')}, products: ${groupids ? groupids.length : 'all'}`);
+
+        const { weeks, trends } = await getProductsTrend(
+            requestFilters,
+            { groupids: groupids || null, weeks: req.body.weeks }
+        );
+
+        console.log(`GET_PRODUCTS_TREND: Retrieved ${trends.length} trends over ${weeks.length} weeks`);
+
+        res.json({
+            return_code: "SUCCESS",
+            weeks: weeks,
+            trends: trends,
+            total_count: trends.length
+        });
+
+    } catch (error) {
+        console.error('GET_PRODUCTS_TREND: Database error:', error);
+        res.status(500).json({
+            return_code: "DATABASE_ERROR",
+            message: "Failed to retrieve products trend from database",
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
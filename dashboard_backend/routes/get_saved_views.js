@@ -0,0 +1,63 @@
+/*
+=======================================================================================================================================
+API Route: get_saved_views
+=======================================================================================================================================
+Method: POST
+Purpose: Returns the saved views of the products dashboard available to the logged-in user - their own views first,
+         then the views other users have shared. A view's filters are the dashboard URL parameters it restores.
+=======================================================================================================================================
+Request Payload: {} (empty object)
+
+Success Response:
+{
+  "return_code": "SUCCESS",
+  "views": [
+    {
+      "id": 3,
+      "name": "My overdue reviews",
+      "filters": { "tasks": "true", "sortKey": "next_review_date", "sortDir": "asc" },
+      "is_shared": false,
+      "is_mine": true,                     // boolean, true when the logged-in user saved it (and can change it)
+      "user_id": 2,
+      "created_by": "Andreas",
+      "created_at": "2025-08-01T09:30:00.000Z",
+      "updated_at": "2025-08-01T09:30:00.000Z"
+    }
+  ],
+  "total_count": 1
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"DATABASE_ERROR"
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const router = express.Router();
+const savedViewRepository = require('../repositories/saved_view_repository');
+
+// POST /get_saved_views
+router.post('/', async (req, res) => {
+    try {
+        console.log(`GET_SAVED_VIEWS: Fetching saved views for ${req.user.username}...`);
+
+        const views = await savedViewRepository.getSavedViews(req.user.user_id);
+
+        res.json({
+            return_code: "SUCCESS",
+            views: views.map(view => ({ ...view, is_mine: view.user_id === req.user.user_id })),
+            total_count: views.length
+        });
+
+    } catch (error) {
+        console.error('GET_SAVED_VIEWS: Database error:', error);
+        res.status(500).json({
+            return_code: "DATABASE_ERROR",
+            message: "Failed to retrieve saved views",
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
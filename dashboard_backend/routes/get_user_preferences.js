@@ -0,0 +1,54 @@
+/*
+=======================================================================================================================================
+API Route: get_user_preferences
+=======================================================================================================================================
+Method: POST
+Purpose: Returns the dashboard settings saved by the logged-in user, e.g. the products table column layout.
+         Preferences that were never saved are left out - the frontend uses its defaults for them.
+=======================================================================================================================================
+Request Payload: {} (empty object)
+
+Success Response:
+{
+  "return_code": "SUCCESS",
+  "preferences": {
+    "products_table_columns": [            // columns in display order
+      { "key": "annual_profit", "visible": true, "width": 140 },
+      { "key": "cost", "visible": false, "width": null }
+    ]
+  }
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"DATABASE_ERROR"
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const router = express.Router();
+const userPreferenceRepository = require('../repositories/user_preference_repository');
+
+// POST /get_user_preferences
+router.post('/', async (req, res) => {
+    try {
+        console.log(`GET_USER_PREFERENCES: Fetching preferences for ${req.user.username}...`);
+
+        const preferences = await userPreferenceRepository.getPreferences(req.user.user_id);
+
+        res.json({
+            return_code: "SUCCESS",
+            preferences
+        });
+
+    } catch (error) {
+        console.error('GET_USER_PREFERENCES: Database error:', error);
+        res.status(500).json({
+            return_code: "DATABASE_ERROR",
+            message: "Failed to retrieve preferences",
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
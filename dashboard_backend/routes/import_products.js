@@ -0,0 +1,293 @@
+/*
+=======================================================================================================================================
+API Route: import_products
+=======================================================================================================================================
+Method: POST
+Purpose: Bulk-updates owner, notes and next_review_date on groupid_performance from an uploaded CSV for one channel
+         (SHP by default). The first line must be a header with a groupid column and at least one of owner, notes and
+         next_review_date; columns can be in any order and other columns are ignored. An empty cell leaves the value
+         unchanged.
+         Every row is validated against the existing groupids. Without "apply" nothing is written and the response is
+         a dry run: the changes each valid row would make and the rejected rows with their reasons.
+         With "apply": true the valid rows are written in a single transaction and the same diff is returned;
+         rejected rows are skipped.
+         Admin only (see middleware/auth.js).
+=======================================================================================================================================
+Request Payload:
+{
+  "csv": "groupid,owner,notes,next_review_date\nABC123,Andreas,Check price,2025-09-01",  // string, required - file contents
+  "channel": "SHP",                        // string, optional (default: "SHP")
+  "apply": false                           // boolean, optional - true writes the changes (default: dry run)
+}
+
+Success Response:
+{
+  "return_code": "SUCCESS",
+  "applied": false,                        // boolean, true when the changes were written
+  "channel": "SHP",
+  "columns": ["owner", "notes", "next_review_date"],  // importable columns found in the header
+  "summary": {
+    "total_rows": 3,                       // data rows in the file
+    "changed_rows": 1,                     // valid rows that change at least one value
+    "unchanged_rows": 1,                   // valid rows that already match
+    "rejected_rows": 1
+  },
+  "changes": [
+    {
+      "row": 2,                            // row in the file - the header is row 1 and blank lines are not counted
+      "groupid": "ABC123",
+      "changes": {
+        "owner": { "from": "", "to": "Andreas" },
+        "next_review_date": { "from": "2025-08-15", "to": "2025-09-01" }
+      }
+    }
+  ],
+  "rejected": [
+    {
+      "row": 4,
+      "groupid": "XYZ999",
+      "reasons": ["groupid not found on channel SHP"]
+    }
+  ]
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"MISSING_CSV"
+"INVALID_CSV"
+"TOO_MANY_ROWS"
+"INVALID_CHANNEL"
+"ACCESS_DENIED"
+"DATABASE_ERROR"
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { parseChannels } = require('../utils/product_filters');
+const { parseCsv } = require('../utils/csv');
+const { isDateString } = require('../utils/date_range');
+
+const IMPORT_COLUMNS = ['owner', 'notes', 'next_review_date'];
+const MAX_IMPORT_ROWS = 5000;
+const MAX_OWNER_LENGTH = 100;
+const MAX_NOTES_LENGTH = 2000;
+
+/**
+ * Validates one data row against the header columns
+ * @returns {{ groupid: string, values: Object, reasons: string[] }} values holds the non-empty import columns
+ */
+const validateRow = (fields, columnIndexes) => {
+    const reasons = [];
+    const groupid = (fields[columnIndexes.groupid] || '').trim();
+    const values = {};
+
+    if (!groupid) {
+        reasons.push('groupid is empty');
+    }
+
+    Object.entries(columnIndexes).forEach(([column, index]) => {
+        if (column === 'groupid') return;
+        const value = (fields[index] || '').trim();
+        if (value) {
+            values[column] = value;
+        }
+    });
+
+    if (values.owner && values.owner.length > MAX_OWNER_LENGTH) {
+        reasons.push(`owner is longer than ${MAX_OWNER_LENGTH} characters`);
+    }
+    if (values.notes && values.notes.length > MAX_NOTES_LENGTH) {
+        reasons.push(`notes are longer than ${MAX_NOTES_LENGTH} characters`);
+    }
+    if (values.next_review_date && !isDateString(values.next_review_date)) {
+        reasons.push(`next_review_date "${values.next_review_date}" is not a date in YYYY-MM-DD format`);
+    }
+
+    return { groupid, values, reasons };
+};
+
+// POST /import_products
+router.post('/', async (req, res) => {
+    const { csv } = req.body;
+    const apply = req.body.apply === true;
+    const importedBy = req.user.display_name || req.user.username;
+
+    const channels = parseChannels(req.body.channel);
+    if (!channels || channels.length > 1) {
+        return res.status(400).json({
+            return_code: "INVALID_CHANNEL",
+            message: "channel must be a single channel code"
+        });
+    }
+    const channel = channels[0];
+
+    if (typeof csv !== 'string' || !csv.trim()) {
+        return res.status(400).json({
+            return_code: "MISSING_CSV",
+            message: "csv must contain the file contents"
+        });
+    }
+
+    const rows = parseCsv(csv);
+    if (!rows) {
+        return res.status(400).json({
+            return_code: "INVALID_CSV",
+            message: "The file has a quoted field that is never closed"
+        });
+    }
+
+    // Header columns are matched case-insensitively, e.g. "GroupID" or "Next_Review_Date"
+    const header = (rows[0] || []).map(column => column.trim().toLowerCase());
+    const columnIndexes = {};
+    ['groupid', ...IMPORT_COLUMNS].forEach(column => {
+        const index = header.indexOf(column);
+        if (index !== -1) {
+            columnIndexes[column] = index;
+        }
+    });
+    const columns = IMPORT_COLUMNS.filter(column => columnIndexes[column] !== undefined);
+
+    if (columnIndexes.groupid === undefined || columns.length === 0) {
+        return res.status(400).json({
+            return_code: "INVALID_CSV",
+            message: `The first line must be a header with groupid and at least one of: ${IMPORT_COLUMNS.join(', ')}`
+        });
+    }
+
+    const dataRows = rows.slice(1);
+    if (dataRows.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({
+            return_code: "TOO_MANY_ROWS",
+            message: `A file can have at most ${MAX_IMPORT_ROWS} rows (this one has ${dataRows.length})`
+        });
+    }
+
+    // Validate the rows on their own first - the header is row 1, so data rows start at row 2
+    const seenGroupids = new Map();
+    const candidates = dataRows.map((fields, index) => {
+        const rowNumber = index + 2;
+        const candidate = { row: rowNumber, ...validateRow(fields, columnIndexes) };
+
+        if (candidate.groupid && seenGroupids.has(candidate.groupid)) {
+            candidate.reasons.push(`groupid already imported on row ${seenGroupids.get(candidate.groupid)}`);
+        } else if (candidate.groupid) {
+            seenGroupids.set(candidate.groupid, rowNumber);
+        }
+        return candidate;
+    });
+
+    let client;
+
+    try {
+        client = await db.getClient();
+
+        console.log(`IMPORT_PRODUCTS: ${importedBy} ${apply ? 'importing' : 'checking'} ${dataRows.length} rows (${channel}, columns: ${columns.join(', ')})`);
+
+        if (apply) {
+            await client.query('BEGIN');
+        }
+
+        // Current values of every groupid in the file - locked when the changes are written
+        const currentResult = await client.query(`
+            SELECT groupid, owner, notes, to_char(next_review_date, 'YYYY-MM-DD') AS next_review_date
+            FROM groupid_performance
+            WHERE channel = $1 AND groupid = ANY($2)
+            ${apply ? 'FOR UPDATE' : ''}
+        `, [channel, [...seenGroupids.keys()]]);
+
+        const currentByGroupid = new Map(currentResult.rows.map(row => [row.groupid, row]));
+
+        const changes = [];
+        const rejected = [];
+        let unchangedRows = 0;
+
+        candidates.forEach(candidate => {
+            const current = currentByGroupid.get(candidate.groupid);
+            if (candidate.groupid && !current) {
+                candidate.reasons.push(`groupid not found on channel ${channel}`);
+            }
+
+            if (candidate.reasons.length > 0) {
+                rejected.push({ row: candidate.row, groupid: candidate.groupid, reasons: candidate.reasons });
+                return;
+            }
+
+            const rowChanges = {};
+            Object.entries(candidate.values).forEach(([column, value]) => {
+                const currentValue = current[column] || '';
+                if (currentValue !== value) {
+                    rowChanges[column] = { from: currentValue, to: value };
+                }
+            });
+
+            if (Object.keys(rowChanges).length > 0) {
+                changes.push({ row: candidate.row, groupid: candidate.groupid, changes: rowChanges });
+            } else {
+                unchangedRows++;
+            }
+        });
+
+        if (apply && changes.length > 0) {
+            // One statement for every changed row; columns a row doesn't change keep their current value
+            const valuesOf = (column) => changes.map(change =>
+                (change.changes[column] ? change.changes[column].to : null)
+            );
+
+            await client.query(`
+                UPDATE groupid_performance gp
+                SET owner = COALESCE(u.owner, gp.owner),
+                    notes = COALESCE(u.notes, gp.notes),
+                    next_review_date = COALESCE(u.next_review_date, gp.next_review_date)
+                FROM unnest($2::text[], $3::text[], $4::text[], $5::date[]) AS u(groupid, owner, notes, next_review_date)
+                WHERE gp.channel = $1 AND gp.groupid = u.groupid
+            `, [
+                channel,
+                changes.map(change => change.groupid),
+                valuesOf('owner'),
+                valuesOf('notes'),
+                valuesOf('next_review_date')
+            ]);
+        }
+
+        if (apply) {
+            await client.query('COMMIT');
+        }
+
+        console.log(`IMPORT_PRODUCTS: ${changes.length} changed, ${unchangedRows} unchanged, ${rejected.length} rejected${apply ? ' - changes applied' : ' (dry run)'}`);
+
+        res.json({
+            return_code: "SUCCESS",
+            applied: apply,
+            channel,
+            columns,
+            summary: {
+                total_rows: dataRows.length,
+                changed_rows: changes.length,
+                unchanged_rows: unchangedRows,
+                rejected_rows: rejected.length
+            },
+            changes,
+            rejected
+        });
+
+    } catch (error) {
+        if (apply && client) {
+            await client.query('ROLLBACK').catch(() => {});
+        }
+        console.error('IMPORT_PRODUCTS: Database error:', error);
+
+        res.status(500).json({
+            return_code: "DATABASE_ERROR",
+            message: "Failed to import products",
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    } finally {
+        if (client) {
+            client.release();
+        }
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,110 @@
+/*
+=======================================================================================================================================
+API Route: login
+=======================================================================================================================================
+Method: POST
+Purpose: Authenticates a dashboard user against the users table (bcrypt-hashed passwords) and returns a signed JWT.
+         The token carries the user's role (admin, owner, viewer) and owner_name used for write permissions.
+         The token must be sent as "Authorization: Bearer <token>" on every other data endpoint.
+=======================================================================================================================================
+Request Payload:
+{
+  "username": "andreas",                   // string, required
+  "password": "secret"                     // string, required
+}
+
+Success Response:
+{
+  "return_code": "SUCCESS",
+  "token": "eyJhbGciOiJIUzI1NiIsInR5cCI6...", // string, signed JWT
+  "expires_in": "12h",                     // string, token lifetime
+  "user": {
+    "user_id": 1,                          // integer, users.id
+    "username": "andreas",                 // string, login name
+    "display_name": "Andreas",             // string, name shown in the dashboard
+    "role": "owner",                       // string, admin | owner | viewer
+    "owner_name": "Andreas"                // string | null, matches groupid_performance.owner
+  }
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"MISSING_FIELDS"
+"INVALID_CREDENTIALS"
+"SERVER_ERROR"
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcrypt');
+const db = require('../db');
+const { signToken, JWT_EXPIRES_IN } = require('../middleware/auth');
+
+// POST /login
+router.post('/', async (req, res) => {
+    try {
+        const { username, password } = req.body;
+
+        if (!username || !password) {
+            console.log('LOGIN: Missing username or password');
+            return res.status(400).json({
+                return_code: "MISSING_FIELDS",
+                message: "username and password are required"
+            });
+        }
+
+        console.log(`LOGIN: Login attempt for user: ${username}`);
+
+        // Look up the active user by username (case-insensitive)
+        const userQuery = `
+            SELECT id, username, password_hash, display_name, role, owner_name
+            FROM users
+            WHERE LOWER(username) = LOWER($1)
+              AND active = TRUE
+        `;
+
+        const userResult = await db.query(userQuery, [username]);
+        const user = userResult.rows[0];
+
+        // Use the same response for unknown users and wrong passwords
+        const passwordMatches = user ? await bcrypt.compare(password, user.password_hash) : false;
+        if (!passwordMatches) {
+            console.log(`LOGIN: Invalid credentials for user: ${username}`);
+            return res.status(401).json({
+                return_code: "INVALID_CREDENTIALS",
+                message: "Invalid username or password"
+            });
+        }
+
+        await db.query('UPDATE users SET last_login = NOW() WHERE id = $1', [user.id]);
+
+        const token = signToken(user);
+
+        console.log(`LOGIN: User ${user.username} logged in successfully`);
+
+        res.json({
+            return_code: "SUCCESS",
+            token: token,
+            expires_in: JWT_EXPIRES_IN,
+            user: {
+                user_id: user.id,
+                username: user.username,
+                display_name: user.display_name || user.username,
+                role: user.role,
+                owner_name: user.owner_name || null
+            }
+        });
+
+    } catch (error) {
+        console.error('LOGIN: Server error:', error);
+
+        res.status(500).json({
+            return_code: "SERVER_ERROR",
+            message: "Failed to process login",
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,78 @@
+/*
+=======================================================================================================================================
+API Route: reorder_brand_groups
+=======================================================================================================================================
+Method: POST
+Purpose: Sets the order brand groups appear in the brand filter. The default (catch-all) group is always shown last
+         and is not part of the order. Admin only (see middleware/auth.js).
+=======================================================================================================================================
+Request Payload:
+{
+  "group_ids": [3, 1, 2, 4, 5, 6]          // array, required - every non-default group id, in the new order
+}
+
+Success Response:
+{
+  "return_code": "SUCCESS",
+  "brand_groups": [ ... ]                  // all groups in the new order, as returned by get_brand_groups
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"INVALID_ORDER"
+"ACCESS_DENIED"
+"DATABASE_ERROR"
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const router = express.Router();
+const brandGroupRepository = require('../repositories/brand_group_repository');
+
+// POST /reorder_brand_groups
+router.post('/', async (req, res) => {
+    const { group_ids } = req.body;
+
+    if (!Array.isArray(group_ids) || !group_ids.every(Number.isInteger)) {
+        return res.status(400).json({
+            return_code: "INVALID_ORDER",
+            message: "group_ids must be an array of brand group ids"
+        });
+    }
+
+    try {
+        console.log(`REORDER_BRAND_GROUPS: ${req.user.username} reordering brand groups: ${group_ids.join(', ')}`);
+
+        // The new order must list every non-default group exactly once
+        const currentGroups = await brandGroupRepository.getBrandGroups();
+        const orderableIds = currentGroups.filter(group => !group.is_default).map(group => group.id);
+        const isCompleteOrder = group_ids.length === orderableIds.length &&
+            new Set(group_ids).size === group_ids.length &&
+            group_ids.every(id => orderableIds.includes(id));
+
+        if (!isCompleteOrder) {
+            return res.status(400).json({
+                return_code: "INVALID_ORDER",
+                message: "group_ids must contain every brand group except the default group exactly once"
+            });
+        }
+
+        await brandGroupRepository.reorderBrandGroups(group_ids);
+        const brandGroups = await brandGroupRepository.getBrandGroups();
+
+        res.json({
+            return_code: "SUCCESS",
+            brand_groups: brandGroups
+        });
+
+    } catch (error) {
+        console.error('REORDER_BRAND_GROUPS: Database error:', error);
+        res.status(500).json({
+            return_code: "DATABASE_ERROR",
+            message: "Failed to reorder brand groups",
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,76 @@
+/*
+=======================================================================================================================================
+API Route: save_user_preference
+=======================================================================================================================================
+Method: POST
+Purpose: Saves one dashboard setting for the logged-in user, replacing any previous value.
+         Only known preference keys can be saved and each value is validated:
+         - products_table_columns: the products table columns in display order, each { key, visible, width }
+           (key: lower-case column key, visible: boolean, width: null or 40-1000 pixels), at most 50 columns
+=======================================================================================================================================
+Request Payload:
+{
+  "key": "products_table_columns",         // string, required
+  "value": [                               // required, format depends on the key
+    { "key": "annual_profit", "visible": true, "width": 140 },
+    { "key": "cost", "visible": true, "width": null }
+  ]
+}
+
+Success Response:
+{
+  "return_code": "SUCCESS",
+  "key": "products_table_columns"
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"INVALID_PREFERENCE"
+"INVALID_VALUE"
+"DATABASE_ERROR"
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const router = express.Router();
+const userPreferenceRepository = require('../repositories/user_preference_repository');
+
+// POST /save_user_preference
+router.post('/', async (req, res) => {
+    const { key, value } = req.body;
+
+    const invalidCode = userPreferenceRepository.validatePreference(key, value);
+    if (invalidCode === 'INVALID_PREFERENCE') {
+        return res.status(400).json({
+            return_code: "INVALID_PREFERENCE",
+            message: `key must be one of: ${userPreferenceRepository.PREFERENCE_KEYS.join(', ')}`
+        });
+    }
+    if (invalidCode === 'INVALID_VALUE') {
+        return res.status(400).json({
+            return_code: "INVALID_VALUE",
+            message: `Invalid value for ${key}`
+        });
+    }
+
+    try {
+        console.log(`SAVE_USER_PREFERENCE: ${req.user.username} saving ${key}`);
+
+        await userPreferenceRepository.savePreference(req.user.user_id, key, value);
+
+        res.json({
+            return_code: "SUCCESS",
+            key
+        });
+
+    } catch (error) {
+        console.error('SAVE_USER_PREFERENCE: Database error:', error);
+        res.status(500).json({
+            return_code: "DATABASE_ERROR",
+            message: "Failed to save preference",
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
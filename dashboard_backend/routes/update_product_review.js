@@ -0,0 +1,183 @@
+/*
+=======================================================================================================================================
+API Route: update_product_review
+=======================================================================================================================================
+Method: POST
+Purpose: Completes a product review from the dashboard. Sets review_date to today, schedules next_review_date and
+         updates the notes on the product's groupid_performance row for one channel (SHP by default), then records the
+         change in product_review_history.
+         Only the product's owner or an admin may call this endpoint (see middleware/auth.js).
+=======================================================================================================================================
+Request Payload:
+{
+  "groupid": "ABC123",                     // string, required
+  "channel": "SHP",                        // string, optional (default: "SHP")
+  "next_review_date": "2025-08-15",        // string (YYYY-MM-DD), required, must be after today
+  "notes": "Reduced price, check again"    // string, optional - omitted keeps the current notes
+}
+
+Success Response:
+{
+  "return_code": "SUCCESS",
+  "review": {
+    "groupid": "ABC123",
+    "channel": "SHP",
+    "review_date": "2025-08-01",           // date, today
+    "next_review_date": "2025-08-15",      // date
+    "notes": "Reduced price, check again", // string
+    "reviewed_by": "Andreas"               // string, logged-in user
+  }
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"MISSING_GROUPID"
+"INVALID_CHANNEL"
+"INVALID_DATE"
+"INVALID_NOTES"
+"PRODUCT_NOT_FOUND"
+"ACCESS_DENIED"
+"DATABASE_ERROR"
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { parseChannels } = require('../utils/product_filters');
+const { isDateString } = require('../utils/date_range');
+
+const MAX_NOTES_LENGTH = 2000;
+
+// POST /update_product_review
+router.post('/', async (req, res) => {
+    const { groupid, next_review_date, notes } = req.body;
+    const reviewedBy = req.user.display_name || req.user.username;
+
+    // Reviews are stored per channel row
+    const channels = parseChannels(req.body.channel);
+    if (!channels || channels.length > 1) {
+        return res.status(400).json({
+            return_code: "INVALID_CHANNEL",
+            message: "channel must be a single channel code"
+        });
+    }
+    const channel = channels[0];
+
+    // Validate next review date (YYYY-MM-DD, in the future)
+    if (!isDateString(next_review_date)) {
+        console.log(`UPDATE_PRODUCT_REVIEW: Invalid next_review_date: ${next_review_date}`);
+        return res.status(400).json({
+            return_code: "INVALID_DATE",
+            message: "next_review_date must be a date in YYYY-MM-DD format"
+        });
+    }
+
+    if (notes !== undefined && notes !== null && (typeof notes !== 'string' || notes.length > MAX_NOTES_LENGTH)) {
+        return res.status(400).json({
+            return_code: "INVALID_NOTES",
+            message: `notes must be text of at most ${MAX_NOTES_LENGTH} characters`
+        });
+    }
+
+    let client;
+
+    try {
+        client = await db.getClient();
+
+        console.log(`UPDATE_PRODUCT_REVIEW: ${reviewedBy} reviewing ${groupid} (${channel}), next review ${next_review_date}`);
+
+        await client.query('BEGIN');
+
+        // Lock the product row and read the values being replaced
+        const currentResult = await client.query(`
+            SELECT groupid, channel, review_date, next_review_date, notes, (CURRENT_DATE < $2::date) AS is_future
+            FROM groupid_performance
+            WHERE groupid = $1 AND channel = $3
+            FOR UPDATE
+        `, [groupid, next_review_date, channel]);
+
+        if (currentResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            console.log(`UPDATE_PRODUCT_REVIEW: Product not found for groupid: ${groupid}`);
+            return res.status(404).json({
+                return_code: "PRODUCT_NOT_FOUND",
+                message: `Product with groupid ${groupid} not found on channel ${channel}`
+            });
+        }
+
+        const current = currentResult.rows[0];
+
+        if (!current.is_future) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                return_code: "INVALID_DATE",
+                message: "next_review_date must be after today"
+            });
+        }
+
+        // Omitted notes keep the existing value
+        const newNotes = notes === undefined ? current.notes : (notes || '').trim();
+
+        const updateResult = await client.query(`
+            UPDATE groupid_performance
+            SET review_date = CURRENT_DATE,
+                next_review_date = $2,
+                notes = $3
+            WHERE groupid = $1 AND channel = $4
+            RETURNING groupid, channel, review_date, next_review_date, notes
+        `, [groupid, next_review_date, newNotes, channel]);
+
+        await client.query(`
+            INSERT INTO product_review_history (
+                groupid, channel, review_date, next_review_date, notes,
+                previous_review_date, previous_next_review_date, previous_notes, reviewed_by
+            )
+            VALUES ($1, $2, CURRENT_DATE, $3, $4, $5, $6, $7, $8)
+        `, [
+            groupid,
+            current.channel,
+            next_review_date,
+            newNotes,
+            current.review_date,
+            current.next_review_date,
+            current.notes,
+            reviewedBy
+        ]);
+
+        await client.query('COMMIT');
+
+        const updated = updateResult.rows[0];
+        console.log(`UPDATE_PRODUCT_REVIEW: Review saved for ${groupid}`);
+
+        res.json({
+            return_code: "SUCCESS",
+            review: {
+                groupid: updated.groupid,
+                channel: updated.channel,
+                review_date: updated.review_date,
+                next_review_date: updated.next_review_date,
+                notes: updated.notes || '',
+                reviewed_by: reviewedBy
+            }
+        });
+
+    } catch (error) {
+        if (client) {
+            await client.query('ROLLBACK').catch(() => {});
+        }
+        console.error('UPDATE_PRODUCT_REVIEW: Database error:', error);
+
+        res.status(500).json({
+            return_code: "DATABASE_ERROR",
+            message: "Failed to update product review",
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    } finally {
+        if (client) {
+            client.release();
+        }
+    }
+});
+
+module.exports = router;
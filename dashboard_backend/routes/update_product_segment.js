@@ -0,0 +1,165 @@
+/*
+=======================================================================================================================================
+API Route: update_product_segment
+=======================================================================================================================================
+Method: POST
+Purpose: Reclassifies a product's segment (Winner, Neutral, Loser) on one channel (SHP by default) and records the
+         change in product_workflow_history. Only the product-level segment in groupid_performance is changed;
+         the per-code segments in the performance table are left as calculated.
+         Only the product's owner or an admin may call this endpoint (see middleware/auth.js).
+=======================================================================================================================================
+Request Payload:
+{
+  "groupid": "ABC123",                     // string, required
+  "channel": "SHP",                        // string, optional (default: "SHP")
+  "segment": "Loser",                      // string, required - one of SEGMENTS in repositories/product_repository.js
+  "notes": "Sales dropped after price cut" // string, optional - kept with the change in the history
+}
+
+Success Response:
+{
+  "return_code": "SUCCESS",
+  "change": {
+    "groupid": "ABC123",
+    "channel": "SHP",
+    "field": "segment",
+    "previous_value": "Winner",
+    "new_value": "Loser",
+    "notes": "Sales dropped after price cut",
+    "changed_by": "Andreas",               // string, logged-in user
+    "created_at": "2025-08-01T09:12:00Z"
+  }
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"MISSING_GROUPID"
+"INVALID_CHANNEL"
+"INVALID_SEGMENT"
+"SEGMENT_UNCHANGED"
+"INVALID_NOTES"
+"PRODUCT_NOT_FOUND"
+"ACCESS_DENIED"
+"DATABASE_ERROR"
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { parseChannels } = require('../utils/product_filters');
+const { SEGMENTS } = require('../repositories/product_repository');
+
+const MAX_NOTES_LENGTH = 2000;
+
+// POST /update_product_segment
+router.post('/', async (req, res) => {
+    const { groupid, segment, notes } = req.body;
+    const changedBy = req.user.display_name || req.user.username;
+
+    // Segments are stored per channel row
+    const channels = parseChannels(req.body.channel);
+    if (!channels || channels.length > 1) {
+        return res.status(400).json({
+            return_code: "INVALID_CHANNEL",
+            message: "channel must be a single channel code"
+        });
+    }
+    const channel = channels[0];
+
+    if (!SEGMENTS.includes(segment)) {
+        console.log(`UPDATE_PRODUCT_SEGMENT: Invalid segment: ${segment}`);
+        return res.status(400).json({
+            return_code: "INVALID_SEGMENT",
+            message: `segment must be one of: ${SEGMENTS.join(', ')}`
+        });
+    }
+
+    if (notes !== undefined && notes !== null && (typeof notes !== 'string' || notes.length > MAX_NOTES_LENGTH)) {
+        return res.status(400).json({
+            return_code: "INVALID_NOTES",
+            message: `notes must be text of at most ${MAX_NOTES_LENGTH} characters`
+        });
+    }
+
+    let client;
+
+    try {
+        client = await db.getClient();
+
+        console.log(`UPDATE_PRODUCT_SEGMENT: ${changedBy} reclassifying ${groupid} (${channel}) as ${segment}`);
+
+        await client.query('BEGIN');
+
+        // Lock the product row and read the segment being replaced
+        const currentResult = await client.query(`
+            SELECT segment
+            FROM groupid_performance
+            WHERE groupid = $1 AND channel = $2
+            FOR UPDATE
+        `, [groupid, channel]);
+
+        if (currentResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            console.log(`UPDATE_PRODUCT_SEGMENT: Product not found for groupid: ${groupid}`);
+            return res.status(404).json({
+                return_code: "PRODUCT_NOT_FOUND",
+                message: `Product with groupid ${groupid} not found on channel ${channel}`
+            });
+        }
+
+        const currentSegment = currentResult.rows[0].segment;
+
+        if (currentSegment === segment) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                return_code: "SEGMENT_UNCHANGED",
+                message: `The product is already a ${segment}`
+            });
+        }
+
+        await client.query(`
+            UPDATE groupid_performance
+            SET segment = $3
+            WHERE groupid = $1 AND channel = $2
+        `, [groupid, channel, segment]);
+
+        const historyResult = await client.query(`
+            INSERT INTO product_workflow_history (groupid, channel, field, previous_value, new_value, notes, changed_by)
+            VALUES ($1, $2, 'segment', $3, $4, $5, $6)
+            RETURNING groupid, channel, field, previous_value, new_value, notes, changed_by, created_at
+        `, [groupid, channel, currentSegment, segment, (notes || '').trim() || null, changedBy]);
+
+        await client.query('COMMIT');
+
+        const change = historyResult.rows[0];
+        console.log(`UPDATE_PRODUCT_SEGMENT: ${groupid} reclassified from ${currentSegment || 'none'} to ${segment}`);
+
+        res.json({
+            return_code: "SUCCESS",
+            change: {
+                ...change,
+                previous_value: change.previous_value || '',
+                notes: change.notes || ''
+            }
+        });
+
+    } catch (error) {
+        if (client) {
+            await client.query('ROLLBACK').catch(() => {});
+        }
+        console.error('UPDATE_PRODUCT_SEGMENT: Database error:', error);
+
+        res.status(500).json({
+            return_code: "DATABASE_ERROR",
+            message: "Failed to update product segment",
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    } finally {
+        if (client) {
+            client.release();
+        }
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,173 @@
+/*
+=======================================================================================================================================
+API Route: update_product_status
+=======================================================================================================================================
+Method: POST
+Purpose: Moves a product through the review workflow (New → Reviewing → Actioned → Monitoring) on one channel (SHP by
+         default). Only the transitions in STATUS_TRANSITIONS (repositories/product_repository.js) are allowed.
+         Sets status and status_date on the product's groupid_performance row, then records the change in
+         product_workflow_history. The per-code statuses in the performance table are left unchanged.
+         Only the product's owner or an admin may call this endpoint (see middleware/auth.js).
+=======================================================================================================================================
+Request Payload:
+{
+  "groupid": "ABC123",                     // string, required
+  "channel": "SHP",                        // string, optional (default: "SHP")
+  "status": "Reviewing",                   // string, required - New, Reviewing, Actioned or Monitoring
+  "notes": "Checking competitor prices"    // string, optional - kept with the change in the history
+}
+
+Success Response:
+{
+  "return_code": "SUCCESS",
+  "change": {
+    "groupid": "ABC123",
+    "channel": "SHP",
+    "field": "status",
+    "previous_value": "New",
+    "new_value": "Reviewing",
+    "notes": "Checking competitor prices",
+    "changed_by": "Andreas",               // string, logged-in user
+    "created_at": "2025-08-01T09:12:00Z"
+  },
+  "allowed_statuses": ["Actioned", "New"]  // statuses the product can move to next
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"MISSING_GROUPID"
+"INVALID_CHANNEL"
+"INVALID_STATUS"
+"INVALID_TRANSITION"
+"INVALID_NOTES"
+"PRODUCT_NOT_FOUND"
+"ACCESS_DENIED"
+"DATABASE_ERROR"
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { parseChannels } = require('../utils/product_filters');
+const { PRODUCT_STATUSES, STATUS_TRANSITIONS } = require('../repositories/product_repository');
+
+const MAX_NOTES_LENGTH = 2000;
+
+// POST /update_product_status
+router.post('/', async (req, res) => {
+    const { groupid, status, notes } = req.body;
+    const changedBy = req.user.display_name || req.user.username;
+
+    // Statuses are stored per channel row
+    const channels = parseChannels(req.body.channel);
+    if (!channels || channels.length > 1) {
+        return res.status(400).json({
+            return_code: "INVALID_CHANNEL",
+            message: "channel must be a single channel code"
+        });
+    }
+    const channel = channels[0];
+
+    if (!PRODUCT_STATUSES.includes(status)) {
+        console.log(`UPDATE_PRODUCT_STATUS: Invalid status: ${status}`);
+        return res.status(400).json({
+            return_code: "INVALID_STATUS",
+            message: `status must be one of: ${PRODUCT_STATUSES.join(', ')}`
+        });
+    }
+
+    if (notes !== undefined && notes !== null && (typeof notes !== 'string' || notes.length > MAX_NOTES_LENGTH)) {
+        return res.status(400).json({
+            return_code: "INVALID_NOTES",
+            message: `notes must be text of at most ${MAX_NOTES_LENGTH} characters`
+        });
+    }
+
+    let client;
+
+    try {
+        client = await db.getClient();
+
+        console.log(`UPDATE_PRODUCT_STATUS: ${changedBy} moving ${groupid} (${channel}) to ${status}`);
+
+        await client.query('BEGIN');
+
+        // Lock the product row and read the status being replaced
+        const currentResult = await client.query(`
+            SELECT status
+            FROM groupid_performance
+            WHERE groupid = $1 AND channel = $2
+            FOR UPDATE
+        `, [groupid, channel]);
+
+        if (currentResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            console.log(`UPDATE_PRODUCT_STATUS: Product not found for groupid: ${groupid}`);
+            return res.status(404).json({
+                return_code: "PRODUCT_NOT_FOUND",
+                message: `Product with groupid ${groupid} not found on channel ${channel}`
+            });
+        }
+
+        // Statuses set outside the workflow may move to any workflow status
+        const currentStatus = currentResult.rows[0].status || PRODUCT_STATUSES[0];
+        const allowedStatuses = STATUS_TRANSITIONS[currentStatus] || PRODUCT_STATUSES;
+
+        if (!allowedStatuses.includes(status)) {
+            await client.query('ROLLBACK');
+            console.log(`UPDATE_PRODUCT_STATUS: ${currentStatus} -> ${status} not allowed for ${groupid}`);
+            return res.status(400).json({
+                return_code: "INVALID_TRANSITION",
+                message: `A ${currentStatus} product can only move to: ${allowedStatuses.join(', ')}`,
+                current_status: currentStatus,
+                allowed_statuses: allowedStatuses
+            });
+        }
+
+        await client.query(`
+            UPDATE groupid_performance
+            SET status = $3,
+                status_date = NOW()
+            WHERE groupid = $1 AND channel = $2
+        `, [groupid, channel, status]);
+
+        const historyResult = await client.query(`
+            INSERT INTO product_workflow_history (groupid, channel, field, previous_value, new_value, notes, changed_by)
+            VALUES ($1, $2, 'status', $3, $4, $5, $6)
+            RETURNING groupid, channel, field, previous_value, new_value, notes, changed_by, created_at
+        `, [groupid, channel, currentStatus, status, (notes || '').trim() || null, changedBy]);
+
+        await client.query('COMMIT');
+
+        const change = historyResult.rows[0];
+        console.log(`UPDATE_PRODUCT_STATUS: ${groupid} moved from ${currentStatus} to ${status}`);
+
+        res.json({
+            return_code: "SUCCESS",
+            change: {
+                ...change,
+                notes: change.notes || ''
+            },
+            allowed_statuses: STATUS_TRANSITIONS[status]
+        });
+
+    } catch (error) {
+        if (client) {
+            await client.query('ROLLBACK').catch(() => {});
+        }
+        console.error('UPDATE_PRODUCT_STATUS: Database error:', error);
+
+        res.status(500).json({
+            return_code: "DATABASE_ERROR",
+            message: "Failed to update product status",
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    } finally {
+        if (client) {
+            client.release();
+        }
+    }
+});
+
+module.exports = router;
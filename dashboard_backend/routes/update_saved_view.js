@@ -0,0 +1,114 @@
+/*
+=======================================================================================================================================
+API Route: update_saved_view
+=======================================================================================================================================
+Method: POST
+Purpose: Renames a saved view, replaces its filters with the current dashboard state and/or shares or unshares it.
+         Only the user who saved the view can change it. Fields left out of the payload are not changed.
+=======================================================================================================================================
+Request Payload:
+{
+  "view_id": 4,                            // integer, required
+  "name": "Birkenstock winners",           // string, optional, max 60 characters
+  "filters": { "brand": "Birkenstock" },   // object, optional - replaces the saved filters
+  "is_shared": false                       // boolean, optional
+}
+
+Success Response:
+{
+  "return_code": "SUCCESS",
+  "view": { ... }                          // the updated view, as returned by get_saved_views
+}
+=======================================================================================================================================
+Return Codes:
+"SUCCESS"
+"VIEW_NOT_FOUND"
+"ACCESS_DENIED"
+"INVALID_NAME"
+"INVALID_FILTERS"
+"VIEW_EXISTS"
+"DATABASE_ERROR"
+=======================================================================================================================================
+*/
+
+const express = require('express');
+const router = express.Router();
+const savedViewRepository = require('../repositories/saved_view_repository');
+
+const { MAX_VIEW_NAME_LENGTH } = savedViewRepository;
+
+// POST /update_saved_view
+router.post('/', async (req, res) => {
+    const viewId = parseInt(req.body.view_id, 10);
+    const changes = {};
+
+    if (req.body.name !== undefined) {
+        changes.name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+        if (!changes.name || changes.name.length > MAX_VIEW_NAME_LENGTH) {
+            return res.status(400).json({
+                return_code: "INVALID_NAME",
+                message: `name must not be empty and must be at most ${MAX_VIEW_NAME_LENGTH} characters`
+            });
+        }
+    }
+
+    if (req.body.filters !== undefined) {
+        changes.filters = savedViewRepository.parseViewFilters(req.body.filters);
+        if (!changes.filters) {
+            return res.status(400).json({
+                return_code: "INVALID_FILTERS",
+                message: "filters must be an object of dashboard parameters with string values"
+            });
+        }
+    }
+
+    if (req.body.is_shared !== undefined) {
+        changes.is_shared = req.body.is_shared === true;
+    }
+
+    try {
+        const view = isNaN(viewId) ? null : await savedViewRepository.getSavedView(viewId);
+
+        // Other users' private views are reported as missing
+        if (!view || (view.user_id !== req.user.user_id && !view.is_shared)) {
+            return res.status(404).json({
+                return_code: "VIEW_NOT_FOUND",
+                message: `Saved view ${req.body.view_id} not found`
+            });
+        }
+
+        if (view.user_id !== req.user.user_id) {
+            return res.status(403).json({
+                return_code: "ACCESS_DENIED",
+                message: `Only ${view.created_by} can change this view`
+            });
+        }
+
+        console.log(`UPDATE_SAVED_VIEW: ${req.user.username} updating view ${view.name} (${Object.keys(changes).join(', ') || 'no changes'})`);
+
+        const updatedView = await savedViewRepository.updateSavedView(viewId, changes);
+
+        res.json({
+            return_code: "SUCCESS",
+            view: { ...updatedView, is_mine: true }
+        });
+
+    } catch (error) {
+        // Unique index on (user_id, LOWER(name))
+        if (error.code === '23505') {
+            return res.status(409).json({
+                return_code: "VIEW_EXISTS",
+                message: `You already have a view named ${changes.name}`
+            });
+        }
+
+        console.error('UPDATE_SAVED_VIEW: Database error:', error);
+        res.status(500).json({
+            return_code: "DATABASE_ERROR",
+            message: "Failed to update saved view",
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
@@ -10,9 +10,8 @@ Connects to PostgreSQL database and provides API endpoints for the BC dashboard
 
 const express = require('express');
 const cors = require('cors');
-const jwt = require('jsonwebtoken');
-const bcrypt = require('bcrypt');
 require('dotenv').config();
+const { authenticateToken, requireRole, requireProductOwnership } = require('./middleware/auth');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -23,49 +22,99 @@ const HOST = process.env.HOST || 'localhost';
 const corsOptions = {
     origin: process.env.CORS_ORIGIN || 'http://localhost:3001',
     credentials: true,
-    optionsSuccessStatus: 200
+    optionsSuccessStatus: 200,
+    // Lets the frontend read the file name of export_products downloads
+    exposedHeaders: ['Content-Disposition']
 };
 app.use(cors(corsOptions));
-app.use(express.json());
-
-// JWT Authentication middleware
-const authenticateToken = (req, res, next) => {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
-
-    if (!token) {
-        return res.status(401).json({ 
-            return_code: "UNAUTHORIZED",
-            message: "Access token required" 
-        });
-    }
-
-    jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-        if (err) {
-            return res.status(403).json({ 
-                return_code: "FORBIDDEN",
-                message: "Invalid or expired token" 
-            });
-        }
-        req.user = user;
-        next();
-    });
-};
+// Raised from the 100kb default - import_products receives whole CSV files as JSON text
+app.use(express.json({ limit: '2mb' }));
 
 // Import route handlers
+const login = require("./routes/login");
 const get_products = require("./routes/get_products");
 const get_owners = require("./routes/get_owners");
 const get_brands = require("./routes/get_brands");
+const get_channels = require("./routes/get_channels");
 const get_products_comparison = require("./routes/get_products_comparison");
+const get_overall_stats = require("./routes/get_overall_stats");
+const get_available_weeks = require("./routes/get_available_weeks");
+const get_products_trend = require("./routes/get_products_trend");
+const export_products = require("./routes/export_products");
 const get_product_details = require("./routes/get_product_details");
+const get_price_history = require("./routes/get_price_history");
+const get_product_performance_history = require("./routes/get_product_performance_history");
+const get_product_sales_summary = require("./routes/get_product_sales_summary");
+const get_product_sizes = require("./routes/get_product_sizes");
+const get_code_performance = require("./routes/get_code_performance");
+const get_health_check = require("./routes/get_health_check");
+const get_price_change_reasons = require("./routes/get_price_change_reasons");
+const update_product_review = require("./routes/update_product_review");
+const change_price = require("./routes/change_price");
+const update_product_segment = require("./routes/update_product_segment");
+const update_product_status = require("./routes/update_product_status");
+const get_brand_groups = require("./routes/get_brand_groups");
+const create_brand_group = require("./routes/create_brand_group");
+const reorder_brand_groups = require("./routes/reorder_brand_groups");
+const assign_brand_group = require("./routes/assign_brand_group");
+const delete_brand_group = require("./routes/delete_brand_group");
+const import_products = require("./routes/import_products");
+const get_saved_views = require("./routes/get_saved_views");
+const create_saved_view = require("./routes/create_saved_view");
+const update_saved_view = require("./routes/update_saved_view");
+const delete_saved_view = require("./routes/delete_saved_view");
+const get_user_preferences = require("./routes/get_user_preferences");
+const save_user_preference = require("./routes/save_user_preference");
 
 // Route definitions
 // All routes use POST method as per project requirements
-app.use("/get_products", get_products);
-app.use("/get_owners", get_owners);
-app.use("/get_brands", get_brands);
-app.use("/get_products_comparison", get_products_comparison);
-app.use("/get_product_details", get_product_details);
+// Public routes
+app.use("/login", login);
+
+// Data routes - require a valid JWT (see middleware/auth.js)
+app.use("/get_products", authenticateToken, get_products);
+app.use("/get_owners", authenticateToken, get_owners);
+app.use("/get_brands", authenticateToken, get_brands);
+app.use("/get_channels", authenticateToken, get_channels);
+app.use("/get_products_comparison", authenticateToken, get_products_comparison);
+app.use("/get_overall_stats", authenticateToken, get_overall_stats);
+app.use("/get_available_weeks", authenticateToken, get_available_weeks);
+app.use("/get_products_trend", authenticateToken, get_products_trend);
+app.use("/export_products", authenticateToken, export_products);
+app.use("/get_product_details", authenticateToken, get_product_details);
+app.use("/get_price_history", authenticateToken, get_price_history);
+app.use("/get_product_performance_history", authenticateToken, get_product_performance_history);
+app.use("/get_product_sales_summary", authenticateToken, get_product_sales_summary);
+app.use("/get_product_sizes", authenticateToken, get_product_sizes);
+app.use("/get_code_performance", authenticateToken, get_code_performance);
+app.use("/get_health_check", authenticateToken, get_health_check);
+app.use("/get_price_change_reasons", authenticateToken, get_price_change_reasons);
+app.use("/get_brand_groups", authenticateToken, get_brand_groups);
+
+// Saved views - any logged-in user manages their own views (ownership is checked in the routes)
+app.use("/get_saved_views", authenticateToken, get_saved_views);
+app.use("/create_saved_view", authenticateToken, create_saved_view);
+app.use("/update_saved_view", authenticateToken, update_saved_view);
+app.use("/delete_saved_view", authenticateToken, delete_saved_view);
+
+// User preferences - settings of the logged-in user, e.g. the products table columns
+app.use("/get_user_preferences", authenticateToken, get_user_preferences);
+app.use("/save_user_preference", authenticateToken, save_user_preference);
+
+// Write routes - product owner or admin only
+app.use("/update_product_review", authenticateToken, requireProductOwnership, update_product_review);
+app.use("/change_price", authenticateToken, requireProductOwnership, change_price);
+app.use("/update_product_segment", authenticateToken, requireProductOwnership, update_product_segment);
+app.use("/update_product_status", authenticateToken, requireProductOwnership, update_product_status);
+
+// Admin routes - brand group configuration
+app.use("/create_brand_group", authenticateToken, requireRole('admin'), create_brand_group);
+app.use("/reorder_brand_groups", authenticateToken, requireRole('admin'), reorder_brand_groups);
+app.use("/assign_brand_group", authenticateToken, requireRole('admin'), assign_brand_group);
+app.use("/delete_brand_group", authenticateToken, requireRole('admin'), delete_brand_group);
+
+// Admin routes - bulk updates
+app.use("/import_products", authenticateToken, requireRole('admin'), import_products);
 
 // Health check endpoint
 app.post('/health', (req, res) => {
@@ -1,5 +1,8 @@
 const http = require('http');
 
+// Data routes require a JWT - get one from POST /login and run: API_TOKEN=<token> node test_api.js
+const API_TOKEN = process.env.API_TOKEN;
+
 function makeRequest(data) {
     return new Promise((resolve, reject) => {
         const postData = JSON.stringify(data);
@@ -11,7 +14,8 @@ function makeRequest(data) {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
-                'Content-Length': Buffer.byteLength(postData)
+                'Content-Length': Buffer.byteLength(postData),
+                ...(API_TOKEN ? { 'Authorization': `Bearer ${API_TOKEN}` } : {})
             }
         };
 
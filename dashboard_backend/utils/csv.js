@@ -0,0 +1,89 @@
+/*
+=======================================================================================================================================
+CSV
+=======================================================================================================================================
+Reads and writes the comma-separated files used by the product export (export_products) and import (import_products)
+Follows RFC 4180: fields containing commas, quotes or line breaks are quoted and quotes inside them are doubled
+=======================================================================================================================================
+*/
+
+/**
+ * Formats a value as a CSV field
+ * Text starting with a formula character (=, +, -, @) is prefixed with ' so spreadsheets don't run it
+ * @param {*} value
+ * @returns {string}
+ */
+const toCsvField = (value) => {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return String(value);
+
+    let text = String(value);
+    if (/^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Splits CSV text into rows of fields
+ * A leading byte order mark and blank lines are skipped; line breaks inside quoted fields are kept
+ * @param {string} text
+ * @returns {string[][]|null} null when a quoted field is never closed
+ */
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0].trim() !== '') {
+            rows.push(row);
+        }
+        row = [];
+        field = '';
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            // \r\n ends a single row
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+
+    if (inQuotes) {
+        return null;
+    }
+    if (field !== '' || row.length > 0) {
+        endRow();
+    }
+    return rows;
+};
+
+module.exports = {
+    toCsvField,
+    parseCsv
+};
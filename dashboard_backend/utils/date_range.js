@@ -0,0 +1,65 @@
+/*
+=======================================================================================================================================
+DATE RANGE
+=======================================================================================================================================
+Validates the "from_date" / "to_date" (YYYY-MM-DD) request parameters used by the date-ranged product detail routes
+isDateString is also the strict YYYY-MM-DD check for single dates such as next_review_date
+Dates are compared as UTC calendar days so results don't depend on the server time zone
+=======================================================================================================================================
+*/
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether a value is a real calendar date in YYYY-MM-DD format
+ * @param {string} value
+ * @returns {boolean}
+ */
+const isDateString = (value) => {
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+        return false;
+    }
+    const date = new Date(`${value}T00:00:00Z`);
+    // Rejects dates that roll over, e.g. 2025-02-30
+    return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+/**
+ * Formats a Date as YYYY-MM-DD (UTC)
+ * @param {Date} date
+ * @returns {string}
+ */
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Normalises the "from_date" / "to_date" request parameters
+ * @param {Object} params
+ * @param {string} [params.from_date]
+ * @param {string} [params.to_date]
+ * @param {Object} [options]
+ * @param {number|null} [options.defaultDays]  - Days up to to_date used when from_date is missing (null: open range)
+ * @returns {{ fromDate: string|null, toDate: string|null }|null} null when a date is invalid or from_date is after to_date
+ */
+const parseDateRange = ({ from_date, to_date } = {}, { defaultDays = null } = {}) => {
+    if ([from_date, to_date].some(date => date && !isDateString(date))) {
+        return null;
+    }
+
+    // With a default length the range is always closed, ending today unless to_date is given
+    let fromDate = from_date || null;
+    let toDate = to_date || (defaultDays ? formatDate(new Date()) : null);
+    if (!fromDate && defaultDays) {
+        fromDate = formatDate(new Date(new Date(`${toDate}T00:00:00Z`).getTime() - (defaultDays - 1) * MS_PER_DAY));
+    }
+
+    if (fromDate && toDate && fromDate > toDate) {
+        return null;
+    }
+    return { fromDate, toDate };
+};
+
+module.exports = {
+    isDateString,
+    parseDateRange
+};
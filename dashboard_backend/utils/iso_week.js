@@ -0,0 +1,129 @@
+/*
+=======================================================================================================================================
+ISO WEEK
+=======================================================================================================================================
+Parses, formats, offsets and diffs the "YYYY-Www" ISO 8601 week strings used by groupid_performance_week.year_week
+Weeks start on Monday and week 1 is the week containing the year's first Thursday, so some years have 53 weeks
+and the first days of January can belong to the last week of the previous year
+All date arithmetic is done in UTC so results don't depend on the server time zone
+=======================================================================================================================================
+*/
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MS_PER_WEEK = 7 * MS_PER_DAY;
+
+const YEAR_WEEK_PATTERN = /^(\d{4})-W(\d{2})$/;
+
+/**
+ * Monday (UTC midnight) of ISO week 1 of a year - the week containing 4 January
+ * @param {number} year
+ * @returns {Date}
+ */
+const getWeekOneMonday = (year) => {
+    const january4 = new Date(Date.UTC(year, 0, 4));
+    const dayOfWeek = january4.getUTCDay() || 7; // Sunday is day 7 in ISO weeks
+    return new Date(january4.getTime() - (dayOfWeek - 1) * MS_PER_DAY);
+};
+
+/**
+ * Number of ISO weeks in a year (52 or 53) - the week containing 28 December is always the last
+ * @param {number} year
+ * @returns {number}
+ */
+const getWeeksInYear = (year) => {
+    const lastWeekMonday = getWeekOneMonday(year + 1).getTime() - MS_PER_WEEK;
+    return Math.round((lastWeekMonday - getWeekOneMonday(year).getTime()) / MS_PER_WEEK) + 1;
+};
+
+/**
+ * Parses a "YYYY-Www" string
+ * @param {string} yearWeek  - e.g. "2025-W07"
+ * @returns {{ year: number, week: number }|null} null when malformed or the week doesn't exist in that year
+ */
+const parseYearWeek = (yearWeek) => {
+    const match = typeof yearWeek === 'string' ? YEAR_WEEK_PATTERN.exec(yearWeek) : null;
+    if (!match) {
+        return null;
+    }
+
+    const year = parseInt(match[1], 10);
+    const week = parseInt(match[2], 10);
+    if (week < 1 || week > getWeeksInYear(year)) {
+        return null;
+    }
+    return { year, week };
+};
+
+/**
+ * Whether a value is a valid "YYYY-Www" string
+ * @param {string} yearWeek
+ * @returns {boolean}
+ */
+const isYearWeek = (yearWeek) => parseYearWeek(yearWeek) !== null;
+
+/**
+ * Formats a year and week number as "YYYY-Www"
+ * @param {number} year
+ * @param {number} week
+ * @returns {string}
+ */
+const formatYearWeek = (year, week) => `${year}-W${week.toString().padStart(2, '0')}`;
+
+/**
+ * Monday (UTC midnight) of an ISO week
+ * Throws when the week string is invalid
+ * @param {string} yearWeek
+ * @returns {Date}
+ */
+const getWeekStart = (yearWeek) => {
+    const parsed = parseYearWeek(yearWeek);
+    if (!parsed) {
+        throw new Error(`Invalid ISO week: ${yearWeek}`);
+    }
+    return new Date(getWeekOneMonday(parsed.year).getTime() + (parsed.week - 1) * MS_PER_WEEK);
+};
+
+/**
+ * ISO week containing a date
+ * @param {Date} date
+ * @returns {string} "YYYY-Www"
+ */
+const getYearWeekOfDate = (date) => {
+    // The Thursday of the date's week decides which year the week belongs to
+    const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    const dayOfWeek = day.getUTCDay() || 7;
+    const thursday = new Date(day.getTime() + (4 - dayOfWeek) * MS_PER_DAY);
+
+    const year = thursday.getUTCFullYear();
+    const week = Math.floor((thursday.getTime() - getWeekOneMonday(year).getTime()) / MS_PER_WEEK) + 1;
+    return formatYearWeek(year, week);
+};
+
+/**
+ * Moves a week forwards or backwards, crossing year boundaries correctly
+ * @param {string} yearWeek
+ * @param {number} weeks  - Negative to go back, e.g. -1 for the previous week
+ * @returns {string}
+ */
+const addWeeks = (yearWeek, weeks) =>
+    getYearWeekOfDate(new Date(getWeekStart(yearWeek).getTime() + weeks * MS_PER_WEEK));
+
+/**
+ * Number of weeks from one week to another (positive when "to" is later)
+ * @param {string} from
+ * @param {string} to
+ * @returns {number}
+ */
+const diffWeeks = (from, to) =>
+    Math.round((getWeekStart(to).getTime() - getWeekStart(from).getTime()) / MS_PER_WEEK);
+
+module.exports = {
+    parseYearWeek,
+    isYearWeek,
+    formatYearWeek,
+    getWeeksInYear,
+    getWeekStart,
+    getYearWeekOfDate,
+    addWeeks,
+    diffWeeks
+};
@@ -0,0 +1,494 @@
+/*
+=======================================================================================================================================
+PRODUCT FILTERS
+=======================================================================================================================================
+Builds the shared SQL filter, sort and paging clauses for the product list routes (get_products, get_products_comparison)
+Queries must alias groupid_performance as "gp"; the skusummary join is aliased as "ss" and the title join as "st"
+The optional skusummary list columns (cost, rrp, season, ...) use their own join aliased as "sku"
+The price gap columns compare the current Shopify price (skusummary.shopifyprice) with gp.recommended_price
+Every product route accepts a "channel" parameter - a single channel code ("SHP") or a list (["SHP", "AMZ"])
+=======================================================================================================================================
+*/
+
+const { buildBrandFilterCondition, buildBrandListCondition } = require('../repositories/brand_group_repository');
+const { DEFAULT_CHANNEL, PRODUCT_STATUSES } = require('../repositories/product_repository');
+
+const CHANNEL_PATTERN = /^[A-Z0-9_]{1,20}$/;
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Multi-select filters - each a list of values a product may match any of
+const FILTER_LISTS = ['owners', 'brands', 'segments', 'seasons'];
+const MAX_FILTER_VALUES = 100;
+
+// Range filters - "<key>_min" / "<key>_max" bound these groupid_performance columns (inclusive)
+const RANGE_COLUMNS = {
+    annual_profit: 'annual_profit',
+    sold_qty: 'sold_qty',
+    avg_profit_per_unit: 'avg_profit_per_unit',
+    avg_gross_margin: 'avg_gross_margin',
+    stock: 'stock',
+    recommended_price: 'recommended_price'
+};
+
+// Range filter keys bounding a performance metric - compared with the figures the query shows, which are a week's
+// snapshot rather than groupid_performance when a current week is chosen (see buildProductFilters options)
+const METRIC_RANGE_KEYS = ['annual_profit', 'sold_qty', 'avg_profit_per_unit', 'avg_gross_margin'];
+
+// Sortable request keys and their groupid_performance columns
+const SORT_COLUMNS = {
+    groupid: 'groupid',
+    channel: 'channel',
+    annual_profit: 'annual_profit',
+    sold_qty: 'sold_qty',
+    avg_profit_per_unit: 'avg_profit_per_unit',
+    segment: 'segment',
+    status: 'status',
+    brand: 'brand',
+    owner: 'owner',
+    avg_gross_margin: 'avg_gross_margin',
+    recommended_price: 'recommended_price',
+    stock: 'stock',
+    review_date: 'review_date',
+    next_review_date: 'next_review_date',
+    price_gap: 'price_gap_percent'
+};
+
+// Sort keys computed by PRICE_GAP_SELECT - sorted by their output column rather than a groupid_performance column
+const COMPUTED_SORT_KEYS = ['price_gap'];
+
+// skusummary columns offered as optional product list columns
+const SKU_SUMMARY_JOIN = 'LEFT JOIN skusummary sku ON gp.groupid = sku.groupid';
+const SKU_SUMMARY_SELECT = 'sku.cost, sku.rrp, sku.season, sku.supplier, sku.minshopifyprice, sku.maxshopifyprice';
+
+/**
+ * SQL for a skusummary text price as a number - blanks and non-numbers become NULL
+ * @param {string} column - e.g. "sku.shopifyprice"
+ * @returns {string}
+ */
+const skuPriceSql = (column) => `CASE WHEN btrim(${column}) ~ '^[0-9]+(\\.[0-9]+)?$' THEN btrim(${column})::numeric END`;
+
+/**
+ * SQL for the gap between the current price and the recommended price as a percentage of the recommendation
+ * Positive when the product is priced above the recommendation; NULL without a price or a recommendation
+ * @param {string} skuAlias - Alias of the skusummary join
+ * @returns {string}
+ */
+const priceGapPercentSql = (skuAlias) =>
+    `ROUND((${skuPriceSql(`${skuAlias}.shopifyprice`)} - gp.recommended_price) / NULLIF(gp.recommended_price, 0) * 100, 2)`;
+
+const PRICE_GAP_SELECT = `${skuPriceSql('sku.shopifyprice')} AS current_price,
+    ${skuPriceSql('sku.shopifyprice')} - NULLIF(gp.recommended_price, 0) AS price_gap,
+    ${priceGapPercentSql('sku')} AS price_gap_percent`;
+
+// skusummary stores prices as text - blanks and non-numbers become null
+const toSkuPrice = (value) => {
+    const price = parseFloat(value);
+    return isNaN(price) ? null : price;
+};
+
+/**
+ * Product list fields for the SKU_SUMMARY_SELECT columns of a row
+ * @param {Object} row
+ * @returns {{ cost: number|null, rrp: number|null, season: string, supplier: string,
+ *             min_price: number|null, max_price: number|null }}
+ */
+const mapSkuSummaryColumns = (row) => ({
+    cost: toSkuPrice(row.cost),
+    rrp: toSkuPrice(row.rrp),
+    season: row.season || '',
+    supplier: row.supplier || '',
+    min_price: toSkuPrice(row.minshopifyprice),
+    max_price: toSkuPrice(row.maxshopifyprice)
+});
+
+/**
+ * Product list fields for the PRICE_GAP_SELECT columns of a row (which must also hold the SKU_SUMMARY_SELECT columns)
+ * recommended_in_band is whether the recommended price lies within the min / max Shopify price - an unset bound
+ * doesn't limit the band - and null without a recommendation
+ * @param {Object} row
+ * @returns {{ current_price: number|null, price_gap: number|null, price_gap_percent: number|null,
+ *             recommended_in_band: boolean|null }}
+ */
+const mapPriceGapColumns = (row) => {
+    const recommended = row.recommended_price ? parseFloat(row.recommended_price) : null;
+    const minPrice = toSkuPrice(row.minshopifyprice);
+    const maxPrice = toSkuPrice(row.maxshopifyprice);
+
+    return {
+        current_price: row.current_price === null ? null : parseFloat(row.current_price),
+        price_gap: row.price_gap === null ? null : Math.round(parseFloat(row.price_gap) * 100) / 100,
+        price_gap_percent: row.price_gap_percent === null ? null : parseFloat(row.price_gap_percent),
+        recommended_in_band: recommended === null
+            ? null
+            : (minPrice === null || recommended >= minPrice) && (maxPrice === null || recommended <= maxPrice)
+    };
+};
+
+/**
+ * Normalises the "channel" request parameter into a list of channel codes
+ * Missing or empty values default to SHP; codes are upper-cased
+ * @param {string|string[]|undefined} value - "SHP", "SHP,AMZ" or ["SHP", "AMZ"]
+ * @returns {string[]|null} null when any code is invalid
+ */
+const parseChannels = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return [DEFAULT_CHANNEL];
+    }
+
+    const values = Array.isArray(value) ? value : String(value).split(',');
+    if (!values.every(channel => typeof channel === 'string')) {
+        return null;
+    }
+
+    const channels = [...new Set(values.map(channel => channel.trim().toUpperCase()).filter(Boolean))];
+    if (channels.length === 0) {
+        return [DEFAULT_CHANNEL];
+    }
+
+    return channels.every(channel => CHANNEL_PATTERN.test(channel)) ? channels : null;
+};
+
+/**
+ * Checks the optional "status" filter against the workflow statuses
+ * @param {string|undefined} status
+ * @returns {boolean} true when the status is omitted or one of PRODUCT_STATUSES
+ */
+const isValidStatusFilter = (status) => !status || PRODUCT_STATUSES.includes(status);
+
+/**
+ * Normalises the multi-select filters "owners", "brands", "segments" and "seasons"
+ * Each may be a list or a single string, sent as e.g. "owners" or "owners[]"; values are trimmed and blanks and
+ * duplicates dropped. An empty list means no filter.
+ * @param {Object} body - Request body
+ * @returns {{ owners: string[], brands: string[], segments: string[], seasons: string[] }|null}
+ *          null when a value is not a string or a list has more than 100 values
+ */
+const parseFilterLists = (body = {}) => {
+    const lists = {};
+
+    for (const key of FILTER_LISTS) {
+        const value = body[key] !== undefined ? body[key] : body[`${key}[]`];
+        if (value === undefined || value === null || value === '') {
+            lists[key] = [];
+            continue;
+        }
+
+        const values = Array.isArray(value) ? value : [value];
+        if (values.length > MAX_FILTER_VALUES || !values.every(item => typeof item === 'string')) {
+            return null;
+        }
+        lists[key] = [...new Set(values.map(item => item.trim()).filter(Boolean))];
+    }
+
+    return lists;
+};
+
+/**
+ * Normalises the range filters, e.g. "annual_profit_min" / "annual_profit_max" (see RANGE_COLUMNS)
+ * Bounds may be numbers or numeric strings; omitted or empty bounds are left open.
+ * avg_gross_margin is a fraction, so 20% is sent as 0.2.
+ * @param {Object} body - Request body
+ * @returns {Object<string, { min: number|null, max: number|null }>|null}
+ *          The bounded columns by key, or null when a bound is not a number or a minimum exceeds its maximum
+ */
+const parseRangeFilters = (body = {}) => {
+    const ranges = {};
+
+    for (const key of Object.keys(RANGE_COLUMNS)) {
+        const bounds = {};
+        for (const bound of ['min', 'max']) {
+            const value = body[`${key}_${bound}`];
+            if (value === undefined || value === null || value === '') {
+                bounds[bound] = null;
+                continue;
+            }
+
+            const number = typeof value === 'number' || typeof value === 'string' ? Number(value) : NaN;
+            if (!Number.isFinite(number)) {
+                return null;
+            }
+            bounds[bound] = number;
+        }
+
+        if (bounds.min !== null && bounds.max !== null && bounds.min > bounds.max) {
+            return null;
+        }
+        if (bounds.min !== null || bounds.max !== null) {
+            ranges[key] = bounds;
+        }
+    }
+
+    return ranges;
+};
+
+/**
+ * Normalises the "price_gap_over" filter - a percentage the current price must differ from the recommendation by
+ * @param {number|string|undefined} value
+ * @returns {number|null|undefined} null when omitted, undefined when not a non-negative number
+ */
+const parsePriceGapOver = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const number = typeof value === 'number' || typeof value === 'string' ? Number(value) : NaN;
+    return Number.isFinite(number) && number >= 0 ? number : undefined;
+};
+
+/**
+ * Validates and normalises every product filter of a product list request - channel, status, the multi-select lists,
+ * the ranges and the price gap - so the list, comparison, stats, trend and export routes accept the same filters
+ * @param {Object} body - Request body
+ * @returns {{ filters: Object }|{ error: { return_code: string, message: string } }}
+ *          filters for buildProductFilters (filters.channels is the parsed channel list), or the 400 response body
+ *          for the first invalid filter
+ */
+const parseProductFilterRequest = (body = {}) => {
+    const channels = parseChannels(body.channel);
+    if (!channels) {
+        return { error: { return_code: 'INVALID_CHANNEL', message: 'channel must be a channel code or a list of channel codes' } };
+    }
+
+    if (!isValidStatusFilter(body.status)) {
+        return { error: { return_code: 'INVALID_STATUS', message: 'status must be New, Reviewing, Actioned or Monitoring' } };
+    }
+
+    const filterLists = parseFilterLists(body);
+    if (!filterLists) {
+        return {
+            error: {
+                return_code: 'INVALID_FILTER',
+                message: 'owners, brands, segments and seasons must be lists of at most 100 names'
+            }
+        };
+    }
+
+    const ranges = parseRangeFilters(body);
+    if (!ranges) {
+        return {
+            error: {
+                return_code: 'INVALID_RANGE',
+                message: 'Range bounds must be numbers and each minimum must not exceed its maximum'
+            }
+        };
+    }
+
+    const priceGapOver = parsePriceGapOver(body.price_gap_over);
+    if (priceGapOver === undefined) {
+        return { error: { return_code: 'INVALID_PRICE_GAP', message: 'price_gap_over must be a percentage of 0 or more' } };
+    }
+
+    return { filters: { ...body, ...filterLists, ranges, price_gap_over: priceGapOver, channels } };
+};
+
+/**
+ * Normalises the "sort_key" / "sort_dir" request parameters (default: annual_profit descending)
+ * @param {Object} params
+ * @param {string} [params.sort_key]  - One of the SORT_COLUMNS keys
+ * @param {string} [params.sort_dir]  - "asc" or "desc"
+ * @returns {{ sort_key: string, sort_dir: string }|null} null when the key or direction is invalid
+ */
+const parseSort = ({ sort_key, sort_dir } = {}) => {
+    const key = sort_key || 'annual_profit';
+    const direction = (sort_dir || 'desc').toString().toLowerCase();
+
+    if (!SORT_COLUMNS[key] || !['asc', 'desc'].includes(direction)) {
+        return null;
+    }
+    return { sort_key: key, sort_dir: direction };
+};
+
+/**
+ * ORDER BY clause for a parsed sort - NULLs always last, ties broken by groupid and channel
+ * The query must select PRICE_GAP_SELECT for the price_gap sort
+ * @param {{ sort_key: string, sort_dir: string }} sort  - From parseSort
+ * @param {string} [alias]  - Alias of the relation holding the groupid_performance columns
+ * @returns {string}
+ */
+const buildProductSort = ({ sort_key, sort_dir }, alias = 'gp') => {
+    const column = COMPUTED_SORT_KEYS.includes(sort_key) ? SORT_COLUMNS[sort_key] : `${alias}.${SORT_COLUMNS[sort_key]}`;
+    return `ORDER BY ${column} ${sort_dir.toUpperCase()} NULLS LAST, ${alias}.groupid, ${alias}.channel`;
+};
+
+/**
+ * Normalises the "page" (1-based) / "page_size" request parameters
+ * @param {Object} params
+ * @param {number} [params.page]       - Default 1
+ * @param {number} [params.page_size]  - Default 50, max 200
+ * @returns {{ page: number, page_size: number, limit: number, offset: number }}
+ */
+const parsePaging = ({ page, page_size } = {}) => {
+    const parsedPage = parseInt(page, 10);
+    const parsedSize = parseInt(page_size, 10);
+    const pageNumber = Math.max(isNaN(parsedPage) ? 1 : parsedPage, 1);
+    const pageSize = Math.min(Math.max(isNaN(parsedSize) ? DEFAULT_PAGE_SIZE : parsedSize, 1), MAX_PAGE_SIZE);
+
+    return {
+        page: pageNumber,
+        page_size: pageSize,
+        limit: pageSize,
+        offset: (pageNumber - 1) * pageSize
+    };
+};
+
+/**
+ * Pagination block returned by the product list routes
+ * @param {Object} paging       - From parsePaging
+ * @param {number} currentCount - Rows on this page
+ * @param {number} totalCount   - Rows matching the filters
+ * @returns {Object}
+ */
+const buildPagePagination = (paging, currentCount, totalCount) => ({
+    page: paging.page,
+    page_size: paging.page_size,
+    current_count: currentCount,
+    total_count: totalCount,
+    total_pages: Math.max(Math.ceil(totalCount / paging.page_size), 1),
+    has_more: paging.offset + currentCount < totalCount
+});
+
+/**
+ * Builds the join and WHERE clause for the product filters in a request body
+ * Filter values are appended to queryParams so the clauses can follow any existing placeholders
+ * @param {Object} filters
+ * @param {string[]} filters.channels               - Channel codes from parseChannels
+ * @param {string} [filters.season_filter]          - Include only products with this season
+ * @param {string} [filters.season_filter_exclude]  - Exclude products with this season
+ * @param {string} [filters.brand_filter]           - Brand group name or single brand
+ * @param {string} [filters.owner]                  - Exact owner name
+ * @param {string[]} [filters.owners]               - Any of these owners (lists from parseFilterLists)
+ * @param {string[]} [filters.brands]               - Any of these brand group names or brands
+ * @param {string[]} [filters.segments]             - Any of these segments
+ * @param {string[]} [filters.seasons]              - Any of these seasons
+ * @param {Object} [filters.ranges]                 - Column bounds from parseRangeFilters
+ * @param {number} [filters.price_gap_over]         - Only products priced more than this percentage above or below
+ *                                                    their recommended price (see parsePriceGapOver)
+ * @param {string} [filters.status]                 - Workflow status (see isValidStatusFilter)
+ * @param {boolean} [filters.tasks_only]            - Only products with no next review date or one that is due
+ * @param {string} [filters.search]                 - Case-insensitive text matched against groupid, title, brand,
+ *                                                    owner, segment and notes
+ * @param {Array} queryParams                       - Query parameter list, modified in place
+ * @param {Object} [options]
+ * @param {string} [options.metricsAlias]           - Alias holding the shown annual_profit, sold_qty,
+ *                                                    avg_profit_per_unit and avg_gross_margin (default: "gp")
+ * @returns {{ joinClause: string, whereClause: string, channelParam: string }}
+ *          whereClause starts with "WHERE"; channelParam is the placeholder holding the channel list
+ */
+const buildProductFilters = ({
+    channels, season_filter, season_filter_exclude, brand_filter, owner, status, tasks_only, search,
+    owners = [], brands = [], segments = [], seasons = [], ranges = {}, price_gap_over = null
+}, queryParams, { metricsAlias = 'gp' } = {}) => {
+    const joins = [];
+    const conditions = [];
+
+    queryParams.push(channels);
+    const channelParam = `$${queryParams.length}`;
+    conditions.push(`gp.channel = ANY(${channelParam})`);
+
+    if (season_filter || season_filter_exclude || seasons.length > 0 || price_gap_over !== null) {
+        joins.push('LEFT JOIN skusummary ss ON gp.groupid = ss.groupid');
+
+        if (season_filter) {
+            queryParams.push(season_filter);
+            conditions.push(`ss.season = $${queryParams.length}`);
+        } else if (season_filter_exclude) {
+            queryParams.push(season_filter_exclude);
+            conditions.push(`(ss.season IS NULL OR ss.season != $${queryParams.length})`);
+        }
+
+        if (seasons.length > 0) {
+            queryParams.push(seasons);
+            conditions.push(`ss.season = ANY($${queryParams.length})`);
+        }
+
+        if (price_gap_over !== null) {
+            queryParams.push(price_gap_over);
+            conditions.push(`ABS(${priceGapPercentSql('ss')}) > $${queryParams.length}`);
+        }
+    }
+
+    if (brand_filter) {
+        queryParams.push(brand_filter);
+        conditions.push(buildBrandFilterCondition('gp.brand', `$${queryParams.length}`));
+    }
+
+    if (brands.length > 0) {
+        queryParams.push(brands);
+        conditions.push(buildBrandListCondition('gp.brand', `$${queryParams.length}`));
+    }
+
+    if (owner) {
+        queryParams.push(owner);
+        conditions.push(`gp.owner = $${queryParams.length}`);
+    }
+
+    if (owners.length > 0) {
+        queryParams.push(owners);
+        conditions.push(`gp.owner = ANY($${queryParams.length})`);
+    }
+
+    if (segments.length > 0) {
+        queryParams.push(segments);
+        conditions.push(`gp.segment = ANY($${queryParams.length})`);
+    }
+
+    Object.entries(ranges).forEach(([key, { min, max }]) => {
+        const column = `${METRIC_RANGE_KEYS.includes(key) ? metricsAlias : 'gp'}.${RANGE_COLUMNS[key]}`;
+        if (min !== null) {
+            queryParams.push(min);
+            conditions.push(`${column} >= $${queryParams.length}`);
+        }
+        if (max !== null) {
+            queryParams.push(max);
+            conditions.push(`${column} <= $${queryParams.length}`);
+        }
+    });
+
+    if (status) {
+        queryParams.push(status);
+        conditions.push(`gp.status = $${queryParams.length}`);
+    }
+
+    if (tasks_only === true || tasks_only === 'true') {
+        conditions.push('(gp.next_review_date IS NULL OR gp.next_review_date <= CURRENT_DATE)');
+    }
+
+    const searchTerm = typeof search === 'string' ? search.trim() : '';
+    if (searchTerm) {
+        joins.push('LEFT JOIN title st ON gp.groupid = st.groupid');
+
+        // Escape LIKE wildcards so the term is matched literally
+        queryParams.push(`%${searchTerm.replace(/[\\%_]/g, '\\$&')}%`);
+        const searchParam = `$${queryParams.length}`;
+        conditions.push(`(
+            gp.groupid ILIKE ${searchParam}
+            OR st.shopifytitle ILIKE ${searchParam}
+            OR gp.brand ILIKE ${searchParam}
+            OR gp.owner ILIKE ${searchParam}
+            OR gp.segment ILIKE ${searchParam}
+            OR gp.notes ILIKE ${searchParam}
+        )`);
+    }
+
+    return {
+        joinClause: joins.join('\n'),
+        whereClause: `WHERE ${conditions.join('\n  AND ')}`,
+        channelParam
+    };
+};
+
+module.exports = {
+    SKU_SUMMARY_JOIN,
+    SKU_SUMMARY_SELECT,
+    mapSkuSummaryColumns,
+    PRICE_GAP_SELECT,
+    mapPriceGapColumns,
+    parseChannels,
+    parseProductFilterRequest,
+    parseSort,
+    parsePaging,
+    buildProductFilters,
+    buildProductSort,
+    buildPagePagination
+};
@@ -8,33 +8,59 @@ import React from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import ProductsScreen from './screens/products_screen';
 import ProductDetailsScreen from './screens/product_details_screen';
+import LoginScreen from './screens/login_screen';
+import BrandGroupsScreen from './screens/brand_groups_screen';
+import ActionsScreen from './screens/actions_screen';
+import RequireAuth from './components/RequireAuth';
+import AppHeader from './components/AppHeader';
 import './App.css';
 
 function App() {
   return (
     <div className="App">
       <Router>
-        <main className="app-main">
-          <Routes>
-            {/* Default route redirects to products */}
-            <Route path="/" element={<Navigate to="/products" replace />} />
-            
-            {/* Products dashboard route */}
-            <Route path="/products" element={<ProductsScreen />} />
-
-            {/* Product details route */}
-            <Route path="/products/:groupid" element={<ProductDetailsScreen />} />
-
-            {/* Catch-all route for 404 */}
-            <Route path="*" element={
-              <div className="not-found">
-                <h2>Page Not Found</h2>
-                <p>The page you're looking for doesn't exist.</p>
-                <a href="/products">Go to BC Products Dashboard</a>
-              </div>
-            } />
-          </Routes>
-        </main>
+        <Routes>
+          {/* Login route - no header */}
+          <Route path="/login" element={
+            <main className="app-main">
+              <LoginScreen />
+            </main>
+          } />
+
+          {/* Everything else requires a login */}
+          <Route path="*" element={
+            <RequireAuth>
+              <AppHeader />
+              <main className="app-main">
+                <Routes>
+                  {/* Default route redirects to products */}
+                  <Route path="/" element={<Navigate to="/products" replace />} />
+
+                  {/* Products dashboard route */}
+                  <Route path="/products" element={<ProductsScreen />} />
+
+                  {/* Product details route */}
+                  <Route path="/products/:groupid" element={<ProductDetailsScreen />} />
+
+                  {/* Recommended actions from the health check */}
+                  <Route path="/actions" element={<ActionsScreen />} />
+
+                  {/* Admin: brand filter groups */}
+                  <Route path="/admin/brand-groups" element={<BrandGroupsScreen />} />
+
+                  {/* Catch-all route for 404 */}
+                  <Route path="*" element={
+                    <div className="not-found">
+                      <h2>Page Not Found</h2>
+                      <p>The page you're looking for doesn't exist.</p>
+                      <a href="/products">Go to BC Products Dashboard</a>
+                    </div>
+                  } />
+                </Routes>
+              </main>
+            </RequireAuth>
+          } />
+        </Routes>
       </Router>
     </div>
   );
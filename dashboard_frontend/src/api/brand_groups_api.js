@@ -0,0 +1,360 @@
+/*
+API Function: brand_groups_api
+Handles communication with the backend brand group endpoints
+Lists, creates, reorders and deletes brand groups and assigns brands to them (admin only except listing)
+*/
+
+import axios from 'axios';
+import { getAuthToken, handleAuthFailure } from '../utils/auth';
+
+// Base API configuration
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+
+// Create axios instance with default configuration
+const apiClient = axios.create({
+  baseURL: API_BASE_URL,
+  timeout: 10000, // 10 second timeout
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+// Request interceptor to add authentication token if available
+apiClient.interceptors.request.use(
+  (config) => {
+    // Get token from localStorage if available
+    const token = getAuthToken();
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
+    return config;
+  },
+  (error) => {
+    return Promise.reject(error);
+  }
+);
+
+// Response interceptor for global error handling
+apiClient.interceptors.response.use(
+  (response) => {
+    return response;
+  },
+  (error) => {
+    // Handle common error scenarios
+    if (error.response) {
+      // Unauthorized / invalid token - clear session and redirect to login
+      handleAuthFailure(error.response.status, error.response.data?.return_code);
+    }
+    return Promise.reject(error);
+  }
+);
+
+/**
+ * Fetches all brand groups with their assigned brands and the unassigned brands
+ * @returns {Promise<Object>} Promise that resolves to the API response
+ */
+export const getBrandGroups = async () => {
+  try {
+    console.log('API: Fetching brand groups');
+
+    // Make POST request to get_brand_groups endpoint
+    const response = await apiClient.post('/get_brand_groups', {});
+
+    console.log('API: Brand groups fetched successfully');
+
+    // Check if the response indicates success
+    if (response.data.return_code === 'SUCCESS') {
+      return {
+        success: true,
+        data: response.data,
+        brandGroups: response.data.brand_groups,
+        unassignedBrands: response.data.unassigned_brands
+      };
+    } else {
+      // Backend returned an error code
+      throw new Error(response.data.message || 'Unknown error from server');
+    }
+
+  } catch (error) {
+    console.error('API: Error fetching brand groups:', error);
+
+    // Handle different types of errors
+    if (error.response) {
+      // Server responded with error status
+      const errorMessage = error.response.data?.message || 'Server error occurred';
+      const returnCode = error.response.data?.return_code || 'SERVER_ERROR';
+
+      return {
+        success: false,
+        error: errorMessage,
+        returnCode: returnCode,
+        status: error.response.status
+      };
+    } else if (error.request) {
+      // Request was made but no response received
+      return {
+        success: false,
+        error: 'Unable to connect to server. Please check your connection.',
+        returnCode: 'CONNECTION_ERROR'
+      };
+    } else {
+      // Something else happened
+      return {
+        success: false,
+        error: error.message || 'An unexpected error occurred',
+        returnCode: 'UNKNOWN_ERROR'
+      };
+    }
+  }
+};
+
+/**
+ * Creates a new brand group at the end of the brand filter order
+ * @param {string} name - Group name shown in the brand filter
+ * @returns {Promise<Object>} Promise that resolves to the API response
+ */
+export const createBrandGroup = async (name) => {
+  try {
+    console.log(`API: Creating brand group ${name}`);
+
+    // Make POST request to create_brand_group endpoint
+    const response = await apiClient.post('/create_brand_group', { name });
+
+    console.log('API: Brand group created successfully');
+
+    // Check if the response indicates success
+    if (response.data.return_code === 'SUCCESS') {
+      return {
+        success: true,
+        data: response.data,
+        brandGroup: response.data.brand_group
+      };
+    } else {
+      // Backend returned an error code
+      throw new Error(response.data.message || 'Unknown error from server');
+    }
+
+  } catch (error) {
+    console.error('API: Error creating brand group:', error);
+
+    // Handle different types of errors
+    if (error.response) {
+      // Server responded with error status
+      const errorMessage = error.response.data?.message || 'Server error occurred';
+      const returnCode = error.response.data?.return_code || 'SERVER_ERROR';
+
+      return {
+        success: false,
+        error: errorMessage,
+        returnCode: returnCode,
+        status: error.response.status
+      };
+    } else if (error.request) {
+      // Request was made but no response received
+      return {
+        success: false,
+        error: 'Unable to connect to server. Please check your connection.',
+        returnCode: 'CONNECTION_ERROR'
+      };
+    } else {
+      // Something else happened
+      return {
+        success: false,
+        error: error.message || 'An unexpected error occurred',
+        returnCode: 'UNKNOWN_ERROR'
+      };
+    }
+  }
+};
+
+/**
+ * Saves the brand filter order
+ * @param {number[]} groupIds - Every non-default group id, in the new order
+ * @returns {Promise<Object>} Promise that resolves to the API response
+ */
+export const reorderBrandGroups = async (groupIds) => {
+  try {
+    console.log('API: Reordering brand groups');
+
+    // Make POST request to reorder_brand_groups endpoint
+    const response = await apiClient.post('/reorder_brand_groups', { group_ids: groupIds });
+
+    console.log('API: Brand groups reordered successfully');
+
+    // Check if the response indicates success
+    if (response.data.return_code === 'SUCCESS') {
+      return {
+        success: true,
+        data: response.data,
+        brandGroups: response.data.brand_groups
+      };
+    } else {
+      // Backend returned an error code
+      throw new Error(response.data.message || 'Unknown error from server');
+    }
+
+  } catch (error) {
+    console.error('API: Error reordering brand groups:', error);
+
+    // Handle different types of errors
+    if (error.response) {
+      // Server responded with error status
+      const errorMessage = error.response.data?.message || 'Server error occurred';
+      const returnCode = error.response.data?.return_code || 'SERVER_ERROR';
+
+      return {
+        success: false,
+        error: errorMessage,
+        returnCode: returnCode,
+        status: error.response.status
+      };
+    } else if (error.request) {
+      // Request was made but no response received
+      return {
+        success: false,
+        error: 'Unable to connect to server. Please check your connection.',
+        returnCode: 'CONNECTION_ERROR'
+      };
+    } else {
+      // Something else happened
+      return {
+        success: false,
+        error: error.message || 'An unexpected error occurred',
+        returnCode: 'UNKNOWN_ERROR'
+      };
+    }
+  }
+};
+
+/**
+ * Moves a brand into a group, or back into the default group when groupId is null
+ * @param {string} brand - Brand name
+ * @param {number|null} groupId - Target brand group id
+ * @returns {Promise<Object>} Promise that resolves to the API response
+ */
+export const assignBrandGroup = async (brand, groupId) => {
+  try {
+    console.log(`API: Assigning brand ${brand} to group ${groupId}`);
+
+    // Make POST request to assign_brand_group endpoint
+    const response = await apiClient.post('/assign_brand_group', {
+      brand,
+      group_id: groupId
+    });
+
+    console.log('API: Brand assigned successfully');
+
+    // Check if the response indicates success
+    if (response.data.return_code === 'SUCCESS') {
+      return {
+        success: true,
+        data: response.data,
+        brand: response.data.brand,
+        groupId: response.data.group_id
+      };
+    } else {
+      // Backend returned an error code
+      throw new Error(response.data.message || 'Unknown error from server');
+    }
+
+  } catch (error) {
+    console.error('API: Error assigning brand:', error);
+
+    // Handle different types of errors
+    if (error.response) {
+      // Server responded with error status
+      const errorMessage = error.response.data?.message || 'Server error occurred';
+      const returnCode = error.response.data?.return_code || 'SERVER_ERROR';
+
+      return {
+        success: false,
+        error: errorMessage,
+        returnCode: returnCode,
+        status: error.response.status
+      };
+    } else if (error.request) {
+      // Request was made but no response received
+      return {
+        success: false,
+        error: 'Unable to connect to server. Please check your connection.',
+        returnCode: 'CONNECTION_ERROR'
+      };
+    } else {
+      // Something else happened
+      return {
+        success: false,
+        error: error.message || 'An unexpected error occurred',
+        returnCode: 'UNKNOWN_ERROR'
+      };
+    }
+  }
+};
+
+/**
+ * Deletes a brand group - its brands fall back into the default group
+ * @param {number} groupId - Brand group id
+ * @returns {Promise<Object>} Promise that resolves to the API response
+ */
+export const deleteBrandGroup = async (groupId) => {
+  try {
+    console.log(`API: Deleting brand group ${groupId}`);
+
+    // Make POST request to delete_brand_group endpoint
+    const response = await apiClient.post('/delete_brand_group', { group_id: groupId });
+
+    console.log('API: Brand group deleted successfully');
+
+    // Check if the response indicates success
+    if (response.data.return_code === 'SUCCESS') {
+      return {
+        success: true,
+        data: response.data,
+        groupId: response.data.group_id
+      };
+    } else {
+      // Backend returned an error code
+      throw new Error(response.data.message || 'Unknown error from server');
+    }
+
+  } catch (error) {
+    console.error('API: Error deleting brand group:', error);
+
+    // Handle different types of errors
+    if (error.response) {
+      // Server responded with error status
+      const errorMessage = error.response.data?.message || 'Server error occurred';
+      const returnCode = error.response.data?.return_code || 'SERVER_ERROR';
+
+      return {
+        success: false,
+        error: errorMessage,
+        returnCode: returnCode,
+        status: error.response.status
+      };
+    } else if (error.request) {
+      // Request was made but no response received
+      return {
+        success: false,
+        error: 'Unable to connect to server. Please check your connection.',
+        returnCode: 'CONNECTION_ERROR'
+      };
+    } else {
+      // Something else happened
+      return {
+        success: false,
+        error: error.message || 'An unexpected error occurred',
+        returnCode: 'UNKNOWN_ERROR'
+      };
+    }
+  }
+};
+
+const brandGroupsApi = {
+  getBrandGroups,
+  createBrandGroup,
+  reorderBrandGroups,
+  assignBrandGroup,
+  deleteBrandGroup
+};
+
+export default brandGroupsApi;
@@ -0,0 +1,143 @@
+/*
+API Function: export_products_api
+Handles communication with the backend export_products endpoint
+Downloads the current products view (filters, search and sort) as a CSV or XLSX file
+*/
+
+import axios from 'axios';
+import { getAuthToken, handleAuthFailure } from '../utils/auth';
+
+// Base API configuration
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+
+// Create axios instance with default configuration
+const apiClient = axios.create({
+  baseURL: API_BASE_URL,
+  timeout: 120000, // 2 minute timeout - exports cover every matching product
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+// Request interceptor to add authentication token if available
+apiClient.interceptors.request.use(
+  (config) => {
+    // Get token from localStorage if available
+    const token = getAuthToken();
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
+    return config;
+  },
+  (error) => {
+    return Promise.reject(error);
+  }
+);
+
+// Response interceptor for global error handling
+apiClient.interceptors.response.use(
+  (response) => {
+    return response;
+  },
+  (error) => {
+    // Handle common error scenarios
+    if (error.response) {
+      // Unauthorized / invalid token - clear session and redirect to login
+      handleAuthFailure(error.response.status, error.response.data?.return_code);
+    }
+    return Promise.reject(error);
+  }
+);
+
+// Name for a download when the server doesn't send one
+const DEFAULT_FILENAME = 'products-export';
+
+/**
+ * Reads the filename from a Content-Disposition header, e.g. attachment; filename="products-SHP-2025-08-01.csv"
+ */
+const getFilename = (contentDisposition, format) => {
+  const match = /filename="?([^";]+)"?/.exec(contentDisposition || '');
+  return match ? match[1] : `${DEFAULT_FILENAME}.${format}`;
+};
+
+/**
+ * Saves a blob through a temporary download link
+ */
+const saveBlob = (blob, filename) => {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
+
+/**
+ * Exports every product matching the filters and downloads the file
+ * @param {Object} params - Same filters, search and sort as getProducts / getProductsComparison, plus
+ *                          format ('csv' or 'xlsx') and comparison (true to add the comparison columns)
+ * @returns {Promise<Object>} Promise that resolves to the API response
+ */
+export const exportProducts = async (params = {}) => {
+  const format = params.format || 'csv';
+
+  try {
+    console.log(`API: Exporting products as ${format}...`);
+
+    // Make POST request to export_products endpoint - the response is the file itself
+    const response = await apiClient.post('/export_products', params, { responseType: 'blob' });
+
+    const filename = getFilename(response.headers['content-disposition'], format);
+    saveBlob(response.data, filename);
+
+    console.log(`API: Products exported successfully (${filename})`);
+
+    return {
+      success: true,
+      filename
+    };
+
+  } catch (error) {
+    console.error('API: Error exporting products:', error);
+
+    // Handle different types of errors
+    if (error.response) {
+      // Server responded with error status - the JSON error body arrives as a blob
+      let data = {};
+      try {
+        data = JSON.parse(await error.response.data.text());
+      } catch (parseError) {
+        // Not a JSON body
+      }
+
+      return {
+        success: false,
+        error: data.message || 'Server error occurred',
+        returnCode: data.return_code || 'SERVER_ERROR',
+        status: error.response.status
+      };
+    } else if (error.request) {
+      // Request was made but no response received
+      return {
+        success: false,
+        error: 'Unable to connect to server. Please check your connection.',
+        returnCode: 'CONNECTION_ERROR'
+      };
+    } else {
+      // Something else happened
+      return {
+        success: false,
+        error: error.message || 'An unexpected error occurred',
+        returnCode: 'UNKNOWN_ERROR'
+      };
+    }
+  }
+};
+
+const exportProductsApi = {
+  exportProducts
+};
+
+export default exportProductsApi;
@@ -0,0 +1,117 @@
+/*
+API Function: get_available_weeks_api
+Handles communication with the backend get_available_weeks endpoint
+Fetches the weeks with performance snapshots for the week comparison pickers
+*/
+
+import axios from 'axios';
+import { getAuthToken, handleAuthFailure } from '../utils/auth';
+
+// Base API configuration
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+
+// Create axios instance with default configuration
+const apiClient = axios.create({
+  baseURL: API_BASE_URL,
+  timeout: 10000, // 10 second timeout
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+// Request interceptor to add authentication token if available
+apiClient.interceptors.request.use(
+  (config) => {
+    // Get token from localStorage if available
+    const token = getAuthToken();
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
+    return config;
+  },
+  (error) => {
+    return Promise.reject(error);
+  }
+);
+
+// Response interceptor for global error handling
+apiClient.interceptors.response.use(
+  (response) => {
+    return response;
+  },
+  (error) => {
+    // Handle common error scenarios
+    if (error.response) {
+      // Unauthorized / invalid token - clear session and redirect to login
+      handleAuthFailure(error.response.status, error.response.data?.return_code);
+    }
+    return Promise.reject(error);
+  }
+);
+
+/**
+ * Fetches the weeks (year_week values) with performance snapshots, newest first
+ * @param {Object} params - Optional parameters
+ * @param {string|string[]} params.channel - Optional channel code or list of codes (default: 'SHP')
+ * @returns {Promise<Object>} Promise that resolves to the API response
+ */
+export const getAvailableWeeks = async (params = {}) => {
+  try {
+    console.log('API: Fetching available weeks from backend...');
+
+    // Make POST request to get_available_weeks endpoint
+    const response = await apiClient.post('/get_available_weeks', params);
+
+    console.log('API: Available weeks fetched successfully');
+
+    // Check if the response indicates success
+    if (response.data.return_code === 'SUCCESS') {
+      return {
+        success: true,
+        data: response.data,
+        weeks: response.data.weeks,
+        latestWeek: response.data.latest_week
+      };
+    } else {
+      // Backend returned an error code
+      throw new Error(response.data.message || 'Unknown error from server');
+    }
+
+  } catch (error) {
+    console.error('API: Error fetching available weeks:', error);
+
+    // Handle different types of errors
+    if (error.response) {
+      // Server responded with error status
+      const errorMessage = error.response.data?.message || 'Server error occurred';
+      const returnCode = error.response.data?.return_code || 'SERVER_ERROR';
+
+      return {
+        success: false,
+        error: errorMessage,
+        returnCode: returnCode,
+        status: error.response.status
+      };
+    } else if (error.request) {
+      // Request was made but no response received
+      return {
+        success: false,
+        error: 'Unable to connect to server. Please check your connection.',
+        returnCode: 'CONNECTION_ERROR'
+      };
+    } else {
+      // Something else happened
+      return {
+        success: false,
+        error: error.message || 'An unexpected error occurred',
+        returnCode: 'UNKNOWN_ERROR'
+      };
+    }
+  }
+};
+
+const getAvailableWeeksApi = {
+  getAvailableWeeks
+};
+
+export default getAvailableWeeksApi;
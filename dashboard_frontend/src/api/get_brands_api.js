@@ -5,26 +5,34 @@
  * All functions return promises and handle errors appropriately.
  */
 
+import { getAuthToken, handleAuthFailure } from '../utils/auth';
+
 // Base API configuration
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
 
 /**
  * Fetches all available brands from the backend API
+ * @param {Object} params - Optional parameters
+ * @param {string|string[]} params.channel - Optional channel code or list of codes (default: 'SHP')
  * @returns {Promise<Object>} Promise that resolves to the API response
  */
-export const getBrands = async () => {
+export const getBrands = async (params = {}) => {
   try {
     console.log('API: Fetching brands from backend...');
     
+    const token = getAuthToken();
     const response = await fetch(`${API_BASE_URL}/get_brands`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
       },
-      body: JSON.stringify({})
+      body: JSON.stringify(params)
     });
 
     if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      handleAuthFailure(response.status, errorData.return_code);
       throw new Error(`HTTP error! status: ${response.status}`);
     }
 
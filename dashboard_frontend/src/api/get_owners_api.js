@@ -5,6 +5,7 @@ Provides error handling and data formatting for the owner filter dropdown
 */
 
 import axios from 'axios';
+import { getAuthToken, handleAuthFailure } from '../utils/auth';
 
 // Base API configuration
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
@@ -22,7 +23,7 @@ const apiClient = axios.create({
 apiClient.interceptors.request.use(
   (config) => {
     // Get token from localStorage if available
-    const token = localStorage.getItem('authToken');
+    const token = getAuthToken();
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
@@ -40,10 +41,9 @@ apiClient.interceptors.response.use(
   },
   (error) => {
     // Handle common error scenarios
-    if (error.response?.status === 401) {
-      // Unauthorized - clear token and redirect to login if needed
-      localStorage.removeItem('authToken');
-      // Could redirect to login page here
+    if (error.response) {
+      // Unauthorized / invalid token - clear session and redirect to login
+      handleAuthFailure(error.response.status, error.response.data?.return_code);
     }
     return Promise.reject(error);
   }
@@ -51,14 +51,16 @@ apiClient.interceptors.response.use(
 
 /**
  * Fetches all unique owners from the backend API
+ * @param {Object} params - Optional parameters
+ * @param {string|string[]} params.channel - Optional channel code or list of codes (default: 'SHP')
  * @returns {Promise<Object>} Promise that resolves to the API response
  */
-export const getOwners = async () => {
+export const getOwners = async (params = {}) => {
   try {
     console.log('API: Fetching owners from backend...');
     
     // Make POST request to get_owners endpoint
-    const response = await apiClient.post('/get_owners', {});
+    const response = await apiClient.post('/get_owners', params);
     
     console.log('API: Owners fetched successfully');
     console.log(`API: Retrieved ${response.data.total_count} owners`);
@@ -5,6 +5,7 @@ Provides error handling and data formatting for individual product details
 */
 
 import axios from 'axios';
+import { getAuthToken, handleAuthFailure } from '../utils/auth';
 
 // Base API configuration
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
@@ -18,10 +19,14 @@ const apiClient = axios.create({
   },
 });
 
-// Request interceptor for logging
+// Request interceptor for logging and authentication token
 apiClient.interceptors.request.use(
   (config) => {
     console.log(`API Request: ${config.method?.toUpperCase()} ${config.url}`);
+    const token = getAuthToken();
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
     return config;
   },
   (error) => {
@@ -38,6 +43,10 @@ apiClient.interceptors.response.use(
   },
   (error) => {
     console.error('API Response Error:', error.response?.status, error.response?.data || error.message);
+    if (error.response) {
+      // Unauthorized / invalid token - clear session and redirect to login
+      handleAuthFailure(error.response.status, error.response.data?.return_code);
+    }
     return Promise.reject(error);
   }
 );
@@ -47,9 +56,10 @@ apiClient.interceptors.response.use(
  * @param {string} groupid - The product group identifier
  * @param {number} priceLimit - Number of price changes to return (default: 5)
  * @param {number} priceOffset - Offset for price change pagination (default: 0)
+ * @param {string} channel - Optional channel for the detail sections (default: SHP, or the product's first channel)
  * @returns {Promise<Object>} Promise that resolves to the API response
  */
-export const getProductDetails = async (groupid, priceLimit = 5, priceOffset = 0) => {
+export const getProductDetails = async (groupid, priceLimit = 5, priceOffset = 0, channel = null) => {
   try {
     console.log(`API: Fetching product details for groupid: ${groupid}`);
 
@@ -62,7 +72,8 @@ export const getProductDetails = async (groupid, priceLimit = 5, priceOffset = 0
     const response = await apiClient.post('/get_product_details', {
       groupid,
       price_limit: priceLimit,
-      price_offset: priceOffset
+      price_offset: priceOffset,
+      ...(channel ? { channel } : {})
     });
     
     console.log('API: Product details fetched successfully');
@@ -137,9 +148,10 @@ export const getProductDetails = async (groupid, priceLimit = 5, priceOffset = 0
  * @param {string} groupid - The product group identifier
  * @param {number} priceLimit - Number of price changes to return
  * @param {number} priceOffset - Offset for price change pagination
+ * @param {string} channel - Optional channel of the price changes (default: SHP)
  * @returns {Promise<Object>} Promise that resolves to the API response with price changes only
  */
-export const getMorePriceChanges = async (groupid, priceLimit = 10, priceOffset = 0) => {
+export const getMorePriceChanges = async (groupid, priceLimit = 10, priceOffset = 0, channel = null) => {
   try {
     console.log(`API: Fetching more price changes for groupid: ${groupid}, limit: ${priceLimit}, offset: ${priceOffset}`);
 
@@ -148,11 +160,12 @@ export const getMorePriceChanges = async (groupid, priceLimit = 10, priceOffset
       throw new Error('groupid parameter is required');
     }
 
-    // Make POST request to get_product_details endpoint with pagination
-    const response = await apiClient.post('/get_product_details', {
+    // Make POST request to get_price_history endpoint with pagination
+    const response = await apiClient.post('/get_price_history', {
       groupid,
-      price_limit: priceLimit,
-      price_offset: priceOffset
+      limit: priceLimit,
+      offset: priceOffset,
+      ...(channel ? { channel } : {})
     });
 
     console.log('API: More price changes fetched successfully');
@@ -161,15 +174,8 @@ export const getMorePriceChanges = async (groupid, priceLimit = 10, priceOffset
     if (response.data.return_code === 'SUCCESS') {
       return {
         success: true,
-        price_history: response.data.product.price_history,
-        pagination: response.data.product.price_history_pagination
-      };
-    } else if (response.data.return_code === 'PRODUCT_NOT_FOUND') {
-      // Product not found
-      return {
-        success: false,
-        error: 'PRODUCT_NOT_FOUND',
-        message: response.data.message || 'Product not found'
+        price_history: response.data.price_history,
+        pagination: response.data.pagination
       };
     } else {
       // Other backend error codes
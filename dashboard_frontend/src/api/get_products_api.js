@@ -5,6 +5,7 @@ Provides error handling and data formatting for the products dashboard
 */
 
 import axios from 'axios';
+import { getAuthToken, handleAuthFailure } from '../utils/auth';
 
 // Base API configuration
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
@@ -22,7 +23,7 @@ const apiClient = axios.create({
 apiClient.interceptors.request.use(
   (config) => {
     // Get token from localStorage if available
-    const token = localStorage.getItem('authToken');
+    const token = getAuthToken();
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
@@ -40,26 +41,43 @@ apiClient.interceptors.response.use(
   },
   (error) => {
     // Handle common error scenarios
-    if (error.response?.status === 401) {
-      // Unauthorized - clear token and redirect to login if needed
-      localStorage.removeItem('authToken');
-      // Could redirect to login page here
+    if (error.response) {
+      // Unauthorized / invalid token - clear session and redirect to login
+      handleAuthFailure(error.response.status, error.response.data?.return_code);
     }
     return Promise.reject(error);
   }
 );
 
 /**
- * Fetches all products from the backend API
+ * Fetches one page of products from the backend API
  * @param {Object} params - Optional parameters for filtering
+ * @param {string|string[]} params.channel - Optional channel code or list of codes (default: 'SHP')
  * @param {string} params.season_filter - Optional season filter ('Summer' or 'Winter')
  * @param {string} params.season_filter_exclude - Optional season exclusion filter ('Summer' or 'Winter')
  * @param {string} params.brand_filter - Optional brand filter ('Birkenstock', 'UKD', etc.)
+ * @param {string} params.owner - Optional exact owner name
+ * @param {string[]} params.owners - Optional owner names, any of which match
+ * @param {string[]} params.brands - Optional brands, any of which match
+ * @param {string[]} params.segments - Optional segments ('Winner', 'Neutral', 'Loser'), any of which match
+ * @param {string[]} params.seasons - Optional seasons ('Any', 'Summer', 'Winter'), any of which match
+ * @param {number} params.annual_profit_min - Optional inclusive bounds; likewise "_max" and the sold_qty,
+ *   avg_profit_per_unit, avg_gross_margin (a fraction), stock and recommended_price "_min" / "_max" bounds
+ * @param {number} params.price_gap_over - Optional, only products priced more than this % off the recommended price
+ * @param {boolean} params.tasks_only - Optional, only products whose review is missing or due
+ * @param {string} params.search - Optional search text (groupid, title, brand, owner, segment, notes)
+ * @param {string} params.sort_key - Optional sort column (default: 'annual_profit')
+ * @param {string} params.sort_dir - Optional sort direction, 'asc' or 'desc' (default: 'desc')
+ * @param {number} params.page - Optional 1-based page number (default: 1)
+ * @param {number} params.page_size - Optional products per page (default: 50, max: 200)
  * @returns {Promise<Object>} Promise that resolves to the API response
  */
 export const getProducts = async (params = {}) => {
   try {
     console.log('API: Fetching products from backend...');
+    if (params.channel) {
+      console.log(`API: Applying channel filter: ${params.channel}`);
+    }
     if (params.season_filter) {
       console.log(`API: Applying season filter: ${params.season_filter}`);
     }
@@ -74,7 +92,7 @@ export const getProducts = async (params = {}) => {
     const response = await apiClient.post('/get_products', params);
     
     console.log('API: Products fetched successfully');
-    console.log(`API: Retrieved ${response.data.total_count} products`);
+    console.log(`API: Retrieved ${response.data.products?.length} of ${response.data.total_count} products`);
     
     // Check if the response indicates success
     if (response.data.return_code === 'SUCCESS') {
@@ -82,7 +100,8 @@ export const getProducts = async (params = {}) => {
         success: true,
         data: response.data,
         products: response.data.products,
-        totalCount: response.data.total_count
+        totalCount: response.data.total_count,
+        pagination: response.data.pagination
       };
     } else {
       // Backend returned an error code
@@ -0,0 +1,127 @@
+/*
+API Function: import_products_api
+Handles communication with the backend import_products endpoint
+Checks and applies a CSV of owner, notes and next review date updates (admin only)
+*/
+
+import axios from 'axios';
+import { getAuthToken, handleAuthFailure } from '../utils/auth';
+
+// Base API configuration
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+
+// Create axios instance with default configuration
+const apiClient = axios.create({
+  baseURL: API_BASE_URL,
+  timeout: 60000, // 60 second timeout
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+// Request interceptor to add authentication token if available
+apiClient.interceptors.request.use(
+  (config) => {
+    // Get token from localStorage if available
+    const token = getAuthToken();
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
+    return config;
+  },
+  (error) => {
+    return Promise.reject(error);
+  }
+);
+
+// Response interceptor for global error handling
+apiClient.interceptors.response.use(
+  (response) => {
+    return response;
+  },
+  (error) => {
+    // Handle common error scenarios
+    if (error.response) {
+      // Unauthorized / invalid token - clear session and redirect to login
+      handleAuthFailure(error.response.status, error.response.data?.return_code);
+    }
+    return Promise.reject(error);
+  }
+);
+
+/**
+ * Checks a CSV of product updates, or applies it when apply is true
+ * Without apply nothing is written - the response shows what would change and the rejected rows
+ * @param {string} csv - File contents with a groupid column and any of owner, notes, next_review_date
+ * @param {Object} options
+ * @param {boolean} options.apply - Write the valid rows (default: false, a dry run)
+ * @param {string} options.channel - Channel to update (default: 'SHP')
+ * @returns {Promise<Object>} Promise that resolves to the API response
+ */
+export const importProducts = async (csv, { apply = false, channel = 'SHP' } = {}) => {
+  try {
+    console.log(`API: ${apply ? 'Importing' : 'Checking'} product CSV (${csv.length} characters)`);
+
+    // Make POST request to import_products endpoint
+    const response = await apiClient.post('/import_products', {
+      csv,
+      apply,
+      channel
+    });
+
+    console.log('API: Product CSV processed successfully');
+
+    // Check if the response indicates success
+    if (response.data.return_code === 'SUCCESS') {
+      return {
+        success: true,
+        data: response.data,
+        applied: response.data.applied,
+        columns: response.data.columns,
+        summary: response.data.summary,
+        changes: response.data.changes,
+        rejected: response.data.rejected
+      };
+    } else {
+      // Backend returned an error code
+      throw new Error(response.data.message || 'Unknown error from server');
+    }
+
+  } catch (error) {
+    console.error('API: Error importing products:', error);
+
+    // Handle different types of errors
+    if (error.response) {
+      // Server responded with error status
+      const errorMessage = error.response.data?.message || 'Server error occurred';
+      const returnCode = error.response.data?.return_code || 'SERVER_ERROR';
+
+      return {
+        success: false,
+        error: errorMessage,
+        returnCode: returnCode,
+        status: error.response.status
+      };
+    } else if (error.request) {
+      // Request was made but no response received
+      return {
+        success: false,
+        error: 'Unable to connect to server. Please check your connection.',
+        returnCode: 'CONNECTION_ERROR'
+      };
+    } else {
+      // Something else happened
+      return {
+        success: false,
+        error: error.message || 'An unexpected error occurred',
+        returnCode: 'UNKNOWN_ERROR'
+      };
+    }
+  }
+};
+
+const importProductsApi = {
+  importProducts
+};
+
+export default importProductsApi;
@@ -0,0 +1,87 @@
+/*
+API Function: login_api
+Handles communication with the backend login endpoint
+Stores the returned JWT and user so the other API clients can authenticate their requests
+*/
+
+import axios from 'axios';
+import { setAuthSession } from '../utils/auth';
+
+// Base API configuration
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+
+// Create axios instance with default configuration
+const apiClient = axios.create({
+  baseURL: API_BASE_URL,
+  timeout: 10000, // 10 second timeout
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+/**
+ * Logs in with username and password
+ * @param {string} username - Login name
+ * @param {string} password - Plain text password (sent over the API, hashed server-side)
+ * @returns {Promise<Object>} Promise that resolves to { success, user } or { success: false, error, returnCode }
+ */
+export const login = async (username, password) => {
+  try {
+    console.log(`API: Logging in as ${username}...`);
+
+    // Make POST request to login endpoint
+    const response = await apiClient.post('/login', { username, password });
+
+    // Check if the response indicates success
+    if (response.data.return_code === 'SUCCESS') {
+      setAuthSession(response.data.token, response.data.user);
+      console.log('API: Login successful');
+
+      return {
+        success: true,
+        data: response.data,
+        user: response.data.user
+      };
+    } else {
+      // Backend returned an error code
+      throw new Error(response.data.message || 'Unknown error from server');
+    }
+
+  } catch (error) {
+    console.error('API: Error logging in:', error);
+
+    // Handle different types of errors
+    if (error.response) {
+      // Server responded with error status
+      const errorMessage = error.response.data?.message || 'Server error occurred';
+      const returnCode = error.response.data?.return_code || 'SERVER_ERROR';
+
+      return {
+        success: false,
+        error: errorMessage,
+        returnCode: returnCode,
+        status: error.response.status
+      };
+    } else if (error.request) {
+      // Request was made but no response received
+      return {
+        success: false,
+        error: 'Unable to connect to server. Please check your connection.',
+        returnCode: 'CONNECTION_ERROR'
+      };
+    } else {
+      // Something else happened
+      return {
+        success: false,
+        error: error.message || 'An unexpected error occurred',
+        returnCode: 'UNKNOWN_ERROR'
+      };
+    }
+  }
+};
+
+const loginApi = {
+  login
+};
+
+export default loginApi;
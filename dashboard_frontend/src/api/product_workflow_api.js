@@ -0,0 +1,192 @@
+/*
+API Function: product_workflow_api
+Handles communication with the backend update_product_status and update_product_segment endpoints
+Moves a product through the review workflow and reclassifies its segment
+*/
+
+import axios from 'axios';
+import { getAuthToken, handleAuthFailure } from '../utils/auth';
+
+// Base API configuration
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+
+// Create axios instance with default configuration
+const apiClient = axios.create({
+  baseURL: API_BASE_URL,
+  timeout: 10000, // 10 second timeout
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+// Request interceptor to add authentication token if available
+apiClient.interceptors.request.use(
+  (config) => {
+    // Get token from localStorage if available
+    const token = getAuthToken();
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
+    return config;
+  },
+  (error) => {
+    return Promise.reject(error);
+  }
+);
+
+// Response interceptor for global error handling
+apiClient.interceptors.response.use(
+  (response) => {
+    return response;
+  },
+  (error) => {
+    // Handle common error scenarios
+    if (error.response) {
+      // Unauthorized / invalid token - clear session and redirect to login
+      handleAuthFailure(error.response.status, error.response.data?.return_code);
+    }
+    return Promise.reject(error);
+  }
+);
+
+/**
+ * Moves a product to another workflow status (New, Reviewing, Actioned, Monitoring)
+ * @param {string} groupid - The product group identifier
+ * @param {string} status - New status, must be allowed from the current one
+ * @param {string} notes - Optional notes kept with the change
+ * @param {string} channel - Channel of the performance row (default: 'SHP')
+ * @returns {Promise<Object>} Promise that resolves to the API response
+ */
+export const updateProductStatus = async (groupid, status, notes, channel = 'SHP') => {
+  try {
+    console.log(`API: Moving ${groupid} to status ${status}`);
+
+    // Make POST request to update_product_status endpoint
+    const response = await apiClient.post('/update_product_status', {
+      groupid,
+      status,
+      notes,
+      channel
+    });
+
+    console.log('API: Product status updated successfully');
+
+    // Check if the response indicates success
+    if (response.data.return_code === 'SUCCESS') {
+      return {
+        success: true,
+        data: response.data,
+        change: response.data.change,
+        allowedStatuses: response.data.allowed_statuses
+      };
+    } else {
+      // Backend returned an error code
+      throw new Error(response.data.message || 'Unknown error from server');
+    }
+
+  } catch (error) {
+    console.error('API: Error updating product status:', error);
+
+    // Handle different types of errors
+    if (error.response) {
+      // Server responded with error status
+      const errorMessage = error.response.data?.message || 'Server error occurred';
+      const returnCode = error.response.data?.return_code || 'SERVER_ERROR';
+
+      return {
+        success: false,
+        error: errorMessage,
+        returnCode: returnCode,
+        status: error.response.status
+      };
+    } else if (error.request) {
+      // Request was made but no response received
+      return {
+        success: false,
+        error: 'Unable to connect to server. Please check your connection.',
+        returnCode: 'CONNECTION_ERROR'
+      };
+    } else {
+      // Something else happened
+      return {
+        success: false,
+        error: error.message || 'An unexpected error occurred',
+        returnCode: 'UNKNOWN_ERROR'
+      };
+    }
+  }
+};
+
+/**
+ * Reclassifies the segment of a product
+ * @param {string} groupid - The product group identifier
+ * @param {string} segment - New segment (Winner, Neutral, Loser)
+ * @param {string} notes - Optional notes kept with the change
+ * @param {string} channel - Channel of the performance row (default: 'SHP')
+ * @returns {Promise<Object>} Promise that resolves to the API response
+ */
+export const updateProductSegment = async (groupid, segment, notes, channel = 'SHP') => {
+  try {
+    console.log(`API: Reclassifying ${groupid} as ${segment}`);
+
+    // Make POST request to update_product_segment endpoint
+    const response = await apiClient.post('/update_product_segment', {
+      groupid,
+      segment,
+      notes,
+      channel
+    });
+
+    console.log('API: Product segment updated successfully');
+
+    // Check if the response indicates success
+    if (response.data.return_code === 'SUCCESS') {
+      return {
+        success: true,
+        data: response.data,
+        change: response.data.change
+      };
+    } else {
+      // Backend returned an error code
+      throw new Error(response.data.message || 'Unknown error from server');
+    }
+
+  } catch (error) {
+    console.error('API: Error updating product segment:', error);
+
+    // Handle different types of errors
+    if (error.response) {
+      // Server responded with error status
+      const errorMessage = error.response.data?.message || 'Server error occurred';
+      const returnCode = error.response.data?.return_code || 'SERVER_ERROR';
+
+      return {
+        success: false,
+        error: errorMessage,
+        returnCode: returnCode,
+        status: error.response.status
+      };
+    } else if (error.request) {
+      // Request was made but no response received
+      return {
+        success: false,
+        error: 'Unable to connect to server. Please check your connection.',
+        returnCode: 'CONNECTION_ERROR'
+      };
+    } else {
+      // Something else happened
+      return {
+        success: false,
+        error: error.message || 'An unexpected error occurred',
+        returnCode: 'UNKNOWN_ERROR'
+      };
+    }
+  }
+};
+
+const productWorkflowApi = {
+  updateProductStatus,
+  updateProductSegment
+};
+
+export default productWorkflowApi;
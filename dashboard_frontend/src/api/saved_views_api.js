@@ -0,0 +1,304 @@
+/*
+API Function: saved_views_api
+Handles communication with the backend saved view endpoints
+Lists, saves, updates and deletes the named filter combinations of the products dashboard
+*/
+
+import axios from 'axios';
+import { getAuthToken, handleAuthFailure } from '../utils/auth';
+
+// Base API configuration
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+
+// Create axios instance with default configuration
+const apiClient = axios.create({
+  baseURL: API_BASE_URL,
+  timeout: 10000, // 10 second timeout
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+// Request interceptor to add authentication token if available
+apiClient.interceptors.request.use(
+  (config) => {
+    // Get token from localStorage if available
+    const token = getAuthToken();
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
+    return config;
+  },
+  (error) => {
+    return Promise.reject(error);
+  }
+);
+
+// Response interceptor for global error handling
+apiClient.interceptors.response.use(
+  (response) => {
+    return response;
+  },
+  (error) => {
+    // Handle common error scenarios
+    if (error.response) {
+      // Unauthorized / invalid token - clear session and redirect to login
+      handleAuthFailure(error.response.status, error.response.data?.return_code);
+    }
+    return Promise.reject(error);
+  }
+);
+
+/**
+ * Fetches the logged-in user's saved views and the views other users have shared
+ * @returns {Promise<Object>} Promise that resolves to the API response
+ */
+export const getSavedViews = async () => {
+  try {
+    console.log('API: Fetching saved views');
+
+    // Make POST request to get_saved_views endpoint
+    const response = await apiClient.post('/get_saved_views', {});
+
+    console.log('API: Saved views fetched successfully');
+
+    // Check if the response indicates success
+    if (response.data.return_code === 'SUCCESS') {
+      return {
+        success: true,
+        data: response.data,
+        views: response.data.views
+      };
+    } else {
+      // Backend returned an error code
+      throw new Error(response.data.message || 'Unknown error from server');
+    }
+
+  } catch (error) {
+    console.error('API: Error fetching saved views:', error);
+
+    // Handle different types of errors
+    if (error.response) {
+      // Server responded with error status
+      const errorMessage = error.response.data?.message || 'Server error occurred';
+      const returnCode = error.response.data?.return_code || 'SERVER_ERROR';
+
+      return {
+        success: false,
+        error: errorMessage,
+        returnCode: returnCode,
+        status: error.response.status
+      };
+    } else if (error.request) {
+      // Request was made but no response received
+      return {
+        success: false,
+        error: 'Unable to connect to server. Please check your connection.',
+        returnCode: 'CONNECTION_ERROR'
+      };
+    } else {
+      // Something else happened
+      return {
+        success: false,
+        error: error.message || 'An unexpected error occurred',
+        returnCode: 'UNKNOWN_ERROR'
+      };
+    }
+  }
+};
+
+/**
+ * Saves the current dashboard filters as a named view
+ * @param {string} name - View name, unique per user
+ * @param {Object<string, string>} filters - Dashboard URL parameters to restore
+ * @param {boolean} isShared - List the view for every user (default: false)
+ * @returns {Promise<Object>} Promise that resolves to the API response
+ */
+export const createSavedView = async (name, filters, isShared = false) => {
+  try {
+    console.log(`API: Saving view ${name}`);
+
+    // Make POST request to create_saved_view endpoint
+    const response = await apiClient.post('/create_saved_view', {
+      name,
+      filters,
+      is_shared: isShared
+    });
+
+    console.log('API: Saved view created successfully');
+
+    // Check if the response indicates success
+    if (response.data.return_code === 'SUCCESS') {
+      return {
+        success: true,
+        data: response.data,
+        view: response.data.view
+      };
+    } else {
+      // Backend returned an error code
+      throw new Error(response.data.message || 'Unknown error from server');
+    }
+
+  } catch (error) {
+    console.error('API: Error saving view:', error);
+
+    // Handle different types of errors
+    if (error.response) {
+      // Server responded with error status
+      const errorMessage = error.response.data?.message || 'Server error occurred';
+      const returnCode = error.response.data?.return_code || 'SERVER_ERROR';
+
+      return {
+        success: false,
+        error: errorMessage,
+        returnCode: returnCode,
+        status: error.response.status
+      };
+    } else if (error.request) {
+      // Request was made but no response received
+      return {
+        success: false,
+        error: 'Unable to connect to server. Please check your connection.',
+        returnCode: 'CONNECTION_ERROR'
+      };
+    } else {
+      // Something else happened
+      return {
+        success: false,
+        error: error.message || 'An unexpected error occurred',
+        returnCode: 'UNKNOWN_ERROR'
+      };
+    }
+  }
+};
+
+/**
+ * Renames a view, replaces its filters and/or shares or unshares it
+ * @param {number} viewId - Id of one of the user's own views
+ * @param {Object} changes - Any of { name, filters, is_shared }
+ * @returns {Promise<Object>} Promise that resolves to the API response
+ */
+export const updateSavedView = async (viewId, changes) => {
+  try {
+    console.log(`API: Updating saved view ${viewId}`);
+
+    // Make POST request to update_saved_view endpoint
+    const response = await apiClient.post('/update_saved_view', {
+      view_id: viewId,
+      ...changes
+    });
+
+    console.log('API: Saved view updated successfully');
+
+    // Check if the response indicates success
+    if (response.data.return_code === 'SUCCESS') {
+      return {
+        success: true,
+        data: response.data,
+        view: response.data.view
+      };
+    } else {
+      // Backend returned an error code
+      throw new Error(response.data.message || 'Unknown error from server');
+    }
+
+  } catch (error) {
+    console.error('API: Error updating saved view:', error);
+
+    // Handle different types of errors
+    if (error.response) {
+      // Server responded with error status
+      const errorMessage = error.response.data?.message || 'Server error occurred';
+      const returnCode = error.response.data?.return_code || 'SERVER_ERROR';
+
+      return {
+        success: false,
+        error: errorMessage,
+        returnCode: returnCode,
+        status: error.response.status
+      };
+    } else if (error.request) {
+      // Request was made but no response received
+      return {
+        success: false,
+        error: 'Unable to connect to server. Please check your connection.',
+        returnCode: 'CONNECTION_ERROR'
+      };
+    } else {
+      // Something else happened
+      return {
+        success: false,
+        error: error.message || 'An unexpected error occurred',
+        returnCode: 'UNKNOWN_ERROR'
+      };
+    }
+  }
+};
+
+/**
+ * Deletes a saved view
+ * @param {number} viewId - Id of the view
+ * @returns {Promise<Object>} Promise that resolves to the API response
+ */
+export const deleteSavedView = async (viewId) => {
+  try {
+    console.log(`API: Deleting saved view ${viewId}`);
+
+    // Make POST request to delete_saved_view endpoint
+    const response = await apiClient.post('/delete_saved_view', { view_id: viewId });
+
+    console.log('API: Saved view deleted successfully');
+
+    // Check if the response indicates success
+    if (response.data.return_code === 'SUCCESS') {
+      return {
+        success: true,
+        data: response.data,
+        viewId: response.data.view_id
+      };
+    } else {
+      // Backend returned an error code
+      throw new Error(response.data.message || 'Unknown error from server');
+    }
+
+  } catch (error) {
+    console.error('API: Error deleting saved view:', error);
+
+    // Handle different types of errors
+    if (error.response) {
+      // Server responded with error status
+      const errorMessage = error.response.data?.message || 'Server error occurred';
+      const returnCode = error.response.data?.return_code || 'SERVER_ERROR';
+
+      return {
+        success: false,
+        error: errorMessage,
+        returnCode: returnCode,
+        status: error.response.status
+      };
+    } else if (error.request) {
+      // Request was made but no response received
+      return {
+        success: false,
+        error: 'Unable to connect to server. Please check your connection.',
+        returnCode: 'CONNECTION_ERROR'
+      };
+    } else {
+      // Something else happened
+      return {
+        success: false,
+        error: error.message || 'An unexpected error occurred',
+        returnCode: 'UNKNOWN_ERROR'
+      };
+    }
+  }
+};
+
+const savedViewsApi = {
+  getSavedViews,
+  createSavedView,
+  updateSavedView,
+  deleteSavedView
+};
+
+export default savedViewsApi;
@@ -0,0 +1,123 @@
+/*
+API Function: update_product_review_api
+Handles communication with the backend update_product_review endpoint
+Completes a product review and schedules the next one
+*/
+
+import axios from 'axios';
+import { getAuthToken, handleAuthFailure } from '../utils/auth';
+
+// Base API configuration
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+
+// Create axios instance with default configuration
+const apiClient = axios.create({
+  baseURL: API_BASE_URL,
+  timeout: 10000, // 10 second timeout
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+// Request interceptor to add authentication token if available
+apiClient.interceptors.request.use(
+  (config) => {
+    // Get token from localStorage if available
+    const token = getAuthToken();
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
+    return config;
+  },
+  (error) => {
+    return Promise.reject(error);
+  }
+);
+
+// Response interceptor for global error handling
+apiClient.interceptors.response.use(
+  (response) => {
+    return response;
+  },
+  (error) => {
+    // Handle common error scenarios
+    if (error.response) {
+      // Unauthorized / invalid token - clear session and redirect to login
+      handleAuthFailure(error.response.status, error.response.data?.return_code);
+    }
+    return Promise.reject(error);
+  }
+);
+
+/**
+ * Completes a review for a product: review date becomes today on the server
+ * @param {string} groupid - The product group identifier
+ * @param {string} nextReviewDate - Next review date (YYYY-MM-DD)
+ * @param {string} notes - Updated review notes
+ * @param {string} channel - Channel of the reviewed performance row (default: 'SHP')
+ * @returns {Promise<Object>} Promise that resolves to the API response
+ */
+export const updateProductReview = async (groupid, nextReviewDate, notes, channel = 'SHP') => {
+  try {
+    console.log(`API: Saving review for ${groupid}, next review ${nextReviewDate}`);
+
+    // Make POST request to update_product_review endpoint
+    const response = await apiClient.post('/update_product_review', {
+      groupid,
+      next_review_date: nextReviewDate,
+      notes,
+      channel
+    });
+
+    console.log('API: Product review saved successfully');
+
+    // Check if the response indicates success
+    if (response.data.return_code === 'SUCCESS') {
+      return {
+        success: true,
+        data: response.data,
+        review: response.data.review
+      };
+    } else {
+      // Backend returned an error code
+      throw new Error(response.data.message || 'Unknown error from server');
+    }
+
+  } catch (error) {
+    console.error('API: Error saving product review:', error);
+
+    // Handle different types of errors
+    if (error.response) {
+      // Server responded with error status
+      const errorMessage = error.response.data?.message || 'Server error occurred';
+      const returnCode = error.response.data?.return_code || 'SERVER_ERROR';
+
+      return {
+        success: false,
+        error: errorMessage,
+        returnCode: returnCode,
+        status: error.response.status
+      };
+    } else if (error.request) {
+      // Request was made but no response received
+      return {
+        success: false,
+        error: 'Unable to connect to server. Please check your connection.',
+        returnCode: 'CONNECTION_ERROR'
+      };
+    } else {
+      // Something else happened
+      return {
+        success: false,
+        error: error.message || 'An unexpected error occurred',
+        returnCode: 'UNKNOWN_ERROR'
+      };
+    }
+  }
+};
+
+const updateProductReviewApi = {
+  updateProductReview
+};
+
+export default updateProductReviewApi;
@@ -0,0 +1,48 @@
+/*
+App Header Component
+Top bar shown on authenticated screens with the dashboard title, navigation, logged-in user and logout button
+Admins also get a link to the Brand Groups configuration screen
+*/
+
+import React from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { getCurrentUser, clearAuthSession, isAdmin } from '../utils/auth';
+
+const AppHeader = () => {
+  const navigate = useNavigate();
+  const user = getCurrentUser();
+
+  /**
+   * Clears the stored session and returns to the login screen
+   */
+  const handleLogout = () => {
+    clearAuthSession();
+    navigate('/login', { replace: true });
+  };
+
+  return (
+    <header className="app-header">
+      <div className="header-container">
+        <span className="app-title">BC Dashboard</span>
+        <nav className="main-navigation">
+          <Link to="/products" className="nav-link">Products</Link>
+          <Link to="/actions" className="nav-link">Actions</Link>
+          {isAdmin() && (
+            <Link to="/admin/brand-groups" className="nav-link">Brand Groups</Link>
+          )}
+          {user && (
+            <span className="header-user">
+              {user.display_name || user.username}
+              {user.role && <span className="header-role">{user.role}</span>}
+            </span>
+          )}
+          <button onClick={handleLogout} className="nav-link logout-button">
+            Log Out
+          </button>
+        </nav>
+      </div>
+    </header>
+  );
+};
+
+export default AppHeader;
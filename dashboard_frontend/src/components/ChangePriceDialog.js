@@ -0,0 +1,160 @@
+/*
+Change Price Dialog Component
+Modal used on the product details page to change a product's Shopify price
+Prefills the current price, offers reasons from price_change_reasons and shows the allowed min/max band
+*/
+
+import React, { useState, useEffect } from 'react';
+import { getPriceChangeReasons } from '../api/get_price_change_reasons_api';
+import { changePrice } from '../api/change_price_api';
+import { getCurrentUser } from '../utils/auth';
+import './ChangePriceDialog.css';
+
+/**
+ * skusummary stores prices as text - returns a number or null
+ */
+const parsePrice = (value) => {
+  const price = parseFloat(value);
+  return isNaN(price) ? null : price;
+};
+
+const ChangePriceDialog = ({ product, onSaved, onClose }) => {
+  const user = getCurrentUser();
+  const minPrice = parsePrice(product.sku_details?.minshopifyprice);
+  const maxPrice = parsePrice(product.sku_details?.maxshopifyprice);
+
+  const [reasons, setReasons] = useState([]);
+  const [newPrice, setNewPrice] = useState(product.current_price ? product.current_price.toFixed(2) : '');
+  const [reasonCode, setReasonCode] = useState('');
+  const [reasonNotes, setReasonNotes] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Load reason options when the dialog opens
+  useEffect(() => {
+    const loadReasons = async () => {
+      const result = await getPriceChangeReasons();
+      if (result.success) {
+        setReasons(result.reasons);
+      } else {
+        setError(`Could not load price change reasons: ${result.error}`);
+      }
+    };
+    loadReasons();
+  }, []);
+
+  /**
+   * Validates and submits the price change
+   */
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+
+    const price = parseFloat(newPrice);
+    if (isNaN(price) || price <= 0) {
+      setError('Please enter a valid price');
+      return;
+    }
+    if ((minPrice !== null && price < minPrice) || (maxPrice !== null && price > maxPrice)) {
+      setError(`Price must be between £${minPrice !== null ? minPrice.toFixed(2) : '-'} and £${maxPrice !== null ? maxPrice.toFixed(2) : '-'}`);
+      return;
+    }
+    if (!reasonCode) {
+      setError('Please choose a reason');
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+
+    const result = await changePrice(product.groupid, price, reasonCode, reasonNotes);
+
+    if (result.success) {
+      console.log(`CHANGE_PRICE_DIALOG: Price changed for ${product.groupid}`);
+      onSaved(result.priceChange);
+    } else {
+      setError(result.error);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="dialog-overlay" onMouseDown={(e) => e.target === e.currentTarget && !saving && onClose()}>
+      <form className="dialog" onSubmit={handleSubmit}>
+        <h2 className="dialog-title">Change Price: {product.groupid}</h2>
+
+        <div className="dialog-row">
+          <label>Current Price:</label>
+          <span>{product.current_price ? `£${product.current_price.toFixed(2)}` : '-'}</span>
+        </div>
+
+        <div className="dialog-row">
+          <label>Allowed Range:</label>
+          <span>
+            {minPrice !== null ? `£${minPrice.toFixed(2)}` : 'no minimum'} – {maxPrice !== null ? `£${maxPrice.toFixed(2)}` : 'no maximum'}
+          </span>
+        </div>
+
+        <div className="dialog-row">
+          <label htmlFor="new-price">New Price (£):</label>
+          <input
+            id="new-price"
+            type="number"
+            step="0.01"
+            min={minPrice !== null ? minPrice : 0.01}
+            max={maxPrice !== null ? maxPrice : undefined}
+            className="dialog-input"
+            value={newPrice}
+            onChange={(e) => setNewPrice(e.target.value)}
+            autoFocus
+          />
+        </div>
+
+        <div className="dialog-row">
+          <label htmlFor="price-reason">Reason:</label>
+          <select
+            id="price-reason"
+            className="dialog-input"
+            value={reasonCode}
+            onChange={(e) => setReasonCode(e.target.value)}
+          >
+            <option value="">Select a reason...</option>
+            {reasons.map(reason => (
+              <option key={reason.id} value={reason.reason}>
+                {reason.reason}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="dialog-row dialog-row-top">
+          <label htmlFor="price-notes">Notes:</label>
+          <textarea
+            id="price-notes"
+            className="dialog-input"
+            rows={3}
+            value={reasonNotes}
+            onChange={(e) => setReasonNotes(e.target.value)}
+          />
+        </div>
+
+        <div className="dialog-row">
+          <label>Changed By:</label>
+          <span>{user?.display_name || user?.username || '-'}</span>
+        </div>
+
+        {error && <div className="dialog-error">{error}</div>}
+
+        <div className="dialog-actions">
+          <button type="submit" className="dialog-save-button" disabled={saving}>
+            {saving ? 'Saving...' : 'Change Price'}
+          </button>
+          <button type="button" className="dialog-cancel-button" onClick={onClose} disabled={saving}>
+            Cancel
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ChangePriceDialog;
@@ -0,0 +1,93 @@
+/*
+Code Performance Table Component
+Per-code (size/variant) rows of a product from the performance table, shown inside an expanded products table row
+Each size's segment is highlighted so a style with Winner and Loser sizes stands out
+*/
+
+import React from 'react';
+import './CodePerformanceTable.css';
+
+const CodePerformanceTable = ({ codes = [], loading, error }) => {
+  // Helper function to format currency
+  const formatCurrency = (value) => {
+    if (value === null || value === undefined) return '-';
+    return new Intl.NumberFormat('en-GB', {
+      style: 'currency',
+      currency: 'GBP'
+    }).format(value);
+  };
+
+  // Helper function to format gross margin fractions (0.245 -> 24.50%)
+  const formatMargin = (value) => {
+    if (value === null || value === undefined) return '-';
+    return `${(value * 100).toFixed(2)}%`;
+  };
+
+  // Helper function to format dates
+  const formatDate = (dateString) => {
+    if (!dateString) return '-';
+    return new Date(dateString).toLocaleDateString('en-GB', {
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric'
+    });
+  };
+
+  if (loading) {
+    return <div className="code-performance-message">Loading sizes...</div>;
+  }
+
+  if (error) {
+    return <div className="code-performance-message code-performance-error">{error}</div>;
+  }
+
+  if (codes.length === 0) {
+    return <div className="code-performance-message">No per-size performance data for this product.</div>;
+  }
+
+  return (
+    <table className="code-performance-table">
+      <thead>
+        <tr>
+          <th>Code</th>
+          <th>Size</th>
+          <th>Segment</th>
+          <th>Status</th>
+          <th>Sold Qty</th>
+          <th>Annual Profit</th>
+          <th>Profit/Unit</th>
+          <th>Gross Margin</th>
+          <th>Stock</th>
+          <th>Fail Reason</th>
+          <th>Last Reviewed</th>
+        </tr>
+      </thead>
+      <tbody>
+        {codes.map(code => (
+          <tr key={code.code}>
+            <td className="code-cell">{code.code}</td>
+            <td>
+              {code.uksize || '-'}
+              {code.eurosize && <span className="code-eurosize"> / EU {code.eurosize}</span>}
+            </td>
+            <td>
+              <span className={`segment-cell segment-${(code.segment || '').toLowerCase()}`}>
+                {code.segment || '-'}
+              </span>
+            </td>
+            <td>{code.status || '-'}</td>
+            <td>{code.sold_qty.toLocaleString()}</td>
+            <td>{formatCurrency(code.annual_profit)}</td>
+            <td>{formatCurrency(code.profit_per_unit)}</td>
+            <td>{formatMargin(code.gross_margin)}</td>
+            <td>{code.stock.toLocaleString()}</td>
+            <td className="code-fail-reason">{code.fail_reason || '-'}</td>
+            <td>{formatDate(code.last_reviewed)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+export default CodePerformanceTable;
@@ -0,0 +1,127 @@
+/*
+Column Chooser Component
+Dropdown for showing, hiding and reordering the columns of a table
+The layout is a list of { key, visible, width } in display order; widths are set by dragging the column headers
+*/
+
+import React, { useState, useEffect, useRef } from 'react';
+import './ColumnChooser.css';
+
+/**
+ * Builds a complete layout from the column definitions and a saved layout
+ * Saved columns keep their order, visibility and width; unknown keys are dropped and columns added since the
+ * layout was saved are appended with their default visibility
+ * @param {Array<{ key: string, defaultVisible: boolean }>} columns - Column definitions in default order
+ * @param {Array<{ key: string, visible: boolean, width: number|null }>} [savedLayout]
+ * @returns {Array<{ key: string, visible: boolean, width: number|null }>}
+ */
+export const normalizeColumnLayout = (columns, savedLayout = []) => {
+  const knownKeys = columns.map(column => column.key);
+  const layout = savedLayout
+    .filter(column => knownKeys.includes(column.key))
+    .map(column => ({ key: column.key, visible: column.visible, width: column.width || null }));
+
+  columns.forEach(column => {
+    if (!layout.some(saved => saved.key === column.key)) {
+      layout.push({ key: column.key, visible: column.defaultVisible, width: null });
+    }
+  });
+
+  return layout;
+};
+
+const ColumnChooser = ({ columns, layout, onChange, onReset }) => {
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  // Close the dropdown on clicks outside it
+  useEffect(() => {
+    if (!open) return undefined;
+
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [open]);
+
+  const getLabel = (key) => columns.find(column => column.key === key)?.label || key;
+
+  /**
+   * Shows or hides a column - at least one column stays visible
+   */
+  const handleToggle = (key, visible) => {
+    if (!visible && layout.filter(column => column.visible).length === 1) return;
+    onChange(layout.map(column => (column.key === key ? { ...column, visible } : column)));
+  };
+
+  /**
+   * Moves a column one place up (-1) or down (1)
+   */
+  const handleMove = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= layout.length) return;
+
+    const newLayout = [...layout];
+    [newLayout[index], newLayout[target]] = [newLayout[target], newLayout[index]];
+    onChange(newLayout);
+  };
+
+  return (
+    <div className="column-chooser" ref={containerRef}>
+      <button
+        className={`column-chooser-button ${open ? 'active' : ''}`}
+        onClick={() => setOpen(!open)}
+        title="Show, hide and reorder columns"
+      >
+        Columns ▾
+      </button>
+      {open && (
+        <div className="column-chooser-dropdown">
+          <ul className="column-chooser-list">
+            {layout.map((column, index) => (
+              <li key={column.key} className="column-chooser-item">
+                <label className="column-chooser-label">
+                  <input
+                    type="checkbox"
+                    checked={column.visible}
+                    onChange={(e) => handleToggle(column.key, e.target.checked)}
+                  />
+                  {getLabel(column.key)}
+                </label>
+                <button
+                  className="column-move-button"
+                  onClick={() => handleMove(index, -1)}
+                  disabled={index === 0}
+                  title="Move up"
+                  aria-label={`Move ${getLabel(column.key)} up`}
+                >
+                  ↑
+                </button>
+                <button
+                  className="column-move-button"
+                  onClick={() => handleMove(index, 1)}
+                  disabled={index === layout.length - 1}
+                  title="Move down"
+                  aria-label={`Move ${getLabel(column.key)} down`}
+                >
+                  ↓
+                </button>
+              </li>
+            ))}
+          </ul>
+          <div className="column-chooser-footer">
+            <span className="column-chooser-hint">Drag a header's right edge to resize</span>
+            <button className="column-reset-button" onClick={onReset}>
+              Reset
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ColumnChooser;
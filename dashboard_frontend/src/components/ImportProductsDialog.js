@@ -0,0 +1,178 @@
+/*
+Import Products Dialog Component
+Modal used by admins on the products screen to bulk-update owners, notes and next review dates from a CSV file
+The file is checked first (a dry run) showing every change and rejected row; nothing is written until "Apply" is clicked
+*/
+
+import React, { useState } from 'react';
+import { importProducts } from '../api/import_products_api';
+import './ChangePriceDialog.css';
+import './ImportProductsDialog.css';
+
+const COLUMN_LABELS = {
+  owner: 'Owner',
+  notes: 'Notes',
+  next_review_date: 'Next Review'
+};
+
+const ImportProductsDialog = ({ channel, onApplied, onClose }) => {
+  const [fileName, setFileName] = useState('');
+  const [csv, setCsv] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Sends the file to the backend - a dry run unless apply is true
+   */
+  const runImport = async (text, apply) => {
+    setWorking(true);
+    setError(null);
+
+    const result = await importProducts(text, { apply, channel });
+
+    if (result.success) {
+      setPreview(result);
+      if (apply) {
+        console.log(`IMPORT_PRODUCTS_DIALOG: Applied ${result.summary.changed_rows} product changes`);
+        onApplied(result);
+      }
+    } else {
+      setError(result.error);
+    }
+    setWorking(false);
+  };
+
+  /**
+   * Reads the chosen file and checks it straight away
+   */
+  const handleFileChange = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    setFileName(file.name);
+    setPreview(null);
+    setError(null);
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      setCsv(reader.result);
+      runImport(reader.result, false);
+    };
+    reader.onerror = () => setError('Could not read the file');
+    reader.readAsText(file);
+  };
+
+  /**
+   * Formats one side of a change - an empty value is shown as a dash
+   */
+  const formatValue = (value) => value || '-';
+
+  const summary = preview?.summary;
+  const canApply = preview && !preview.applied && summary.changed_rows > 0 && !working;
+
+  return (
+    <div className="dialog-overlay" onMouseDown={(e) => e.target === e.currentTarget && !working && onClose()}>
+      <div className="dialog import-dialog">
+        <h2 className="dialog-title">Import Products ({channel})</h2>
+
+        <p className="import-help">
+          CSV with a header row: <code>groupid</code> and any of <code>owner</code>, <code>notes</code>,{' '}
+          <code>next_review_date</code> (YYYY-MM-DD). Empty cells leave the current value unchanged.
+        </p>
+
+        <div className="dialog-row">
+          <label htmlFor="import-file">File:</label>
+          <input
+            id="import-file"
+            type="file"
+            accept=".csv,text/csv"
+            onChange={handleFileChange}
+            disabled={working}
+          />
+        </div>
+
+        {working && <div className="import-status">{preview ? 'Applying changes...' : `Checking ${fileName}...`}</div>}
+
+        {summary && (
+          <div className={`import-summary ${preview.applied ? 'applied' : ''}`}>
+            {preview.applied ? 'Applied: ' : 'Dry run: '}
+            {summary.changed_rows} of {summary.total_rows} rows {preview.applied ? 'changed' : 'will change'},{' '}
+            {summary.unchanged_rows} unchanged, {summary.rejected_rows} rejected
+          </div>
+        )}
+
+        {preview?.changes.length > 0 && (
+          <div className="import-table-container">
+            <table className="import-table">
+              <thead>
+                <tr>
+                  <th>Row</th>
+                  <th>Group ID</th>
+                  <th>Field</th>
+                  <th>From</th>
+                  <th>To</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.changes.map(change => Object.entries(change.changes).map(([field, values], index) => (
+                  <tr key={`${change.row}-${field}`}>
+                    <td>{index === 0 ? change.row : ''}</td>
+                    <td>{index === 0 ? change.groupid : ''}</td>
+                    <td>{COLUMN_LABELS[field] || field}</td>
+                    <td className="import-from">{formatValue(values.from)}</td>
+                    <td className="import-to">{formatValue(values.to)}</td>
+                  </tr>
+                )))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {preview?.rejected.length > 0 && (
+          <div className="import-table-container">
+            <table className="import-table import-rejected-table">
+              <thead>
+                <tr>
+                  <th>Row</th>
+                  <th>Group ID</th>
+                  <th>Rejected Because</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.rejected.map(rejection => (
+                  <tr key={rejection.row}>
+                    <td>{rejection.row}</td>
+                    <td>{rejection.groupid || '-'}</td>
+                    <td>{rejection.reasons.join('; ')}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {error && <div className="dialog-error">{error}</div>}
+
+        <div className="dialog-actions">
+          {!preview?.applied && (
+            <button
+              type="button"
+              className="dialog-save-button"
+              onClick={() => runImport(csv, true)}
+              disabled={!canApply}
+              title={summary?.rejected_rows > 0 ? 'Rejected rows are skipped' : undefined}
+            >
+              {summary ? `Apply ${summary.changed_rows} Changes` : 'Apply'}
+            </button>
+          )}
+          <button type="button" className="dialog-cancel-button" onClick={onClose} disabled={working}>
+            {preview?.applied ? 'Close' : 'Cancel'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportProductsDialog;
@@ -0,0 +1,105 @@
+/*
+Multi-Select Chips Component
+Picks any number of values from a list of options shown as toggle chips - an empty selection means "all"
+Shown inline (e.g. inside a filter dropdown), or with dropdown set as a compact control listing the chosen values
+as removable chips that opens the option chips below it
+*/
+
+import React, { useState, useEffect, useRef } from 'react';
+import './MultiSelectChips.css';
+
+/**
+ * Options can be plain strings or { value, label } objects
+ */
+const toOption = (option) => (typeof option === 'string' ? { value: option, label: option } : option);
+
+const MultiSelectChips = ({ options, selected, onChange, allLabel = 'All', dropdown = false, title }) => {
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  // Close the dropdown on clicks outside it
+  useEffect(() => {
+    if (!open) return undefined;
+
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [open]);
+
+  const choices = options.map(toOption);
+  const getLabel = (value) => choices.find(option => option.value === value)?.label || value;
+
+  /**
+   * Adds or removes a value, keeping the selection in option order
+   */
+  const handleToggle = (value) => {
+    const isSelected = selected.includes(value);
+    onChange(choices
+      .map(option => option.value)
+      .filter(optionValue => (optionValue === value ? !isSelected : selected.includes(optionValue))));
+  };
+
+  const chipGroup = (
+    <div className="multi-select-chips">
+      <button
+        type="button"
+        className={`multi-select-chip ${selected.length === 0 ? 'selected' : ''}`}
+        onClick={() => onChange([])}
+      >
+        {allLabel}
+      </button>
+      {choices.map(option => (
+        <button
+          type="button"
+          key={option.value}
+          className={`multi-select-chip ${selected.includes(option.value) ? 'selected' : ''}`}
+          onClick={() => handleToggle(option.value)}
+          aria-pressed={selected.includes(option.value)}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  );
+
+  if (!dropdown) return chipGroup;
+
+  return (
+    <div className="multi-select" ref={containerRef}>
+      <div className={`multi-select-control ${open ? 'active' : ''}`} title={title}>
+        {selected.length === 0 ? (
+          <span className="multi-select-placeholder">{allLabel}</span>
+        ) : (
+          selected.map(value => (
+            <span key={value} className="multi-select-value">
+              {getLabel(value)}
+              <button
+                type="button"
+                className="multi-select-remove"
+                onClick={() => onChange(selected.filter(selectedValue => selectedValue !== value))}
+                aria-label={`Remove ${getLabel(value)}`}
+              >
+                ×
+              </button>
+            </span>
+          ))
+        )}
+        <button
+          type="button"
+          className="multi-select-toggle"
+          onClick={() => setOpen(!open)}
+          aria-label={open ? 'Close options' : 'Open options'}
+        >
+          ▾
+        </button>
+      </div>
+      {open && <div className="multi-select-dropdown">{chipGroup}</div>}
+    </div>
+  );
+};
+
+export default MultiSelectChips;
@@ -31,6 +31,12 @@ const OverallStats = ({ overallStats, comparisonMode }) => {
     return `${value.toFixed(2)}%`;
   };
 
+  // Helper function to format gross margin fractions (0.245 -> 24.50%)
+  const formatMargin = (value) => {
+    if (value === null || value === undefined) return '0.00%';
+    return `${(value * 100).toFixed(2)}%`;
+  };
+
   // Helper function to get trend indicator
   const getTrendIndicator = (changeValue, changePercent) => {
     if (!comparisonMode || changeValue === 0) {
@@ -113,6 +119,54 @@ const OverallStats = ({ overallStats, comparisonMode }) => {
           true
         )}
       </div>
+
+      {/* Average Profit per Unit - weighted by units sold */}
+      <div className="stat-card unit-profit-card" title="Weighted by units sold">
+        <div className="stat-header">
+          <span className="stat-icon">💷</span>
+          <span className="stat-title">Avg Profit / Unit</span>
+        </div>
+        <div className="stat-value">
+          {formatCurrency(current.avg_profit_per_unit)}
+        </div>
+        {getChangeDisplay(
+          safeChanges.avg_profit_per_unit_change,
+          safeChanges.avg_profit_per_unit_change_percent,
+          true
+        )}
+      </div>
+
+      {/* Average Gross Margin - weighted by units sold */}
+      <div className="stat-card margin-card" title="Weighted by units sold">
+        <div className="stat-header">
+          <span className="stat-icon">📊</span>
+          <span className="stat-title">Avg Gross Margin</span>
+        </div>
+        <div className="stat-value">
+          {formatMargin(current.avg_gross_margin)}
+        </div>
+        {getChangeDisplay(
+          safeChanges.avg_gross_margin_change,
+          safeChanges.avg_gross_margin_change_percent,
+          true
+        )}
+      </div>
+
+      {/* Product Count */}
+      <div className="stat-card products-card">
+        <div className="stat-header">
+          <span className="stat-icon">🏷️</span>
+          <span className="stat-title">Products</span>
+        </div>
+        <div className="stat-value">
+          {formatNumber(current.total_products)}
+        </div>
+        {getChangeDisplay(
+          safeChanges.total_products_change,
+          safeChanges.total_products_change_percent,
+          true
+        )}
+      </div>
     </div>
   );
 };
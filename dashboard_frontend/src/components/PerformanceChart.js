@@ -0,0 +1,245 @@
+/*
+Performance Chart Component
+Weekly time-series chart of a product's annual profit, sold quantity or average profit per unit
+Price changes are overlaid as vertical markers (red for a cut, green for an increase) so their effect on sales is visible
+Hovering a week shows its value and any price changes made during that week
+*/
+
+import React, { useState } from 'react';
+import './PerformanceChart.css';
+
+const METRICS = [
+  { key: 'annual_profit', label: 'Annual Profit', isCurrency: true },
+  { key: 'sold_qty', label: 'Sold Qty', isCurrency: false },
+  { key: 'avg_profit_per_unit', label: 'Avg Profit/Unit', isCurrency: true }
+];
+
+const CHART_WIDTH = 800;
+const CHART_HEIGHT = 260;
+const MARGIN = { top: 20, right: 20, bottom: 40, left: 70 };
+const Y_TICKS = 4;
+const MAX_X_LABELS = 12;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Formats a metric value for the axis and tooltip
+ */
+const formatValue = (value, isCurrency) => {
+  if (value === null || value === undefined) return '-';
+  if (isCurrency) {
+    return new Intl.NumberFormat('en-GB', {
+      style: 'currency',
+      currency: 'GBP',
+      maximumFractionDigits: Math.abs(value) >= 1000 ? 0 : 2
+    }).format(value);
+  }
+  return Math.round(value).toLocaleString();
+};
+
+/**
+ * Formats a price change for the marker tooltip, e.g. "12 Mar 2025: £29.99 → £27.99 (Market adjustment)"
+ */
+const describePriceChange = (change) => {
+  const date = new Date(change.date).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+  const prices = `${formatValue(change.old_price, true)} → ${formatValue(change.new_price, true)}`;
+  return `${date}: ${prices}${change.reason ? ` (${change.reason})` : ''}`;
+};
+
+const PerformanceChart = ({ weeks = [], priceChanges = [] }) => {
+  const [metricKey, setMetricKey] = useState(METRICS[0].key);
+  const [hoveredIndex, setHoveredIndex] = useState(null);
+
+  const metric = METRICS.find(option => option.key === metricKey);
+  const plotWidth = CHART_WIDTH - MARGIN.left - MARGIN.right;
+  const plotHeight = CHART_HEIGHT - MARGIN.top - MARGIN.bottom;
+
+  if (weeks.length === 0) {
+    return (
+      <div className="performance-chart-empty">
+        <p>No weekly performance data for this period.</p>
+      </div>
+    );
+  }
+
+  // Y scale - always include zero so profit and quantity changes aren't exaggerated
+  const values = weeks.map(week => week[metric.key]);
+  const minValue = Math.min(0, ...values);
+  const maxValue = Math.max(0, ...values);
+  const valueRange = maxValue - minValue || 1;
+  const getY = (value) => MARGIN.top + (1 - (value - minValue) / valueRange) * plotHeight;
+
+  // X scale - by time from the first week's Monday, so price change dates fall between the weeks
+  const firstWeekStart = new Date(weeks[0].week_start).getTime();
+  const lastWeekStart = new Date(weeks[weeks.length - 1].week_start).getTime();
+  const timeRange = lastWeekStart - firstWeekStart || 1;
+  const getX = (time) => weeks.length === 1
+    ? MARGIN.left + plotWidth / 2
+    : MARGIN.left + ((time - firstWeekStart) / timeRange) * plotWidth;
+
+  const points = weeks.map(week => ({
+    week,
+    x: getX(new Date(week.week_start).getTime()),
+    y: getY(week[metric.key])
+  }));
+
+  const yTicks = Array.from({ length: Y_TICKS + 1 }, (_, index) => minValue + (valueRange * index) / Y_TICKS);
+  const labelEvery = Math.ceil(weeks.length / MAX_X_LABELS);
+
+  // Markers for the price changes within the charted weeks (a change belongs to the week it was made in)
+  const markers = priceChanges
+    .map(change => ({ change, time: new Date(change.date).getTime() }))
+    .filter(marker => marker.time >= firstWeekStart && marker.time < lastWeekStart + 7 * MS_PER_DAY)
+    .map(marker => ({
+      ...marker,
+      x: getX(Math.min(marker.time, lastWeekStart)),
+      weekIndex: Math.min(Math.floor((marker.time - firstWeekStart) / (7 * MS_PER_DAY)), weeks.length - 1)
+    }));
+
+  const hoveredPoint = hoveredIndex !== null ? points[hoveredIndex] : null;
+  const hoveredChanges = hoveredPoint
+    ? markers.filter(marker => marker.weekIndex === hoveredIndex)
+    : [];
+
+  // Hover areas - each week owns the space halfway to its neighbours
+  const hoverAreas = points.map((point, index) => {
+    const left = index === 0 ? MARGIN.left : (points[index - 1].x + point.x) / 2;
+    const right = index === points.length - 1 ? MARGIN.left + plotWidth : (point.x + points[index + 1].x) / 2;
+    return { left, width: Math.max(right - left, 1) };
+  });
+
+  return (
+    <div className="performance-chart">
+      <div className="performance-chart-metrics">
+        {METRICS.map(option => (
+          <button
+            key={option.key}
+            className={`chart-metric-button ${option.key === metricKey ? 'active' : ''}`}
+            onClick={() => setMetricKey(option.key)}
+          >
+            {option.label}
+          </button>
+        ))}
+        {markers.length > 0 && (
+          <span className="chart-legend">
+            <span className="legend-marker price-cut" /> Price cut
+            <span className="legend-marker price-increase" /> Price increase
+          </span>
+        )}
+      </div>
+
+      <div className="performance-chart-canvas">
+        <svg
+          viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+          className="performance-chart-svg"
+          onMouseLeave={() => setHoveredIndex(null)}
+        >
+          {/* Grid lines and Y axis labels */}
+          {yTicks.map(tick => (
+            <g key={tick}>
+              <line
+                className={`chart-grid-line ${tick === 0 ? 'zero-line' : ''}`}
+                x1={MARGIN.left}
+                x2={MARGIN.left + plotWidth}
+                y1={getY(tick)}
+                y2={getY(tick)}
+              />
+              <text className="chart-axis-label" x={MARGIN.left - 8} y={getY(tick) + 4} textAnchor="end">
+                {formatValue(tick, metric.isCurrency)}
+              </text>
+            </g>
+          ))}
+
+          {/* X axis labels */}
+          {points.map((point, index) => (index % labelEvery === 0 || index === points.length - 1) && (
+            <text
+              key={point.week.year_week}
+              className="chart-axis-label"
+              x={point.x}
+              y={CHART_HEIGHT - MARGIN.bottom + 18}
+              textAnchor="middle"
+            >
+              {point.week.year_week}
+            </text>
+          ))}
+
+          {/* Price change markers */}
+          {markers.map(marker => (
+            <g
+              key={marker.change.id}
+              className={`chart-price-marker ${marker.change.change_amount < 0 ? 'price-cut' : 'price-increase'}`}
+            >
+              <title>{describePriceChange(marker.change)}</title>
+              <line x1={marker.x} x2={marker.x} y1={MARGIN.top} y2={MARGIN.top + plotHeight} />
+              <text x={marker.x} y={MARGIN.top - 6} textAnchor="middle">
+                {marker.change.change_amount < 0 ? '▼' : '▲'}
+              </text>
+            </g>
+          ))}
+
+          {/* Metric line */}
+          <polyline
+            className="chart-line"
+            points={points.map(point => `${point.x},${point.y}`).join(' ')}
+          />
+          {points.map((point, index) => (
+            <circle
+              key={point.week.year_week}
+              className={`chart-point ${index === hoveredIndex ? 'hovered' : ''}`}
+              cx={point.x}
+              cy={point.y}
+              r={index === hoveredIndex ? 5 : 3}
+            />
+          ))}
+
+          {/* Hover guide */}
+          {hoveredPoint && (
+            <line
+              className="chart-hover-line"
+              x1={hoveredPoint.x}
+              x2={hoveredPoint.x}
+              y1={MARGIN.top}
+              y2={MARGIN.top + plotHeight}
+            />
+          )}
+
+          {hoverAreas.map((area, index) => (
+            <rect
+              key={points[index].week.year_week}
+              className="chart-hover-area"
+              x={area.left}
+              y={MARGIN.top}
+              width={area.width}
+              height={plotHeight}
+              onMouseEnter={() => setHoveredIndex(index)}
+            />
+          ))}
+        </svg>
+
+        {hoveredPoint && (
+          <div
+            className="performance-chart-tooltip"
+            style={{
+              left: `${(hoveredPoint.x / CHART_WIDTH) * 100}%`,
+              top: `${(hoveredPoint.y / CHART_HEIGHT) * 100}%`
+            }}
+          >
+            <div className="tooltip-week">{hoveredPoint.week.year_week}</div>
+            <div className="tooltip-value">
+              {metric.label}: {formatValue(hoveredPoint.week[metric.key], metric.isCurrency)}
+            </div>
+            {hoveredChanges.map(marker => (
+              <div
+                key={marker.change.id}
+                className={`tooltip-price-change ${marker.change.change_amount < 0 ? 'price-cut' : 'price-increase'}`}
+              >
+                {describePriceChange(marker.change)}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PerformanceChart;
@@ -0,0 +1,22 @@
+/*
+Require Auth Component
+Route guard that only renders its children when a login token is stored
+Otherwise redirects to the login screen, remembering the requested page
+*/
+
+import React from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { isAuthenticated } from '../utils/auth';
+
+const RequireAuth = ({ children }) => {
+  const location = useLocation();
+
+  if (!isAuthenticated()) {
+    const returnTo = `${location.pathname}${location.search}`;
+    return <Navigate to={`/login?returnTo=${encodeURIComponent(returnTo)}`} replace />;
+  }
+
+  return children;
+};
+
+export default RequireAuth;
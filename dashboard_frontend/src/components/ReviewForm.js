@@ -0,0 +1,139 @@
+/*
+Review Form Component
+Lets the product owner (or an admin) complete a review from the product details page
+Sets the review date to today, schedules the next review (+7/+14/+30 days or a custom date) and edits the notes
+*/
+
+import React, { useState } from 'react';
+import { updateProductReview } from '../api/update_product_review_api';
+import './ReviewForm.css';
+
+// Quick options for the next review date, in days from today
+const NEXT_REVIEW_OPTIONS = [7, 14, 30];
+
+/**
+ * Formats a Date as YYYY-MM-DD in local time
+ */
+const toISODate = (date) => {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+/**
+ * Returns today plus the given number of days as YYYY-MM-DD
+ */
+const addDays = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return toISODate(date);
+};
+
+const ReviewForm = ({ product, onSaved, onCancel }) => {
+  const [nextReviewOption, setNextReviewOption] = useState('14');
+  const [customDate, setCustomDate] = useState(addDays(14));
+  const [notes, setNotes] = useState(product.notes || '');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const nextReviewDate = nextReviewOption === 'custom'
+    ? customDate
+    : addDays(parseInt(nextReviewOption, 10));
+
+  /**
+   * Saves the review through the API
+   */
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+
+    if (!nextReviewDate || nextReviewDate <= toISODate(new Date())) {
+      setError('Next review date must be after today');
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+
+    const result = await updateProductReview(product.groupid, nextReviewDate, notes, product.channel);
+
+    if (result.success) {
+      console.log(`REVIEW_FORM: Review saved for ${product.groupid}`);
+      onSaved(result.review);
+    } else {
+      setError(result.error);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form className="review-form" onSubmit={handleSubmit}>
+      <div className="review-form-row">
+        <label>Review Date:</label>
+        <span>Today ({new Date().toLocaleDateString('en-GB')})</span>
+      </div>
+
+      <div className="review-form-row">
+        <label>Next Review:</label>
+        <div className="review-next-options">
+          {NEXT_REVIEW_OPTIONS.map(days => (
+            <label key={days} className="review-option">
+              <input
+                type="radio"
+                name="next-review"
+                value={String(days)}
+                checked={nextReviewOption === String(days)}
+                onChange={(e) => setNextReviewOption(e.target.value)}
+              />
+              +{days} days
+            </label>
+          ))}
+          <label className="review-option">
+            <input
+              type="radio"
+              name="next-review"
+              value="custom"
+              checked={nextReviewOption === 'custom'}
+              onChange={(e) => setNextReviewOption(e.target.value)}
+            />
+            Custom
+          </label>
+          {nextReviewOption === 'custom' && (
+            <input
+              type="date"
+              className="review-date-input"
+              value={customDate}
+              min={addDays(1)}
+              onChange={(e) => setCustomDate(e.target.value)}
+            />
+          )}
+        </div>
+      </div>
+
+      <div className="review-form-row review-notes-row">
+        <label htmlFor="review-notes">Notes:</label>
+        <textarea
+          id="review-notes"
+          className="review-notes-input"
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          rows={4}
+          maxLength={2000}
+        />
+      </div>
+
+      {error && <div className="review-form-error">{error}</div>}
+
+      <div className="review-form-actions">
+        <button type="submit" className="review-save-button" disabled={saving}>
+          {saving ? 'Saving...' : 'Complete Review'}
+        </button>
+        <button type="button" className="review-cancel-button" onClick={onCancel} disabled={saving}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default ReviewForm;
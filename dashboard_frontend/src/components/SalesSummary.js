@@ -0,0 +1,176 @@
+/*
+Sales Summary Component
+Daily or weekly sales totals for a product over a date range - units, revenue net of VAT and profit,
+with returns shown separately - and the distribution of prices the product actually sold at
+*/
+
+import React from 'react';
+import './SalesSummary.css';
+
+export const SALES_RANGES = [
+  { days: 30, label: 'Last 30 days' },
+  { days: 90, label: 'Last 90 days' },
+  { days: 365, label: 'Last 12 months' }
+];
+
+const INTERVALS = [
+  { value: 'day', label: 'Daily' },
+  { value: 'week', label: 'Weekly' }
+];
+
+const SalesSummary = ({ summary, interval, onIntervalChange, rangeDays, onRangeDaysChange, loading }) => {
+  // Helper function to format currency
+  const formatCurrency = (value) => {
+    if (value === null || value === undefined) return '-';
+    return new Intl.NumberFormat('en-GB', {
+      style: 'currency',
+      currency: 'GBP',
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    }).format(value);
+  };
+
+  // Helper function to format numbers
+  const formatNumber = (value) => {
+    if (value === null || value === undefined) return '-';
+    return new Intl.NumberFormat('en-GB').format(value);
+  };
+
+  // Helper function to format a period start, e.g. "30 Jun 2025" or "w/c 30 Jun 2025"
+  const formatPeriod = (periodStart) => {
+    const label = new Date(`${periodStart}T00:00:00`).toLocaleDateString('en-GB', {
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric'
+    });
+    return interval === 'week' ? `w/c ${label}` : label;
+  };
+
+  const periods = summary ? [...summary.periods].reverse() : [];
+  const totals = summary?.totals;
+  const priceDistribution = summary?.priceDistribution || [];
+
+  return (
+    <div className="sales-summary">
+      <div className="sales-summary-controls">
+        <div className="sales-interval-buttons">
+          {INTERVALS.map(option => (
+            <button
+              key={option.value}
+              className={`sales-interval-button ${interval === option.value ? 'active' : ''}`}
+              onClick={() => onIntervalChange(option.value)}
+              disabled={loading}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        <select
+          value={rangeDays}
+          onChange={(e) => onRangeDaysChange(parseInt(e.target.value, 10))}
+          className="sales-range-select"
+          disabled={loading}
+        >
+          {SALES_RANGES.map(range => (
+            <option key={range.days} value={range.days}>{range.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {totals && (
+        <div className="sales-summary-totals">
+          <div className="sales-total">
+            <span className="sales-total-label">Units</span>
+            <span className="sales-total-value">{formatNumber(totals.units)}</span>
+          </div>
+          <div className="sales-total">
+            <span className="sales-total-label">Net Revenue</span>
+            <span className="sales-total-value">{formatCurrency(totals.net_revenue)}</span>
+          </div>
+          <div className="sales-total">
+            <span className="sales-total-label">Profit</span>
+            <span className="sales-total-value">{formatCurrency(totals.profit)}</span>
+          </div>
+          <div className="sales-total">
+            <span className="sales-total-label">Orders</span>
+            <span className="sales-total-value">{formatNumber(totals.orders)}</span>
+          </div>
+          <div className="sales-total returns">
+            <span className="sales-total-label">Returns</span>
+            <span className="sales-total-value">
+              {formatNumber(totals.returned_units)}
+              {totals.return_rate !== null && ` (${totals.return_rate.toFixed(2)}%)`}
+            </span>
+          </div>
+        </div>
+      )}
+
+      {periods.length === 0 ? (
+        <div className="sales-summary-empty">
+          <p>{loading ? 'Loading sales...' : 'No sales in this period.'}</p>
+        </div>
+      ) : (
+        <div className="sales-summary-tables">
+          <div className="sales-summary-table-container">
+            <table className="sales-summary-table">
+              <thead>
+                <tr>
+                  <th>{interval === 'week' ? 'Week' : 'Day'}</th>
+                  <th>Units</th>
+                  <th>Net Revenue</th>
+                  <th>Profit</th>
+                  <th>Returns</th>
+                </tr>
+              </thead>
+              <tbody>
+                {periods.map(period => (
+                  <tr key={period.period_start}>
+                    <td>{formatPeriod(period.period_start)}</td>
+                    <td>{formatNumber(period.units)}</td>
+                    <td>{formatCurrency(period.net_revenue)}</td>
+                    <td>{formatCurrency(period.profit)}</td>
+                    <td className={period.returned_units > 0 ? 'returns-cell' : ''}>
+                      {period.returned_units > 0
+                        ? `${formatNumber(period.returned_units)} (${formatCurrency(period.returned_revenue)})`
+                        : '-'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="sales-summary-table-container">
+            <table className="sales-summary-table price-distribution-table">
+              <thead>
+                <tr>
+                  <th>Sold Price</th>
+                  <th>Units</th>
+                  <th>Profit</th>
+                  <th>Share of Units</th>
+                </tr>
+              </thead>
+              <tbody>
+                {priceDistribution.map(point => (
+                  <tr key={point.sold_price}>
+                    <td>{formatCurrency(point.sold_price)}</td>
+                    <td>{formatNumber(point.units)}</td>
+                    <td>{formatCurrency(point.profit)}</td>
+                    <td>
+                      <div className="price-share">
+                        <div className="price-share-bar" style={{ width: `${Math.max(point.units_percent, 0)}%` }} />
+                        <span className="price-share-value">{point.units_percent.toFixed(1)}%</span>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SalesSummary;
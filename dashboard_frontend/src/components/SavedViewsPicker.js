@@ -0,0 +1,224 @@
+/*
+Saved Views Picker Component
+Lets users switch the products dashboard between named filter combinations ("My overdue reviews", "Birkenstock winners")
+A view is the dashboard's URL parameters; users save the current filters as a view, optionally shared with everyone,
+and can update, share or delete their own views (admins can also delete shared views)
+*/
+
+import React, { useState, useEffect } from 'react';
+import { getSavedViews, createSavedView, updateSavedView, deleteSavedView } from '../api/saved_views_api';
+import { isAdmin } from '../utils/auth';
+import './SavedViewsPicker.css';
+
+/**
+ * True when two filter objects hold the same parameters and values, in any order
+ */
+const sameFilters = (a, b) => {
+  const aKeys = Object.keys(a);
+  return aKeys.length === Object.keys(b).length && aKeys.every(key => a[key] === b[key]);
+};
+
+const SavedViewsPicker = ({ currentFilters, onApply }) => {
+  const [views, setViews] = useState([]);
+  const [selectedViewId, setSelectedViewId] = useState(null);
+  const [showSaveForm, setShowSaveForm] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [newShared, setNewShared] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Load the views once
+  useEffect(() => {
+    const loadViews = async () => {
+      const result = await getSavedViews();
+      if (result.success) {
+        setViews(result.views);
+      } else {
+        console.error('SAVED_VIEWS_PICKER: Failed to load saved views:', result.error);
+      }
+    };
+    loadViews();
+  }, []);
+
+  // The picked view, or else the first view matching the current filters (e.g. after opening a shared link)
+  const selectedView = views.find(view => view.id === selectedViewId) ||
+    views.find(view => sameFilters(view.filters, currentFilters)) ||
+    null;
+  const isModified = selectedView !== null && !sameFilters(selectedView.filters, currentFilters);
+
+  const myViews = views.filter(view => view.is_mine);
+  const sharedViews = views.filter(view => !view.is_mine);
+
+  /**
+   * Applies the chosen view's filters to the dashboard
+   */
+  const handleSelect = (viewId) => {
+    const view = views.find(option => option.id === parseInt(viewId, 10));
+    setSelectedViewId(view ? view.id : null);
+    setError(null);
+    if (view) {
+      console.log(`SAVED_VIEWS_PICKER: Applying view ${view.name}`);
+      onApply(view.filters);
+    }
+  };
+
+  /**
+   * Saves the current filters as a new view
+   */
+  const handleSave = async (event) => {
+    event.preventDefault();
+    if (!newName.trim()) {
+      setError('Please enter a name for the view');
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+
+    const result = await createSavedView(newName.trim(), currentFilters, newShared);
+
+    if (result.success) {
+      setViews(prev => [...prev, result.view]);
+      setSelectedViewId(result.view.id);
+      setShowSaveForm(false);
+      setNewName('');
+      setNewShared(false);
+    } else {
+      setError(result.error);
+    }
+    setSaving(false);
+  };
+
+  /**
+   * Saves changes to the selected view and replaces it in the list
+   */
+  const handleUpdate = async (changes) => {
+    setSaving(true);
+    setError(null);
+
+    const result = await updateSavedView(selectedView.id, changes);
+
+    if (result.success) {
+      setViews(prev => prev.map(view => (view.id === result.view.id ? result.view : view)));
+    } else {
+      setError(result.error);
+    }
+    setSaving(false);
+  };
+
+  /**
+   * Deletes the selected view after confirmation
+   */
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the view "${selectedView.name}"?`)) return;
+
+    setSaving(true);
+    setError(null);
+
+    const result = await deleteSavedView(selectedView.id);
+
+    if (result.success) {
+      setViews(prev => prev.filter(view => view.id !== result.viewId));
+      setSelectedViewId(null);
+    } else {
+      setError(result.error);
+    }
+    setSaving(false);
+  };
+
+  return (
+    <div className="saved-views">
+      <select
+        value={selectedView ? selectedView.id : ''}
+        onChange={(e) => handleSelect(e.target.value)}
+        className="saved-views-select"
+        title="Switch to a saved view"
+        disabled={saving}
+      >
+        <option value="">Saved views...</option>
+        {myViews.length > 0 && (
+          <optgroup label="My Views">
+            {myViews.map(view => (
+              <option key={view.id} value={view.id}>
+                {view.name}{view.is_shared ? ' (shared)' : ''}
+              </option>
+            ))}
+          </optgroup>
+        )}
+        {sharedViews.length > 0 && (
+          <optgroup label="Shared">
+            {sharedViews.map(view => (
+              <option key={view.id} value={view.id}>
+                {view.name} - {view.created_by}
+              </option>
+            ))}
+          </optgroup>
+        )}
+      </select>
+
+      {isModified && <span className="saved-views-modified" title="The filters have changed since the view was applied">modified</span>}
+
+      {selectedView?.is_mine && isModified && (
+        <button
+          className="saved-views-button"
+          onClick={() => handleUpdate({ filters: currentFilters })}
+          disabled={saving}
+          title="Replace the view's filters with the current ones"
+        >
+          Update View
+        </button>
+      )}
+      {selectedView?.is_mine && (
+        <button
+          className="saved-views-button"
+          onClick={() => handleUpdate({ is_shared: !selectedView.is_shared })}
+          disabled={saving}
+          title={selectedView.is_shared ? 'Only you will see this view' : 'Every user will see this view'}
+        >
+          {selectedView.is_shared ? 'Unshare' : 'Share'}
+        </button>
+      )}
+      {selectedView && (selectedView.is_mine || isAdmin()) && (
+        <button className="saved-views-button delete" onClick={handleDelete} disabled={saving}>
+          Delete
+        </button>
+      )}
+
+      {showSaveForm ? (
+        <form className="saved-views-form" onSubmit={handleSave}>
+          <input
+            type="text"
+            className="saved-views-name-input"
+            placeholder="View name"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            maxLength={60}
+            autoFocus
+          />
+          <label className="saved-views-shared-toggle">
+            <input type="checkbox" checked={newShared} onChange={(e) => setNewShared(e.target.checked)} />
+            Shared
+          </label>
+          <button type="submit" className="saved-views-button primary" disabled={saving}>
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+          <button type="button" className="saved-views-button" onClick={() => setShowSaveForm(false)} disabled={saving}>
+            Cancel
+          </button>
+        </form>
+      ) : (
+        <button
+          className="saved-views-button"
+          onClick={() => { setShowSaveForm(true); setError(null); }}
+          title="Save the current filters, search and sort order as a named view"
+        >
+          Save View
+        </button>
+      )}
+
+      {error && <span className="saved-views-error">{error}</span>}
+    </div>
+  );
+};
+
+export default SavedViewsPicker;
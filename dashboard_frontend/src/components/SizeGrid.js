@@ -0,0 +1,88 @@
+/*
+Size Grid Component
+Stock and recent sales of each size of a product, sizes across and measures down, with a total column
+Days of cover below LOW_COVER_DAYS (the shopify_health_check restock threshold) and sizes that sell but are
+out of stock are highlighted, so it's clear which sizes to reorder
+*/
+
+import React from 'react';
+import './SizeGrid.css';
+
+const LOW_COVER_DAYS = 14;
+
+const ROWS = [
+  { key: 'local_stock', label: 'Local Stock' },
+  { key: 'ukd_stock', label: 'UKD Stock' },
+  { key: 'sold_30d', label: 'Sold 30d' },
+  { key: 'sold_90d', label: 'Sold 90d' },
+  { key: 'sold_365d', label: 'Sold 365d' },
+  { key: 'days_of_cover', label: 'Days of Cover' }
+];
+
+/**
+ * CSS class for a size column - out of stock while still selling, or running low
+ */
+const getSizeClass = (size) => {
+  if (size.total_stock <= 0 && size.sold_90d > 0) return 'size-out-of-stock';
+  if (size.days_of_cover !== null && size.days_of_cover < LOW_COVER_DAYS) return 'size-low-cover';
+  return '';
+};
+
+const SizeGrid = ({ sizes = [], totals, loading }) => {
+  // Helper function to format a grid value
+  const formatValue = (key, value) => {
+    if (key === 'days_of_cover') {
+      return value === null || value === undefined ? '-' : Math.round(value).toLocaleString();
+    }
+    return (value || 0).toLocaleString();
+  };
+
+  if (sizes.length === 0) {
+    return (
+      <div className="size-grid-empty">
+        <p>{loading ? 'Loading sizes...' : 'No sizes found for this product.'}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="size-grid">
+      <div className="size-grid-container">
+        <table className="size-grid-table">
+          <thead>
+            <tr>
+              <th className="size-grid-label">Size</th>
+              {sizes.map(size => (
+                <th key={size.code} className={getSizeClass(size)} title={size.code}>
+                  <span className="size-uk">{size.uksize || size.code}</span>
+                  {size.eurosize && <span className="size-eu">EU {size.eurosize}</span>}
+                </th>
+              ))}
+              <th className="size-grid-total">Total</th>
+            </tr>
+          </thead>
+          <tbody>
+            {ROWS.map(row => (
+              <tr key={row.key}>
+                <td className="size-grid-label">{row.label}</td>
+                {sizes.map(size => (
+                  <td key={size.code} className={getSizeClass(size)}>
+                    {formatValue(row.key, size[row.key])}
+                  </td>
+                ))}
+                <td className="size-grid-total">{totals ? formatValue(row.key, totals[row.key]) : '-'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="size-grid-legend">
+        <span className="legend-item size-low-cover">Under {LOW_COVER_DAYS} days of cover</span>
+        <span className="legend-item size-out-of-stock">Out of stock, sold in last 90 days</span>
+      </div>
+    </div>
+  );
+};
+
+export default SizeGrid;
@@ -0,0 +1,56 @@
+/*
+Sparkline Component
+Small inline line chart of a weekly series, e.g. a product's annual profit over recent weeks
+Drawn red when the last value is below the first and green otherwise; weeks without data are skipped
+*/
+
+import React from 'react';
+import './Sparkline.css';
+
+const Sparkline = ({ values = [], labels = [], width = 90, height = 24, formatValue = (value) => value }) => {
+  const points = values
+    .map((value, index) => ({ value, index }))
+    .filter(point => point.value !== null && point.value !== undefined);
+
+  if (points.length < 2) {
+    return <span className="sparkline-empty">-</span>;
+  }
+
+  const numbers = points.map(point => point.value);
+  const min = Math.min(...numbers);
+  const max = Math.max(...numbers);
+  const range = max - min || 1;
+  const padding = 2;
+
+  const coordinates = points.map(point => {
+    const x = padding + (point.index / Math.max(values.length - 1, 1)) * (width - padding * 2);
+    const y = max === min
+      ? height / 2
+      : padding + (1 - (point.value - min) / range) * (height - padding * 2);
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  });
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  const trendClass = last.value < first.value ? 'sparkline-down' : 'sparkline-up';
+  const [lastX, lastY] = coordinates[coordinates.length - 1].split(',');
+
+  const title = `${labels[first.index] || ''} ${formatValue(first.value)} → ${labels[last.index] || ''} ${formatValue(last.value)}`.trim();
+
+  return (
+    <svg
+      className={`sparkline ${trendClass}`}
+      width={width}
+      height={height}
+      viewBox={`0 0 ${width} ${height}`}
+      role="img"
+      aria-label={title}
+    >
+      <title>{title}</title>
+      <polyline points={coordinates.join(' ')} fill="none" strokeWidth="1.5" />
+      <circle cx={lastX} cy={lastY} r="2" />
+    </svg>
+  );
+};
+
+export default Sparkline;
@@ -0,0 +1,76 @@
+/*
+Table Pagination Component
+Page navigation for server-paged tables
+Shows the visible row range, previous/next controls and a page size selector
+*/
+
+import React from 'react';
+import './TablePagination.css';
+
+const PAGE_SIZE_OPTIONS = [25, 50, 100, 200];
+
+const TablePagination = ({ page, pageSize, totalCount, onPageChange, onPageSizeChange, disabled }) => {
+  const totalPages = Math.max(Math.ceil(totalCount / pageSize), 1);
+  const firstRow = totalCount === 0 ? 0 : (page - 1) * pageSize + 1;
+  const lastRow = Math.min(page * pageSize, totalCount);
+
+  return (
+    <div className="table-pagination">
+      <span className="pagination-range">
+        {firstRow}-{lastRow} of {totalCount}
+      </span>
+
+      <div className="pagination-controls">
+        <button
+          className="pagination-button"
+          onClick={() => onPageChange(1)}
+          disabled={disabled || page <= 1}
+          title="First page"
+        >
+          «
+        </button>
+        <button
+          className="pagination-button"
+          onClick={() => onPageChange(page - 1)}
+          disabled={disabled || page <= 1}
+          title="Previous page"
+        >
+          ‹
+        </button>
+        <span className="pagination-page">
+          Page {page} of {totalPages}
+        </span>
+        <button
+          className="pagination-button"
+          onClick={() => onPageChange(page + 1)}
+          disabled={disabled || page >= totalPages}
+          title="Next page"
+        >
+          ›
+        </button>
+        <button
+          className="pagination-button"
+          onClick={() => onPageChange(totalPages)}
+          disabled={disabled || page >= totalPages}
+          title="Last page"
+        >
+          »
+        </button>
+      </div>
+
+      <select
+        className="pagination-size-select"
+        value={pageSize}
+        onChange={(e) => onPageSizeChange(parseInt(e.target.value, 10))}
+        disabled={disabled}
+        title="Rows per page"
+      >
+        {PAGE_SIZE_OPTIONS.map(size => (
+          <option key={size} value={size}>{size} per page</option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default TablePagination;
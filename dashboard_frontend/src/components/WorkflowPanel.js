@@ -0,0 +1,146 @@
+/*
+Workflow Panel Component
+Shows a product's workflow status and segment on the product details page with the history of changes
+The product owner (or an admin) can move the product to one of the allowed next statuses or reclassify its segment
+*/
+
+import React, { useState } from 'react';
+import { updateProductStatus, updateProductSegment } from '../api/product_workflow_api';
+import './WorkflowPanel.css';
+
+const FIELD_LABELS = {
+  segment: 'Segment',
+  status: 'Status'
+};
+
+const WorkflowPanel = ({ product, canEdit, getSegmentClass, formatDate, onChanged }) => {
+  const workflow = product.workflow || { segments: [], allowed_statuses: [], history: [] };
+  const [segment, setSegment] = useState(product.segment || '');
+  const [notes, setNotes] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Applies a successful change and clears the form
+   */
+  const handleResult = (result) => {
+    if (result.success) {
+      setNotes('');
+      setError(null);
+      onChanged(result.change, result.allowedStatuses);
+    } else {
+      setError(result.error);
+    }
+    setSaving(false);
+  };
+
+  /**
+   * Moves the product to the given status
+   */
+  const handleStatusChange = async (status) => {
+    setSaving(true);
+    setError(null);
+    handleResult(await updateProductStatus(product.groupid, status, notes, product.channel));
+  };
+
+  /**
+   * Reclassifies the product as the selected segment
+   */
+  const handleSegmentChange = async () => {
+    setSaving(true);
+    setError(null);
+    handleResult(await updateProductSegment(product.groupid, segment, notes, product.channel));
+  };
+
+  return (
+    <div className="workflow-panel">
+      <div className="info-grid">
+        <div className="info-item">
+          <label>Status:</label>
+          <span className={`workflow-status status-${product.status.toLowerCase()}`}>{product.status}</span>
+        </div>
+        <div className="info-item">
+          <label>Status Since:</label>
+          <span>{formatDate(product.status_date)}</span>
+        </div>
+        <div className="info-item">
+          <label>Segment:</label>
+          <span className={`segment-badge ${getSegmentClass(product.segment)}`}>{product.segment || '-'}</span>
+        </div>
+      </div>
+
+      {canEdit && (
+        <div className="workflow-form">
+          <div className="workflow-form-row">
+            <label>Move to:</label>
+            <div className="workflow-status-buttons">
+              {workflow.allowed_statuses.map(status => (
+                <button
+                  key={status}
+                  className="workflow-status-button"
+                  onClick={() => handleStatusChange(status)}
+                  disabled={saving}
+                >
+                  {status}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="workflow-form-row">
+            <label htmlFor="workflow-segment">Reclassify:</label>
+            <select
+              id="workflow-segment"
+              className="workflow-segment-select"
+              value={segment}
+              onChange={(e) => setSegment(e.target.value)}
+              disabled={saving}
+            >
+              {!product.segment && <option value="">Select segment</option>}
+              {workflow.segments.map(option => (
+                <option key={option} value={option}>{option}</option>
+              ))}
+            </select>
+            <button
+              className="workflow-segment-button"
+              onClick={handleSegmentChange}
+              disabled={saving || !segment || segment === product.segment}
+            >
+              Save Segment
+            </button>
+          </div>
+
+          <div className="workflow-form-row">
+            <label htmlFor="workflow-notes">Notes:</label>
+            <input
+              id="workflow-notes"
+              type="text"
+              className="workflow-notes-input"
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              placeholder="Optional, kept with the change"
+              maxLength={2000}
+              disabled={saving}
+            />
+          </div>
+
+          {error && <div className="workflow-error">{error}</div>}
+        </div>
+      )}
+
+      {workflow.history.length > 0 && (
+        <div className="review-history">
+          <h3>Workflow History</h3>
+          {workflow.history.slice(0, 10).map((entry, index) => (
+            <div key={`${entry.created_at}-${index}`} className="review-history-item">
+              {formatDate(entry.created_at)} by {entry.changed_by} - {FIELD_LABELS[entry.field]} {entry.previous_value || '-'} → {entry.new_value}
+              {entry.notes ? `: ${entry.notes}` : ''}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WorkflowPanel;
@@ -0,0 +1,315 @@
+/*
+Actions Screen
+Lists the Shopify codes (sizes) that need attention according to the shopify_health_check view,
+grouped by recommended action ("Restock", "Price Too High", "Discontinue", ...) and filterable by owner and brand
+Each row opens the product details page; the selected action, filters and page are kept in the URL
+*/
+
+import React, { useState, useEffect, useRef } from 'react';
+import { useSearchParams, useNavigate, useLocation } from 'react-router-dom';
+import { getHealthCheck } from '../api/get_health_check_api';
+import { getOwners } from '../api/get_owners_api';
+import { getBrands } from '../api/get_brands_api';
+import TablePagination from '../components/TablePagination';
+import './actions_screen.css';
+
+// The health check view only covers Shopify
+const HEALTH_CHECK_CHANNEL = 'SHP';
+
+const DEFAULT_PAGE_SIZE = 50;
+
+// Flags from the view shown as badges next to the action
+const FLAG_LABELS = {
+  no_sales_90d: 'No sales 90d',
+  sales_slowdown: 'Slowing',
+  price_check: 'Price check',
+  overstock: 'Overstock'
+};
+
+const ActionsScreen = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const [actionCounts, setActionCounts] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [totalCount, setTotalCount] = useState(0);
+  const [owners, setOwners] = useState([]);
+  const [brands, setBrands] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const selectedAction = searchParams.get('action') || '';
+  const selectedOwner = searchParams.get('owner') || '';
+  const selectedBrand = searchParams.get('brand') || '';
+  const currentPage = Math.max(parseInt(searchParams.get('page'), 10) || 1, 1);
+  const pageSize = parseInt(searchParams.get('pageSize'), 10) || DEFAULT_PAGE_SIZE;
+
+  // Id of the latest health check request - responses to older requests are ignored
+  const requestRef = useRef(0);
+
+  // Load the filter options once
+  useEffect(() => {
+    loadFilterOptions();
+  }, []);
+
+  // Reload whenever the action, filters or page change
+  useEffect(() => {
+    loadHealthCheck();
+  }, [selectedAction, selectedOwner, selectedBrand, currentPage, pageSize]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  /**
+   * Updates URL search parameters - a changed action or filter returns to the first page
+   */
+  const updateURLParams = (updates) => {
+    const newParams = new URLSearchParams(searchParams);
+
+    Object.entries(updates).forEach(([key, value]) => {
+      if (value && !(key === 'page' && value === 1) && !(key === 'pageSize' && value === DEFAULT_PAGE_SIZE)) {
+        newParams.set(key, value);
+      } else {
+        newParams.delete(key);
+      }
+    });
+
+    setSearchParams(newParams);
+  };
+
+  /**
+   * Fetches the owner and brand filter options
+   */
+  const loadFilterOptions = async () => {
+    const [ownersResult, brandsResult] = await Promise.all([
+      getOwners({ channel: HEALTH_CHECK_CHANNEL }),
+      getBrands({ channel: HEALTH_CHECK_CHANNEL })
+    ]);
+
+    if (ownersResult.success) {
+      setOwners(ownersResult.owners);
+    } else {
+      console.error('ACTIONS_SCREEN: Failed to load owners:', ownersResult.error);
+    }
+
+    if (brandsResult.return_code === 'SUCCESS') {
+      setBrands(brandsResult.brands.filter(brand => brand !== 'All'));
+    } else {
+      console.error('ACTIONS_SCREEN: Failed to load brands:', brandsResult.message);
+    }
+  };
+
+  /**
+   * Fetches the action counts and the current page of rows
+   */
+  const loadHealthCheck = async () => {
+    const requestId = ++requestRef.current;
+    setLoading(true);
+
+    console.log(`ACTIONS_SCREEN: Loading health check (action: ${selectedAction || 'all'}, page: ${currentPage})...`);
+
+    const result = await getHealthCheck({
+      recommended_action: selectedAction || undefined,
+      owner: selectedOwner || undefined,
+      brand_filter: selectedBrand || undefined,
+      page: currentPage,
+      page_size: pageSize
+    });
+
+    // A newer request was made while this one was in flight
+    if (requestId !== requestRef.current) return;
+
+    if (result.success) {
+      setError(null);
+      setActionCounts(result.actionCounts);
+      setRows(result.rows);
+      setTotalCount(result.totalCount);
+    } else {
+      setError(result.error);
+      console.error('ACTIONS_SCREEN: Failed to load health check:', result.error);
+    }
+    setLoading(false);
+  };
+
+  /**
+   * Opens the product details page for a row's product, returning to this page and its filters
+   */
+  const handleRowClick = (groupid) => {
+    navigate(`/products/${encodeURIComponent(groupid)}`, {
+      state: { channel: HEALTH_CHECK_CHANNEL, returnTo: `/actions${location.search}` }
+    });
+  };
+
+  /**
+   * Formats currency values for display
+   */
+  const formatCurrency = (value) => {
+    if (value === null || value === undefined) return '-';
+    return new Intl.NumberFormat('en-GB', {
+      style: 'currency',
+      currency: 'GBP'
+    }).format(value);
+  };
+
+  /**
+   * CSS class for an action badge, e.g. "Price Too High" -> "action-price-too-high"
+   */
+  const getActionClass = (action) => `action-${(action || '').toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+
+  // Render error state
+  if (error && rows.length === 0) {
+    return (
+      <div className="screen-container">
+        <div className="error">
+          <h3>Error Loading Actions</h3>
+          <p>{error}</p>
+          <button onClick={loadHealthCheck} className="retry-button">
+            Try Again
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const actionsNeedingAttention = actionCounts.filter(count => count.recommended_action !== 'OK');
+  const attentionTotal = actionsNeedingAttention.reduce((sum, count) => sum + count.code_count, 0);
+
+  return (
+    <div className="screen-container">
+      <div className="screen-header">
+        <h1 className="screen-title">Actions</h1>
+        <p className="screen-description">
+          Shopify sizes grouped by the recommended action from the health check. Click a row to open the product.
+        </p>
+      </div>
+
+      <div className="actions-filters">
+        <select
+          value={selectedOwner}
+          onChange={(e) => updateURLParams({ owner: e.target.value, page: 1 })}
+          className="actions-filter-select"
+        >
+          <option value="">All Owners</option>
+          {owners.map(owner => (
+            <option key={owner} value={owner}>{owner}</option>
+          ))}
+        </select>
+        <select
+          value={selectedBrand}
+          onChange={(e) => updateURLParams({ brand: e.target.value, page: 1 })}
+          className="actions-filter-select"
+        >
+          <option value="">All Brands</option>
+          {brands.map(brand => (
+            <option key={brand} value={brand}>{brand}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="action-tabs">
+        <button
+          className={`action-tab ${selectedAction === '' ? 'active' : ''}`}
+          onClick={() => updateURLParams({ action: '', page: 1 })}
+        >
+          <span className="action-tab-name">All Actions</span>
+          <span className="action-tab-count">{attentionTotal.toLocaleString()}</span>
+        </button>
+        {actionCounts.map(count => (
+          <button
+            key={count.recommended_action}
+            className={`action-tab ${getActionClass(count.recommended_action)} ${selectedAction === count.recommended_action ? 'active' : ''}`}
+            onClick={() => updateURLParams({ action: count.recommended_action, page: 1 })}
+            title={`${count.code_count} sizes across ${count.product_count} products`}
+          >
+            <span className="action-tab-name">{count.recommended_action}</span>
+            <span className="action-tab-count">{count.code_count.toLocaleString()}</span>
+          </button>
+        ))}
+      </div>
+
+      <div className={`table-container ${loading ? 'actions-loading' : ''}`}>
+        <table className="actions-table">
+          <thead>
+            <tr>
+              <th>Code</th>
+              <th>Product</th>
+              <th>Brand</th>
+              <th>Owner</th>
+              <th>Segment</th>
+              <th>Local / UKD Stock</th>
+              <th>Sales 30d / 90d</th>
+              <th>Per Day</th>
+              <th>Days Left</th>
+              <th>Price</th>
+              <th>Flags</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, index) => {
+              const startsGroup = index === 0 || rows[index - 1].recommended_action !== row.recommended_action;
+              const activeFlags = Object.keys(FLAG_LABELS).filter(flag => row.flags[flag]);
+
+              return (
+                <React.Fragment key={row.code}>
+                  {startsGroup && (
+                    <tr className="action-group-row">
+                      <td colSpan={11}>
+                        <span className={`action-badge ${getActionClass(row.recommended_action)}`}>
+                          {row.recommended_action}
+                        </span>
+                      </td>
+                    </tr>
+                  )}
+                  <tr
+                    className="action-row"
+                    onClick={() => handleRowClick(row.groupid)}
+                    title="Click to view product details"
+                  >
+                    <td className="action-code-cell">{row.code}</td>
+                    <td>
+                      <div className="action-product-groupid">{row.groupid}</div>
+                      {row.title && <div className="action-product-title">{row.title}</div>}
+                    </td>
+                    <td>{row.brand || '-'}</td>
+                    <td>{row.owner || '-'}</td>
+                    <td className={`segment-cell segment-${(row.segment || '').toLowerCase()}`}>{row.segment || '-'}</td>
+                    <td>{row.local_stock} / {row.ukd_stock}</td>
+                    <td>{row.sales_30d} / {row.sales_90d}</td>
+                    <td>{row.sales_velocity_per_day.toFixed(2)}</td>
+                    <td>{row.sales_30d > 0 ? Math.round(row.days_of_stock_left) : '-'}</td>
+                    <td>
+                      {formatCurrency(row.shopifyprice_current)}
+                      {row.rrp !== null && <div className="action-rrp">RRP {formatCurrency(row.rrp)}</div>}
+                    </td>
+                    <td>
+                      {activeFlags.map(flag => (
+                        <span key={flag} className={`action-flag flag-${flag}`}>{FLAG_LABELS[flag]}</span>
+                      ))}
+                    </td>
+                  </tr>
+                </React.Fragment>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {rows.length === 0 && !loading && (
+        <div className="no-results">
+          <p>No products need this action.</p>
+        </div>
+      )}
+
+      {totalCount > 0 && (
+        <TablePagination
+          page={currentPage}
+          pageSize={pageSize}
+          totalCount={totalCount}
+          onPageChange={(page) => updateURLParams({ page })}
+          onPageSizeChange={(size) => updateURLParams({ pageSize: size, page: 1 })}
+          disabled={loading}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ActionsScreen;
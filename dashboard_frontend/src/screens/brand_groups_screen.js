@@ -0,0 +1,245 @@
+/*
+Brand Groups Screen
+Admin screen for configuring the brand filter groups
+Groups can be created, reordered and deleted; brands are assigned to groups or left in the default (catch-all) group
+*/
+
+import React, { useState, useEffect } from 'react';
+import { Navigate } from 'react-router-dom';
+import {
+  getBrandGroups,
+  createBrandGroup,
+  reorderBrandGroups,
+  assignBrandGroup,
+  deleteBrandGroup
+} from '../api/brand_groups_api';
+import { isAdmin } from '../utils/auth';
+import './brand_groups_screen.css';
+
+const BrandGroupsScreen = () => {
+  const [brandGroups, setBrandGroups] = useState([]);
+  const [unassignedBrands, setUnassignedBrands] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [actionError, setActionError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [newGroupName, setNewGroupName] = useState('');
+
+  // Load brand groups on component mount
+  useEffect(() => {
+    loadBrandGroups();
+  }, []);
+
+  /**
+   * Fetches brand groups and unassigned brands from the API
+   */
+  const loadBrandGroups = async () => {
+    setLoading(true);
+    setError(null);
+
+    const result = await getBrandGroups();
+
+    if (result.success) {
+      setBrandGroups(result.brandGroups);
+      setUnassignedBrands(result.unassignedBrands);
+    } else {
+      setError(result.error);
+    }
+    setLoading(false);
+  };
+
+  /**
+   * Runs a change against the API and reloads the groups on success
+   */
+  const runAction = async (action) => {
+    setSaving(true);
+    setActionError(null);
+
+    const result = await action();
+
+    if (result.success) {
+      await loadBrandGroups();
+    } else {
+      setActionError(result.error);
+    }
+    setSaving(false);
+    return result.success;
+  };
+
+  /**
+   * Creates a group from the name input
+   */
+  const handleCreateGroup = async (event) => {
+    event.preventDefault();
+    if (!newGroupName.trim()) return;
+
+    const created = await runAction(() => createBrandGroup(newGroupName.trim()));
+    if (created) {
+      setNewGroupName('');
+    }
+  };
+
+  /**
+   * Moves a group one place up (-1) or down (+1) in the brand filter order
+   */
+  const handleMoveGroup = (index, direction) => {
+    const orderedIds = brandGroups.filter(group => !group.is_default).map(group => group.id);
+    const targetIndex = index + direction;
+    if (targetIndex < 0 || targetIndex >= orderedIds.length) return;
+
+    [orderedIds[index], orderedIds[targetIndex]] = [orderedIds[targetIndex], orderedIds[index]];
+    runAction(() => reorderBrandGroups(orderedIds));
+  };
+
+  /**
+   * Deletes a group after confirmation - its brands move to the default group
+   */
+  const handleDeleteGroup = (group) => {
+    if (!window.confirm(`Delete brand group "${group.name}"? Its brands will move to the default group.`)) return;
+    runAction(() => deleteBrandGroup(group.id));
+  };
+
+  // Brand groups are admin-only configuration
+  if (!isAdmin()) {
+    return <Navigate to="/products" replace />;
+  }
+
+  // Render loading state
+  if (loading && brandGroups.length === 0) {
+    return (
+      <div className="screen-container">
+        <div className="loading">
+          <p>Loading brand groups...</p>
+        </div>
+      </div>
+    );
+  }
+
+  // Render error state
+  if (error) {
+    return (
+      <div className="screen-container">
+        <div className="error">
+          <h3>Error Loading Brand Groups</h3>
+          <p>{error}</p>
+          <button onClick={loadBrandGroups} className="brand-groups-button">
+            Try Again
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const orderedGroups = brandGroups.filter(group => !group.is_default);
+  const defaultGroup = brandGroups.find(group => group.is_default);
+
+  return (
+    <div className="screen-container">
+      <div className="screen-header">
+        <h1 className="screen-title">Brand Groups</h1>
+        <p className="screen-description">
+          Configure the options of the Products Dashboard brand filter. Brands not assigned to a group
+          are shown under {defaultGroup ? `"${defaultGroup.name}"` : 'the default group'}.
+        </p>
+      </div>
+
+      {actionError && <div className="error">{actionError}</div>}
+
+      <form className="brand-groups-create" onSubmit={handleCreateGroup}>
+        <input
+          type="text"
+          className="brand-groups-input"
+          placeholder="New group name"
+          maxLength={50}
+          value={newGroupName}
+          onChange={(e) => setNewGroupName(e.target.value)}
+        />
+        <button type="submit" className="brand-groups-button" disabled={saving || !newGroupName.trim()}>
+          Add Group
+        </button>
+      </form>
+
+      <div className="brand-groups-list">
+        {orderedGroups.map((group, index) => (
+          <div key={group.id} className="brand-group-card">
+            <div className="brand-group-header">
+              <span className="brand-group-position">{index + 1}</span>
+              <h3 className="brand-group-name">{group.name}</h3>
+              <div className="brand-group-actions">
+                <button
+                  className="brand-group-icon-button"
+                  onClick={() => handleMoveGroup(index, -1)}
+                  disabled={saving || index === 0}
+                  title="Move up"
+                >
+                  ↑
+                </button>
+                <button
+                  className="brand-group-icon-button"
+                  onClick={() => handleMoveGroup(index, 1)}
+                  disabled={saving || index === orderedGroups.length - 1}
+                  title="Move down"
+                >
+                  ↓
+                </button>
+                <button
+                  className="brand-group-delete-button"
+                  onClick={() => handleDeleteGroup(group)}
+                  disabled={saving}
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+
+            <div className="brand-chips">
+              {group.brands.length === 0 && <span className="brand-groups-empty">No brands assigned</span>}
+              {group.brands.map(brand => (
+                <span key={brand} className="brand-chip">
+                  {brand}
+                  <button
+                    className="brand-chip-remove"
+                    onClick={() => runAction(() => assignBrandGroup(brand, null))}
+                    disabled={saving}
+                    title="Move to default group"
+                  >
+                    ×
+                  </button>
+                </span>
+              ))}
+            </div>
+
+            <select
+              className="brand-groups-input"
+              value=""
+              onChange={(e) => e.target.value && runAction(() => assignBrandGroup(e.target.value, group.id))}
+              disabled={saving || unassignedBrands.length === 0}
+            >
+              <option value="">Add brand...</option>
+              {unassignedBrands.map(brand => (
+                <option key={brand} value={brand}>{brand}</option>
+              ))}
+            </select>
+          </div>
+        ))}
+
+        {defaultGroup && (
+          <div className="brand-group-card brand-group-default">
+            <div className="brand-group-header">
+              <h3 className="brand-group-name">{defaultGroup.name}</h3>
+              <span className="brand-groups-empty">Default group - all unassigned brands</span>
+            </div>
+            <div className="brand-chips">
+              {unassignedBrands.length === 0 && <span className="brand-groups-empty">Every brand is assigned to a group</span>}
+              {unassignedBrands.map(brand => (
+                <span key={brand} className="brand-chip">{brand}</span>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BrandGroupsScreen;
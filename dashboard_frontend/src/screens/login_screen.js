@@ -0,0 +1,95 @@
+/*
+Login Screen
+Collects username and password and exchanges them for a JWT via the login endpoint
+Returns the user to the page they were on (returnTo param) once logged in
+*/
+
+import React, { useState } from 'react';
+import { Navigate, useNavigate, useSearchParams } from 'react-router-dom';
+import { login } from '../api/login_api';
+import { isAuthenticated } from '../utils/auth';
+import './login_screen.css';
+
+const LoginScreen = () => {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Only allow in-app return paths
+  const returnParam = searchParams.get('returnTo');
+  const returnTo = returnParam && returnParam.startsWith('/') && !returnParam.startsWith('/login')
+    ? returnParam
+    : '/products';
+
+  /**
+   * Submits the login form
+   */
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+
+    if (!username.trim() || !password) {
+      setError('Please enter your username and password');
+      return;
+    }
+
+    setSubmitting(true);
+    setError(null);
+
+    const result = await login(username.trim(), password);
+
+    if (result.success) {
+      console.log(`LOGIN_SCREEN: Logged in as ${result.user.username}`);
+      navigate(returnTo, { replace: true });
+    } else {
+      setError(result.error);
+      setSubmitting(false);
+    }
+  };
+
+  // Already logged in - skip the form
+  if (isAuthenticated()) {
+    return <Navigate to={returnTo} replace />;
+  }
+
+  return (
+    <div className="login-screen">
+      <form className="login-card" onSubmit={handleSubmit}>
+        <h1 className="login-title">BC Products Dashboard</h1>
+        <p className="login-subtitle">Sign in to continue</p>
+
+        {error && <div className="login-error">{error}</div>}
+
+        <label className="login-label" htmlFor="login-username">Username</label>
+        <input
+          id="login-username"
+          type="text"
+          className="login-input"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          autoComplete="username"
+          autoFocus
+        />
+
+        <label className="login-label" htmlFor="login-password">Password</label>
+        <input
+          id="login-password"
+          type="password"
+          className="login-input"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          autoComplete="current-password"
+        />
+
+        <button type="submit" className="login-button" disabled={submitting}>
+          {submitting ? 'Signing in...' : 'Sign In'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LoginScreen;
@@ -1,14 +1,36 @@
 /*
 Product Details Screen
 Displays detailed information for a specific product including current performance data,
-historical weekly performance trends, and SKU details
+a chart of historical weekly performance with price change markers, a daily or weekly sales summary,
+per-size stock and sales, and SKU details
+Performance, reviews and sales are shown for one channel; every channel's performance is compared side by side
 */
 
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate, useLocation } from 'react-router-dom';
 import { getProductDetails, getMorePriceChanges } from '../api/get_product_details_api';
+import { getProductPerformanceHistory } from '../api/get_product_performance_history_api';
+import { getProductSalesSummary } from '../api/get_product_sales_summary_api';
+import { getProductSizes } from '../api/get_product_sizes_api';
+import ReviewForm from '../components/ReviewForm';
+import ChangePriceDialog from '../components/ChangePriceDialog';
+import PerformanceChart from '../components/PerformanceChart';
+import SalesSummary from '../components/SalesSummary';
+import SizeGrid from '../components/SizeGrid';
+import WorkflowPanel from '../components/WorkflowPanel';
+import { canEditProduct, getCurrentUser } from '../utils/auth';
 import './product_details_screen.css';
 
+// Date ranges for the performance chart - months back from today, or every stored week
+const HISTORY_RANGES = [
+  { value: '3m', label: 'Last 3 months', months: 3 },
+  { value: '6m', label: 'Last 6 months', months: 6 },
+  { value: '1y', label: 'Last 12 months', months: 12 },
+  { value: 'all', label: 'All weeks', months: null }
+];
+const DEFAULT_HISTORY_RANGE = '1y';
+const DEFAULT_SALES_RANGE_DAYS = 90;
+
 const ProductDetailsScreen = () => {
   const { groupid } = useParams();
   const navigate = useNavigate();
@@ -20,16 +42,58 @@ const ProductDetailsScreen = () => {
   const [pricePagination, setPricePagination] = useState(null);
   const [loadingMorePrices, setLoadingMorePrices] = useState(false);
   const [salesDisplayCount, setSalesDisplayCount] = useState(5);
-
-  // Load product details on component mount
+  const [showReviewForm, setShowReviewForm] = useState(false);
+  const [showPriceDialog, setShowPriceDialog] = useState(false);
+  const [historyRange, setHistoryRange] = useState(DEFAULT_HISTORY_RANGE);
+  const [performanceHistory, setPerformanceHistory] = useState({ weeks: [], priceChanges: [] });
+  const [loadingHistory, setLoadingHistory] = useState(false);
+  const [salesInterval, setSalesInterval] = useState('day');
+  const [salesRangeDays, setSalesRangeDays] = useState(DEFAULT_SALES_RANGE_DAYS);
+  const [salesSummary, setSalesSummary] = useState(null);
+  const [loadingSalesSummary, setLoadingSalesSummary] = useState(false);
+  const [sizeBreakdown, setSizeBreakdown] = useState({ sizes: [], totals: null });
+  const [loadingSizes, setLoadingSizes] = useState(false);
+
+  // Channel for the detail sections - the clicked row's channel, else the list's single channel, else the server default
+  const [selectedChannel, setSelectedChannel] = useState(() => {
+    const listChannel = new URLSearchParams(location.search).get('channel');
+    return location.state?.channel || (listChannel && listChannel !== 'all' ? listChannel : null);
+  });
+
+  // Load product details on component mount and when the channel changes
   useEffect(() => {
     loadProductDetails();
+  }, [groupid, selectedChannel]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Stock is shared between channels, so the size breakdown only depends on the product
+  useEffect(() => {
+    loadSizes();
   }, [groupid]); // eslint-disable-line react-hooks/exhaustive-deps
 
+  // Load the chart data once the product's channel is known and when the date range changes
+  useEffect(() => {
+    if (product?.channel) {
+      loadPerformanceHistory();
+    }
+  }, [groupid, product?.channel, historyRange]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Load the sales summary once the product's channel is known and when the interval or range changes
+  useEffect(() => {
+    if (product?.channel) {
+      loadSalesSummary();
+    }
+  }, [groupid, product?.channel, salesInterval, salesRangeDays]); // eslint-disable-line react-hooks/exhaustive-deps
+
   /**
    * Handles navigation back to products list with preserved filter state
    */
   const handleBackToProducts = () => {
+    // Screens other than the products list pass the URL to return to, e.g. the Actions screen
+    if (location.state?.returnTo) {
+      navigate(location.state.returnTo);
+      return;
+    }
+
     // Use the current URL search parameters to preserve filter state
     const returnUrl = location.search ? `/products${location.search}` : '/products';
     navigate(returnUrl);
@@ -43,9 +107,9 @@ const ProductDetailsScreen = () => {
       setLoading(true);
       setError(null);
       
-      console.log(`PRODUCT_DETAILS: Loading details for groupid: ${groupid}`);
+      console.log(`PRODUCT_DETAILS: Loading details for groupid: ${groupid} (channel: ${selectedChannel || 'default'})`);
       
-      const result = await getProductDetails(groupid);
+      const result = await getProductDetails(groupid, 5, 0, selectedChannel);
       
       if (result.success) {
         setProduct(result.product);
@@ -80,6 +144,95 @@ const ProductDetailsScreen = () => {
     }
   };
 
+  /**
+   * Fetches the weekly performance and price changes for the performance chart over the selected date range
+   */
+  const loadPerformanceHistory = async () => {
+    const range = HISTORY_RANGES.find(option => option.value === historyRange);
+    const params = { channel: product.channel };
+
+    if (range.months) {
+      const fromDate = new Date();
+      fromDate.setMonth(fromDate.getMonth() - range.months);
+      params.from_date = fromDate.toISOString().slice(0, 10);
+    }
+
+    try {
+      setLoadingHistory(true);
+      console.log(`PRODUCT_DETAILS: Loading performance history for ${groupid} (${historyRange})`);
+
+      const result = await getProductPerformanceHistory(groupid, params);
+
+      if (result.success) {
+        setPerformanceHistory({ weeks: result.weeklyPerformance, priceChanges: result.priceChanges });
+      } else {
+        setPerformanceHistory({ weeks: [], priceChanges: [] });
+        console.error('PRODUCT_DETAILS: Failed to load performance history:', result.error);
+      }
+    } catch (err) {
+      console.error('PRODUCT_DETAILS: Unexpected error loading performance history:', err);
+    } finally {
+      setLoadingHistory(false);
+    }
+  };
+
+  /**
+   * Fetches the stock, recent sales and days of cover of each size
+   */
+  const loadSizes = async () => {
+    try {
+      setLoadingSizes(true);
+      console.log(`PRODUCT_DETAILS: Loading sizes for ${groupid}`);
+
+      const result = await getProductSizes(groupid);
+
+      if (result.success) {
+        setSizeBreakdown({ sizes: result.sizes, totals: result.totals });
+      } else {
+        setSizeBreakdown({ sizes: [], totals: null });
+        console.error('PRODUCT_DETAILS: Failed to load sizes:', result.error);
+      }
+    } catch (err) {
+      console.error('PRODUCT_DETAILS: Unexpected error loading sizes:', err);
+    } finally {
+      setLoadingSizes(false);
+    }
+  };
+
+  /**
+   * Fetches the daily or weekly sales totals and sold-price distribution over the selected range
+   */
+  const loadSalesSummary = async () => {
+    const fromDate = new Date();
+    fromDate.setDate(fromDate.getDate() - (salesRangeDays - 1));
+
+    try {
+      setLoadingSalesSummary(true);
+      console.log(`PRODUCT_DETAILS: Loading sales summary for ${groupid} (${salesInterval}, ${salesRangeDays} days)`);
+
+      const result = await getProductSalesSummary(groupid, {
+        channel: product.channel,
+        interval: salesInterval,
+        from_date: fromDate.toISOString().slice(0, 10)
+      });
+
+      if (result.success) {
+        setSalesSummary({
+          periods: result.periods,
+          totals: result.totals,
+          priceDistribution: result.priceDistribution
+        });
+      } else {
+        setSalesSummary(null);
+        console.error('PRODUCT_DETAILS: Failed to load sales summary:', result.error);
+      }
+    } catch (err) {
+      console.error('PRODUCT_DETAILS: Unexpected error loading sales summary:', err);
+    } finally {
+      setLoadingSalesSummary(false);
+    }
+  };
+
   /**
    * Formats currency values for display
    */
@@ -121,6 +274,69 @@ const ProductDetailsScreen = () => {
     return `segment-${segment.toLowerCase()}`;
   };
 
+  /**
+   * Applies a saved review to the displayed product and review history
+   */
+  const handleReviewSaved = (review) => {
+    setProduct(prevProduct => ({
+      ...prevProduct,
+      review_date: review.review_date,
+      next_review_date: review.next_review_date,
+      notes: review.notes,
+      review_history: [
+        { ...review, created_at: new Date().toISOString() },
+        ...(prevProduct.review_history || [])
+      ]
+    }));
+    setShowReviewForm(false);
+  };
+
+  /**
+   * Applies a status or segment change to the displayed product and workflow history
+   */
+  const handleWorkflowChanged = (change, allowedStatuses) => {
+    setProduct(prevProduct => ({
+      ...prevProduct,
+      ...(change.field === 'status'
+        ? { status: change.new_value, status_date: change.created_at }
+        : { segment: change.new_value }),
+      workflow: {
+        ...prevProduct.workflow,
+        allowed_statuses: allowedStatuses || prevProduct.workflow.allowed_statuses,
+        history: [change, ...prevProduct.workflow.history]
+      }
+    }));
+  };
+
+  /**
+   * Applies a saved price change to the displayed price and price history
+   */
+  const handlePriceChanged = (priceChange) => {
+    const changeAmount = priceChange.old_price !== null ? priceChange.new_price - priceChange.old_price : null;
+
+    setProduct(prevProduct => ({
+      ...prevProduct,
+      current_price: priceChange.new_price,
+      sku_details: prevProduct.sku_details ? {
+        ...prevProduct.sku_details,
+        shopifyprice: priceChange.new_price.toFixed(2)
+      } : prevProduct.sku_details
+    }));
+    setPriceHistory(prevHistory => [{
+      ...priceChange,
+      date: priceChange.change_date,
+      change_amount: changeAmount,
+      change_percent: changeAmount !== null && priceChange.old_price !== 0 ? changeAmount / priceChange.old_price * 100 : null,
+      reason: priceChange.reason_code
+    }, ...prevHistory]);
+    setPricePagination(prevPagination => prevPagination ? {
+      ...prevPagination,
+      total_count: prevPagination.total_count + 1
+    } : prevPagination);
+    setShowPriceDialog(false);
+    loadPerformanceHistory();
+  };
+
   /**
    * Loads more price changes for pagination
    */
@@ -135,7 +351,7 @@ const ProductDetailsScreen = () => {
       const nextOffset = pricePagination.offset + pricePagination.limit;
       console.log(`PRODUCT_DETAILS: Loading more price changes, offset: ${nextOffset}`);
 
-      const result = await getMorePriceChanges(groupid, 10, nextOffset);
+      const result = await getMorePriceChanges(groupid, 10, nextOffset, product.channel);
 
       if (result.success) {
         // Deduplicate new price changes and merge with existing ones
@@ -219,6 +435,7 @@ const ProductDetailsScreen = () => {
             ← Back to Products
           </button>
           <h1>Product Details: {product.groupid}</h1>
+          <span className="channel-badge">{product.channel}</span>
         </div>
       </div>
 
@@ -297,7 +514,15 @@ const ProductDetailsScreen = () => {
 
         {/* Performance Metrics Card */}
         <div className="info-card">
-          <h2>Performance Metrics</h2>
+          <div className="card-header-row">
+            <h2>Performance Metrics ({product.channel})</h2>
+            {/* Price changes update the Shopify price, so they are only offered on the SHP channel */}
+            {canEditProduct(product) && product.channel === 'SHP' && (
+              <button onClick={() => setShowPriceDialog(true)} className="card-action-button">
+                Change Price
+              </button>
+            )}
+          </div>
           <div className="metrics-grid">
             <div className="metric-item">
               <label>Annual Profit</label>
@@ -338,9 +563,114 @@ const ProductDetailsScreen = () => {
           </div>
         </div>
 
+        {/* Channel Performance Card - every channel side by side */}
+        {product.channel_performance && product.channel_performance.length > 1 && (
+          <div className="info-card">
+            <h2>Channel Performance</h2>
+            <div className="weekly-table-container">
+              <table className="weekly-table channel-performance-table">
+                <thead>
+                  <tr>
+                    <th>Metric</th>
+                    {product.channel_performance.map(channelRow => (
+                      <th key={channelRow.channel}>
+                        <button
+                          className={`channel-switch-button ${channelRow.channel === product.channel ? 'active' : ''}`}
+                          onClick={() => setSelectedChannel(channelRow.channel)}
+                          disabled={channelRow.channel === product.channel}
+                          title={`Show ${channelRow.channel} details`}
+                        >
+                          {channelRow.channel}
+                        </button>
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  <tr>
+                    <td>Annual Profit</td>
+                    {product.channel_performance.map(channelRow => (
+                      <td key={channelRow.channel}>{formatCurrency(channelRow.annual_profit)}</td>
+                    ))}
+                  </tr>
+                  <tr>
+                    <td>Sold Quantity</td>
+                    {product.channel_performance.map(channelRow => (
+                      <td key={channelRow.channel}>{channelRow.sold_qty.toLocaleString()}</td>
+                    ))}
+                  </tr>
+                  <tr>
+                    <td>Avg Profit/Unit</td>
+                    {product.channel_performance.map(channelRow => (
+                      <td key={channelRow.channel}>{formatCurrency(channelRow.avg_profit_per_unit)}</td>
+                    ))}
+                  </tr>
+                  <tr>
+                    <td>Gross Margin</td>
+                    {product.channel_performance.map(channelRow => (
+                      <td key={channelRow.channel}>{formatPercentage(channelRow.avg_gross_margin)}</td>
+                    ))}
+                  </tr>
+                  <tr>
+                    <td>Recommended Price</td>
+                    {product.channel_performance.map(channelRow => (
+                      <td key={channelRow.channel}>{formatCurrency(channelRow.recommended_price)}</td>
+                    ))}
+                  </tr>
+                  <tr>
+                    <td>Stock Level</td>
+                    {product.channel_performance.map(channelRow => (
+                      <td key={channelRow.channel}>{channelRow.stock?.toLocaleString() || '0'}</td>
+                    ))}
+                  </tr>
+                  <tr>
+                    <td>Segment</td>
+                    {product.channel_performance.map(channelRow => (
+                      <td key={channelRow.channel}>{channelRow.segment || '-'}</td>
+                    ))}
+                  </tr>
+                  <tr>
+                    <td>Next Review</td>
+                    {product.channel_performance.map(channelRow => (
+                      <td key={channelRow.channel}>{formatDate(channelRow.next_review_date)}</td>
+                    ))}
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {showPriceDialog && (
+          <ChangePriceDialog
+            product={product}
+            onSaved={handlePriceChanged}
+            onClose={() => setShowPriceDialog(false)}
+          />
+        )}
+
+        {/* Workflow Card */}
+        <div className="info-card">
+          <h2>Workflow</h2>
+          <WorkflowPanel
+            product={product}
+            canEdit={canEditProduct(product)}
+            getSegmentClass={getSegmentClass}
+            formatDate={formatDate}
+            onChanged={handleWorkflowChanged}
+          />
+        </div>
+
         {/* Review Information Card */}
         <div className="info-card">
-          <h2>Review Information</h2>
+          <div className="card-header-row">
+            <h2>Review Information</h2>
+            {canEditProduct(product) && !showReviewForm && (
+              <button onClick={() => setShowReviewForm(true)} className="card-action-button">
+                Complete Review
+              </button>
+            )}
+          </div>
           <div className="info-grid">
             <div className="info-item">
               <label>Last Review:</label>
@@ -351,12 +681,33 @@ const ProductDetailsScreen = () => {
               <span>{formatDate(product.next_review_date)}</span>
             </div>
           </div>
-          {product.notes && (
+          {product.notes && !showReviewForm && (
             <div className="notes-section">
               <label>Notes:</label>
               <p className="notes-text">{product.notes}</p>
             </div>
           )}
+          {!canEditProduct(product) && getCurrentUser()?.role !== 'viewer' && (
+            <p className="card-hint">Only the product owner ({product.owner || 'unassigned'}) or an admin can complete this review.</p>
+          )}
+          {showReviewForm && (
+            <ReviewForm
+              product={product}
+              onSaved={handleReviewSaved}
+              onCancel={() => setShowReviewForm(false)}
+            />
+          )}
+          {product.review_history && product.review_history.length > 0 && (
+            <div className="review-history">
+              <h3>Review History</h3>
+              {product.review_history.slice(0, 5).map((entry, index) => (
+                <div key={`${entry.created_at}-${index}`} className="review-history-item">
+                  {formatDate(entry.review_date)} by {entry.reviewed_by} - next review {formatDate(entry.next_review_date)}
+                  {entry.notes ? `: ${entry.notes}` : ''}
+                </div>
+              ))}
+            </div>
+          )}
         </div>
 
         {/* Price Change History and Sales Data - Side by Side */}
@@ -436,8 +787,8 @@ const ProductDetailsScreen = () => {
                     <tbody>
                       {product.sales_data.slice(0, Math.min(salesDisplayCount, 10)).map((sale, index) => (
                         <tr key={index}>
-                          <td>{formatDate(sale.date || sale.solddate)}</td>
-                          <td>{sale.soldprice ? formatCurrency(sale.soldprice) : '-'}</td>
+                          <td>{formatDate(sale.date)}</td>
+                          <td>{sale.price !== null ? formatCurrency(sale.price) : '-'}</td>
                           <td>{sale.code || '-'}</td>
                         </tr>
                       ))}
@@ -447,7 +798,7 @@ const ProductDetailsScreen = () => {
 
                 {/* Compact Summary */}
                 <div className="compact-summary">
-                  Showing {Math.min(salesDisplayCount, 10, product.sales_data.length)} of {product.sales_data.length} sales records
+                  Showing {Math.min(salesDisplayCount, 10, product.sales_data.length)} of {product.sales_pagination?.total_count ?? product.sales_data.length} sales records
                   {product.sales_data.length > Math.min(salesDisplayCount, 10) && (
                     <button
                       onClick={() => setSalesDisplayCount(prev => Math.min(prev + 5, product.sales_data.length))}
@@ -467,34 +818,48 @@ const ProductDetailsScreen = () => {
         </div>
 
         {/* Weekly Performance History */}
-        {product.weekly_performance && product.weekly_performance.length > 0 && (
-          <div className="info-card">
+        <div className="info-card">
+          <div className="performance-history-header">
             <h2>Weekly Performance History</h2>
-            <div className="weekly-table-container">
-              <table className="weekly-table">
-                <thead>
-                  <tr>
-                    <th>Week</th>
-                    <th>Annual Profit</th>
-                    <th>Sold Qty</th>
-                    <th>Avg Profit/Unit</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {product.weekly_performance.map((week, index) => (
-                    <tr key={week.year_week}>
-                      <td>{week.year_week}</td>
-                      <td>{formatCurrency(week.annual_profit)}</td>
-                      <td>{week.sold_qty.toLocaleString()}</td>
-                      <td>{formatCurrency(week.avg_profit_per_unit)}</td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            </div>
+            <select
+              value={historyRange}
+              onChange={(e) => setHistoryRange(e.target.value)}
+              className="history-range-select"
+              disabled={loadingHistory}
+            >
+              {HISTORY_RANGES.map(range => (
+                <option key={range.value} value={range.value}>{range.label}</option>
+              ))}
+            </select>
           </div>
-        )}
+          <PerformanceChart
+            weeks={performanceHistory.weeks}
+            priceChanges={performanceHistory.priceChanges}
+          />
+        </div>
+
+        {/* Size Breakdown */}
+        <div className="info-card">
+          <h2>Sizes</h2>
+          <SizeGrid
+            sizes={sizeBreakdown.sizes}
+            totals={sizeBreakdown.totals}
+            loading={loadingSizes}
+          />
+        </div>
 
+        {/* Sales Summary */}
+        <div className="info-card">
+          <h2>Sales Summary</h2>
+          <SalesSummary
+            summary={salesSummary}
+            interval={salesInterval}
+            onIntervalChange={setSalesInterval}
+            rangeDays={salesRangeDays}
+            onRangeDaysChange={setSalesRangeDays}
+            loading={loadingSalesSummary}
+          />
+        </div>
 
       </div>
     </div>
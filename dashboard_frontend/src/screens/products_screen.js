@@ -1,64 +1,268 @@
 /*
 Products Dashboard Screen
-Displays all products from the groupid_performance table in a sortable table format
+Displays products from the groupid_performance table in a sortable, paged table format
 Shows key performance metrics including annual profit, quantity sold, and profit per unit
 Provides filtering and sorting capabilities for better data analysis
+Searching, filtering, sorting and paging are done by the backend - only the current page is loaded
 */
 
-import React, { useState, useEffect, useMemo, useRef } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useSearchParams, useNavigate } from 'react-router-dom';
 import { getProducts } from '../api/get_products_api';
 import { getOwners } from '../api/get_owners_api';
 import { getProductsComparison } from '../api/get_products_comparison_api';
 import { getBrands } from '../api/get_brands_api';
+import { getChannels } from '../api/get_channels_api';
+import { getOverallStats } from '../api/get_overall_stats_api';
+import { getAvailableWeeks } from '../api/get_available_weeks_api';
+import { getProductsTrend } from '../api/get_products_trend_api';
+import { getCodePerformance } from '../api/get_code_performance_api';
+import { exportProducts } from '../api/export_products_api';
+import { getUserPreferences, saveUserPreference } from '../api/user_preferences_api';
 import OverallStats from '../components/OverallStats';
+import TablePagination from '../components/TablePagination';
+import Sparkline from '../components/Sparkline';
+import CodePerformanceTable from '../components/CodePerformanceTable';
+import ImportProductsDialog from '../components/ImportProductsDialog';
+import SavedViewsPicker from '../components/SavedViewsPicker';
+import ColumnChooser, { normalizeColumnLayout } from '../components/ColumnChooser';
+import MultiSelectChips from '../components/MultiSelectChips';
+import { getCurrentUser, isAdmin } from '../utils/auth';
 import './products_screen.css';
 
+// URL value for an explicit "All Owners" choice, so it is not replaced by the logged-in user's default
+const ALL_OWNERS_PARAM = 'all';
+
+// Channel switcher values - a single channel code, or every channel at once
+const DEFAULT_CHANNEL = 'SHP';
+const ALL_CHANNELS_PARAM = 'all';
+
+const DEFAULT_PAGE_SIZE = 50;
+
+// Comparison period value for comparing two chosen weeks
+const CUSTOM_PERIOD = 'custom';
+
+// Delay before a search term is sent to the backend, so typing doesn't fire a request per keystroke
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Number of recent weeks drawn in the trend sparkline column
+const TREND_WEEKS = 12;
+
+// Workflow statuses offered by the status filter, in workflow order
+const PRODUCT_STATUSES = ['New', 'Reviewing', 'Actioned', 'Monitoring'];
+
+// Options of the segment and season filters
+const PRODUCT_SEGMENTS = ['Winner', 'Neutral', 'Loser'];
+const SEASON_OPTIONS = [
+  { value: 'Any', label: 'Any' },
+  { value: 'Summer', label: '☀️ Summer' },
+  { value: 'Winter', label: '❄️ Winter' }
+];
+
+// Numeric range filters - sent to the API as "<key>_min" / "<key>_max" and kept in the URL as "<param>Min" / "<param>Max"
+// Margin is entered as a percentage and sent as a fraction
+const RANGE_FILTERS = [
+  { key: 'annual_profit', label: 'Annual Profit (£)', param: 'profit' },
+  { key: 'sold_qty', label: 'Sold Qty', param: 'qty' },
+  { key: 'avg_profit_per_unit', label: 'Avg Profit/Unit (£)', param: 'unitProfit' },
+  { key: 'avg_gross_margin', label: 'Gross Margin (%)', param: 'margin', percent: true },
+  { key: 'stock', label: 'Stock', param: 'stock' },
+  { key: 'recommended_price', label: 'Recommended Price (£)', param: 'price' }
+];
+
+const getRangeParamName = (filter, bound) => `${filter.param}${bound === 'min' ? 'Min' : 'Max'}`;
+
+/**
+ * Reads a range input as a number - blank and non-numeric input is an open bound (null)
+ */
+const parseRangeBound = (value) => {
+  const trimmed = value.trim();
+  return trimmed !== '' && !isNaN(Number(trimmed)) ? Number(trimmed) : null;
+};
+
+/**
+ * Whether a range's minimum is above its maximum - such a range is not sent to the API
+ */
+const isInvertedRange = (range) => {
+  const min = parseRangeBound(range.min);
+  const max = parseRangeBound(range.max);
+  return min !== null && max !== null && min > max;
+};
+
+// Products table columns the user can show, hide, reorder and resize, in default order
+// Group ID (and Channel when every channel is shown) always come first; sortKey is the get_products sort_key
+const PRODUCT_COLUMNS = [
+  { key: 'annual_profit', label: 'Annual Profit', sortKey: 'annual_profit', defaultVisible: true },
+  { key: 'trend', label: `Trend (${TREND_WEEKS}w)`, title: `Annual profit over the last ${TREND_WEEKS} weeks`, defaultVisible: true },
+  { key: 'sold_qty', label: 'Sold Qty', sortKey: 'sold_qty', defaultVisible: true },
+  { key: 'avg_profit_per_unit', label: 'Avg Profit/Unit', sortKey: 'avg_profit_per_unit', defaultVisible: true },
+  { key: 'segment', label: 'Segment', sortKey: 'segment', defaultVisible: true },
+  { key: 'status', label: 'Status', sortKey: 'status', defaultVisible: true },
+  { key: 'brand', label: 'Brand', sortKey: 'brand', defaultVisible: true },
+  { key: 'owner', label: 'Owner', sortKey: 'owner', defaultVisible: true },
+  { key: 'avg_gross_margin', label: 'Gross Margin', sortKey: 'avg_gross_margin', defaultVisible: true },
+  { key: 'review_date', label: 'Last Review', sortKey: 'review_date', defaultVisible: true },
+  { key: 'next_review_date', label: 'Next Review', sortKey: 'next_review_date', defaultVisible: true },
+  { key: 'shopify_title', label: 'Title', defaultVisible: false },
+  { key: 'stock', label: 'Stock', sortKey: 'stock', defaultVisible: false },
+  { key: 'recommended_price', label: 'Recommended Price', sortKey: 'recommended_price', defaultVisible: false },
+  { key: 'current_price', label: 'Current Price', defaultVisible: false },
+  {
+    key: 'price_gap',
+    label: 'Price Gap',
+    sortKey: 'price_gap',
+    title: 'Current price compared with the recommended price',
+    defaultVisible: true
+  },
+  { key: 'cost', label: 'Cost', defaultVisible: false },
+  { key: 'rrp', label: 'RRP', defaultVisible: false },
+  { key: 'min_price', label: 'Min Price', defaultVisible: false },
+  { key: 'max_price', label: 'Max Price', defaultVisible: false },
+  { key: 'season', label: 'Season', defaultVisible: false },
+  { key: 'supplier', label: 'Supplier', defaultVisible: false }
+];
+
+// user_preferences key holding the column layout
+const COLUMNS_PREFERENCE_KEY = 'products_table_columns';
+
+// Narrowest and widest a column can be dragged to
+const MIN_COLUMN_WIDTH = 60;
+const MAX_COLUMN_WIDTH = 600;
+
+// URL parameters restored by a saved view - everything except the page
+const VIEW_PARAMS = [
+  'search', 'owner', 'status', 'tasks', 'comparison', 'period', 'week', 'compareWeek',
+  'sortKey', 'sortDir', 'seasons', 'brand', 'segments', 'channel', 'pageSize', 'priceGap',
+  ...RANGE_FILTERS.flatMap(filter => [getRangeParamName(filter, 'min'), getRangeParamName(filter, 'max')])
+];
+
+/**
+ * Reads a comma-separated URL parameter into a list of values
+ */
+const parseListParam = (value) => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : []);
+
+/**
+ * Reads the seasons URL parameter - a list of seasons, or the older encoded { all, any, summer, winter }
+ * checkbox object still found in bookmarks and saved views
+ */
+const parseSeasonsParam = (value) => {
+  const decoded = value ? decodeURIComponent(value) : '';
+  if (!decoded.startsWith('{')) return parseListParam(decoded);
+
+  try {
+    const checked = JSON.parse(decoded);
+    if (checked.all) return [];
+    return SEASON_OPTIONS.map(option => option.value).filter(season => checked[season.toLowerCase()]);
+  } catch (e) {
+    console.warn('Failed to parse season filters from URL:', e);
+    return [];
+  }
+};
+
+/**
+ * Reads the filter, sort and comparison state from URL parameters (the page URL or a saved view)
+ * A missing owner means the logged-in user's own products; an empty list means no filter
+ */
+const readViewState = (params, defaultOwner) => {
+  const ownerParam = params.get('owner');
+
+  return {
+    sortConfig: {
+      key: params.get('sortKey') || 'annual_profit',
+      direction: params.get('sortDir') || 'desc'
+    },
+    searchTerm: params.get('search') || '',
+    selectedOwners: ownerParam === null
+      ? (defaultOwner ? [defaultOwner] : [])
+      : (ownerParam === ALL_OWNERS_PARAM ? [] : parseListParam(ownerParam)),
+    selectedStatus: params.get('status') || '',
+    showTasksOnly: params.get('tasks') === 'true',
+    comparisonMode: params.get('comparison') === 'true',
+    comparisonPeriod: params.get('period') || 'week',
+    currentWeek: params.get('week') || '',
+    compareWeek: params.get('compareWeek') || '',
+    selectedSeasons: parseSeasonsParam(params.get('seasons')),
+    selectedBrands: parseListParam(params.get('brand')).filter(brand => brand !== 'All'),
+    selectedSegments: parseListParam(params.get('segments')),
+    priceGapOver: params.get('priceGap') || '',
+    rangeFilters: Object.fromEntries(RANGE_FILTERS.map(filter => [filter.key, {
+      min: params.get(getRangeParamName(filter, 'min')) || '',
+      max: params.get(getRangeParamName(filter, 'max')) || ''
+    }])),
+    selectedChannel: params.get('channel') || DEFAULT_CHANNEL,
+    pageSize: parseInt(params.get('pageSize'), 10) || DEFAULT_PAGE_SIZE
+  };
+};
+
 const ProductsScreen = () => {
   const [searchParams, setSearchParams] = useSearchParams();
   const navigate = useNavigate();
 
+  // Owner filter defaults to the logged-in user's own products
+  const defaultOwner = getCurrentUser()?.owner_name || '';
+
   // State management
   const [products, setProducts] = useState([]);
+  const [totalCount, setTotalCount] = useState(0);
   const [owners, setOwners] = useState([]);
   const [brands, setBrands] = useState([]);
+  const [channels, setChannels] = useState([]);
+  const [weeks, setWeeks] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [comparisonInfo, setComparisonInfo] = useState(null);
   const [overallStats, setOverallStats] = useState(null);
+  const [trends, setTrends] = useState({ weeks: [], byProduct: {} });
+  const [expandedProducts, setExpandedProducts] = useState({});
+  const [codePerformance, setCodePerformance] = useState({});
   const [showFilterDropdown, setShowFilterDropdown] = useState(false);
+  const [exportFormat, setExportFormat] = useState('csv');
+  const [exporting, setExporting] = useState(false);
+  const [exportError, setExportError] = useState(null);
+  const [showImportDialog, setShowImportDialog] = useState(false);
+  const [columnLayout, setColumnLayout] = useState(() => normalizeColumnLayout(PRODUCT_COLUMNS));
 
   // Initialize state from URL parameters
-  const [sortConfig, setSortConfig] = useState({
-    key: searchParams.get('sortKey') || 'annual_profit',
-    direction: searchParams.get('sortDir') || 'desc'
-  });
-  const [searchTerm, setSearchTerm] = useState(searchParams.get('search') || '');
-  const [selectedOwner, setSelectedOwner] = useState(searchParams.get('owner') || '');
-  const [showTasksOnly, setShowTasksOnly] = useState(searchParams.get('tasks') === 'true');
-  const [comparisonMode, setComparisonMode] = useState(searchParams.get('comparison') === 'true');
-  const [comparisonPeriod, setComparisonPeriod] = useState(searchParams.get('period') || 'week');
-  const [seasonFilters, setSeasonFilters] = useState(() => {
-    const seasonParam = searchParams.get('seasons');
-    if (seasonParam) {
-      try {
-        return JSON.parse(decodeURIComponent(seasonParam));
-      } catch (e) {
-        console.warn('Failed to parse season filters from URL:', e);
-      }
-    }
-    return {
-      all: true,
-      any: false,
-      summer: false,
-      winter: false
-    };
-  });
-  const [selectedBrand, setSelectedBrand] = useState(searchParams.get('brand') || 'All');
+  const [initialView] = useState(() => readViewState(searchParams, defaultOwner));
+  const [sortConfig, setSortConfig] = useState(initialView.sortConfig);
+  const [searchTerm, setSearchTerm] = useState(initialView.searchTerm);
+  const [debouncedSearch, setDebouncedSearch] = useState(searchTerm);
+  const [selectedOwners, setSelectedOwners] = useState(initialView.selectedOwners);
+  const [selectedStatus, setSelectedStatus] = useState(initialView.selectedStatus);
+  const [showTasksOnly, setShowTasksOnly] = useState(initialView.showTasksOnly);
+  const [comparisonMode, setComparisonMode] = useState(initialView.comparisonMode);
+  const [comparisonPeriod, setComparisonPeriod] = useState(initialView.comparisonPeriod);
+  // Custom comparison weeks - an empty current week means the live figures
+  const [currentWeek, setCurrentWeek] = useState(initialView.currentWeek);
+  const [compareWeek, setCompareWeek] = useState(initialView.compareWeek);
+  const [selectedSeasons, setSelectedSeasons] = useState(initialView.selectedSeasons);
+  const [selectedBrands, setSelectedBrands] = useState(initialView.selectedBrands);
+  const [selectedSegments, setSelectedSegments] = useState(initialView.selectedSegments);
+  // Range inputs as typed - the products reload once typing pauses, like the search
+  const [rangeFilters, setRangeFilters] = useState(initialView.rangeFilters);
+  const [debouncedRanges, setDebouncedRanges] = useState(rangeFilters);
+  // "More than X% off the recommended price" filter, also applied once typing pauses
+  const [priceGapOver, setPriceGapOver] = useState(initialView.priceGapOver);
+  const [debouncedPriceGapOver, setDebouncedPriceGapOver] = useState(priceGapOver);
+  const [selectedChannel, setSelectedChannel] = useState(initialView.selectedChannel);
+  const [currentPage, setCurrentPage] = useState(() => Math.max(parseInt(searchParams.get('page'), 10) || 1, 1));
+  const [pageSize, setPageSize] = useState(initialView.pageSize);
 
   // Ref for filter dropdown
   const filterDropdownRef = useRef(null);
 
+  // Set once the initial load has finished, so filter changes only reload afterwards
+  const initialLoadDoneRef = useRef(false);
+
+  // Id of the latest products request - responses to older requests are ignored
+  const productsRequestRef = useRef(0);
+
+  // Id of the latest trend request - responses to older requests are ignored
+  const trendsRequestRef = useRef(0);
+
+  // Filters of the last overall stats request - stats don't change with the page or sort order
+  const statsRequestKeyRef = useRef(null);
+
   /**
    * Updates URL search parameters to preserve filter state
    */
@@ -68,11 +272,16 @@ const ProductsScreen = () => {
     Object.entries(updates).forEach(([key, value]) => {
       if (value === null || value === undefined || value === '' ||
           (typeof value === 'boolean' && !value) ||
+          (Array.isArray(value) && value.length === 0) ||
           (key === 'sortKey' && value === 'annual_profit') ||
           (key === 'sortDir' && value === 'desc') ||
           (key === 'period' && value === 'week') ||
-          (key === 'brand' && value === 'All')) {
+          (key === 'channel' && value === DEFAULT_CHANNEL) ||
+          (key === 'page' && value === 1) ||
+          (key === 'pageSize' && value === DEFAULT_PAGE_SIZE)) {
         newParams.delete(key);
+      } else if (Array.isArray(value)) {
+        newParams.set(key, value.join(','));
       } else if (typeof value === 'object') {
         newParams.set(key, encodeURIComponent(JSON.stringify(value)));
       } else {
@@ -83,17 +292,59 @@ const ProductsScreen = () => {
     setSearchParams(newParams, { replace: true });
   };
 
+  /**
+   * Converts the selected owners into their URL param value
+   * An empty selection is stored as 'all' when the user has a default owner
+   */
+  const getOwnerParamValue = (owners) => {
+    if (owners.length > 0) return owners.join(',');
+    return defaultOwner ? ALL_OWNERS_PARAM : '';
+  };
+
+  /**
+   * Converts a channel switcher value into the API channel parameter
+   * 'all' becomes the list of every known channel
+   */
+  const getChannelParamForAPI = (channel = selectedChannel, availableChannels = channels) => {
+    if (channel !== ALL_CHANNELS_PARAM) return channel;
+    return availableChannels.length > 0 ? availableChannels.map(c => c.channel) : DEFAULT_CHANNEL;
+  };
+
   // Load products and owners data on component mount
   useEffect(() => {
     loadInitialData();
+    loadColumnLayout();
   }, []);
 
-  // Reload products when comparison mode, period, season filter, or brand filter changes
+  // Reload products when any filter, the sort order or the page changes
   useEffect(() => {
-    if (products.length > 0) { // Only reload if we already have products loaded
+    if (initialLoadDoneRef.current) { // The initial load is handled by loadInitialData
       loadProducts();
+      loadOverallStats();
     }
-  }, [comparisonMode, comparisonPeriod, seasonFilters, selectedBrand]);
+  }, [
+    comparisonMode, comparisonPeriod, currentWeek, compareWeek, selectedSeasons, selectedBrands, selectedSegments,
+    selectedChannel, selectedOwners, selectedStatus, showTasksOnly, debouncedSearch, debouncedRanges,
+    debouncedPriceGapOver, sortConfig, currentPage, pageSize
+  ]);
+
+  // Apply the search term once typing pauses
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(searchTerm), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+
+  // Apply the range filters once typing pauses
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedRanges(rangeFilters), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [rangeFilters]);
+
+  // Apply the price gap filter once typing pauses
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedPriceGapOver(priceGapOver), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [priceGapOver]);
 
   // Handle clicks outside of the filter dropdown to close it
   useEffect(() => {
@@ -115,168 +366,244 @@ const ProductsScreen = () => {
   }, [showFilterDropdown]);
 
   /**
-   * Determines the season filter to send to the API based on checkbox selections
+   * Handles the owner, brand, segment and season multi-selects - an empty list means no filter
    */
-  const getSeasonFilterForAPI = () => {
-    const { all, any, summer, winter } = seasonFilters;
-
-    // If 'All' is selected, no filter needed
-    if (all) {
-      return null;
-    }
+  const handleListFilterChange = (param, values) => {
+    const setters = {
+      owner: setSelectedOwners,
+      brand: setSelectedBrands,
+      segments: setSelectedSegments,
+      seasons: setSelectedSeasons
+    };
+    setters[param](values);
+    setCurrentPage(1);
+    updateURLParams({ [param]: param === 'owner' ? getOwnerParamValue(values) : values, page: 1 });
+  };
 
-    // Count selected seasons
-    const selectedSeasons = [];
-    if (any) selectedSeasons.push('Any');
-    if (summer) selectedSeasons.push('Summer');
-    if (winter) selectedSeasons.push('Winter');
+  /**
+   * Handles a range filter input - bound is 'min' or 'max' and an empty value leaves that end open
+   */
+  const handleRangeFilterChange = (filter, bound, value) => {
+    setRangeFilters(prev => ({ ...prev, [filter.key]: { ...prev[filter.key], [bound]: value } }));
+    setCurrentPage(1);
+    updateURLParams({ [getRangeParamName(filter, bound)]: value, page: 1 });
+  };
 
-    // If no seasons selected, default to all
-    if (selectedSeasons.length === 0) {
-      return null;
-    }
+  /**
+   * Handles the price gap filter input - an empty value turns the filter off
+   */
+  const handlePriceGapChange = (value) => {
+    setPriceGapOver(value);
+    setCurrentPage(1);
+    updateURLParams({ priceGap: value, page: 1 });
+  };
 
-    // If all three seasons are selected, show all
-    if (selectedSeasons.length === 3) {
-      return null;
-    }
+  /**
+   * Handles channel switcher changes - the owner, brand and week options follow the channel
+   */
+  const handleChannelChange = (channel) => {
+    setSelectedChannel(channel);
+    setCurrentPage(1);
+    updateURLParams({ channel: channel, page: 1 });
+
+    const channelParam = getChannelParamForAPI(channel);
+    loadOwners(channelParam);
+    loadBrands(channelParam);
+    loadWeeks(channelParam);
+  };
 
-    // If only one season is selected, include it
-    if (selectedSeasons.length === 1) {
-      return { include: selectedSeasons[0] };
-    }
+  /**
+   * Applies a saved view - its URL parameters replace the current filters, search, sort and comparison
+   * and the first page is shown
+   */
+  const handleApplyView = (filters) => {
+    const params = new URLSearchParams();
+    VIEW_PARAMS.forEach(key => {
+      if (filters[key] !== undefined) {
+        params.set(key, filters[key]);
+      }
+    });
 
-    // If two seasons are selected, exclude the unselected one
-    if (selectedSeasons.length === 2) {
-      const allSeasons = ['Any', 'Summer', 'Winter'];
-      const unselectedSeason = allSeasons.find(season => !selectedSeasons.includes(season));
-      return { exclude: unselectedSeason };
+    const view = readViewState(params, defaultOwner);
+    setSortConfig(view.sortConfig);
+    setSearchTerm(view.searchTerm);
+    setDebouncedSearch(view.searchTerm);
+    setSelectedOwners(view.selectedOwners);
+    setSelectedStatus(view.selectedStatus);
+    setShowTasksOnly(view.showTasksOnly);
+    setComparisonMode(view.comparisonMode);
+    setComparisonPeriod(view.comparisonPeriod);
+    setCurrentWeek(view.currentWeek);
+    setCompareWeek(view.compareWeek);
+    setSelectedSeasons(view.selectedSeasons);
+    setSelectedBrands(view.selectedBrands);
+    setSelectedSegments(view.selectedSegments);
+    setRangeFilters(view.rangeFilters);
+    setDebouncedRanges(view.rangeFilters);
+    setPriceGapOver(view.priceGapOver);
+    setDebouncedPriceGapOver(view.priceGapOver);
+    setCurrentPage(1);
+    setPageSize(view.pageSize);
+    setSearchParams(params, { replace: true });
+
+    // The owner, brand and week options follow the channel
+    if (view.selectedChannel !== selectedChannel) {
+      setSelectedChannel(view.selectedChannel);
+      const channelParam = getChannelParamForAPI(view.selectedChannel);
+      loadOwners(channelParam);
+      loadBrands(channelParam);
+      loadWeeks(channelParam);
     }
-
-    return null; // Default to no filter
   };
 
   /**
-   * Handles season filter checkbox changes
+   * Handles comparison period changes
+   * Choosing custom weeks starts as the live figures against the newest snapshot before them
    */
-  const handleSeasonFilterChange = (filterType, checked) => {
-    setSeasonFilters(prev => {
-      let newFilters = { ...prev };
-
-      if (filterType === 'all' && checked) {
-        // If 'All' is checked, uncheck everything else
-        newFilters = {
-          all: true,
-          any: false,
-          summer: false,
-          winter: false
-        };
-      } else if (filterType === 'all' && !checked) {
-        // If 'All' is unchecked, do nothing (keep it checked)
-        return prev;
-      } else {
-        // For other filters, uncheck 'All' if it was checked
-        newFilters.all = false;
-        newFilters[filterType] = checked;
-
-        // If nothing is selected, default back to 'All'
-        if (!newFilters.any && !newFilters.summer && !newFilters.winter) {
-          newFilters.all = true;
-        }
-      }
-
-      // Update URL parameters
-      updateURLParams({ seasons: newFilters });
-      return newFilters;
-    });
+  const handleComparisonPeriodChange = (period) => {
+    setComparisonPeriod(period);
+    setCurrentPage(1);
+    const updates = { period: period, page: 1 };
+
+    if (period === CUSTOM_PERIOD && !compareWeek && weeks.length > 1) {
+      setCompareWeek(weeks[1].year_week);
+      updates.compareWeek = weeks[1].year_week;
+    }
+    updateURLParams(updates);
   };
 
   /**
-   * Handles brand filter changes
+   * Handles the custom comparison week pickers
    */
-  const handleBrandFilterChange = (brand) => {
-    setSelectedBrand(brand);
-    updateURLParams({ brand: brand });
+  const handleComparisonWeekChange = (key, value) => {
+    if (key === 'week') {
+      setCurrentWeek(value);
+    } else {
+      setCompareWeek(value);
+    }
+    setCurrentPage(1);
+    updateURLParams({ [key]: value, page: 1 });
   };
 
   /**
-   * Loads products, owners, and brands data
+   * Loads channels first (needed to resolve 'all'), then products, owners, and brands data
    */
   const loadInitialData = async () => {
     try {
       setLoading(true);
       setError(null);
 
+      const availableChannels = await loadChannels();
+      const channelParam = getChannelParamForAPI(selectedChannel, availableChannels);
+
       await Promise.all([
-        loadProducts(),
-        loadOwners(),
-        loadBrands()
+        loadProducts(channelParam),
+        loadOverallStats(channelParam),
+        loadOwners(channelParam),
+        loadBrands(channelParam),
+        loadWeeks(channelParam)
       ]);
     } finally {
+      initialLoadDoneRef.current = true;
       setLoading(false);
     }
   };
 
   /**
-   * Fetches products data from the API (regular or comparison mode)
+   * Builds the filter part of the products and overall stats requests
    */
-  const loadProducts = async () => {
-    try {
-      console.log(`PRODUCTS_SCREEN: Loading products (comparison mode: ${comparisonMode})...`);
-
-      // Prepare request payload with optional filters
-      const requestPayload = {};
-      const seasonFilterForAPI = getSeasonFilterForAPI();
-      if (seasonFilterForAPI) {
-        if (seasonFilterForAPI.include) {
-          requestPayload.season_filter = seasonFilterForAPI.include;
-        } else if (seasonFilterForAPI.exclude) {
-          requestPayload.season_filter_exclude = seasonFilterForAPI.exclude;
+  const getFilterPayload = (channelParam) => {
+    const payload = { channel: channelParam };
+
+    if (selectedOwners.length > 0) {
+      payload.owners = selectedOwners;
+    }
+    if (selectedBrands.length > 0) {
+      payload.brands = selectedBrands;
+    }
+    if (selectedSegments.length > 0) {
+      payload.segments = selectedSegments;
+    }
+    if (selectedSeasons.length > 0) {
+      payload.seasons = selectedSeasons;
+    }
+    RANGE_FILTERS.filter(filter => !isInvertedRange(debouncedRanges[filter.key])).forEach(filter => {
+      ['min', 'max'].forEach(bound => {
+        const value = parseRangeBound(debouncedRanges[filter.key][bound]);
+        if (value !== null) {
+          payload[`${filter.key}_${bound}`] = filter.percent ? value / 100 : value;
         }
-      }
+      });
+    });
+    if (debouncedPriceGapOver.trim() !== '' && Number(debouncedPriceGapOver) >= 0) {
+      payload.price_gap_over = Number(debouncedPriceGapOver);
+    }
+    if (selectedStatus) {
+      payload.status = selectedStatus;
+    }
+    if (showTasksOnly) {
+      payload.tasks_only = true;
+    }
+    if (debouncedSearch.trim()) {
+      payload.search = debouncedSearch.trim();
+    }
 
-      // Add brand filter if selected
-      if (selectedBrand && selectedBrand !== 'All') {
-        requestPayload.brand_filter = selectedBrand;
-      }
+    return payload;
+  };
 
-      let result;
-      if (comparisonMode) {
-        result = await getProductsComparison({
-          comparison_period: comparisonPeriod,
-          ...requestPayload
-        });
-        if (result.success) {
-          setComparisonInfo(result.comparisonInfo);
-          setOverallStats(result.overallStats);
-        }
-      } else {
-        result = await getProducts(requestPayload);
-        setComparisonInfo(null);
-        // Calculate basic overall stats for non-comparison mode
-        if (result.success && result.products) {
-          const basicStats = {
-            current: {
-              total_annual_profit: result.products.reduce((sum, p) => sum + (p.annual_profit || 0), 0),
-              total_sold_qty: result.products.reduce((sum, p) => sum + (p.sold_qty || 0), 0),
-              avg_profit_per_unit: result.products.length > 0 ?
-                result.products.reduce((sum, p) => sum + (p.avg_profit_per_unit || 0), 0) / result.products.length : 0,
-              avg_gross_margin: result.products.length > 0 ?
-                result.products.reduce((sum, p) => sum + (p.avg_gross_margin || 0), 0) / result.products.length : 0,
-              total_products: result.products.length
-            },
-            previous: null,
-            changes: null
-          };
-          setOverallStats(basicStats);
-        } else {
-          setOverallStats(null);
-        }
+  /**
+   * Builds the comparison part of the products and overall stats requests
+   * Custom weeks are sent as current_week / compare_week once a compare week is chosen
+   */
+  const getComparisonPayload = () => {
+    if (comparisonPeriod === CUSTOM_PERIOD && compareWeek) {
+      const payload = { compare_week: compareWeek };
+      if (currentWeek) {
+        payload.current_week = currentWeek;
       }
+      return payload;
+    }
+    return { comparison_period: comparisonPeriod === CUSTOM_PERIOD ? 'week' : comparisonPeriod };
+  };
+
+  /**
+   * Fetches the current page of products from the API (regular or comparison mode)
+   */
+  const loadProducts = async (channelParam = getChannelParamForAPI()) => {
+    const requestId = ++productsRequestRef.current;
+
+    try {
+      console.log(`PRODUCTS_SCREEN: Loading products (comparison mode: ${comparisonMode}, channel: ${channelParam}, page: ${currentPage})...`);
+
+      // Prepare request payload with filters, sorting and paging
+      const requestPayload = {
+        ...getFilterPayload(channelParam),
+        sort_key: sortConfig.key,
+        sort_dir: sortConfig.direction,
+        page: currentPage,
+        page_size: pageSize
+      };
+
+      const result = comparisonMode
+        ? await getProductsComparison({ ...getComparisonPayload(), ...requestPayload })
+        : await getProducts(requestPayload);
+
+      // A newer request was made while this one was in flight
+      if (requestId !== productsRequestRef.current) return;
 
       if (result.success) {
+        setError(null);
+        setComparisonInfo(comparisonMode ? result.comparisonInfo : null);
         setProducts(result.products);
-        console.log(`PRODUCTS_SCREEN: Loaded ${result.products.length} products`);
+        setTotalCount(result.totalCount);
+        loadTrends(channelParam, result.products);
+
+        // The page is past the end (e.g. products changed since the URL was saved) - go to the last page
+        const lastPage = Math.max(Math.ceil(result.totalCount / pageSize), 1);
+        if (currentPage > lastPage) {
+          handlePageChange(lastPage);
+        }
+        console.log(`PRODUCTS_SCREEN: Loaded ${result.products.length} of ${result.totalCount} products`);
       } else {
         setError(result.error);
         console.error('PRODUCTS_SCREEN: Failed to load products:', result.error);
@@ -287,14 +614,243 @@ const ProductsScreen = () => {
     }
   };
 
+  /**
+   * Downloads every product matching the current filters, search and sort (with the comparison columns in comparison mode)
+   */
+  const handleExport = async () => {
+    setExporting(true);
+    setExportError(null);
+
+    const result = await exportProducts({
+      ...(comparisonMode ? { ...getComparisonPayload(), comparison: true } : {}),
+      ...getFilterPayload(getChannelParamForAPI()),
+      sort_key: sortConfig.key,
+      sort_dir: sortConfig.direction,
+      format: exportFormat
+    });
+
+    if (!result.success) {
+      setExportError(result.error);
+      console.error('PRODUCTS_SCREEN: Failed to export products:', result.error);
+    }
+    setExporting(false);
+  };
+
+  /**
+   * Reloads the products and owner list after an import changed owners, notes or review dates
+   */
+  const handleImportApplied = () => {
+    loadProducts();
+    loadOwners();
+  };
+
+  /**
+   * Fetches the weekly profit trend of the products on the current page for the sparkline column
+   */
+  const loadTrends = async (channelParam, pageProducts) => {
+    const requestId = ++trendsRequestRef.current;
+    const groupids = [...new Set(pageProducts.map(product => product.groupid).filter(Boolean))];
+
+    if (groupids.length === 0) {
+      setTrends({ weeks: [], byProduct: {} });
+      return;
+    }
+
+    try {
+      const result = await getProductsTrend({
+        ...getFilterPayload(channelParam),
+        groupids,
+        weeks: TREND_WEEKS
+      });
+
+      // A newer page was loaded while this request was in flight
+      if (requestId !== trendsRequestRef.current) return;
+
+      if (result.success) {
+        const byProduct = {};
+        result.trends.forEach(trend => {
+          byProduct[`${trend.groupid}-${trend.channel}`] = trend;
+        });
+        setTrends({ weeks: result.weeks, byProduct });
+      } else {
+        setTrends({ weeks: [], byProduct: {} });
+        console.error('PRODUCTS_SCREEN: Failed to load trends:', result.error);
+        // Don't set error for trend failure, the table is still usable
+      }
+    } catch (err) {
+      console.error('PRODUCTS_SCREEN: Unexpected error loading trends:', err);
+    }
+  };
+
+  /**
+   * Expands or collapses a product's per-size rows, loading them the first time the row is expanded
+   */
+  const handleToggleCodes = async (product, event) => {
+    // Prevent row click when the expand button is clicked
+    event.stopPropagation();
+
+    const key = `${product.groupid}-${product.channel}`;
+    const isExpanded = !expandedProducts[key];
+    setExpandedProducts(prev => ({ ...prev, [key]: isExpanded }));
+
+    if (!isExpanded || (codePerformance[key] && !codePerformance[key].error)) return;
+
+    setCodePerformance(prev => ({ ...prev, [key]: { loading: true, codes: [], error: null } }));
+
+    const result = await getCodePerformance(product.groupid, { channel: product.channel });
+
+    setCodePerformance(prev => ({
+      ...prev,
+      [key]: result.success
+        ? { loading: false, codes: result.codes, error: null }
+        : { loading: false, codes: [], error: result.error || 'Failed to load sizes' }
+    }));
+  };
+
+  /**
+   * Fetches the overall stats for every product matching the filters (not just the current page)
+   * Skipped when the filters are unchanged since the last request, e.g. when only the page or sort changed
+   */
+  const loadOverallStats = async (channelParam = getChannelParamForAPI()) => {
+    const requestPayload = comparisonMode
+      ? { ...getComparisonPayload(), ...getFilterPayload(channelParam) }
+      : getFilterPayload(channelParam);
+
+    const requestKey = JSON.stringify(requestPayload);
+    if (requestKey === statsRequestKeyRef.current) return;
+    statsRequestKeyRef.current = requestKey;
+
+    try {
+      console.log('PRODUCTS_SCREEN: Loading overall stats...');
+
+      const result = await getOverallStats(requestPayload);
+
+      // The filters changed again while this request was in flight
+      if (requestKey !== statsRequestKeyRef.current) return;
+
+      if (result.success) {
+        setOverallStats(result.overallStats);
+      } else {
+        setOverallStats(null);
+        statsRequestKeyRef.current = null; // Retry on the next reload
+        console.error('PRODUCTS_SCREEN: Failed to load overall stats:', result.error);
+        // Don't set error for stats failure, the table is still usable
+      }
+    } catch (err) {
+      statsRequestKeyRef.current = null;
+      console.error('PRODUCTS_SCREEN: Unexpected error loading overall stats:', err);
+    }
+  };
+
+  /**
+   * Fetches the sales channels for the channel switcher
+   * Returns the loaded channels so callers can use them before state updates
+   */
+  const loadChannels = async () => {
+    try {
+      console.log('PRODUCTS_SCREEN: Loading channels...');
+
+      const result = await getChannels();
+
+      if (result.success) {
+        setChannels(result.channels);
+        console.log(`PRODUCTS_SCREEN: Loaded ${result.channels.length} channels`);
+        return result.channels;
+      }
+      console.error('PRODUCTS_SCREEN: Failed to load channels:', result.error);
+    } catch (err) {
+      console.error('PRODUCTS_SCREEN: Unexpected error loading channels:', err);
+    }
+    // Don't set error for channels failure - the switcher falls back to the default channel
+    return [];
+  };
+
+  /**
+   * Fetches the weeks with performance snapshots for the custom comparison pickers
+   */
+  const loadWeeks = async (channelParam = getChannelParamForAPI()) => {
+    try {
+      console.log('PRODUCTS_SCREEN: Loading available weeks...');
+
+      const result = await getAvailableWeeks({ channel: channelParam });
+
+      if (result.success) {
+        setWeeks(result.weeks);
+        console.log(`PRODUCTS_SCREEN: Loaded ${result.weeks.length} weeks`);
+      } else {
+        console.error('PRODUCTS_SCREEN: Failed to load weeks:', result.error);
+        // Don't set error for weeks failure, just log it
+      }
+    } catch (err) {
+      console.error('PRODUCTS_SCREEN: Unexpected error loading weeks:', err);
+      // Don't set error for weeks failure, just log it
+    }
+  };
+
+  /**
+   * Fetches the user's saved column layout - the default columns are shown until it arrives
+   */
+  const loadColumnLayout = async () => {
+    const result = await getUserPreferences();
+
+    if (result.success) {
+      if (result.preferences[COLUMNS_PREFERENCE_KEY]) {
+        setColumnLayout(normalizeColumnLayout(PRODUCT_COLUMNS, result.preferences[COLUMNS_PREFERENCE_KEY]));
+      }
+    } else {
+      console.error('PRODUCTS_SCREEN: Failed to load column layout:', result.error);
+    }
+  };
+
+  /**
+   * Shows a new column layout and saves it for the user
+   */
+  const handleColumnLayoutChange = async (layout) => {
+    setColumnLayout(layout);
+
+    const result = await saveUserPreference(COLUMNS_PREFERENCE_KEY, layout);
+    if (!result.success) {
+      console.error('PRODUCTS_SCREEN: Failed to save column layout:', result.error);
+    }
+  };
+
+  /**
+   * Starts dragging a column header's right edge - the width follows the mouse and is saved on release
+   */
+  const handleColumnResizeStart = (key, event) => {
+    event.preventDefault();
+    event.stopPropagation();
+
+    const startX = event.clientX;
+    const startWidth = event.currentTarget.parentElement.offsetWidth;
+    const startLayout = columnLayout;
+    let width = startWidth;
+
+    const handleMouseMove = (moveEvent) => {
+      width = Math.min(Math.max(Math.round(startWidth + moveEvent.clientX - startX), MIN_COLUMN_WIDTH), MAX_COLUMN_WIDTH);
+      setColumnLayout(startLayout.map(column => (column.key === key ? { ...column, width } : column)));
+    };
+
+    const handleMouseUp = () => {
+      document.removeEventListener('mousemove', handleMouseMove);
+      document.removeEventListener('mouseup', handleMouseUp);
+      if (width !== startWidth) {
+        handleColumnLayoutChange(startLayout.map(column => (column.key === key ? { ...column, width } : column)));
+      }
+    };
+
+    document.addEventListener('mousemove', handleMouseMove);
+    document.addEventListener('mouseup', handleMouseUp);
+  };
+
   /**
    * Fetches owners data from the API
    */
-  const loadOwners = async () => {
+  const loadOwners = async (channelParam = getChannelParamForAPI()) => {
     try {
       console.log('PRODUCTS_SCREEN: Loading owners...');
 
-      const result = await getOwners();
+      const result = await getOwners({ channel: channelParam });
 
       if (result.success) {
         setOwners(result.owners);
@@ -312,11 +868,11 @@ const ProductsScreen = () => {
   /**
    * Fetches brands data from the API
    */
-  const loadBrands = async () => {
+  const loadBrands = async (channelParam = getChannelParamForAPI()) => {
     try {
       console.log('PRODUCTS_SCREEN: Loading brands...');
 
-      const result = await getBrands();
+      const result = await getBrands({ channel: channelParam });
 
       if (result.return_code === 'SUCCESS') {
         setBrands(result.brands);
@@ -341,147 +897,26 @@ const ProductsScreen = () => {
     }
     const newSortConfig = { key, direction };
     setSortConfig(newSortConfig);
-    updateURLParams({ sortKey: key, sortDir: direction });
-  };
-
-  /**
-   * Sorts products based on current sort configuration
-   */
-  const sortedProducts = React.useMemo(() => {
-    let sortableProducts = [...products];
-    
-    if (sortConfig.key) {
-      sortableProducts.sort((a, b) => {
-        const aValue = a[sortConfig.key];
-        const bValue = b[sortConfig.key];
-        
-        // Handle null/undefined values
-        if (aValue === null || aValue === undefined) return 1;
-        if (bValue === null || bValue === undefined) return -1;
-        
-        // Numeric sorting
-        if (typeof aValue === 'number' && typeof bValue === 'number') {
-          return sortConfig.direction === 'asc' ? aValue - bValue : bValue - aValue;
-        }
-        
-        // String sorting
-        const aStr = String(aValue).toLowerCase();
-        const bStr = String(bValue).toLowerCase();
-        
-        if (aStr < bStr) return sortConfig.direction === 'asc' ? -1 : 1;
-        if (aStr > bStr) return sortConfig.direction === 'asc' ? 1 : -1;
-        return 0;
-      });
-    }
-    
-    return sortableProducts;
-  }, [products, sortConfig]);
+    setCurrentPage(1);
+    updateURLParams({ sortKey: key, sortDir: direction, page: 1 });
+  };
 
   /**
-   * Filters products based on search term, selected owner, and tasks filter
+   * Handles moving to another page of the table
    */
-  const filteredProducts = React.useMemo(() => {
-    let filtered = sortedProducts;
-
-    // Filter by owner if selected
-    if (selectedOwner) {
-      filtered = filtered.filter(product => product.owner === selectedOwner);
-    }
-
-    // Filter for tasks if toggle is on (show products that need attention)
-    if (showTasksOnly) {
-      const today = new Date();
-      today.setHours(0, 0, 0, 0); // Set to start of day for accurate comparison
-
-      filtered = filtered.filter(product => {
-        // No next review date set
-        if (!product.next_review_date || product.next_review_date === null) {
-          return true;
-        }
-
-        // Review date has passed (overdue)
-        const reviewDate = new Date(product.next_review_date);
-        reviewDate.setHours(0, 0, 0, 0);
-        return reviewDate <= today;
-      });
-    }
-
-    // Filter by search term if provided
-    if (searchTerm) {
-      filtered = filtered.filter(product =>
-        Object.values(product).some(value =>
-          String(value).toLowerCase().includes(searchTerm.toLowerCase())
-        )
-      );
-    }
-
-    return filtered;
-  }, [sortedProducts, searchTerm, selectedOwner, showTasksOnly]);
+  const handlePageChange = (page) => {
+    setCurrentPage(page);
+    updateURLParams({ page: page });
+  };
 
   /**
-   * Calculate overall stats based on filtered products
+   * Handles changing the number of rows per page - returns to the first page
    */
-  const calculateFilteredStats = useMemo(() => {
-    if (!filteredProducts.length) return null;
-
-    const currentStats = {
-      total_annual_profit: filteredProducts.reduce((sum, p) => sum + (p.annual_profit || 0), 0),
-      total_sold_qty: filteredProducts.reduce((sum, p) => sum + (p.sold_qty || 0), 0),
-      avg_profit_per_unit: filteredProducts.length > 0 ?
-        filteredProducts.reduce((sum, p) => sum + (p.avg_profit_per_unit || 0), 0) / filteredProducts.length : 0,
-      avg_gross_margin: filteredProducts.length > 0 ?
-        filteredProducts.reduce((sum, p) => sum + (p.avg_gross_margin || 0), 0) / filteredProducts.length : 0,
-      total_products: filteredProducts.length
-    };
-
-    if (!comparisonMode) {
-      return {
-        current: currentStats,
-        previous: null,
-        changes: null
-      };
-    }
-
-    // Calculate previous week stats from filtered products with comparison data
-    const filteredProductsWithPrevious = filteredProducts.filter(p => p.previous_week);
-    if (filteredProductsWithPrevious.length === 0) {
-      return {
-        current: currentStats,
-        previous: null,
-        changes: null
-      };
-    }
-
-    const previousStats = {
-      total_annual_profit: filteredProductsWithPrevious.reduce((sum, p) => sum + (p.previous_week.annual_profit || 0), 0),
-      total_sold_qty: filteredProductsWithPrevious.reduce((sum, p) => sum + (p.previous_week.sold_qty || 0), 0),
-      avg_profit_per_unit: filteredProductsWithPrevious.reduce((sum, p) => sum + (p.previous_week.avg_profit_per_unit || 0), 0) / filteredProductsWithPrevious.length,
-      total_products: filteredProductsWithPrevious.length
-    };
-
-    // Calculate changes
-    const changes = {
-      total_annual_profit_change: currentStats.total_annual_profit - previousStats.total_annual_profit,
-      total_annual_profit_change_percent: previousStats.total_annual_profit !== 0 ?
-        ((currentStats.total_annual_profit - previousStats.total_annual_profit) / previousStats.total_annual_profit * 100) : 0,
-      total_sold_qty_change: currentStats.total_sold_qty - previousStats.total_sold_qty,
-      total_sold_qty_change_percent: previousStats.total_sold_qty !== 0 ?
-        ((currentStats.total_sold_qty - previousStats.total_sold_qty) / previousStats.total_sold_qty * 100) : 0,
-      avg_profit_per_unit_change: currentStats.avg_profit_per_unit - previousStats.avg_profit_per_unit,
-      avg_profit_per_unit_change_percent: previousStats.avg_profit_per_unit !== 0 ?
-        ((currentStats.avg_profit_per_unit - previousStats.avg_profit_per_unit) / previousStats.avg_profit_per_unit * 100) : 0,
-      avg_gross_margin_change: currentStats.avg_gross_margin - previousStats.avg_gross_margin,
-      avg_gross_margin_change_percent: previousStats.avg_gross_margin !== 0 ?
-        ((currentStats.avg_gross_margin - previousStats.avg_gross_margin) / previousStats.avg_gross_margin * 100) : 0,
-      total_products_change: currentStats.total_products - previousStats.total_products
-    };
-
-    return {
-      current: currentStats,
-      previous: previousStats,
-      changes: changes
-    };
-  }, [filteredProducts, comparisonMode]);
+  const handlePageSizeChange = (size) => {
+    setPageSize(size);
+    setCurrentPage(1);
+    updateURLParams({ pageSize: size, page: 1 });
+  };
 
   /**
    * Formats currency values for display
@@ -502,25 +937,150 @@ const ProductsScreen = () => {
     return `${(value * 100).toFixed(2)}%`;
   };
 
+  /**
+   * Formats the gap between the current and recommended price, e.g. "+£2.50 (+9.1%)"
+   */
+  const formatPriceGap = (product) => {
+    if (product.price_gap === null || product.price_gap === undefined) return '-';
+    const sign = product.price_gap > 0 ? '+' : '';
+    return `${sign}${formatCurrency(product.price_gap)} (${sign}${product.price_gap_percent.toFixed(1)}%)`;
+  };
+
+  /**
+   * CSS class for a price gap - above or below the recommended price
+   */
+  const getPriceGapClass = (priceGap) => {
+    if (!priceGap) return '';
+    return priceGap > 0 ? 'price-gap-above' : 'price-gap-below';
+  };
+
+  /**
+   * Table cell for one of the PRODUCT_COLUMNS of a product row
+   */
+  const renderProductCell = (key, product, productKey) => {
+    switch (key) {
+      case 'annual_profit':
+        return (
+          <td className="profit-cell">
+            {formatComparison(
+              product.annual_profit,
+              product.changes?.annual_profit_change,
+              product.changes?.annual_profit_change_percent
+            )}
+          </td>
+        );
+      case 'trend':
+        return (
+          <td className="trend-cell">
+            <Sparkline
+              values={trends.byProduct[productKey]?.annual_profit}
+              labels={trends.weeks}
+              formatValue={formatCurrency}
+            />
+          </td>
+        );
+      case 'sold_qty':
+        return (
+          <td className="qty-cell">
+            {formatQtyComparison(
+              product.sold_qty,
+              product.changes?.sold_qty_change,
+              product.changes?.sold_qty_change_percent
+            )}
+          </td>
+        );
+      case 'avg_profit_per_unit':
+        return (
+          <td className="profit-unit-cell">
+            {formatComparison(
+              product.avg_profit_per_unit,
+              product.changes?.avg_profit_per_unit_change,
+              product.changes?.avg_profit_per_unit_change_percent
+            )}
+          </td>
+        );
+      case 'segment':
+        return (
+          <td className={`segment-cell segment-${(product.segment || '').toLowerCase()}`}>
+            {product.segment || '-'}
+          </td>
+        );
+      case 'status':
+        return (
+          <td className="status-cell">
+            <span className={`status-badge status-${(product.status || 'New').toLowerCase()}`}>
+              {product.status || 'New'}
+            </span>
+          </td>
+        );
+      case 'avg_gross_margin':
+        return <td className="margin-cell">{formatPercentage(product.avg_gross_margin)}</td>;
+      case 'review_date':
+      case 'next_review_date':
+        return <td className="date-cell">{formatDate(product[key])}</td>;
+      case 'stock':
+        return <td className="qty-cell">{product.stock}</td>;
+      case 'recommended_price':
+      case 'cost':
+      case 'rrp':
+      case 'min_price':
+      case 'max_price':
+        return <td className="price-cell">{formatCurrency(product[key])}</td>;
+      case 'current_price':
+        return <td className="price-cell">{formatCurrency(product.current_price)}</td>;
+      case 'price_gap':
+        return (
+          <td className={`price-cell ${getPriceGapClass(product.price_gap)}`}>
+            {formatPriceGap(product)}
+            {product.recommended_in_band === false && (
+              <span className="price-band-warning" title="The recommended price is outside the min/max price band">
+                ⚠
+              </span>
+            )}
+          </td>
+        );
+      case 'shopify_title':
+        return <td className="title-cell">{product.shopify_title || '-'}</td>;
+      default:
+        // brand, owner, season, supplier
+        return <td className={`${key}-cell`}>{product[key] || '-'}</td>;
+    }
+  };
+
   /**
    * Handles clicking on a product row to open details in same tab
+   * The row's channel is passed in navigation state so the details page opens on that channel
    */
-  const handleProductClick = (groupid) => {
+  const handleProductClick = (groupid, channel) => {
     // Build URL with current filter state as return parameters
     const returnParams = new URLSearchParams();
     if (searchTerm) returnParams.set('search', searchTerm);
-    if (selectedOwner) returnParams.set('owner', selectedOwner);
+    if (getOwnerParamValue(selectedOwners)) returnParams.set('owner', getOwnerParamValue(selectedOwners));
+    if (selectedStatus) returnParams.set('status', selectedStatus);
     if (showTasksOnly) returnParams.set('tasks', 'true');
     if (comparisonMode) returnParams.set('comparison', 'true');
     if (comparisonPeriod !== 'week') returnParams.set('period', comparisonPeriod);
+    if (currentWeek) returnParams.set('week', currentWeek);
+    if (compareWeek) returnParams.set('compareWeek', compareWeek);
     if (sortConfig.key !== 'annual_profit') returnParams.set('sortKey', sortConfig.key);
     if (sortConfig.direction !== 'desc') returnParams.set('sortDir', sortConfig.direction);
-    if (!seasonFilters.all) returnParams.set('seasons', encodeURIComponent(JSON.stringify(seasonFilters)));
-    if (selectedBrand !== 'All') returnParams.set('brand', selectedBrand);
+    if (selectedSeasons.length > 0) returnParams.set('seasons', selectedSeasons.join(','));
+    if (selectedBrands.length > 0) returnParams.set('brand', selectedBrands.join(','));
+    if (selectedSegments.length > 0) returnParams.set('segments', selectedSegments.join(','));
+    RANGE_FILTERS.forEach(filter => {
+      ['min', 'max'].forEach(bound => {
+        const value = rangeFilters[filter.key][bound];
+        if (value) returnParams.set(getRangeParamName(filter, bound), value);
+      });
+    });
+    if (selectedChannel !== DEFAULT_CHANNEL) returnParams.set('channel', selectedChannel);
+    if (currentPage !== 1) returnParams.set('page', currentPage);
+    if (pageSize !== DEFAULT_PAGE_SIZE) returnParams.set('pageSize', pageSize);
+    if (priceGapOver) returnParams.set('priceGap', priceGapOver);
 
     const returnUrl = returnParams.toString() ? `?${returnParams.toString()}` : '';
     const url = `/products/${encodeURIComponent(groupid)}${returnUrl}`;
-    navigate(url);
+    navigate(url, { state: { channel } });
   };
 
   /**
@@ -629,7 +1189,7 @@ const ProductsScreen = () => {
         <div className="error">
           <h3>Error Loading Products</h3>
           <p>{error}</p>
-          <button onClick={loadProducts} className="retry-button">
+          <button onClick={() => loadProducts()} className="retry-button">
             Try Again
           </button>
         </div>
@@ -637,6 +1197,23 @@ const ProductsScreen = () => {
     );
   }
 
+  // A product appears once per channel when several channels are shown
+  const showChannelColumn = selectedChannel === ALL_CHANNELS_PARAM;
+
+  // Shown columns in the user's order, with their definitions
+  const visibleColumns = columnLayout
+    .filter(column => column.visible)
+    .map(column => ({ ...PRODUCT_COLUMNS.find(definition => definition.key === column.key), width: column.width }));
+
+  // The URL parameters a saved view of the current state would hold
+  // Whether any filter in the filter dropdown is set
+  const hasDropdownFilters = selectedSeasons.length > 0 || selectedSegments.length > 0 || selectedBrands.length > 0 ||
+    Object.values(rangeFilters).some(range => range.min !== '' || range.max !== '') || priceGapOver !== '';
+
+  const currentViewFilters = Object.fromEntries(
+    VIEW_PARAMS.filter(key => searchParams.has(key)).map(key => [key, searchParams.get(key)])
+  );
+
   return (
     <div className="screen-container">
       <div className="screen-header">
@@ -645,6 +1222,8 @@ const ProductsScreen = () => {
            </p>
       </div>
 
+      <SavedViewsPicker currentFilters={currentViewFilters} onApply={handleApplyView} />
+
       <div className="products-controls">
         <div className="filters-container">
           <div className="search-container">
@@ -655,26 +1234,57 @@ const ProductsScreen = () => {
               onChange={(e) => {
                 const value = e.target.value;
                 setSearchTerm(value);
-                updateURLParams({ search: value });
+                setCurrentPage(1);
+                updateURLParams({ search: value, page: 1 });
               }}
               className="search-input"
             />
           </div>
 
+          <div className="channel-filter-container">
+            <select
+              value={selectedChannel}
+              onChange={(e) => handleChannelChange(e.target.value)}
+              className="owner-filter-select"
+              title="Select sales channel"
+            >
+              {channels.length === 0 && <option value={DEFAULT_CHANNEL}>{DEFAULT_CHANNEL}</option>}
+              {channels.map(channel => (
+                <option key={channel.channel} value={channel.channel}>
+                  {channel.channel} ({channel.product_count})
+                </option>
+              ))}
+              {channels.length > 1 && <option value={ALL_CHANNELS_PARAM}>All Channels</option>}
+            </select>
+          </div>
+
           <div className="owner-filter-container">
+            <MultiSelectChips
+              options={owners}
+              selected={selectedOwners}
+              onChange={(values) => handleListFilterChange('owner', values)}
+              allLabel="All Owners"
+              title="Filter by owner"
+              dropdown
+            />
+          </div>
+
+          <div className="status-filter-container">
             <select
-              value={selectedOwner}
+              value={selectedStatus}
               onChange={(e) => {
                 const value = e.target.value;
-                setSelectedOwner(value);
-                updateURLParams({ owner: value });
+                setSelectedStatus(value);
+                setCurrentPage(1);
+                updateURLParams({ status: value, page: 1 });
               }}
               className="owner-filter-select"
+              title="Filter by workflow status"
             >
-              <option value="">All Owners</option>
-              {owners.map(owner => (
-                <option key={owner} value={owner}>
-                  {owner}
+              <option value="">All Statuses</option>
+              {PRODUCT_STATUSES.map(status => (
+                <option key={status} value={status}>
+                  {status}
                 </option>
               ))}
             </select>
@@ -685,7 +1295,8 @@ const ProductsScreen = () => {
               onClick={() => {
                 const newValue = !showTasksOnly;
                 setShowTasksOnly(newValue);
-                updateURLParams({ tasks: newValue });
+                setCurrentPage(1);
+                updateURLParams({ tasks: newValue, page: 1 });
               }}
               className={`review-filter-toggle ${showTasksOnly ? 'active' : ''}`}
               title={showTasksOnly ? 'Showing products that need review (no date or overdue)' : 'Showing all products'}
@@ -701,7 +1312,8 @@ const ProductsScreen = () => {
               onClick={() => {
                 const newValue = !comparisonMode;
                 setComparisonMode(newValue);
-                updateURLParams({ comparison: newValue });
+                setCurrentPage(1);
+                updateURLParams({ comparison: newValue, page: 1 });
               }}
               className={`comparison-filter-toggle ${comparisonMode ? 'active' : ''}`}
               title={comparisonMode ? 'Showing comparison data' : 'Showing current data only'}
@@ -712,28 +1324,89 @@ const ProductsScreen = () => {
             {comparisonMode && (
               <select
                 value={comparisonPeriod}
-                onChange={(e) => {
-                  const value = e.target.value;
-                  setComparisonPeriod(value);
-                  updateURLParams({ period: value });
-                }}
+                onChange={(e) => handleComparisonPeriodChange(e.target.value)}
                 className="comparison-period-select"
                 title="Select comparison period"
               >
                 <option value="week">Week</option>
                 <option value="month">Month</option>
+                <option value={CUSTOM_PERIOD}>Custom</option>
               </select>
             )}
+
+            {comparisonMode && comparisonPeriod === CUSTOM_PERIOD && (
+              <>
+                <select
+                  value={currentWeek}
+                  onChange={(e) => handleComparisonWeekChange('week', e.target.value)}
+                  className="comparison-period-select"
+                  title="Week of the current figures"
+                >
+                  <option value="">Live</option>
+                  {weeks.map(week => (
+                    <option key={week.year_week} value={week.year_week}>{week.year_week}</option>
+                  ))}
+                </select>
+                <span className="comparison-vs">vs</span>
+                <select
+                  value={compareWeek}
+                  onChange={(e) => handleComparisonWeekChange('compareWeek', e.target.value)}
+                  className="comparison-period-select"
+                  title="Week to compare against"
+                >
+                  <option value="">Choose week...</option>
+                  {weeks.map(week => (
+                    <option key={week.year_week} value={week.year_week}>{week.year_week}</option>
+                  ))}
+                </select>
+              </>
+            )}
           </div>
         </div>
 
         <div className="products-summary">
-          <span>Showing {filteredProducts.length} of {products.length} products</span>
+          <span>Showing {products.length} of {totalCount} products</span>
+          <div className="export-container">
+            <select
+              value={exportFormat}
+              onChange={(e) => setExportFormat(e.target.value)}
+              className="export-format-select"
+              title="Export file format"
+              disabled={exporting}
+            >
+              <option value="csv">CSV</option>
+              <option value="xlsx">Excel</option>
+            </select>
+            <button
+              onClick={handleExport}
+              className="export-button"
+              title="Download every product matching the current filters"
+              disabled={exporting || totalCount === 0}
+            >
+              {exporting ? 'Exporting...' : 'Export'}
+            </button>
+            {exportError && <span className="export-error" title={exportError}>Export failed</span>}
+            {isAdmin() && (
+              <button
+                onClick={() => setShowImportDialog(true)}
+                className="export-button"
+                title="Update owners, notes and next review dates from a CSV file"
+              >
+                Import
+              </button>
+            )}
+          </div>
+          <ColumnChooser
+            columns={PRODUCT_COLUMNS}
+            layout={columnLayout}
+            onChange={handleColumnLayoutChange}
+            onReset={() => handleColumnLayoutChange(normalizeColumnLayout(PRODUCT_COLUMNS))}
+          />
           <div className="filter-container" ref={filterDropdownRef}>
             <button
               onClick={() => setShowFilterDropdown(!showFilterDropdown)}
-              className={`filter-button ${(!seasonFilters.all || selectedBrand !== 'All') ? 'active' : ''}`}
-              title="Filter by season or brand"
+              className={`filter-button ${hasDropdownFilters ? 'active' : ''}`}
+              title="Filter by season, segment, brand or value ranges"
             >
               🔍
             </button>
@@ -742,62 +1415,74 @@ const ProductsScreen = () => {
                 {/* Season Filter Section */}
                 <div className="filter-section">
                   <h4 className="filter-section-title">Season</h4>
-                  <div className="filter-checkbox-group">
-                    <label className="filter-checkbox-item">
-                      <input
-                        type="checkbox"
-                        checked={seasonFilters.all}
-                        onChange={(e) => handleSeasonFilterChange('all', e.target.checked)}
-                      />
-                      <span className="checkbox-label">All</span>
-                    </label>
-
-                    <label className="filter-checkbox-item">
-                      <input
-                        type="checkbox"
-                        checked={seasonFilters.any}
-                        onChange={(e) => handleSeasonFilterChange('any', e.target.checked)}
-                      />
-                      <span className="checkbox-label">Any</span>
-                    </label>
-
-                    <label className="filter-checkbox-item">
-                      <input
-                        type="checkbox"
-                        checked={seasonFilters.summer}
-                        onChange={(e) => handleSeasonFilterChange('summer', e.target.checked)}
-                      />
-                      <span className="checkbox-label">☀️ Summer</span>
-                    </label>
-
-                    <label className="filter-checkbox-item">
-                      <input
-                        type="checkbox"
-                        checked={seasonFilters.winter}
-                        onChange={(e) => handleSeasonFilterChange('winter', e.target.checked)}
-                      />
-                      <span className="checkbox-label">❄️ Winter</span>
-                    </label>
+                  <MultiSelectChips
+                    options={SEASON_OPTIONS}
+                    selected={selectedSeasons}
+                    onChange={(values) => handleListFilterChange('seasons', values)}
+                  />
+                </div>
+
+                {/* Segment Filter Section */}
+                <div className="filter-section">
+                  <h4 className="filter-section-title">Segment</h4>
+                  <MultiSelectChips
+                    options={PRODUCT_SEGMENTS}
+                    selected={selectedSegments}
+                    onChange={(values) => handleListFilterChange('segments', values)}
+                  />
+                </div>
+
+                {/* Range Filter Section */}
+                <div className="filter-section">
+                  <h4 className="filter-section-title">Ranges</h4>
+                  <div className="filter-range-grid">
+                    {RANGE_FILTERS.map(filter => (
+                      <React.Fragment key={filter.key}>
+                        <span className="filter-range-label">{filter.label}</span>
+                        {['min', 'max'].map(bound => (
+                          <input
+                            key={bound}
+                            type="number"
+                            className={`filter-range-input ${isInvertedRange(rangeFilters[filter.key]) ? 'invalid' : ''}`}
+                            placeholder={bound === 'min' ? 'Min' : 'Max'}
+                            value={rangeFilters[filter.key][bound]}
+                            onChange={(e) => handleRangeFilterChange(filter, bound, e.target.value)}
+                            aria-label={`${filter.label} ${bound === 'min' ? 'minimum' : 'maximum'}`}
+                          />
+                        ))}
+                        {isInvertedRange(rangeFilters[filter.key]) && (
+                          <span className="filter-range-error">Min is above max - this range is ignored</span>
+                        )}
+                      </React.Fragment>
+                    ))}
                   </div>
                 </div>
 
+                {/* Price Gap Filter Section */}
+                <div className="filter-section">
+                  <h4 className="filter-section-title">Price Gap</h4>
+                  <label className="filter-price-gap">
+                    More than
+                    <input
+                      type="number"
+                      min="0"
+                      className="filter-range-input"
+                      placeholder="X"
+                      value={priceGapOver}
+                      onChange={(e) => handlePriceGapChange(e.target.value)}
+                    />
+                    % off the recommended price
+                  </label>
+                </div>
+
                 {/* Brand Filter Section */}
                 <div className="filter-section">
                   <h4 className="filter-section-title">Brand</h4>
-                  <div className="filter-radio-group">
-                    {brands.map(brand => (
-                      <label key={brand} className="filter-radio-item">
-                        <input
-                          type="radio"
-                          name="brand"
-                          value={brand}
-                          checked={selectedBrand === brand}
-                          onChange={() => handleBrandFilterChange(brand)}
-                        />
-                        <span className="radio-label">{brand}</span>
-                      </label>
-                    ))}
-                  </div>
+                  <MultiSelectChips
+                    options={brands.filter(brand => brand !== 'All')}
+                    selected={selectedBrands}
+                    onChange={(values) => handleListFilterChange('brand', values)}
+                  />
                 </div>
               </div>
             )}
@@ -807,10 +1492,25 @@ const ProductsScreen = () => {
 
 
 
-      {/* Overall Statistics Component - Show stats for filtered products */}
-      {calculateFilteredStats && (
+      {comparisonMode && comparisonInfo && (
+        <div className="comparison-info-banner">
+          <div className="comparison-details">
+            <span className="comparison-weeks">
+              {comparisonInfo.is_snapshot ? comparisonInfo.current_week : `Live (${comparisonInfo.current_week})`}
+              {' vs '}
+              {comparisonInfo.comparison_week || '-'} · {comparisonInfo.comparison_label}
+            </span>
+            <span className="comparison-stats">
+              {comparisonInfo.products_with_comparison} of {comparisonInfo.total_products} products have comparison data
+            </span>
+          </div>
+        </div>
+      )}
+
+      {/* Overall Statistics Component - Show stats for every product matching the filters */}
+      {overallStats && totalCount > 0 && (
         <OverallStats
-          overallStats={calculateFilteredStats}
+          overallStats={overallStats}
           comparisonMode={comparisonMode}
         />
       )}
@@ -825,125 +1525,116 @@ const ProductsScreen = () => {
               >
                 Group ID
               </th>
-              <th
-                onClick={() => handleSort('annual_profit')}
-                className={`sortable ${getSortClass('annual_profit')}`}
-              >
-                Annual Profit
-              </th>
-              <th
-                onClick={() => handleSort('sold_qty')}
-                className={`sortable ${getSortClass('sold_qty')}`}
-              >
-                Sold Qty
-              </th>
-              <th
-                onClick={() => handleSort('avg_profit_per_unit')}
-                className={`sortable ${getSortClass('avg_profit_per_unit')}`}
-              >
-                Avg Profit/Unit
-              </th>
-              <th 
-                onClick={() => handleSort('segment')}
-                className={`sortable ${getSortClass('segment')}`}
-              >
-                Segment
-              </th>
-              <th 
-                onClick={() => handleSort('brand')}
-                className={`sortable ${getSortClass('brand')}`}
-              >
-                Brand
-              </th>
-              <th 
-                onClick={() => handleSort('owner')}
-                className={`sortable ${getSortClass('owner')}`}
-              >
-                Owner
-              </th>
-              <th
-                onClick={() => handleSort('avg_gross_margin')}
-                className={`sortable ${getSortClass('avg_gross_margin')}`}
-              >
-                Gross Margin
-              </th>
-              <th
-                onClick={() => handleSort('review_date')}
-                className={`sortable ${getSortClass('review_date')}`}
-              >
-                Last Review
-              </th>
-              <th 
-                onClick={() => handleSort('next_review_date')}
-                className={`sortable ${getSortClass('next_review_date')}`}
-              >
-                Next Review
-              </th>
+              {showChannelColumn && (
+                <th
+                  onClick={() => handleSort('channel')}
+                  className={`sortable ${getSortClass('channel')}`}
+                >
+                  Channel
+                </th>
+              )}
+              {visibleColumns.map(column => (
+                <th
+                  key={column.key}
+                  onClick={column.sortKey ? () => handleSort(column.sortKey) : undefined}
+                  className={`resizable-header ${column.sortKey ? `sortable ${getSortClass(column.sortKey)}` : ''}`}
+                  title={column.title}
+                  style={column.width ? { width: column.width, minWidth: column.width } : undefined}
+                >
+                  {column.label}
+                  <span
+                    className="column-resize-handle"
+                    onMouseDown={(e) => handleColumnResizeStart(column.key, e)}
+                    onClick={(e) => e.stopPropagation()}
+                  />
+                </th>
+              ))}
             </tr>
           </thead>
           <tbody>
-            {filteredProducts.map((product, index) => (
-              <tr
-                key={`${product.groupid}-${index}`}
-                className="product-row"
-                onClick={() => handleProductClick(product.groupid)}
-                title="Click to view product details"
-              >
-                <td className="groupid-cell">
-                  <div className="groupid-container">
-                    {product.groupid && (
-                      <button
-                        className="copy-button"
-                        onClick={(e) => handleCopyGroupId(product.groupid, e)}
-                        title="Copy Group ID"
-                        aria-label="Copy Group ID"
-                      >
-                        📋
-                      </button>
-                    )}
-                    <span className="groupid-text">{product.groupid || '-'}</span>
-                  </div>
-                </td>
-                <td className="profit-cell">
-                  {formatComparison(
-                    product.annual_profit,
-                    product.changes?.annual_profit_change,
-                    product.changes?.annual_profit_change_percent
-                  )}
-                </td>
-                <td className="qty-cell">
-                  {formatQtyComparison(
-                    product.sold_qty,
-                    product.changes?.sold_qty_change,
-                    product.changes?.sold_qty_change_percent
-                  )}
-                </td>
-                <td className="profit-unit-cell">
-                  {formatComparison(
-                    product.avg_profit_per_unit,
-                    product.changes?.avg_profit_per_unit_change,
-                    product.changes?.avg_profit_per_unit_change_percent
+            {products.map((product, index) => {
+              const productKey = `${product.groupid}-${product.channel}`;
+              const codeRows = codePerformance[productKey];
+
+              return (
+                <React.Fragment key={`${productKey}-${index}`}>
+                  <tr
+                    className="product-row"
+                    onClick={() => handleProductClick(product.groupid, product.channel)}
+                    title="Click to view product details"
+                  >
+                    <td className="groupid-cell">
+                      <div className="groupid-container">
+                        <button
+                          className="expand-button"
+                          onClick={(e) => handleToggleCodes(product, e)}
+                          title={expandedProducts[productKey] ? 'Hide sizes' : 'Show sizes'}
+                          aria-label={expandedProducts[productKey] ? 'Hide sizes' : 'Show sizes'}
+                          aria-expanded={Boolean(expandedProducts[productKey])}
+                        >
+                          {expandedProducts[productKey] ? '▾' : '▸'}
+                        </button>
+                        {product.groupid && (
+                          <button
+                            className="copy-button"
+                            onClick={(e) => handleCopyGroupId(product.groupid, e)}
+                            title="Copy Group ID"
+                            aria-label="Copy Group ID"
+                          >
+                            📋
+                          </button>
+                        )}
+                        <span className="groupid-text">{product.groupid || '-'}</span>
+                      </div>
+                    </td>
+                    {showChannelColumn && <td className="channel-cell">{product.channel}</td>}
+                    {visibleColumns.map(column => (
+                      <React.Fragment key={column.key}>
+                        {renderProductCell(column.key, product, productKey)}
+                      </React.Fragment>
+                    ))}
+                  </tr>
+                  {expandedProducts[productKey] && (
+                    <tr className="code-performance-row">
+                      <td colSpan={(showChannelColumn ? 2 : 1) + visibleColumns.length}>
+                        <CodePerformanceTable
+                          codes={codeRows?.codes}
+                          loading={codeRows?.loading}
+                          error={codeRows?.error}
+                        />
+                      </td>
+                    </tr>
                   )}
-                </td>
-                <td className={`segment-cell segment-${(product.segment || '').toLowerCase()}`}>
-                  {product.segment || '-'}
-                </td>
-                <td className="brand-cell">{product.brand || '-'}</td>
-                <td className="owner-cell">{product.owner || '-'}</td>
-                <td className="margin-cell">{formatPercentage(product.avg_gross_margin)}</td>
-                <td className="date-cell">{formatDate(product.review_date)}</td>
-                <td className="date-cell">{formatDate(product.next_review_date)}</td>
-              </tr>
-            ))}
+                </React.Fragment>
+              );
+            })}
           </tbody>
         </table>
       </div>
 
-      {filteredProducts.length === 0 && !loading && (
+      {products.length === 0 && !loading && (
         <div className="no-results">
           <p>No products found matching your search criteria.</p>
         </div>
       )}
+
+      {totalCount > 0 && (
+        <TablePagination
+          page={currentPage}
+          pageSize={pageSize}
+          totalCount={totalCount}
+          onPageChange={handlePageChange}
+          onPageSizeChange={handlePageSizeChange}
+        />
+      )}
+
+      {showImportDialog && (
+        <ImportProductsDialog
+          channel={selectedChannel === ALL_CHANNELS_PARAM ? DEFAULT_CHANNEL : selectedChannel}
+          onApplied={handleImportApplied}
+          onClose={() => setShowImportDialog(false)}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,94 @@
+/*
+Authentication Helpers
+Stores the JWT and logged-in user returned by the login endpoint in localStorage
+Used by the API clients to attach the token and by the router to protect screens
+*/
+
+const TOKEN_KEY = 'authToken';
+const USER_KEY = 'authUser';
+
+/**
+ * Returns the stored JWT or null when not logged in
+ */
+export const getAuthToken = () => localStorage.getItem(TOKEN_KEY);
+
+/**
+ * Returns the stored user object ({ user_id, username, display_name, role, owner_name }) or null
+ */
+export const getCurrentUser = () => {
+  const storedUser = localStorage.getItem(USER_KEY);
+  if (!storedUser) return null;
+
+  try {
+    return JSON.parse(storedUser);
+  } catch (e) {
+    console.warn('AUTH: Failed to parse stored user:', e);
+    return null;
+  }
+};
+
+/**
+ * Saves the token and user after a successful login
+ */
+export const setAuthSession = (token, user) => {
+  localStorage.setItem(TOKEN_KEY, token);
+  localStorage.setItem(USER_KEY, JSON.stringify(user));
+};
+
+/**
+ * Removes the token and user from storage
+ */
+export const clearAuthSession = () => {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(USER_KEY);
+};
+
+/**
+ * Returns true when a token is stored
+ */
+export const isAuthenticated = () => !!getAuthToken();
+
+/**
+ * Returns true when the logged-in user is an admin
+ */
+export const isAdmin = () => getCurrentUser()?.role === 'admin';
+
+/**
+ * Returns true when the logged-in user may change the given product
+ * Mirrors the backend check: admins edit everything, owners only their own products
+ */
+export const canEditProduct = (product) => {
+  const user = getCurrentUser();
+  if (!user || !product) return false;
+  if (user.role === 'admin') return true;
+  if (user.role !== 'owner' || !user.owner_name) return false;
+  return (product.owner || '').toLowerCase() === user.owner_name.toLowerCase();
+};
+
+/**
+ * Clears the session and sends the browser to the login screen,
+ * remembering the current page so the user returns to it after logging in
+ */
+export const redirectToLogin = () => {
+  clearAuthSession();
+
+  if (window.location.pathname === '/login') return;
+
+  const returnTo = `${window.location.pathname}${window.location.search}`;
+  window.location.assign(`/login?returnTo=${encodeURIComponent(returnTo)}`);
+};
+
+/**
+ * Handles 401/403 responses from the backend auth middleware (missing, invalid or expired token)
+ * Returns true when the response was an authentication failure and a redirect was started
+ */
+export const handleAuthFailure = (status, returnCode) => {
+  const isAuthError = status === 401 ||
+    (status === 403 && (!returnCode || returnCode === 'FORBIDDEN'));
+
+  if (isAuthError) {
+    redirectToLogin();
+    return true;
+  }
+  return false;
+};
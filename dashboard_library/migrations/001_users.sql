@@ -0,0 +1,17 @@
+--
+-- Dashboard users
+-- Login accounts for the BC dashboard. Passwords are stored as bcrypt hashes only.
+-- Create accounts with: node dashboard_backend/create_user.js <username> <password> [display_name]
+--
+
+CREATE TABLE IF NOT EXISTS public.users (
+    id serial PRIMARY KEY,
+    username text NOT NULL,
+    password_hash text NOT NULL,
+    display_name text,
+    active boolean NOT NULL DEFAULT TRUE,
+    created_at timestamp with time zone NOT NULL DEFAULT NOW(),
+    last_login timestamp with time zone
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_username ON public.users USING btree (LOWER(username));
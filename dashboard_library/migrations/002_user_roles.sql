@@ -0,0 +1,14 @@
+--
+-- Dashboard user roles
+-- admin  - can edit any product and manage dashboard settings
+-- owner  - can edit products where groupid_performance.owner = users.owner_name
+-- viewer - read-only access
+--
+
+ALTER TABLE public.users
+    ADD COLUMN IF NOT EXISTS role text NOT NULL DEFAULT 'viewer',
+    ADD COLUMN IF NOT EXISTS owner_name text;
+
+ALTER TABLE public.users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE public.users
+    ADD CONSTRAINT users_role_check CHECK (role IN ('admin', 'owner', 'viewer'));
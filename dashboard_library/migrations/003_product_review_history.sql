@@ -0,0 +1,21 @@
+--
+-- Product review history
+-- One row per review completed from the dashboard (/update_product_review).
+-- Keeps the previous values so changes to review dates and notes can be traced.
+--
+
+CREATE TABLE IF NOT EXISTS public.product_review_history (
+    id serial PRIMARY KEY,
+    groupid text NOT NULL,
+    channel text NOT NULL,
+    review_date date NOT NULL,
+    next_review_date date,
+    notes text,
+    previous_review_date date,
+    previous_next_review_date date,
+    previous_notes text,
+    reviewed_by text NOT NULL,
+    created_at timestamp with time zone NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_review_history_groupid ON public.product_review_history USING btree (groupid, created_at DESC);
@@ -0,0 +1,44 @@
+--
+-- Brand groups
+-- Controls how brands are grouped in the dashboard brand filter.
+-- Each brand belongs to at most one group. Brands not assigned to any group fall into the default
+-- (catch-all) group, which replaces the hard-coded "UKD" bucket.
+--
+
+CREATE TABLE IF NOT EXISTS public.brand_groups (
+    id serial PRIMARY KEY,
+    name text NOT NULL,
+    sort_order integer NOT NULL DEFAULT 0,
+    is_default boolean NOT NULL DEFAULT FALSE,
+    created_at timestamp with time zone NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_brand_groups_name ON public.brand_groups USING btree (LOWER(name));
+
+-- Only one catch-all group
+CREATE UNIQUE INDEX IF NOT EXISTS idx_brand_groups_default ON public.brand_groups USING btree (is_default) WHERE is_default;
+
+CREATE TABLE IF NOT EXISTS public.brand_group_members (
+    brand text PRIMARY KEY,
+    group_id integer NOT NULL REFERENCES public.brand_groups(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_brand_group_members_group ON public.brand_group_members USING btree (group_id);
+
+-- Seed with the groups that used to be hard-coded in the routes
+INSERT INTO public.brand_groups (name, sort_order, is_default)
+VALUES
+    ('Birkenstock', 1, FALSE),
+    ('Rieker', 2, FALSE),
+    ('Lunar', 3, FALSE),
+    ('Crocs', 4, FALSE),
+    ('Hotter', 5, FALSE),
+    ('Skechers', 6, FALSE),
+    ('UKD', 1000, TRUE)
+ON CONFLICT DO NOTHING;
+
+INSERT INTO public.brand_group_members (brand, group_id)
+SELECT g.name, g.id
+FROM public.brand_groups g
+WHERE NOT g.is_default
+ON CONFLICT DO NOTHING;
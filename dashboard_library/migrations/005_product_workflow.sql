@@ -0,0 +1,30 @@
+--
+-- Product workflow
+-- Adds a product-level status to groupid_performance (mirroring performance.status per code) and an audit
+-- trail of segment and status changes made from the dashboard (/update_product_segment, /update_product_status).
+-- Allowed statuses and transitions are defined in dashboard_backend/repositories/product_repository.js.
+--
+
+ALTER TABLE public.groupid_performance
+    ADD COLUMN IF NOT EXISTS status text NOT NULL DEFAULT 'New',
+    ADD COLUMN IF NOT EXISTS status_date timestamp with time zone;
+
+CREATE INDEX IF NOT EXISTS idx_groupid_performance_status ON public.groupid_performance USING btree (status);
+
+CREATE TABLE IF NOT EXISTS public.product_workflow_history (
+    id serial PRIMARY KEY,
+    groupid text NOT NULL,
+    channel text NOT NULL,
+    field text NOT NULL,
+    previous_value text,
+    new_value text NOT NULL,
+    notes text,
+    changed_by text NOT NULL,
+    created_at timestamp with time zone NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE public.product_workflow_history DROP CONSTRAINT IF EXISTS product_workflow_history_field_check;
+ALTER TABLE public.product_workflow_history
+    ADD CONSTRAINT product_workflow_history_field_check CHECK (field IN ('segment', 'status'));
+
+CREATE INDEX IF NOT EXISTS idx_product_workflow_history_groupid ON public.product_workflow_history USING btree (groupid, created_at DESC);
@@ -0,0 +1,21 @@
+--
+-- Saved views
+-- Named filter combinations for the products dashboard (search, owner, status, comparison, sort, seasons, brand, ...).
+-- filters holds the dashboard's URL parameters as a flat object of strings, e.g. {"owner": "all", "brand": "Birkenstock"}.
+-- A view belongs to the user who saved it; shared views are listed for every user but only their creator can change them.
+--
+
+CREATE TABLE IF NOT EXISTS public.saved_views (
+    id serial PRIMARY KEY,
+    user_id integer NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    name text NOT NULL,
+    filters jsonb NOT NULL DEFAULT '{}',
+    is_shared boolean NOT NULL DEFAULT FALSE,
+    created_at timestamp with time zone NOT NULL DEFAULT NOW(),
+    updated_at timestamp with time zone NOT NULL DEFAULT NOW()
+);
+
+-- View names are unique per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_saved_views_user_name ON public.saved_views USING btree (user_id, LOWER(name));
+
+CREATE INDEX IF NOT EXISTS idx_saved_views_shared ON public.saved_views USING btree (is_shared) WHERE is_shared;
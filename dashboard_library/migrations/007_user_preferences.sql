@@ -0,0 +1,13 @@
+--
+-- User preferences
+-- Dashboard settings saved per user, one row per preference key.
+-- products_table_columns: the column layout of the products table, e.g. [{"key": "annual_profit", "visible": true, "width": 140}, ...]
+--
+
+CREATE TABLE IF NOT EXISTS public.user_preferences (
+    user_id integer NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    preference_key text NOT NULL,
+    value jsonb NOT NULL,
+    updated_at timestamp with time zone NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (user_id, preference_key)
+);